@@ -1,17 +1,43 @@
 const crypto = require('crypto');
+const { SCRYPT_KEY_LENGTH, hashPassword, verifyPassword } = require('../utils/passwordHash');
+
+// owner: everything, including admin accounts and the audit log
+// moderator: messages, reports, bans, filters and channel settings
+// advertiser: ads
+const ADMIN_ROLES = ['owner', 'moderator', 'advertiser'];
+const ADMIN_USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Failed logins allowed before lockouts start; each failure after that doubles the lockout
+const FREE_LOGIN_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+// Failures are forgotten after this long without another one
+const LOGIN_FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Time allowed between the password step and the two-factor step of a login
+const LOGIN_CHALLENGE_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+// Sessions slide forward while in use, up to a hard maximum from login
+const SESSION_COOKIE = 'adminSession';
+// Write last-seen times at most this often, not on every request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$' + Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64');
 
 // Admin authentication middleware
 class AdminAuth {
-    constructor() {
-        // Default admin password - should be set via environment variable
-        this.adminPassword = process.env.ADMIN_PASSWORD || 'j1WsX2dEq!';
-        this.sessionStore = new Map();
-        this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours
+    constructor(db) {
+        this.db = db;
+        this.loginFailures = new Map(); // 'ip:<address>' or 'user:<name>' -> { count, lockedUntil, lastFailure }
+        this.loginChallenges = new Map(); // challenge token -> { user, expiresAt, attempts }
+        this.sessionIdleTimeout = (parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES, 10) || 60) * 60 * 1000;
+        this.sessionMaxAge = (parseInt(process.env.ADMIN_SESSION_MAX_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
         
         console.log('🔐 Admin panel initialized');
-        if (!process.env.ADMIN_PASSWORD) {
-            console.log('⚠️  Using default admin password. Set ADMIN_PASSWORD environment variable for production.');
-        }
     }
     
     // Generate session token
@@ -19,70 +45,257 @@ class AdminAuth {
         return crypto.randomBytes(32).toString('hex');
     }
     
-    // Verify password
-    verifyPassword(password) {
-        return password === this.adminPassword;
+    // Passwords are stored as scrypt hashes (see utils/passwordHash)
+    hashPassword(password) {
+        return hashPassword(password);
     }
     
-    // Create admin session
-    createSession() {
-        const token = this.generateSessionToken();
-        const expiry = Date.now() + this.sessionTimeout;
+    verifyPasswordHash(password, storedHash) {
+        return verifyPassword(password, storedHash);
+    }
+    
+    // Returns an error message, or null if the password is acceptable
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        if (password.length > 200) {
+            return 'Password must be at most 200 characters';
+        }
+        return null;
+    }
+    
+    /**
+     * Check a username and password against the admin accounts
+     * @returns {Promise<object|null>} The account, or null if the login is not valid
+     */
+    async authenticate(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') return null;
+        
+        const user = await this.db.getAdminCredentials(username.trim());
+        const valid = await this.verifyPasswordHash(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+        
+        if (!user || !user.passwordHash || user.disabled || !valid) return null;
         
-        this.sessionStore.set(token, {
-            createdAt: Date.now(),
-            expiresAt: expiry,
-            lastAccess: Date.now()
+        const { passwordHash, ...account } = user;
+        return account;
+    }
+    
+    // Invite links carry a random token; only its hash is stored
+    generateInviteToken() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+    
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+    
+    // ==================== Login lockout ====================
+    
+    // Failures are counted per client IP and per account name
+    getThrottleKeys(ipAddress, username) {
+        const keys = [`ip:${ipAddress || 'unknown'}`];
+        if (typeof username === 'string' && username.trim()) {
+            keys.push(`user:${username.trim().toLowerCase()}`);
+        }
+        return keys;
+    }
+    
+    // Seconds until any of the keys may try again (0 = not locked)
+    getLockoutSeconds(keys) {
+        const now = Date.now();
+        let lockedUntil = 0;
+        for (const key of keys) {
+            const entry = this.loginFailures.get(key);
+            if (entry && entry.lockedUntil > lockedUntil) {
+                lockedUntil = entry.lockedUntil;
+            }
+        }
+        return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+    }
+    
+    recordLoginFailure(keys) {
+        const now = Date.now();
+        for (const key of keys) {
+            const entry = this.loginFailures.get(key) || { count: 0, lockedUntil: 0, lastFailure: 0 };
+            entry.count++;
+            entry.lastFailure = now;
+            
+            if (entry.count >= FREE_LOGIN_ATTEMPTS) {
+                const lockout = BASE_LOCKOUT_MS * 2 ** (entry.count - FREE_LOGIN_ATTEMPTS);
+                entry.lockedUntil = now + Math.min(lockout, MAX_LOCKOUT_MS);
+            }
+            this.loginFailures.set(key, entry);
+        }
+    }
+    
+    clearLoginFailures(keys) {
+        for (const key of keys) {
+            this.loginFailures.delete(key);
+        }
+    }
+    
+    // ==================== Two-factor ====================
+    
+    // Short-lived token linking the password step of a login to the code step
+    createLoginChallenge(user) {
+        const challenge = this.generateSessionToken();
+        this.loginChallenges.set(challenge, {
+            user,
+            expiresAt: Date.now() + LOGIN_CHALLENGE_MS,
+            attempts: 0
         });
+        return challenge;
+    }
+    
+    getLoginChallenge(challenge) {
+        const pending = challenge ? this.loginChallenges.get(challenge) : null;
+        if (!pending) return null;
         
-        // Clean up expired sessions
-        this.cleanupExpiredSessions();
+        if (Date.now() > pending.expiresAt) {
+            this.loginChallenges.delete(challenge);
+            return null;
+        }
+        return pending;
+    }
+    
+    // Count a wrong code; the challenge is dropped after too many
+    failLoginChallenge(challenge) {
+        const pending = this.loginChallenges.get(challenge);
+        if (pending && ++pending.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+            this.loginChallenges.delete(challenge);
+        }
+    }
+    
+    deleteLoginChallenge(challenge) {
+        this.loginChallenges.delete(challenge);
+    }
+    
+    /**
+     * Generate single-use recovery codes
+     * @returns {object} { codes (shown to the admin once), hashes (stored) }
+     */
+    generateRecoveryCodes() {
+        const codes = [];
+        for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+        return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+    }
+    
+    // Codes are accepted with or without the dash and in any case
+    hashRecoveryCode(code) {
+        return this.hashToken(String(code || '').toLowerCase().replace(/[^a-f0-9]/g, ''));
+    }
+    
+    // ==================== Sessions ====================
+    
+    /**
+     * Create a session for an admin who has passed every login step.
+     * Sessions live in the database, so they survive restarts; only a hash of the token is stored.
+     * @param {object} user - The admin account
+     * @param {object} client - { ipAddress, userAgent } shown in the admin's session list
+     * @returns {Promise<object>} { token, id }
+     */
+    async createSession(user, { ipAddress, userAgent } = {}) {
+        const token = this.generateSessionToken();
+        const { id } = await this.db.createAdminSession({
+            tokenHash: this.hashToken(token),
+            userId: user.id,
+            ipAddress,
+            userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+            expiresAt: new Date(Date.now() + Math.min(this.sessionIdleTimeout, this.sessionMaxAge)).toISOString()
+        });
         
-        return token;
+        return { token, id };
     }
     
-    // Verify admin session
-    verifySession(token) {
-        if (!token) return false;
+    /**
+     * Look up a session token, sliding its expiry forward
+     * @returns {Promise<object|null>} The session with its account's current username and role,
+     *   or null if it is unknown, expired or the account is disabled
+     */
+    async getSession(token) {
+        if (!token) return null;
+        
+        const session = await this.db.getAdminSession(this.hashToken(token));
+        if (!session) return null;
         
-        const session = this.sessionStore.get(token);
-        if (!session) return false;
+        const now = Date.now();
+        if (now >= Date.parse(session.expiresAt) || session.disabled) {
+            await this.db.deleteAdminSession(session.id);
+            return null;
+        }
         
-        if (Date.now() > session.expiresAt) {
-            this.sessionStore.delete(token);
-            return false;
+        if (now - Date.parse(session.lastSeenAt) >= SESSION_TOUCH_INTERVAL_MS) {
+            const expiresAt = Math.min(now + this.sessionIdleTimeout, Date.parse(session.createdAt) + this.sessionMaxAge);
+            await this.db.touchAdminSession(session.id, new Date(now).toISOString(), new Date(expiresAt).toISOString());
         }
         
-        // Update last access time
-        session.lastAccess = Date.now();
-        return true;
+        return session;
+    }
+    
+    // The session cookie is HttpOnly, so the dashboard's scripts never see the token
+    setSessionCookie(req, res, token) {
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production' || req.secure || (process.env.BASE_URL || '').startsWith('https:'),
+            sameSite: 'strict',
+            path: '/',
+            maxAge: this.sessionMaxAge
+        });
+    }
+    
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+    
+    getSessionToken(req) {
+        return req.cookies?.[SESSION_COOKIE] || null;
     }
     
     // Clean up expired sessions
     cleanupExpiredSessions() {
         const now = Date.now();
-        for (const [token, session] of this.sessionStore.entries()) {
-            if (now > session.expiresAt) {
-                this.sessionStore.delete(token);
+        this.db.deleteExpiredAdminSessions().catch(error => {
+            console.error('Error cleaning up admin sessions:', error);
+        });
+        
+        // Also forget old login challenges and failures
+        for (const [challenge, pending] of this.loginChallenges.entries()) {
+            if (now > pending.expiresAt) {
+                this.loginChallenges.delete(challenge);
+            }
+        }
+        for (const [key, entry] of this.loginFailures.entries()) {
+            if (now > entry.lockedUntil && now - entry.lastFailure > LOGIN_FAILURE_MEMORY_MS) {
+                this.loginFailures.delete(key);
             }
         }
     }
     
     // Middleware for admin routes
-    requireAuth(req, res, next) {
-        // Check for session token in cookies or headers
-        const cookieToken = req.cookies?.adminSession;
-        const headerToken = req.headers['x-admin-token'];
-        const token = cookieToken || headerToken;
+    async requireAuth(req, res, next) {
+        const token = this.getSessionToken(req);
+        
+        let session = null;
+        try {
+            session = await this.getSession(token);
+        } catch (error) {
+            console.error('Error checking admin session:', error);
+            return res.status(500).json({ error: 'Failed to check session' });
+        }
         
         // Debug logging
         console.log(`🔐 Admin auth check for ${req.path}`);
-        console.log(`   Cookie token: ${cookieToken ? 'present' : 'missing'}`);
-        console.log(`   Header token: ${headerToken ? 'present' : 'missing'}`);
-        console.log(`   Session valid: ${this.verifySession(token)}`);
+        console.log(`   Cookie token: ${token ? 'present' : 'missing'}`);
+        console.log(`   Session valid: ${!!session}`);
         
-        if (this.verifySession(token)) {
+        if (session) {
             req.adminSession = token;
+            req.adminSessionId = session.id;
+            req.admin = { id: session.userId, username: session.username, role: session.role };
             next();
         } else {
             console.log(`❌ Admin auth failed for ${req.path}`);
@@ -94,15 +307,75 @@ class AdminAuth {
         }
     }
     
+    /**
+     * Middleware limiting a route to the given roles (owners can always pass)
+     * Use after requireAuth.
+     * @param {...string} roles - Roles allowed besides owner
+     */
+    requireRole(...roles) {
+        return (req, res, next) => {
+            const role = req.admin?.role;
+            if (role === 'owner' || roles.includes(role)) {
+                return next();
+            }
+            
+            console.log(`❌ Admin ${req.admin?.username} (${role}) not allowed on ${req.path}`);
+            res.status(403).json({ error: 'Your admin role does not allow this' });
+        };
+    }
+    
+    // Socket.IO middleware for the admin namespace - checks the session cookie sent with the handshake.
+    // Like requireRole, only owners and the given roles get in.
+    socketMiddleware(...roles) {
+        return async (socket, next) => {
+            const token = this.getCookie(socket.handshake.headers.cookie, SESSION_COOKIE);
+            
+            try {
+                const session = await this.getSession(token);
+                if (session && session.role !== 'owner' && !roles.includes(session.role)) {
+                    console.log(`❌ Admin ${session.username} (${session.role}) not allowed on the live feed`);
+                    return next(new Error('Forbidden'));
+                }
+                if (session) {
+                    socket.data.adminSession = token;
+                    socket.data.adminSessionId = session.id;
+                    socket.data.adminUserId = session.userId;
+                    return next();
+                }
+            } catch (error) {
+                console.error('Error checking admin socket session:', error);
+            }
+            
+            console.log(`❌ Admin socket auth failed for ${socket.id}`);
+            next(new Error('Unauthorized'));
+        };
+    }
+    
+    // Read a cookie value from a raw Cookie header
+    getCookie(cookieHeader, name) {
+        if (!cookieHeader) return null;
+        
+        for (const part of cookieHeader.split(';')) {
+            const [key, ...rest] = part.trim().split('=');
+            if (key === name) {
+                return decodeURIComponent(rest.join('='));
+            }
+        }
+        return null;
+    }
+    
+    // Stable, non-secret identifier for a session token (safe to store in the audit log)
+    getSessionId(token) {
+        if (!token) return null;
+        return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+    }
+
     // Get session info
     getSessionInfo() {
-        const activeSessions = Array.from(this.sessionStore.values());
-        return {
-            activeSessions: activeSessions.length,
-            oldestSession: activeSessions.length > 0 ? Math.min(...activeSessions.map(s => s.createdAt)) : null,
-            newestSession: activeSessions.length > 0 ? Math.max(...activeSessions.map(s => s.createdAt)) : null
-        };
+        return this.db.getAdminSessionStats();
     }
 }
 
-module.exports = AdminAuth;
\ No newline at end of file
+module.exports = AdminAuth;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
+module.exports.ADMIN_USERNAME_PATTERN = ADMIN_USERNAME_PATTERN;
\ No newline at end of file
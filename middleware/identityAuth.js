@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Anonymous identity tokens for chat users
+class IdentityAuth {
+    constructor() {
+        // Secret used to sign identity tokens - should be set via environment variable
+        this.secret = process.env.IDENTITY_SECRET || crypto.randomBytes(32).toString('hex');
+        this.tokenLifetime = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+        if (!process.env.IDENTITY_SECRET) {
+            console.log('⚠️  No IDENTITY_SECRET set. Anonymous identities will reset when the server restarts.');
+        }
+    }
+
+    // Generate a new anonymous session ID
+    generateSessionId() {
+        return crypto.randomUUID();
+    }
+
+    // Sign a payload with the server secret
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    // Issue a signed identity token for a session ID
+    issueToken(sessionId) {
+        const payload = Buffer.from(JSON.stringify({
+            sid: sessionId,
+            iat: Date.now()
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // Verify an identity token, returning its session ID or null
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!data.sid || typeof data.sid !== 'string') return null;
+            if (!data.iat || Date.now() > data.iat + this.tokenLifetime) return null;
+            return data.sid;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Create a fresh identity (session ID + token)
+    createIdentity() {
+        const sessionId = this.generateSessionId();
+        return { sessionId, token: this.issueToken(sessionId) };
+    }
+
+    // Stable per-channel stand-in for a session ID, safe to show other users -
+    // it can't be turned back into the session ID or linked across channels
+    pseudonym(sessionId, channel) {
+        return this.sign(`author:${channel}:${sessionId}`).slice(0, 16);
+    }
+
+    // Create a per-post edit token - only its hash is stored with the post
+    createEditToken() {
+        const token = crypto.randomBytes(24).toString('base64url');
+        return { token, hash: this.hashEditToken(token) };
+    }
+
+    hashEditToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Check an edit token against the stored hash
+    verifyEditToken(token, hash) {
+        if (!token || typeof token !== 'string' || !hash) return false;
+
+        const expected = Buffer.from(hash);
+        const actual = Buffer.from(this.hashEditToken(token));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Socket.IO middleware - resolves the identity presented in the handshake
+    socketMiddleware() {
+        return (socket, next) => {
+            const token = socket.handshake.auth?.identityToken;
+            const sessionId = this.verifyToken(token);
+
+            if (sessionId) {
+                // Reissue so the token's lifetime slides with use
+                socket.data.identity = { sessionId, token: this.issueToken(sessionId) };
+            } else {
+                socket.data.identity = this.createIdentity();
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = IdentityAuth;
@@ -1,13 +1,17 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { getBoundingBox } = require('../utils/location');
 
 class Database {
     constructor() {
-        this.dbPath = path.join(__dirname, '..', 'data', 'groupdeedo.db');
+        this.dbPath = process.env.DATABASE_PATH
+            ? path.resolve(process.env.DATABASE_PATH)
+            : path.join(__dirname, '..', 'data', 'groupdeedo.db');
         this.ensureDataDirectory();
         this.db = null;
-        this.init();
+        this.transactionQueue = Promise.resolve();
+        this.ready = this.init();
     }
     
     ensureDataDirectory() {
@@ -73,11 +77,221 @@ class Database {
                 )
             `;
             
+            // Create reactions table (emoji reactions - separate from votes, never used for moderation)
+            const createReactionsTable = `
+                CREATE TABLE IF NOT EXISTS reactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id TEXT NOT NULL,
+                    session_id TEXT NOT NULL,
+                    emoji TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                    UNIQUE(post_id, session_id, emoji)
+                )
+            `;
+            
+            // Create reports table (user reports feeding the moderation queue)
+            const createReportsTable = `
+                CREATE TABLE IF NOT EXISTS reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id TEXT NOT NULL,
+                    session_id TEXT NOT NULL,
+                    reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'illegal', 'other')),
+                    details TEXT,
+                    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'actioned')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolved_at DATETIME,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                    UNIQUE(post_id, session_id)
+                )
+            `;
+            
+            // Create bans table (expires_at NULL = permanent)
+            const createBansTable = `
+                CREATE TABLE IF NOT EXISTS bans (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    type TEXT NOT NULL CHECK (type IN ('session', 'ip', 'cidr')),
+                    value TEXT NOT NULL,
+                    reason TEXT,
+                    expires_at TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create post revisions table (earlier versions of edited posts)
+            const createPostRevisionsTable = `
+                CREATE TABLE IF NOT EXISTS post_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `;
+            
+            // Create filter rules table (admin-managed blocklist terms and regexes)
+            const createFilterRulesTable = `
+                CREATE TABLE IF NOT EXISTS filter_rules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    pattern TEXT NOT NULL,
+                    is_regex INTEGER NOT NULL DEFAULT 0,
+                    action TEXT NOT NULL CHECK (action IN ('block', 'mask', 'hold')),
+                    note TEXT,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    hit_count INTEGER NOT NULL DEFAULT 0,
+                    last_hit_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create filter hits table (every time a filter rule fired - rule_id is NULL for built-in checks)
+            const createFilterHitsTable = `
+                CREATE TABLE IF NOT EXISTS filter_hits (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    rule_id INTEGER,
+                    rule TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    post_id TEXT,
+                    session_id TEXT,
+                    channel TEXT,
+                    message TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create held messages table (messages waiting for moderator review - not visible until approved)
+            const createHeldMessagesTable = `
+                CREATE TABLE IF NOT EXISTS held_messages (
+                    id TEXT PRIMARY KEY,
+                    session_id TEXT NOT NULL,
+                    display_name TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    image TEXT,
+                    thumbnail TEXT,
+                    parent_id TEXT,
+                    channel TEXT NOT NULL DEFAULT '',
+                    ip_address TEXT,
+                    reason TEXT,
+                    timestamp TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create admin users table (password_hash is null until an invite is accepted)
+            const createAdminUsersTable = `
+                CREATE TABLE IF NOT EXISTS admin_users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    password_hash TEXT,
+                    role TEXT NOT NULL,
+                    disabled INTEGER NOT NULL DEFAULT 0,
+                    invite_token_hash TEXT,
+                    invite_expires_at TEXT,
+                    invited_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_login_at TEXT
+                )
+            `;
+            
+            // Create admin sessions table (only a hash of each session token is stored)
+            const createAdminSessionsTable = `
+                CREATE TABLE IF NOT EXISTS admin_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    user_id INTEGER NOT NULL,
+                    ip_address TEXT,
+                    user_agent TEXT,
+                    created_at TEXT NOT NULL,
+                    last_seen_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                )
+            `;
+            
+            // Create audit log table (admin actions - before/after are JSON snapshots)
+            const createAuditLogTable = `
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    action TEXT NOT NULL,
+                    actor_session TEXT,
+                    ip_address TEXT,
+                    target_type TEXT,
+                    target_id TEXT,
+                    before_data TEXT,
+                    after_data TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create channels table (per-channel settings - a channel without a row uses defaults)
+            // retention_days: NULL = global cleanup default, 0 = keep forever
+            const createChannelsTable = `
+                CREATE TABLE IF NOT EXISTS channels (
+                    name TEXT PRIMARY KEY,
+                    visibility_window TEXT NOT NULL DEFAULT '24h' CHECK (visibility_window IN ('1h', '24h', '7d', 'forever')),
+                    retention_days INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create channel invites table (links that unlock a passphrase-protected channel)
+            // max_uses: NULL = any number of uses until it expires
+            const createChannelInvitesTable = `
+                CREATE TABLE IF NOT EXISTS channel_invites (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    channel TEXT NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    max_uses INTEGER,
+                    uses INTEGER NOT NULL DEFAULT 0,
+                    expires_at TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+            
+            // Create channel moderators table (appointed by a channel's owner, by anonymous identity)
+            const createChannelModeratorsTable = `
+                CREATE TABLE IF NOT EXISTS channel_moderators (
+                    channel TEXT NOT NULL,
+                    session_id TEXT NOT NULL,
+                    display_name TEXT,
+                    appointed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (channel, session_id)
+                )
+            `;
+            
+            // Create channel pins table (posts a channel's owner or moderators pinned)
+            const createChannelPinsTable = `
+                CREATE TABLE IF NOT EXISTS channel_pins (
+                    post_id TEXT PRIMARY KEY,
+                    channel TEXT NOT NULL,
+                    pinned_by TEXT,
+                    pinned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE
+                )
+            `;
+            
             const createIndexes = [
                 'CREATE INDEX IF NOT EXISTS idx_posts_timestamp ON posts(timestamp)',
                 'CREATE INDEX IF NOT EXISTS idx_posts_channel ON posts(channel)',
                 'CREATE INDEX IF NOT EXISTS idx_posts_location ON posts(latitude, longitude)',
                 'CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_posts_channel_timestamp ON posts(channel, timestamp)',
+                'CREATE INDEX IF NOT EXISTS idx_posts_parent_id ON posts(parent_id)',
+                'CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at)',
+                'CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id)',
+                'CREATE INDEX IF NOT EXISTS idx_reactions_post_id ON reactions(post_id)',
+                'CREATE INDEX IF NOT EXISTS idx_reports_post_id ON reports(post_id)',
+                'CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)',
+                'CREATE INDEX IF NOT EXISTS idx_bans_type_value ON bans(type, value)',
+                'CREATE INDEX IF NOT EXISTS idx_filter_hits_created_at ON filter_hits(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_filter_hits_rule_id ON filter_hits(rule_id)',
+                'CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)',
+                'CREATE INDEX IF NOT EXISTS idx_admin_users_invite ON admin_users(invite_token_hash)',
+                'CREATE INDEX IF NOT EXISTS idx_admin_sessions_user_id ON admin_sessions(user_id)',
+                'CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions(expires_at)',
+                'CREATE INDEX IF NOT EXISTS idx_channel_invites_channel ON channel_invites(channel)',
+                'CREATE INDEX IF NOT EXISTS idx_channel_pins_channel ON channel_pins(channel)',
                 'CREATE INDEX IF NOT EXISTS idx_votes_post_id ON votes(post_id)',
                 'CREATE INDEX IF NOT EXISTS idx_votes_session_id ON votes(session_id)',
                 'CREATE INDEX IF NOT EXISTS idx_votes_type ON votes(vote_type)',
@@ -85,6 +299,13 @@ class Database {
             ];
             
             this.db.serialize(() => {
+                // SQLite leaves foreign keys off per connection - without this the ON DELETE CASCADEs never run
+                this.db.run('PRAGMA foreign_keys = ON', (err) => {
+                    if (err) {
+                        console.error('Error enabling foreign keys:', err);
+                    }
+                });
+                
                 this.db.run(createPostsTable, (err) => {
                     if (err) {
                         console.error('Error creating posts table:', err);
@@ -109,6 +330,178 @@ class Database {
                     }
                 });
                 
+                this.db.run(createReactionsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating reactions table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createReportsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating reports table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createBansTable, (err) => {
+                    if (err) {
+                        console.error('Error creating bans table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createPostRevisionsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating post revisions table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createFilterRulesTable, (err) => {
+                    if (err) {
+                        console.error('Error creating filter rules table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createFilterHitsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating filter hits table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createHeldMessagesTable, (err) => {
+                    if (err) {
+                        console.error('Error creating held messages table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createAdminUsersTable, (err) => {
+                    if (err) {
+                        console.error('Error creating admin users table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createAdminSessionsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating admin sessions table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createAuditLogTable, (err) => {
+                    if (err) {
+                        console.error('Error creating audit log table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createChannelsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating channels table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createChannelInvitesTable, (err) => {
+                    if (err) {
+                        console.error('Error creating channel invites table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createChannelModeratorsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating channel moderators table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                this.db.run(createChannelPinsTable, (err) => {
+                    if (err) {
+                        console.error('Error creating channel pins table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+                
+                // Columns added after the original schema
+                this.addColumnIfMissing('votes', 'ip_address', 'TEXT');
+                this.addColumnIfMissing('posts', 'thumbnail', 'TEXT');
+                this.addColumnIfMissing('posts', 'parent_id', 'TEXT');
+                this.addColumnIfMissing('posts', 'edit_token_hash', 'TEXT');
+                this.addColumnIfMissing('posts', 'edited_at', 'TEXT');
+                this.addColumnIfMissing('posts', 'ip_address', 'TEXT');
+                this.addColumnIfMissing('channels', 'slow_mode_seconds', 'INTEGER NOT NULL DEFAULT 0');
+                this.addColumnIfMissing('channels', 'max_message_length', 'INTEGER');
+                this.addColumnIfMissing('channels', 'auto_hide_min_downvotes', 'INTEGER');
+                this.addColumnIfMissing('channels', 'auto_hide_ratio', 'REAL');
+                this.addColumnIfMissing('channels', 'auto_hide_min_viewers', 'INTEGER');
+                this.addColumnIfMissing('posts', 'hidden_at', 'TEXT');
+                this.addColumnIfMissing('posts', 'hidden_reason', 'TEXT');
+                this.addColumnIfMissing('posts', 'deleted_at', 'TEXT');
+                this.addColumnIfMissing('posts', 'deleted_by', 'TEXT');
+                this.addColumnIfMissing('posts', 'restored_at', 'TEXT');
+                this.addColumnIfMissing('audit_log', 'actor_name', 'TEXT');
+                this.addColumnIfMissing('admin_users', 'totp_secret', 'TEXT');
+                this.addColumnIfMissing('admin_users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+                this.addColumnIfMissing('admin_users', 'totp_last_counter', 'INTEGER');
+                this.addColumnIfMissing('admin_users', 'recovery_codes', 'TEXT');
+                this.addColumnIfMissing('channels', 'passphrase_hash', 'TEXT');
+                this.addColumnIfMissing('channels', 'owner_key_hash', 'TEXT');
+                this.addColumnIfMissing('channels', 'claimed_at', 'TEXT');
+                this.addColumnIfMissing('channels', 'description', 'TEXT');
+                this.addColumnIfMissing('channels', 'announcement', 'TEXT');
+                this.addColumnIfMissing('channels', 'announcement_updated_at', 'TEXT');
+                this.addColumnIfMissing('channels', 'listed', 'INTEGER DEFAULT 0');
+                this.addColumnIfMissing('channels', 'listing_title', 'TEXT');
+                this.addColumnIfMissing('channels', 'listing_description', 'TEXT');
+                this.addColumnIfMissing('channels', 'listing_tags', 'TEXT');
+                this.addColumnIfMissing('held_messages', 'latitude', 'REAL');
+                this.addColumnIfMissing('held_messages', 'longitude', 'REAL');
+                
+                // Votes, reactions, reports, revisions and pins of posts deleted before foreign keys were on
+                ['votes', 'reactions', 'reports', 'post_revisions', 'channel_pins'].forEach(table => {
+                    this.db.run(`DELETE FROM ${table} WHERE post_id NOT IN (SELECT id FROM posts)`, function(err) {
+                        if (err) {
+                            console.error(`Error removing orphaned ${table}:`, err);
+                        } else if (this.changes > 0) {
+                            console.log(`🗑️  Removed ${this.changes} orphaned ${table} rows`);
+                        }
+                    });
+                });
+                
+                // Socket votes used to store IPv4 addresses in their IPv6-mapped form
+                this.db.run("UPDATE votes SET ip_address = SUBSTR(ip_address, 8) WHERE ip_address LIKE '::ffff:%.%'", (err) => {
+                    if (err) {
+                        console.error('Error normalizing vote addresses:', err);
+                    }
+                });
+                
+                // Older posts were saved before channel names were normalized
+                this.db.run("UPDATE posts SET channel = LOWER(TRIM(channel)) WHERE channel != LOWER(TRIM(channel))", (err) => {
+                    if (err) {
+                        console.error('Error normalizing post channels:', err);
+                    }
+                });
+                
                 // Create indexes
                 createIndexes.forEach((indexQuery, i) => {
                     this.db.run(indexQuery, (err) => {
@@ -118,18 +511,37 @@ class Database {
                     });
                 });
                 
-                resolve();
+                // Statements above run in order, so this fires once the schema is ready
+                this.db.get('SELECT 1', (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
             });
         });
     }
     
+    // Add a column to an existing table (no-op if it is already there).
+    // Runs in the caller's serialize() order so later statements can use it.
+    addColumnIfMissing(table, column, definition) {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+            if (err && !/duplicate column name/i.test(err.message)) {
+                console.error(`Error adding ${table}.${column}:`, err);
+            } else if (!err) {
+                console.log(`Added column ${table}.${column}`);
+            }
+        });
+    }
+    
     createPost(post) {
         return new Promise((resolve, reject) => {
             const query = `
                 INSERT INTO posts (
-                    id, session_id, display_name, message, image, 
-                    latitude, longitude, channel, timestamp
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    id, session_id, display_name, message, image, thumbnail,
+                    latitude, longitude, channel, timestamp, parent_id, edit_token_hash, ip_address
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
             const params = [
@@ -138,10 +550,14 @@ class Database {
                 post.displayName,
                 post.message,
                 post.image,
+                post.thumbnail || null,
                 post.latitude,
                 post.longitude,
                 post.channel,
-                post.timestamp
+                post.timestamp,
+                post.parentId || null,
+                post.editTokenHash || null,
+                post.ipAddress || null
             ];
             
             this.db.run(query, params, function(err) {
@@ -156,106 +572,341 @@ class Database {
         });
     }
     
-    getRecentPosts(limit = 50) {
+    // Only visible posts unless includeRemoved is set (hidden and soft-deleted posts)
+    getPostById(postId, { includeRemoved = false } = {}) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT * FROM posts 
-                ORDER BY created_at DESC 
-                LIMIT ?
-            `;
+            const query = `SELECT * FROM posts WHERE id = ? ${includeRemoved ? '' : `AND ${this.visiblePostSql()}`}`;
             
-            this.db.all(query, [limit], (err, rows) => {
+            this.db.get(query, [postId], (err, row) => {
                 if (err) {
-                    console.error('Error fetching posts:', err);
+                    console.error('Error fetching post:', err);
                     reject(err);
+                } else if (!row) {
+                    resolve(null);
                 } else {
-                    // Convert database format back to application format
-                    const posts = rows.map(row => ({
+                    resolve({
                         id: row.id,
                         sessionId: row.session_id,
                         displayName: row.display_name,
                         message: row.message,
                         image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
                         latitude: row.latitude,
                         longitude: row.longitude,
                         channel: row.channel,
                         timestamp: row.timestamp,
-                        createdAt: row.created_at
-                    }));
-                    
-                    resolve(posts.reverse()); // Reverse to get chronological order
+                        createdAt: row.created_at,
+                        hiddenAt: row.hidden_at,
+                        hiddenReason: row.hidden_reason,
+                        deletedAt: row.deleted_at,
+                        deletedBy: row.deleted_by,
+                        restoredAt: row.restored_at
+                    });
                 }
             });
         });
     }
     
-    getPostsByChannel(channel, limit = 50) {
+    // SQL condition for posts that are neither hidden nor deleted
+    visiblePostSql(alias = '') {
+        const prefix = alias ? `${alias}.` : '';
+        return `${prefix}hidden_at IS NULL AND ${prefix}deleted_at IS NULL`;
+    }
+    
+    // ==================== Author Edits ====================
+    
+    // Hash of the post's edit token (null for posts created before edit tokens)
+    getPostEditTokenHash(postId) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT * FROM posts 
-                WHERE channel = ?
-                ORDER BY created_at DESC 
-                LIMIT ?
-            `;
-            
-            this.db.all(query, [channel, limit], (err, rows) => {
+            this.db.get('SELECT edit_token_hash FROM posts WHERE id = ?', [postId], (err, row) => {
                 if (err) {
-                    console.error('Error fetching posts by channel:', err);
+                    console.error('Error fetching edit token:', err);
                     reject(err);
                 } else {
-                    const posts = rows.map(row => ({
-                        id: row.id,
-                        sessionId: row.session_id,
-                        displayName: row.display_name,
-                        message: row.message,
-                        image: row.image,
-                        latitude: row.latitude,
-                        longitude: row.longitude,
-                        channel: row.channel,
-                        timestamp: row.timestamp,
-                        createdAt: row.created_at
-                    }));
-                    
-                    resolve(posts.reverse());
+                    resolve(row ? row.edit_token_hash : null);
                 }
             });
         });
     }
     
-    getPostsInRadius(latitude, longitude, radiusMiles, limit = 50) {
+    // Replace a post's message, keeping the previous text as a revision
+    editPostMessage(postId, message) {
+        // Transactions share the one connection, so only one may be open at a time
+        const edit = this.transactionQueue.then(() => this.saveRevisionAndEdit(postId, message));
+        this.transactionQueue = edit.catch(() => {});
+        return edit;
+    }
+    
+    // The earlier text is kept and the new text saved together - an edit that can't be
+    // recorded in the revision history isn't applied
+    saveRevisionAndEdit(postId, message) {
         return new Promise((resolve, reject) => {
-            // Simple bounding box query (more efficient than calculating distance for each row)
-            // Rough conversion: 1 degree ≈ 69 miles
-            const latRange = radiusMiles / 69;
-            const lonRange = radiusMiles / (69 * Math.cos(latitude * Math.PI / 180));
-            
-            const query = `
-                SELECT * FROM posts 
-                WHERE latitude BETWEEN ? AND ?
-                AND longitude BETWEEN ? AND ?
-                ORDER BY created_at DESC 
-                LIMIT ?
-            `;
-            
-            const params = [
-                latitude - latRange,
-                latitude + latRange,
-                longitude - lonRange,
-                longitude + lonRange,
-                limit
-            ];
+            const db = this.db;
+            const editedAt = new Date().toISOString();
+            const rollback = (err, context) => {
+                console.error(context, err);
+                db.run('ROLLBACK', () => reject(err));
+            };
             
-            this.db.all(query, params, (err, rows) => {
-                if (err) {
-                    console.error('Error fetching posts in radius:', err);
-                    reject(err);
-                } else {
+            db.run('BEGIN IMMEDIATE', (beginErr) => {
+                if (beginErr) {
+                    console.error('Error starting post edit:', beginErr);
+                    reject(beginErr);
+                    return;
+                }
+                
+                db.run(
+                    'INSERT INTO post_revisions (post_id, message, edited_at) SELECT id, message, ? FROM posts WHERE id = ?',
+                    [editedAt, postId],
+                    (revisionErr) => {
+                        if (revisionErr) {
+                            rollback(revisionErr, 'Error saving post revision:');
+                            return;
+                        }
+                        
+                        db.run('UPDATE posts SET message = ?, edited_at = ? WHERE id = ?', [message, editedAt, postId], function(updateErr) {
+                            if (updateErr) {
+                                rollback(updateErr, 'Error editing post:');
+                                return;
+                            }
+                            
+                            const edited = this.changes > 0;
+                            db.run('COMMIT', (commitErr) => {
+                                if (commitErr) {
+                                    rollback(commitErr, 'Error saving post edit:');
+                                } else {
+                                    resolve({ edited, editedAt });
+                                }
+                            });
+                        });
+                    }
+                );
+            });
+        });
+    }
+    
+    // Earlier versions of a post, oldest first
+    getPostRevisions(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM post_revisions 
+                WHERE post_id = ?
+                ORDER BY edited_at ASC, id ASC
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching post revisions:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        postId: row.post_id,
+                        message: row.message,
+                        editedAt: row.edited_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    // ==================== Threads ====================
+    
+    // Extra columns describing a post's place in a thread.
+    // Expects the parent post joined as "parent" (see threadJoinSql).
+    threadColumnsSql(alias) {
+        return `
+            parent.display_name as parent_display_name,
+            parent.message as parent_message,
+            parent.image as parent_image,
+            (SELECT COUNT(*) FROM posts r WHERE r.parent_id = ${alias}.id AND ${this.visiblePostSql('r')}) as reply_count
+        `;
+    }
+    
+    // Join for threadColumnsSql - a hidden or deleted parent counts as gone
+    threadJoinSql(alias) {
+        return `LEFT JOIN posts parent ON parent.id = ${alias}.parent_id AND ${this.visiblePostSql('parent')}`;
+    }
+    
+    // parent is null when the post is not a reply or the parent has been deleted
+    formatThreadColumns(row) {
+        return {
+            parent: row.parent_id && row.parent_display_name !== null ? {
+                id: row.parent_id,
+                displayName: row.parent_display_name,
+                message: row.parent_message,
+                hasImage: !!row.parent_image
+            } : null,
+            replyCount: row.reply_count || 0
+        };
+    }
+    
+    // All direct replies to a post, oldest first
+    getThreadReplies(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    p.*,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'up') as upvotes,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'down') as downvotes
+                FROM posts p
+                WHERE p.parent_id = ? AND ${this.visiblePostSql('p')}
+                ORDER BY p.timestamp ASC, p.id ASC
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching thread replies:', err);
+                    reject(err);
+                } else {
+                    const posts = rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        latitude: row.latitude,
+                        longitude: row.longitude,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes
+                    }));
+                    
+                    resolve(posts);
+                }
+            });
+        });
+    }
+    
+    // ==================== Message Images ====================
+    
+    // Posts with an image that has not been cleaned and thumbnailed yet
+    // (inline base64 rows and files stored before re-encoding was added)
+    getPostsNeedingImageProcessing(limit = 20, excludeIds = []) {
+        return new Promise((resolve, reject) => {
+            const placeholders = excludeIds.map(() => '?').join(', ');
+            const query = `
+                SELECT id, image FROM posts 
+                WHERE image IS NOT NULL AND thumbnail IS NULL
+                ${excludeIds.length > 0 ? `AND id NOT IN (${placeholders})` : ''}
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [...excludeIds, limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching posts needing image processing:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+    
+    updatePostImage(postId, image, thumbnail = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE posts SET image = ?, thumbnail = ? WHERE id = ?', [image, thumbnail, postId], function(err) {
+                if (err) {
+                    console.error('Error updating post image:', err);
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+    
+    // All stored image URLs still referenced by a post or a held message
+    getReferencedImageUrls() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT image AS url FROM posts WHERE image IS NOT NULL AND image NOT LIKE 'data:%'
+                UNION
+                SELECT thumbnail AS url FROM posts WHERE thumbnail IS NOT NULL
+                UNION
+                SELECT image AS url FROM held_messages WHERE image IS NOT NULL
+                UNION
+                SELECT thumbnail AS url FROM held_messages WHERE thumbnail IS NOT NULL
+            `;
+            
+            this.db.all(query, [], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching referenced images:', err);
+                    reject(err);
+                } else {
+                    resolve(new Set(rows.map(row => row.url)));
+                }
+            });
+        });
+    }
+    
+    getRecentPosts(limit = 50) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM posts 
+                WHERE ${this.visiblePostSql()}
+                ORDER BY created_at DESC 
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching posts:', err);
+                    reject(err);
+                } else {
+                    // Convert database format back to application format
+                    const posts = rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        latitude: row.latitude,
+                        longitude: row.longitude,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at
+                    }));
+                    
+                    resolve(posts.reverse()); // Reverse to get chronological order
+                }
+            });
+        });
+    }
+    
+    getPostsByChannel(channel, limit = 50) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM posts 
+                WHERE channel = ? AND ${this.visiblePostSql()}
+                ORDER BY created_at DESC 
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [channel, limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching posts by channel:', err);
+                    reject(err);
+                } else {
                     const posts = rows.map(row => ({
                         id: row.id,
                         sessionId: row.session_id,
                         displayName: row.display_name,
                         message: row.message,
                         image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
                         latitude: row.latitude,
                         longitude: row.longitude,
                         channel: row.channel,
@@ -269,6 +920,143 @@ class Database {
         });
     }
     
+    // Cursor-based channel history, newest page first.
+    // Pass the timestamp/id of the oldest post already shown as before/beforeId
+    // to get the page before it. Returns { posts, hasMore } in chronological order.
+    getChannelHistory(channel, { before = null, beforeId = null, since = null, limit = 50 } = {}) {
+        return new Promise((resolve, reject) => {
+            const conditions = ['p.channel = ?', this.visiblePostSql('p')];
+            const params = [channel];
+            
+            if (before) {
+                if (beforeId) {
+                    conditions.push('(p.timestamp < ? OR (p.timestamp = ? AND p.id < ?))');
+                    params.push(before, before, beforeId);
+                } else {
+                    conditions.push('p.timestamp < ?');
+                    params.push(before);
+                }
+            }
+            
+            if (since) {
+                conditions.push('p.timestamp >= ?');
+                params.push(since);
+            }
+            
+            const query = `
+                SELECT 
+                    p.*,
+                    ${this.threadColumnsSql('p')},
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'up') as upvotes,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'down') as downvotes
+                FROM posts p
+                ${this.threadJoinSql('p')}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY p.timestamp DESC, p.id DESC
+                LIMIT ?
+            `;
+            
+            // Fetch one extra row to know whether another page exists
+            params.push(limit + 1);
+            
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    console.error('Error fetching channel history:', err);
+                    reject(err);
+                } else {
+                    const hasMore = rows.length > limit;
+                    const posts = rows.slice(0, limit).map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        latitude: row.latitude,
+                        longitude: row.longitude,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes,
+                        ...this.formatThreadColumns(row)
+                    }));
+                    
+                    resolve({ posts: posts.reverse(), hasMore });
+                }
+            });
+        });
+    }
+    
+    // Newest posts inside the radius's bounding box, in chronological order.
+    // The corners reach past the radius, so callers check the exact distance.
+    getPostsInRadius(latitude, longitude, radiusMiles, { channel = null, since = null, limit = 50 } = {}) {
+        return new Promise((resolve, reject) => {
+            const box = getBoundingBox(latitude, longitude, radiusMiles);
+            const conditions = [
+                'p.latitude BETWEEN ? AND ?',
+                'p.longitude BETWEEN ? AND ?',
+                this.visiblePostSql('p')
+            ];
+            const params = [box.south, box.north, box.west, box.east];
+            
+            if (channel !== null) {
+                conditions.push('p.channel = ?');
+                params.push(channel);
+            }
+            
+            if (since) {
+                conditions.push('p.timestamp >= ?');
+                params.push(since);
+            }
+            
+            const query = `
+                SELECT 
+                    p.*,
+                    ${this.threadColumnsSql('p')},
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'up') as upvotes,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'down') as downvotes
+                FROM posts p
+                ${this.threadJoinSql('p')}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY p.timestamp DESC, p.id DESC
+                LIMIT ?
+            `;
+            
+            params.push(limit);
+            
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    console.error('Error fetching posts in radius:', err);
+                    reject(err);
+                } else {
+                    const posts = rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        latitude: row.latitude,
+                        longitude: row.longitude,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes,
+                        ...this.formatThreadColumns(row)
+                    }));
+                    
+                    resolve(posts.reverse());
+                }
+            });
+        });
+    }
+    
     getStats() {
         return new Promise((resolve, reject) => {
             const queries = {
@@ -304,15 +1092,30 @@ class Database {
     }
     
     // Data cleanup methods
+    
+    // SQL for a post's effective retention in days: its channel's own
+    // setting, or the global default when the channel has none
+    retentionDaysSql(defaultDays) {
+        return `COALESCE((SELECT c.retention_days FROM channels c WHERE c.name = posts.channel), ${defaultDays})`;
+    }
+    
+    // SQL condition matching posts past their channel's retention period
+    // Pinned posts are kept until they're unpinned
+    expiredPostsCondition(defaultDays) {
+        const retention = this.retentionDaysSql(defaultDays);
+        return `${retention} > 0 AND created_at < datetime('now', '-' || ${retention} || ' days')
+            AND id NOT IN (SELECT post_id FROM channel_pins)`;
+    }
+    
     deleteOldPosts(daysOld = 30) {
         return new Promise((resolve, reject) => {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+            daysOld = parseInt(daysOld, 10) || 30;
+            const condition = this.expiredPostsCondition(daysOld);
             
             // Count posts that will be deleted (for logging)
             const countQuery = `
                 SELECT COUNT(*) as count FROM posts 
-                WHERE created_at < datetime('now', '-${daysOld} days')
+                WHERE ${condition}
             `;
             
             this.db.get(countQuery, (err, countResult) => {
@@ -323,7 +1126,7 @@ class Database {
                 }
                 
                 const postsToDelete = countResult.count;
-                console.log(`🗑️  Found ${postsToDelete} posts older than ${daysOld} days to delete`);
+                console.log(`🗑️  Found ${postsToDelete} posts past their channel retention (default ${daysOld} days) to delete`);
                 
                 if (postsToDelete === 0) {
                     resolve({ deleted: 0, message: 'No old posts to delete' });
@@ -333,7 +1136,7 @@ class Database {
                 // Delete old posts
                 const deleteQuery = `
                     DELETE FROM posts 
-                    WHERE created_at < datetime('now', '-${daysOld} days')
+                    WHERE ${condition}
                 `;
                 
                 this.db.run(deleteQuery, function(err) {
@@ -345,7 +1148,7 @@ class Database {
                         console.log(`✅ Successfully deleted ${actualDeleted} old posts`);
                         resolve({ 
                             deleted: actualDeleted, 
-                            message: `Deleted ${actualDeleted} posts older than ${daysOld} days` 
+                            message: `Deleted ${actualDeleted} posts past their channel retention (default ${daysOld} days)` 
                         });
                     }
                 });
@@ -355,11 +1158,15 @@ class Database {
     
     getOldPostsInfo(daysOld = 30) {
         return new Promise((resolve, reject) => {
+            daysOld = parseInt(daysOld, 10) || 30;
+            const condition = this.expiredPostsCondition(daysOld);
+            
             const queries = {
-                count: `SELECT COUNT(*) as count FROM posts WHERE created_at < datetime('now', '-${daysOld} days')`,
+                count: `SELECT COUNT(*) as count FROM posts WHERE ${condition}`,
                 oldest: `SELECT created_at FROM posts ORDER BY created_at ASC LIMIT 1`,
                 newest: `SELECT created_at FROM posts ORDER BY created_at DESC LIMIT 1`,
-                sizeEstimate: `SELECT COUNT(*) * 1024 as estimatedBytes FROM posts WHERE created_at < datetime('now', '-${daysOld} days')`
+                sizeEstimate: `SELECT COUNT(*) * 1024 as estimatedBytes FROM posts WHERE ${condition}`,
+                channelOverrides: `SELECT COUNT(*) as count FROM channels WHERE retention_days IS NOT NULL`
             };
             
             const results = {};
@@ -370,9 +1177,9 @@ class Database {
                 this.db.get(query, (err, row) => {
                     if (err) {
                         console.error(`Error in cleanup info query ${key}:`, err);
-                        results[key] = key === 'count' || key === 'sizeEstimate' ? 0 : null;
+                        results[key] = key === 'oldest' || key === 'newest' ? null : 0;
                     } else {
-                        results[key] = row[Object.keys(row)[0]];
+                        results[key] = row ? row[Object.keys(row)[0]] : null;
                     }
                     
                     completed++;
@@ -381,8 +1188,9 @@ class Database {
                             postsToDelete: results.count,
                             oldestPost: results.oldest,
                             newestPost: results.newest,
-                            estimatedSizeKB: Math.round(results.estimatedBytes / 1024),
-                            daysOld: daysOld
+                            estimatedSizeKB: Math.round(results.sizeEstimate / 1024),
+                            daysOld: daysOld,
+                            channelOverrides: results.channelOverrides
                         });
                     }
                 });
@@ -411,6 +1219,7 @@ class Database {
                 default:
                     whereClause = '';
             }
+            whereClause = whereClause ? `${whereClause} AND ${this.visiblePostSql()}` : `WHERE ${this.visiblePostSql()}`;
             
             const query = `
                 SELECT * FROM posts 
@@ -430,6 +1239,9 @@ class Database {
                         displayName: row.display_name,
                         message: row.message,
                         image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
                         latitude: row.latitude,
                         longitude: row.longitude,
                         channel: row.channel,
@@ -443,304 +1255,2119 @@ class Database {
         });
     }
     
-    deletePostById(postId) {
+    // Soft delete - the row stays (restorable) until purgeDeletedPosts removes it
+    deletePostById(postId, deletedBy = 'admin') {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE posts SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL';
+            
+            this.db.run(query, [new Date().toISOString(), deletedBy, postId], function(err) {
+                if (err) {
+                    console.error('Error deleting post:', err);
+                    reject(err);
+                } else {
+                    console.log(`Deleted post: ${postId}`);
+                    resolve({ deleted: this.changes > 0, changes: this.changes });
+                }
+            });
+        });
+    }
+    
+    // Hide a post from everyone but admins (auto-moderation)
+    hidePost(postId, reason) {
+        return new Promise((resolve, reject) => {
+            const query = `UPDATE posts SET hidden_at = ?, hidden_reason = ? WHERE id = ? AND ${this.visiblePostSql()}`;
+            
+            this.db.run(query, [new Date().toISOString(), reason, postId], function(err) {
+                if (err) {
+                    console.error('Error hiding post:', err);
+                    reject(err);
+                } else {
+                    console.log(`Hidden post: ${postId} (${reason})`);
+                    resolve({ hidden: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Undo a hide or soft delete. Restored posts are exempt from auto-moderation.
+    restorePost(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE posts 
+                SET hidden_at = NULL, hidden_reason = NULL, deleted_at = NULL, deleted_by = NULL, restored_at = ?
+                WHERE id = ? AND (hidden_at IS NOT NULL OR deleted_at IS NOT NULL)
+            `;
+            
+            this.db.run(query, [new Date().toISOString(), postId], function(err) {
+                if (err) {
+                    console.error('Error restoring post:', err);
+                    reject(err);
+                } else {
+                    console.log(`Restored post: ${postId}`);
+                    resolve({ restored: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Hidden and soft-deleted posts, most recently removed first
+    getRemovedPosts(limit = 100) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    p.*,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'up') as upvotes,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'down') as downvotes
+                FROM posts p
+                WHERE p.hidden_at IS NOT NULL OR p.deleted_at IS NOT NULL
+                ORDER BY COALESCE(p.deleted_at, p.hidden_at) DESC
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching removed posts:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes,
+                        hiddenAt: row.hidden_at,
+                        hiddenReason: row.hidden_reason,
+                        deletedAt: row.deleted_at,
+                        deletedBy: row.deleted_by
+                    })));
+                }
+            });
+        });
+    }
+    
+    // Permanently remove posts soft-deleted more than daysOld days ago
+    purgeDeletedPosts(daysOld = 7, dryRun = false) {
+        return new Promise((resolve, reject) => {
+            const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+            const condition = 'deleted_at IS NOT NULL AND deleted_at < ?';
+            
+            if (dryRun) {
+                this.db.get(`SELECT COUNT(*) as count FROM posts WHERE ${condition}`, [cutoff], (err, row) => {
+                    if (err) {
+                        console.error('Error counting deleted posts:', err);
+                        reject(err);
+                    } else {
+                        resolve({ purged: 0, wouldPurge: row.count });
+                    }
+                });
+                return;
+            }
+            
+            this.db.run(`DELETE FROM posts WHERE ${condition}`, [cutoff], function(err) {
+                if (err) {
+                    console.error('Error purging deleted posts:', err);
+                    reject(err);
+                } else {
+                    resolve({ purged: this.changes });
+                }
+            });
+        });
+    }
+    
+    getAdminStats() {
+        return new Promise((resolve, reject) => {
+            const queries = {
+                totalPosts: 'SELECT COUNT(*) as count FROM posts',
+                postsLastHour: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-1 hour')",
+                postsLastDay: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-1 day')",
+                postsLastWeek: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-7 days')",
+                postsLastMonth: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-30 days')",
+                uniqueChannels: 'SELECT COUNT(DISTINCT channel) as count FROM posts',
+                uniqueSessions: 'SELECT COUNT(DISTINCT session_id) as count FROM posts',
+                postsWithImages: 'SELECT COUNT(*) as count FROM posts WHERE image IS NOT NULL',
+                avgPostsPerDay: `
+                    SELECT ROUND(COUNT(*) / CAST((julianday('now') - julianday(MIN(created_at))) AS REAL), 2) as avg 
+                    FROM posts 
+                    WHERE created_at >= datetime('now', '-30 days')
+                `,
+                topChannels: `
+                    SELECT channel, COUNT(*) as count 
+                    FROM posts 
+                    WHERE channel != '' 
+                    GROUP BY channel 
+                    ORDER BY count DESC 
+                    LIMIT 10
+                `,
+                recentActivity: `
+                    SELECT 
+                        DATE(created_at) as date,
+                        COUNT(*) as posts,
+                        COUNT(DISTINCT session_id) as unique_users,
+                        COUNT(DISTINCT channel) as active_channels
+                    FROM posts 
+                    WHERE created_at >= datetime('now', '-7 days')
+                    GROUP BY DATE(created_at)
+                    ORDER BY date DESC
+                `
+            };
+            
+            const results = {};
+            let completed = 0;
+            const total = Object.keys(queries).length;
+            
+            for (const [key, query] of Object.entries(queries)) {
+                if (key === 'topChannels' || key === 'recentActivity') {
+                    // Handle queries that return multiple rows
+                    this.db.all(query, (err, rows) => {
+                        if (err) {
+                            console.error(`Error in admin stats query ${key}:`, err);
+                            results[key] = [];
+                        } else {
+                            results[key] = rows;
+                        }
+                        
+                        completed++;
+                        if (completed === total) {
+                            resolve(results);
+                        }
+                    });
+                } else {
+                    // Handle queries that return single row
+                    this.db.get(query, (err, row) => {
+                        if (err) {
+                            console.error(`Error in admin stats query ${key}:`, err);
+                            results[key] = 0;
+                        } else {
+                            results[key] = row[Object.keys(row)[0]];
+                        }
+                        
+                        completed++;
+                        if (completed === total) {
+                            resolve(results);
+                        }
+                    });
+                }
+            }
+        });
+    }
+    
+    // Voting methods
+    async addVote(postId, sessionId, voteType, ipAddress = null) {
+        return new Promise((resolve, reject) => {
+            // First, check if user already voted on this post
+            const checkQuery = 'SELECT vote_type FROM votes WHERE post_id = ? AND session_id = ?';
+            
+            this.db.get(checkQuery, [postId, sessionId], (err, existingVote) => {
+                if (err) {
+                    console.error('Error checking existing vote:', err);
+                    reject(err);
+                    return;
+                }
+                
+                if (existingVote) {
+                    if (existingVote.vote_type === voteType) {
+                        // Same vote type - remove the vote (toggle off)
+                        const deleteQuery = 'DELETE FROM votes WHERE post_id = ? AND session_id = ?';
+                        this.db.run(deleteQuery, [postId, sessionId], function(deleteErr) {
+                            if (deleteErr) {
+                                console.error('Error removing vote:', deleteErr);
+                                reject(deleteErr);
+                            } else {
+                                console.log(`Vote removed: ${sessionId} removed ${voteType} vote from post ${postId}`);
+                                resolve({ 
+                                    action: 'removed', 
+                                    voteType: voteType,
+                                    postId: postId 
+                                });
+                            }
+                        });
+                    } else {
+                        // Different vote type - update the existing vote
+                        const updateQuery = 'UPDATE votes SET vote_type = ?, ip_address = ?, created_at = CURRENT_TIMESTAMP WHERE post_id = ? AND session_id = ?';
+                        this.db.run(updateQuery, [voteType, ipAddress, postId, sessionId], function(updateErr) {
+                            if (updateErr) {
+                                console.error('Error updating vote:', updateErr);
+                                reject(updateErr);
+                            } else {
+                                console.log(`Vote updated: ${sessionId} changed to ${voteType} vote on post ${postId}`);
+                                resolve({ 
+                                    action: 'updated', 
+                                    voteType: voteType,
+                                    previousVoteType: existingVote.vote_type,
+                                    postId: postId 
+                                });
+                            }
+                        });
+                    }
+                } else {
+                    // No existing vote - add new vote
+                    const insertQuery = 'INSERT INTO votes (post_id, session_id, vote_type, ip_address) VALUES (?, ?, ?, ?)';
+                    this.db.run(insertQuery, [postId, sessionId, voteType, ipAddress], function(insertErr) {
+                        if (insertErr) {
+                            console.error('Error adding vote:', insertErr);
+                            reject(insertErr);
+                        } else {
+                            console.log(`New vote added: ${sessionId} voted ${voteType} on post ${postId}`);
+                            resolve({ 
+                                action: 'added', 
+                                voteType: voteType,
+                                postId: postId 
+                            });
+                        }
+                    });
+                }
+            });
+        });
+    }
+    
+    async getPostVoteCounts(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    vote_type,
+                    COUNT(*) as count
+                FROM votes 
+                WHERE post_id = ? 
+                GROUP BY vote_type
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting vote counts:', err);
+                    reject(err);
+                } else {
+                    const voteCounts = { up: 0, down: 0 };
+                    rows.forEach(row => {
+                        voteCounts[row.vote_type] = row.count;
+                    });
+                    resolve(voteCounts);
+                }
+            });
+        });
+    }
+    
+    async getUserVote(postId, sessionId) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT vote_type FROM votes WHERE post_id = ? AND session_id = ?';
+            
+            this.db.get(query, [postId, sessionId], (err, row) => {
+                if (err) {
+                    console.error('Error getting user vote:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.vote_type : null);
+                }
+            });
+        });
+    }
+    
+    // Votes as counted for auto-moderation
+    // Count distinct voting sessions, but no more than maxVotersPerIp from any one network
+    // address - one client minting identities stays capped, people sharing wifi still count
+    async getModerationVoteCounts(postId, maxVotersPerIp) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    vote_type,
+                    COALESCE(ip_address, 'session:' || session_id) as voter_address,
+                    COUNT(DISTINCT session_id) as voters
+                FROM votes 
+                WHERE post_id = ?
+                GROUP BY vote_type, voter_address
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error counting moderation votes:', err);
+                    reject(err);
+                } else {
+                    const counts = { downvoteCount: 0, upvoteCount: 0 };
+                    for (const row of rows) {
+                        counts[row.vote_type === 'down' ? 'downvoteCount' : 'upvoteCount'] += Math.min(row.voters, maxVotersPerIp);
+                    }
+                    resolve(counts);
+                }
+            });
+        });
+    }
+    
+    async getPostsWithVoteCounts(timeFilter = 'all', limit = 100) {
+        return new Promise((resolve, reject) => {
+            let whereClause = '';
+            
+            switch (timeFilter) {
+                case 'hour':
+                    whereClause = "WHERE p.created_at >= datetime('now', '-1 hour')";
+                    break;
+                case 'day':
+                    whereClause = "WHERE p.created_at >= datetime('now', '-1 day')";
+                    break;
+                case 'week':
+                    whereClause = "WHERE p.created_at >= datetime('now', '-7 days')";
+                    break;
+                case 'month':
+                    whereClause = "WHERE p.created_at >= datetime('now', '-30 days')";
+                    break;
+                default:
+                    whereClause = '';
+            }
+            whereClause = whereClause ? `${whereClause} AND ${this.visiblePostSql('p')}` : `WHERE ${this.visiblePostSql('p')}`;
+            
+            const query = `
+                SELECT 
+                    p.*,
+                    ${this.threadColumnsSql('p')},
+                    COALESCE(v_up.count, 0) as upvotes,
+                    COALESCE(v_down.count, 0) as downvotes,
+                    pin.pinned_at as pinned_at
+                FROM posts p
+                ${this.threadJoinSql('p')}
+                LEFT JOIN channel_pins pin ON pin.post_id = p.id
+                LEFT JOIN (
+                    SELECT post_id, COUNT(*) as count 
+                    FROM votes 
+                    WHERE vote_type = 'up' 
+                    GROUP BY post_id
+                ) v_up ON p.id = v_up.post_id
+                LEFT JOIN (
+                    SELECT post_id, COUNT(*) as count 
+                    FROM votes 
+                    WHERE vote_type = 'down' 
+                    GROUP BY post_id
+                ) v_down ON p.id = v_down.post_id
+                ${whereClause}
+                ORDER BY p.created_at DESC 
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching posts with vote counts:', err);
+                    reject(err);
+                } else {
+                    const posts = rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        latitude: row.latitude,
+                        longitude: row.longitude,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes,
+                        pinnedAt: row.pinned_at,
+                        ...this.formatThreadColumns(row)
+                    }));
+                    
+                    resolve(posts);
+                }
+            });
+        });
+    }
+
+    // ==================== Reactions ====================
+    
+    // Returns true if the reaction was new
+    addReaction(postId, sessionId, emoji) {
+        return new Promise((resolve, reject) => {
+            const query = 'INSERT OR IGNORE INTO reactions (post_id, session_id, emoji) VALUES (?, ?, ?)';
+            
+            this.db.run(query, [postId, sessionId, emoji], function(err) {
+                if (err) {
+                    console.error('Error adding reaction:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    // Returns true if a reaction was removed
+    removeReaction(postId, sessionId, emoji) {
+        return new Promise((resolve, reject) => {
+            const query = 'DELETE FROM reactions WHERE post_id = ? AND session_id = ? AND emoji = ?';
+            
+            this.db.run(query, [postId, sessionId, emoji], function(err) {
+                if (err) {
+                    console.error('Error removing reaction:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    // Reaction counts for a post, e.g. [{ emoji: '❤️', count: 3 }], in order of first use
+    getPostReactions(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT emoji, COUNT(*) as count, MIN(id) as first_id
+                FROM reactions 
+                WHERE post_id = ?
+                GROUP BY emoji
+                ORDER BY first_id ASC
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching reactions:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ emoji: row.emoji, count: row.count })));
+                }
+            });
+        });
+    }
+    
+    // Reactions for a batch of posts, flagging the ones made by sessionId.
+    // Returns { postId: [{ emoji, count, reacted }] }
+    getReactionsForPosts(postIds, sessionId) {
+        return new Promise((resolve, reject) => {
+            if (postIds.length === 0) {
+                resolve({});
+                return;
+            }
+            
+            const placeholders = postIds.map(() => '?').join(', ');
+            const query = `
+                SELECT 
+                    post_id,
+                    emoji,
+                    COUNT(*) as count,
+                    MAX(session_id = ?) as reacted,
+                    MIN(id) as first_id
+                FROM reactions 
+                WHERE post_id IN (${placeholders})
+                GROUP BY post_id, emoji
+                ORDER BY first_id ASC
+            `;
+            
+            this.db.all(query, [sessionId, ...postIds], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching reactions for posts:', err);
+                    reject(err);
+                } else {
+                    const reactions = {};
+                    rows.forEach(row => {
+                        if (!reactions[row.post_id]) {
+                            reactions[row.post_id] = [];
+                        }
+                        reactions[row.post_id].push({
+                            emoji: row.emoji,
+                            count: row.count,
+                            reacted: !!row.reacted
+                        });
+                    });
+                    resolve(reactions);
+                }
+            });
+        });
+    }
+    
+    // ==================== Reports ====================
+    
+    // Returns true if the report was new (one report per post per session)
+    addReport(postId, sessionId, reason, details = null) {
+        return new Promise((resolve, reject) => {
+            const query = 'INSERT OR IGNORE INTO reports (post_id, session_id, reason, details) VALUES (?, ?, ?, ?)';
+            
+            this.db.run(query, [postId, sessionId, reason, details], function(err) {
+                if (err) {
+                    console.error('Error adding report:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    // Posts with open reports, most reported first
+    getModerationQueue(limit = 100) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    p.*,
+                    COUNT(r.id) as report_count,
+                    SUM(r.reason = 'spam') as spam_count,
+                    SUM(r.reason = 'harassment') as harassment_count,
+                    SUM(r.reason = 'illegal') as illegal_count,
+                    SUM(r.reason = 'other') as other_count,
+                    MAX(r.created_at) as last_reported_at,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'up') as upvotes,
+                    (SELECT COUNT(*) FROM votes v WHERE v.post_id = p.id AND v.vote_type = 'down') as downvotes
+                FROM reports r
+                JOIN posts p ON p.id = r.post_id
+                WHERE r.status = 'open' AND p.deleted_at IS NULL
+                GROUP BY p.id
+                ORDER BY report_count DESC, last_reported_at DESC
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching moderation queue:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        upvotes: row.upvotes,
+                        downvotes: row.downvotes,
+                        reportCount: row.report_count,
+                        reasons: {
+                            spam: row.spam_count,
+                            harassment: row.harassment_count,
+                            illegal: row.illegal_count,
+                            other: row.other_count
+                        },
+                        lastReportedAt: row.last_reported_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    // Open reports for a post, newest first
+    getOpenReports(postId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM reports 
+                WHERE post_id = ? AND status = 'open'
+                ORDER BY created_at DESC
+            `;
+            
+            this.db.all(query, [postId], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching reports:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        postId: row.post_id,
+                        reason: row.reason,
+                        details: row.details,
+                        createdAt: row.created_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    // Close all open reports on a post as 'dismissed' or 'actioned'
+    resolveReports(postId, status) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE reports SET status = ?, resolved_at = CURRENT_TIMESTAMP 
+                WHERE post_id = ? AND status = 'open'
+            `;
+            
+            this.db.run(query, [status, postId], function(err) {
+                if (err) {
+                    console.error('Error resolving reports:', err);
+                    reject(err);
+                } else {
+                    resolve({ resolved: this.changes });
+                }
+            });
+        });
+    }
+    
+    getOpenReportCount() {
+        return new Promise((resolve, reject) => {
+            const query = "SELECT COUNT(DISTINCT post_id) as count FROM reports WHERE status = 'open'";
+            
+            this.db.get(query, [], (err, row) => {
+                if (err) {
+                    console.error('Error counting open reports:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+    
+    // ==================== Message Filters ====================
+    
+    formatFilterRule(row) {
+        return {
+            id: row.id,
+            pattern: row.pattern,
+            isRegex: !!row.is_regex,
+            action: row.action,
+            note: row.note,
+            enabled: !!row.enabled,
+            hitCount: row.hit_count,
+            lastHitAt: row.last_hit_at,
+            createdAt: row.created_at
+        };
+    }
+    
+    getFilterRules() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM filter_rules ORDER BY created_at DESC, id DESC', [], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching filter rules:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.formatFilterRule(row)));
+                }
+            });
+        });
+    }
+    
+    createFilterRule(rule) {
+        return new Promise((resolve, reject) => {
+            const query = 'INSERT INTO filter_rules (pattern, is_regex, action, note) VALUES (?, ?, ?, ?)';
+            const params = [rule.pattern, rule.isRegex ? 1 : 0, rule.action, rule.note || null];
+            
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error creating filter rule:', err);
+                    reject(err);
+                } else {
+                    console.log(`Filter rule created with ID: ${this.lastID}`);
+                    resolve({ id: this.lastID, ...rule });
+                }
+            });
+        });
+    }
+    
+    updateFilterRule(id, rule) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE filter_rules SET action = ?, enabled = ? WHERE id = ?';
+            
+            this.db.run(query, [rule.action, rule.enabled ? 1 : 0, id], function(err) {
+                if (err) {
+                    console.error('Error updating filter rule:', err);
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+    
+    deleteFilterRule(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM filter_rules WHERE id = ?', [id], function(err) {
+                if (err) {
+                    console.error('Error deleting filter rule:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Log the rules a message tripped and bump each admin rule's hit counter
+    recordFilterHits(hits, { postId = null, sessionId, channel, message }) {
+        return new Promise((resolve, reject) => {
+            const insertHit = `
+                INSERT INTO filter_hits (rule_id, rule, action, post_id, session_id, channel, message) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            const bumpRule = 'UPDATE filter_rules SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = ?';
+            
+            this.db.serialize(() => {
+                hits.forEach(hit => {
+                    this.db.run(insertHit, [hit.ruleId, hit.rule, hit.action, postId, sessionId, channel, message]);
+                    if (hit.ruleId) {
+                        this.db.run(bumpRule, [hit.ruleId]);
+                    }
+                });
+                
+                this.db.get('SELECT 1', (err) => {
+                    if (err) {
+                        console.error('Error recording filter hits:', err);
+                        reject(err);
+                    } else {
+                        resolve({ recorded: hits.length });
+                    }
+                });
+            });
+        });
+    }
+    
+    getRecentFilterHits(limit = 50) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT * FROM filter_hits ORDER BY created_at DESC, id DESC LIMIT ?';
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching filter hits:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        ruleId: row.rule_id,
+                        rule: row.rule,
+                        action: row.action,
+                        postId: row.post_id,
+                        sessionId: row.session_id,
+                        channel: row.channel,
+                        message: row.message,
+                        createdAt: row.created_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    // ==================== Held Messages ====================
+    
+    holdMessage(post, reason) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO held_messages (
+                    id, session_id, display_name, message, image, thumbnail,
+                    parent_id, channel, ip_address, reason, timestamp, latitude, longitude
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [
+                post.id,
+                post.sessionId,
+                post.displayName,
+                post.message,
+                post.image,
+                post.thumbnail || null,
+                post.parentId || null,
+                post.channel,
+                post.ipAddress || null,
+                reason || null,
+                post.timestamp,
+                post.latitude,
+                post.longitude
+            ];
+            
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error holding message:', err);
+                    reject(err);
+                } else {
+                    console.log(`Message held for review with ID: ${post.id}`);
+                    resolve(post);
+                }
+            });
+        });
+    }
+    
+    formatHeldMessage(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            displayName: row.display_name,
+            message: row.message,
+            image: row.image,
+            thumbnail: row.thumbnail,
+            parentId: row.parent_id,
+            channel: row.channel,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            ipAddress: row.ip_address,
+            reason: row.reason,
+            timestamp: row.timestamp,
+            createdAt: row.created_at
+        };
+    }
+    
+    getHeldMessages(limit = 100) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM held_messages ORDER BY timestamp ASC LIMIT ?', [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching held messages:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.formatHeldMessage(row)));
+                }
+            });
+        });
+    }
+    
+    getHeldMessage(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM held_messages WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    console.error('Error fetching held message:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.formatHeldMessage(row) : null);
+                }
+            });
+        });
+    }
+    
+    deleteHeldMessage(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM held_messages WHERE id = ?', [id], function(err) {
+                if (err) {
+                    console.error('Error deleting held message:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    getHeldMessageCount() {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM held_messages', [], (err, row) => {
+                if (err) {
+                    console.error('Error counting held messages:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+    
+    // ==================== Admin Users ====================
+    
+    // Account fields that are safe to send to the dashboard (no hashes)
+    mapAdminUser(row) {
+        return {
+            id: row.id,
+            username: row.username,
+            role: row.role,
+            disabled: row.disabled === 1,
+            pendingInvite: !row.password_hash,
+            twoFactorEnabled: row.totp_enabled === 1,
+            inviteExpiresAt: row.invite_expires_at,
+            invitedBy: row.invited_by,
+            createdAt: row.created_at,
+            lastLoginAt: row.last_login_at
+        };
+    }
+    
+    getAdminUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM admin_users ORDER BY created_at ASC, id ASC', [], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching admin users:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.mapAdminUser(row)));
+                }
+            });
+        });
+    }
+    
+    getAdminUserById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM admin_users WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin user:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.mapAdminUser(row) : null);
+                }
+            });
+        });
+    }
+    
+    // For login only - includes the password hash
+    getAdminCredentials(username) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM admin_users WHERE username = ?', [username], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin credentials:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? { ...this.mapAdminUser(row), passwordHash: row.password_hash } : null);
+                }
+            });
+        });
+    }
+    
+    // Account with an unexpired invite matching the token hash
+    getAdminUserByInvite(inviteTokenHash) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT * FROM admin_users WHERE invite_token_hash = ? AND invite_expires_at > ? AND disabled = 0';
+            
+            this.db.get(query, [inviteTokenHash, new Date().toISOString()], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin invite:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.mapAdminUser(row) : null);
+                }
+            });
+        });
+    }
+    
+    countAdminUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM admin_users', [], (err, row) => {
+                if (err) {
+                    console.error('Error counting admin users:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+    
+    // Owners who can still log in (used to stop the last one being removed)
+    countActiveOwners() {
+        return new Promise((resolve, reject) => {
+            const query = "SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner' AND disabled = 0 AND password_hash IS NOT NULL";
+            
+            this.db.get(query, [], (err, row) => {
+                if (err) {
+                    console.error('Error counting owners:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+    
+    // Either passwordHash (created from the CLI) or an invite token hash + expiry
+    createAdminUser(user) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO admin_users (username, password_hash, role, invite_token_hash, invite_expires_at, invited_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [
+                user.username,
+                user.passwordHash || null,
+                user.role,
+                user.inviteTokenHash || null,
+                user.inviteExpiresAt || null,
+                user.invitedBy || null
+            ];
+            
+            const db = this;
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error creating admin user:', err);
+                    reject(err);
+                } else {
+                    db.getAdminUserById(this.lastID).then(resolve, reject);
+                }
+            });
+        });
+    }
+    
+    updateAdminUser(id, { role, disabled }) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE admin_users SET role = ?, disabled = ? WHERE id = ?', [role, disabled ? 1 : 0, id], function(err) {
+                if (err) {
+                    console.error('Error updating admin user:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    setAdminInvite(id, inviteTokenHash, inviteExpiresAt) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_users SET invite_token_hash = ?, invite_expires_at = ? WHERE id = ?';
+            
+            this.db.run(query, [inviteTokenHash, inviteExpiresAt, id], function(err) {
+                if (err) {
+                    console.error('Error setting admin invite:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Set a new password and use up any outstanding invite
+    setAdminPassword(id, passwordHash) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_users SET password_hash = ?, invite_token_hash = NULL, invite_expires_at = NULL WHERE id = ?';
+            
+            this.db.run(query, [passwordHash, id], function(err) {
+                if (err) {
+                    console.error('Error setting admin password:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    recordAdminLogin(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE admin_users SET last_login_at = ? WHERE id = ?', [new Date().toISOString(), id], (err) => {
+                if (err) {
+                    console.error('Error recording admin login:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    // Two-factor state for login checks - recoveryCodes are hashes of the unused codes
+    getAdminTwoFactor(id) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT totp_secret, totp_enabled, totp_last_counter, recovery_codes FROM admin_users WHERE id = ?';
+            
+            this.db.get(query, [id], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin two-factor settings:', err);
+                    reject(err);
+                } else if (!row) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        secret: row.totp_secret,
+                        enabled: row.totp_enabled === 1,
+                        lastCounter: row.totp_last_counter,
+                        recoveryCodes: row.recovery_codes ? JSON.parse(row.recovery_codes) : []
+                    });
+                }
+            });
+        });
+    }
+    
+    // Store a secret that is waiting to be confirmed with a first code
+    setAdminTotpSecret(id, secret) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_users SET totp_secret = ?, totp_enabled = 0, totp_last_counter = NULL, recovery_codes = NULL WHERE id = ?';
+            
+            this.db.run(query, [secret, id], function(err) {
+                if (err) {
+                    console.error('Error setting admin TOTP secret:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    enableAdminTwoFactor(id, lastCounter, recoveryCodeHashes) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_users SET totp_enabled = 1, totp_last_counter = ?, recovery_codes = ? WHERE id = ?';
+            
+            this.db.run(query, [lastCounter, JSON.stringify(recoveryCodeHashes), id], function(err) {
+                if (err) {
+                    console.error('Error enabling admin two-factor:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    disableAdminTwoFactor(id) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0, totp_last_counter = NULL, recovery_codes = NULL WHERE id = ?';
+            
+            this.db.run(query, [id], function(err) {
+                if (err) {
+                    console.error('Error disabling admin two-factor:', err);
+                    reject(err);
+                } else {
+                    resolve({ updated: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Remember the last time step used so the same code can't be replayed
+    setAdminTotpCounter(id, lastCounter) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE admin_users SET totp_last_counter = ? WHERE id = ?', [lastCounter, id], (err) => {
+                if (err) {
+                    console.error('Error updating admin TOTP counter:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    setAdminRecoveryCodes(id, recoveryCodeHashes) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE admin_users SET recovery_codes = ? WHERE id = ?', [JSON.stringify(recoveryCodeHashes), id], (err) => {
+                if (err) {
+                    console.error('Error updating admin recovery codes:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    // ==================== Admin Sessions ====================
+    
+    createAdminSession(session) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO admin_sessions (token_hash, user_id, ip_address, user_agent, created_at, last_seen_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const now = new Date().toISOString();
+            const params = [
+                session.tokenHash,
+                session.userId,
+                session.ipAddress || null,
+                session.userAgent || null,
+                now,
+                now,
+                session.expiresAt
+            ];
+            
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error creating admin session:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID });
+                }
+            });
+        });
+    }
+    
+    // Session plus the current state of its account (role changes apply immediately)
+    getAdminSession(tokenHash) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT s.*, u.username, u.role, u.disabled
+                FROM admin_sessions s
+                JOIN admin_users u ON u.id = s.user_id
+                WHERE s.token_hash = ?
+            `;
+            
+            this.db.get(query, [tokenHash], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin session:', err);
+                    reject(err);
+                } else if (!row) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        id: row.id,
+                        userId: row.user_id,
+                        username: row.username,
+                        role: row.role,
+                        disabled: row.disabled === 1,
+                        createdAt: row.created_at,
+                        lastSeenAt: row.last_seen_at,
+                        expiresAt: row.expires_at
+                    });
+                }
+            });
+        });
+    }
+    
+    // An admin's unexpired sessions, most recently used first
+    getAdminSessionsForUser(userId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+                FROM admin_sessions
+                WHERE user_id = ? AND expires_at > ?
+                ORDER BY last_seen_at DESC
+            `;
+            
+            this.db.all(query, [userId, new Date().toISOString()], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching admin sessions:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        ipAddress: row.ip_address,
+                        userAgent: row.user_agent,
+                        createdAt: row.created_at,
+                        lastSeenAt: row.last_seen_at,
+                        expiresAt: row.expires_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    touchAdminSession(id, lastSeenAt, expiresAt) {
+        return new Promise((resolve, reject) => {
+            const query = 'UPDATE admin_sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?';
+            
+            this.db.run(query, [lastSeenAt, expiresAt, id], (err) => {
+                if (err) {
+                    console.error('Error updating admin session:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    deleteAdminSession(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM admin_sessions WHERE id = ?', [id], function(err) {
+                if (err) {
+                    console.error('Error deleting admin session:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Log an admin out everywhere, optionally keeping one session (their current one)
+    deleteAdminSessionsForUser(userId, exceptId = null) {
+        return new Promise((resolve, reject) => {
+            const query = 'DELETE FROM admin_sessions WHERE user_id = ? AND id != ?';
+            
+            this.db.run(query, [userId, exceptId === null ? -1 : exceptId], function(err) {
+                if (err) {
+                    console.error('Error deleting admin sessions:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes });
+                }
+            });
+        });
+    }
+    
+    deleteExpiredAdminSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM admin_sessions WHERE expires_at <= ?', [new Date().toISOString()], function(err) {
+                if (err) {
+                    console.error('Error deleting expired admin sessions:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes });
+                }
+            });
+        });
+    }
+    
+    getAdminSessionStats() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT COUNT(*) as count, MIN(created_at) as oldest, MAX(created_at) as newest
+                FROM admin_sessions
+                WHERE expires_at > ?
+            `;
+            
+            this.db.get(query, [new Date().toISOString()], (err, row) => {
+                if (err) {
+                    console.error('Error fetching admin session stats:', err);
+                    reject(err);
+                } else {
+                    resolve({
+                        activeSessions: row.count,
+                        oldestSession: row.oldest,
+                        newestSession: row.newest
+                    });
+                }
+            });
+        });
+    }
+    
+    // ==================== Audit Log ====================
+    
+    addAuditEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO audit_log (action, actor_session, actor_name, ip_address, target_type, target_id, before_data, after_data)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [
+                entry.action,
+                entry.actorSession || null,
+                entry.actorName || null,
+                entry.ipAddress || null,
+                entry.targetType || null,
+                entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+                entry.before === undefined || entry.before === null ? null : JSON.stringify(entry.before),
+                entry.after === undefined || entry.after === null ? null : JSON.stringify(entry.after)
+            ];
+            
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error writing audit entry:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID });
+                }
+            });
+        });
+    }
+    
+    // WHERE clause and params for audit log filters
+    // { action, actor, targetType, target, since, until } - all optional
+    auditFilterSql(filters) {
+        const conditions = [];
+        const params = [];
+        
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.actor) {
+            conditions.push('(actor_session = ? OR actor_name = ?)');
+            params.push(filters.actor, filters.actor);
+        }
+        if (filters.targetType) {
+            conditions.push('target_type = ?');
+            params.push(filters.targetType);
+        }
+        if (filters.target) {
+            conditions.push('target_id = ?');
+            params.push(filters.target);
+        }
+        if (filters.since) {
+            conditions.push('created_at >= ?');
+            params.push(filters.since);
+        }
+        if (filters.until) {
+            conditions.push('created_at < ?');
+            params.push(filters.until);
+        }
+        
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+    
+    // Newest first. Returns { entries, total } where total counts every match.
+    getAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this.auditFilterSql(filters);
+            
+            this.db.get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params, (err, countRow) => {
+                if (err) {
+                    console.error('Error counting audit entries:', err);
+                    reject(err);
+                    return;
+                }
+                
+                const query = `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+                
+                this.db.all(query, [...params, limit, offset], (err, rows) => {
+                    if (err) {
+                        console.error('Error fetching audit log:', err);
+                        reject(err);
+                    } else {
+                        resolve({
+                            total: countRow.count,
+                            entries: rows.map(row => ({
+                                id: row.id,
+                                action: row.action,
+                                actorSession: row.actor_session,
+                                actorName: row.actor_name,
+                                ipAddress: row.ip_address,
+                                targetType: row.target_type,
+                                targetId: row.target_id,
+                                before: row.before_data ? JSON.parse(row.before_data) : null,
+                                after: row.after_data ? JSON.parse(row.after_data) : null,
+                                createdAt: row.created_at
+                            }))
+                        });
+                    }
+                });
+            });
+        });
+    }
+    
+    getAuditActions() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT DISTINCT action FROM audit_log ORDER BY action', [], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching audit actions:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.action));
+                }
+            });
+        });
+    }
+    
+    // ==================== Bans ====================
+    
+    createBan(ban) {
+        return new Promise((resolve, reject) => {
+            const query = 'INSERT INTO bans (type, value, reason, expires_at) VALUES (?, ?, ?, ?)';
+            const params = [ban.type, ban.value, ban.reason || null, ban.expiresAt || null];
+            
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    console.error('Error creating ban:', err);
+                    reject(err);
+                } else {
+                    console.log(`Ban created: ${ban.type} ${ban.value}`);
+                    resolve({ id: this.lastID, ...ban });
+                }
+            });
+        });
+    }
+    
+    formatBan(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            value: row.value,
+            reason: row.reason,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at
+        };
+    }
+    
+    // Unexpired bans that could apply to a client: exact session/IP matches
+    // plus every CIDR ban (ranges are matched by the caller)
+    getCandidateBans(sessionId, ipAddress) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM bans 
+                WHERE (expires_at IS NULL OR expires_at > ?)
+                AND (
+                    (type = 'session' AND value = ?)
+                    OR (type = 'ip' AND value = ?)
+                    OR type = 'cidr'
+                )
+                ORDER BY created_at DESC
+            `;
+            
+            this.db.all(query, [new Date().toISOString(), sessionId || '', ipAddress || ''], (err, rows) => {
+                if (err) {
+                    console.error('Error checking bans:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.formatBan(row)));
+                }
+            });
+        });
+    }
+    
+    getBans(includeExpired = false) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM bans 
+                ${includeExpired ? '' : 'WHERE expires_at IS NULL OR expires_at > ?'}
+                ORDER BY created_at DESC
+            `;
+            
+            this.db.all(query, includeExpired ? [] : [new Date().toISOString()], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching bans:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.formatBan(row)));
+                }
+            });
+        });
+    }
+    
+    deleteBan(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM bans WHERE id = ?', [id], function(err) {
+                if (err) {
+                    console.error('Error lifting ban:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes > 0 });
+                }
+            });
+        });
+    }
+    
+    // Address a post was sent from (kept out of the normal post mappings)
+    getPostAuthorIp(postId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT ip_address FROM posts WHERE id = ?', [postId], (err, row) => {
+                if (err) {
+                    console.error('Error fetching post author address:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.ip_address : null);
+                }
+            });
+        });
+    }
+    
+    // ==================== Channel Settings ====================
+    
+    formatChannelSettings(row, name) {
+        return {
+            name: row ? row.name : name,
+            visibilityWindow: row ? row.visibility_window : '24h',
+            retentionDays: row ? row.retention_days : null,
+            slowModeSeconds: row ? row.slow_mode_seconds : 0,
+            maxMessageLength: row ? row.max_message_length : null,
+            // Auto-moderation thresholds (null = global default)
+            autoHideMinDownvotes: row ? row.auto_hide_min_downvotes : null,
+            autoHideRatio: row ? row.auto_hide_ratio : null,
+            autoHideMinViewers: row ? row.auto_hide_min_viewers : null,
+            // Claimed with a passphrase (the hash itself stays in the database)
+            isProtected: row ? !!row.passphrase_hash : false,
+            // Has an owner holding its owner key
+            isClaimed: row ? !!row.owner_key_hash : false,
+            claimedAt: row ? row.claimed_at : null,
+            description: row ? row.description : null,
+            // Shown above the channel's messages
+            announcement: row ? row.announcement : null,
+            announcementUpdatedAt: row ? row.announcement_updated_at : null,
+            // Public directory listing (opt-in, set by admins)
+            listed: row ? !!row.listed : false,
+            listingTitle: row ? row.listing_title : null,
+            listingDescription: row ? row.listing_description : null,
+            listingTags: row && row.listing_tags ? JSON.parse(row.listing_tags) : [],
+            createdAt: row ? row.created_at : null,
+            updatedAt: row ? row.updated_at : null
+        };
+    }
+    
+    // Get a channel's settings (defaults if the channel has no row yet)
+    getChannelSettings(channel) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM channels WHERE name = ?', [channel], (err, row) => {
+                if (err) {
+                    console.error('Error fetching channel settings:', err);
+                    reject(err);
+                } else {
+                    resolve(this.formatChannelSettings(row, channel));
+                }
+            });
+        });
+    }
+    
+    getAllChannelSettings() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM channels ORDER BY name', [], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching all channel settings:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.formatChannelSettings(row)));
+                }
+            });
+        });
+    }
+    
+    updateChannelSettings(channel, settings) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channels (
+                    name, visibility_window, retention_days, slow_mode_seconds, max_message_length,
+                    auto_hide_min_downvotes, auto_hide_ratio, auto_hide_min_viewers
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    visibility_window = excluded.visibility_window,
+                    retention_days = excluded.retention_days,
+                    slow_mode_seconds = excluded.slow_mode_seconds,
+                    max_message_length = excluded.max_message_length,
+                    auto_hide_min_downvotes = excluded.auto_hide_min_downvotes,
+                    auto_hide_ratio = excluded.auto_hide_ratio,
+                    auto_hide_min_viewers = excluded.auto_hide_min_viewers,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            const nullable = value => (value === undefined ? null : value);
+            
+            this.db.run(query, [
+                channel,
+                settings.visibilityWindow,
+                settings.retentionDays,
+                settings.slowModeSeconds || 0,
+                settings.maxMessageLength || null,
+                nullable(settings.autoHideMinDownvotes),
+                nullable(settings.autoHideRatio),
+                nullable(settings.autoHideMinViewers)
+            ], (err) => {
+                if (err) {
+                    console.error('Error updating channel settings:', err);
+                    reject(err);
+                } else {
+                    this.getChannelSettings(channel).then(resolve).catch(reject);
+                }
+            });
+        });
+    }
+    
+    // ==================== Channel Passphrases ====================
+    
+    // Passphrase hash of a protected channel, or null if anyone can read it
+    getChannelPassphraseHash(channel) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT passphrase_hash FROM channels WHERE name = ?', [channel], (err, row) => {
+                if (err) {
+                    console.error('Error fetching channel passphrase:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.passphrase_hash : null);
+                }
+            });
+        });
+    }
+    
+    // Set, change or (with null) remove a channel's passphrase. Existing invites stop working.
+    setChannelPassphrase(channel, passphraseHash) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channels (name, passphrase_hash)
+                VALUES (?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    passphrase_hash = excluded.passphrase_hash,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            this.db.serialize(() => {
+                this.db.run(query, [channel, passphraseHash], (err) => {
+                    if (err) {
+                        console.error('Error setting channel passphrase:', err);
+                        reject(err);
+                    }
+                });
+                this.db.run('DELETE FROM channel_invites WHERE channel = ?', [channel], (err) => {
+                    if (err) {
+                        console.error('Error clearing channel invites:', err);
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+    
+    createChannelInvite(invite) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channel_invites (channel, token_hash, max_uses, expires_at)
+                VALUES (?, ?, ?, ?)
+            `;
+            
+            this.db.run(query, [invite.channel, invite.tokenHash, invite.maxUses, invite.expiresAt], function(err) {
+                if (err) {
+                    console.error('Error creating channel invite:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID });
+                }
+            });
+        });
+    }
+    
+    // Use up one use of an invite. Resolves true if it was valid for the channel.
+    redeemChannelInvite(channel, tokenHash) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE channel_invites SET uses = uses + 1
+                WHERE channel = ? AND token_hash = ? AND expires_at > ?
+                AND (max_uses IS NULL OR uses < max_uses)
+            `;
+            
+            this.db.run(query, [channel, tokenHash, new Date().toISOString()], function(err) {
+                if (err) {
+                    console.error('Error redeeming channel invite:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    // Invites that can no longer be used
+    deleteExpiredChannelInvites() {
+        return new Promise((resolve, reject) => {
+            const query = 'DELETE FROM channel_invites WHERE expires_at <= ? OR (max_uses IS NOT NULL AND uses >= max_uses)';
+            
+            this.db.run(query, [new Date().toISOString()], function(err) {
+                if (err) {
+                    console.error('Error deleting expired channel invites:', err);
+                    reject(err);
+                } else {
+                    resolve({ deleted: this.changes });
+                }
+            });
+        });
+    }
+    
+    // ==================== Channel Ownership ====================
+    
+    // Give an unowned channel an owner. Resolves false if someone claimed it first.
+    claimChannel(channel, ownerKeyHash) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channels (name, owner_key_hash, claimed_at)
+                VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    owner_key_hash = excluded.owner_key_hash,
+                    claimed_at = excluded.claimed_at,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE channels.owner_key_hash IS NULL
+            `;
+            
+            this.db.run(query, [channel, ownerKeyHash, new Date().toISOString()], function(err) {
+                if (err) {
+                    console.error('Error claiming channel:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    getChannelOwnerKeyHash(channel) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT owner_key_hash FROM channels WHERE name = ?', [channel], (err, row) => {
+                if (err) {
+                    console.error('Error fetching channel owner:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.owner_key_hash : null);
+                }
+            });
+        });
+    }
+    
+    // Take a channel away from its owner (admin action) - its moderators go too
+    releaseChannel(channel) {
+        return new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                this.db.run('UPDATE channels SET owner_key_hash = NULL, claimed_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE name = ?', [channel], (err) => {
+                    if (err) {
+                        console.error('Error releasing channel:', err);
+                        reject(err);
+                    }
+                });
+                this.db.run('DELETE FROM channel_moderators WHERE channel = ?', [channel], (err) => {
+                    if (err) {
+                        console.error('Error removing channel moderators:', err);
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+    
+    setChannelDescription(channel, description) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channels (name, description)
+                VALUES (?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    description = excluded.description,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            this.db.run(query, [channel, description], (err) => {
+                if (err) {
+                    console.error('Error setting channel description:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    getChannelModerators(channel) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT * FROM channel_moderators WHERE channel = ? ORDER BY appointed_at';
+            
+            this.db.all(query, [channel], (err, rows) => {
+                if (err) {
+                    console.error('Error fetching channel moderators:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        appointedAt: row.appointed_at
+                    })));
+                }
+            });
+        });
+    }
+    
+    isChannelModerator(channel, sessionId) {
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT 1 FROM channel_moderators WHERE channel = ? AND session_id = ?';
+            
+            this.db.get(query, [channel, sessionId], (err, row) => {
+                if (err) {
+                    console.error('Error checking channel moderator:', err);
+                    reject(err);
+                } else {
+                    resolve(!!row);
+                }
+            });
+        });
+    }
+    
+    addChannelModerator({ channel, sessionId, displayName }) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO channel_moderators (channel, session_id, display_name)
+                VALUES (?, ?, ?)
+                ON CONFLICT(channel, session_id) DO UPDATE SET display_name = excluded.display_name
+            `;
+            
+            this.db.run(query, [channel, sessionId, displayName || null], (err) => {
+                if (err) {
+                    console.error('Error adding channel moderator:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    removeChannelModerator(channel, sessionId) {
+        return new Promise((resolve, reject) => {
+            const query = 'DELETE FROM channel_moderators WHERE channel = ? AND session_id = ?';
+            
+            this.db.run(query, [channel, sessionId], function(err) {
+                if (err) {
+                    console.error('Error removing channel moderator:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+    
+    // ==================== Pinned Posts ====================
+    
+    // Pin a post unless its channel already has maxPins - counted in the same statement,
+    // so two pins racing for the last slot can't both get in. Pinned posts that are hidden
+    // or deleted keep their slot, so restoring them can't take a channel over the limit.
+    pinPost(post, pinnedBy, maxPins) {
         return new Promise((resolve, reject) => {
-            const query = 'DELETE FROM posts WHERE id = ?';
+            const query = `
+                INSERT OR IGNORE INTO channel_pins (post_id, channel, pinned_by)
+                SELECT ?, ?, ?
+                WHERE (SELECT COUNT(*) FROM channel_pins WHERE channel = ?) < ?
+            `;
             
-            this.db.run(query, [postId], function(err) {
+            this.db.run(query, [post.id, post.channel, pinnedBy, post.channel, maxPins], function(err) {
                 if (err) {
-                    console.error('Error deleting post:', err);
+                    console.error('Error pinning post:', err);
                     reject(err);
                 } else {
-                    console.log(`Admin deleted post: ${postId}`);
-                    resolve({ deleted: this.changes > 0, changes: this.changes });
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
     
-    getAdminStats() {
+    unpinPost(postId) {
         return new Promise((resolve, reject) => {
-            const queries = {
-                totalPosts: 'SELECT COUNT(*) as count FROM posts',
-                postsLastHour: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-1 hour')",
-                postsLastDay: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-1 day')",
-                postsLastWeek: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-7 days')",
-                postsLastMonth: "SELECT COUNT(*) as count FROM posts WHERE created_at >= datetime('now', '-30 days')",
-                uniqueChannels: 'SELECT COUNT(DISTINCT channel) as count FROM posts',
-                uniqueSessions: 'SELECT COUNT(DISTINCT session_id) as count FROM posts',
-                postsWithImages: 'SELECT COUNT(*) as count FROM posts WHERE image IS NOT NULL',
-                avgPostsPerDay: `
-                    SELECT ROUND(COUNT(*) / CAST((julianday('now') - julianday(MIN(created_at))) AS REAL), 2) as avg 
-                    FROM posts 
-                    WHERE created_at >= datetime('now', '-30 days')
-                `,
-                topChannels: `
-                    SELECT channel, COUNT(*) as count 
-                    FROM posts 
-                    WHERE channel != '' 
-                    GROUP BY channel 
-                    ORDER BY count DESC 
-                    LIMIT 10
-                `,
-                recentActivity: `
-                    SELECT 
-                        DATE(created_at) as date,
-                        COUNT(*) as posts,
-                        COUNT(DISTINCT session_id) as unique_users,
-                        COUNT(DISTINCT channel) as active_channels
-                    FROM posts 
-                    WHERE created_at >= datetime('now', '-7 days')
-                    GROUP BY DATE(created_at)
-                    ORDER BY date DESC
-                `
-            };
-            
-            const results = {};
-            let completed = 0;
-            const total = Object.keys(queries).length;
-            
-            for (const [key, query] of Object.entries(queries)) {
-                if (key === 'topChannels' || key === 'recentActivity') {
-                    // Handle queries that return multiple rows
-                    this.db.all(query, (err, rows) => {
-                        if (err) {
-                            console.error(`Error in admin stats query ${key}:`, err);
-                            results[key] = [];
-                        } else {
-                            results[key] = rows;
-                        }
-                        
-                        completed++;
-                        if (completed === total) {
-                            resolve(results);
-                        }
-                    });
+            this.db.run('DELETE FROM channel_pins WHERE post_id = ?', [postId], function(err) {
+                if (err) {
+                    console.error('Error unpinning post:', err);
+                    reject(err);
                 } else {
-                    // Handle queries that return single row
-                    this.db.get(query, (err, row) => {
-                        if (err) {
-                            console.error(`Error in admin stats query ${key}:`, err);
-                            results[key] = 0;
-                        } else {
-                            results[key] = row[Object.keys(row)[0]];
-                        }
-                        
-                        completed++;
-                        if (completed === total) {
-                            resolve(results);
-                        }
-                    });
+                    resolve(this.changes > 0);
                 }
-            }
+            });
         });
     }
     
-    // Voting methods
-    async addVote(postId, sessionId, voteType) {
+    // IDs of a channel's pinned posts, oldest pin first (deleted and hidden posts drop out)
+    getPinnedPostIds(channel) {
         return new Promise((resolve, reject) => {
-            // First, check if user already voted on this post
-            const checkQuery = 'SELECT vote_type FROM votes WHERE post_id = ? AND session_id = ?';
+            const query = `
+                SELECT channel_pins.post_id FROM channel_pins
+                JOIN posts p ON p.id = channel_pins.post_id
+                WHERE channel_pins.channel = ? AND ${this.visiblePostSql('p')}
+                ORDER BY channel_pins.pinned_at, channel_pins.rowid
+            `;
             
-            this.db.get(checkQuery, [postId, sessionId], (err, existingVote) => {
+            this.db.all(query, [channel], (err, rows) => {
                 if (err) {
-                    console.error('Error checking existing vote:', err);
+                    console.error('Error fetching pinned posts:', err);
                     reject(err);
-                    return;
-                }
-                
-                if (existingVote) {
-                    if (existingVote.vote_type === voteType) {
-                        // Same vote type - remove the vote (toggle off)
-                        const deleteQuery = 'DELETE FROM votes WHERE post_id = ? AND session_id = ?';
-                        this.db.run(deleteQuery, [postId, sessionId], function(deleteErr) {
-                            if (deleteErr) {
-                                console.error('Error removing vote:', deleteErr);
-                                reject(deleteErr);
-                            } else {
-                                console.log(`Vote removed: ${sessionId} removed ${voteType} vote from post ${postId}`);
-                                resolve({ 
-                                    action: 'removed', 
-                                    voteType: voteType,
-                                    postId: postId 
-                                });
-                            }
-                        });
-                    } else {
-                        // Different vote type - update the existing vote
-                        const updateQuery = 'UPDATE votes SET vote_type = ?, created_at = CURRENT_TIMESTAMP WHERE post_id = ? AND session_id = ?';
-                        this.db.run(updateQuery, [voteType, postId, sessionId], function(updateErr) {
-                            if (updateErr) {
-                                console.error('Error updating vote:', updateErr);
-                                reject(updateErr);
-                            } else {
-                                console.log(`Vote updated: ${sessionId} changed to ${voteType} vote on post ${postId}`);
-                                resolve({ 
-                                    action: 'updated', 
-                                    voteType: voteType,
-                                    previousVoteType: existingVote.vote_type,
-                                    postId: postId 
-                                });
-                            }
-                        });
-                    }
                 } else {
-                    // No existing vote - add new vote
-                    const insertQuery = 'INSERT INTO votes (post_id, session_id, vote_type) VALUES (?, ?, ?)';
-                    this.db.run(insertQuery, [postId, sessionId, voteType], function(insertErr) {
-                        if (insertErr) {
-                            console.error('Error adding vote:', insertErr);
-                            reject(insertErr);
-                        } else {
-                            console.log(`New vote added: ${sessionId} voted ${voteType} on post ${postId}`);
-                            resolve({ 
-                                action: 'added', 
-                                voteType: voteType,
-                                postId: postId 
-                            });
-                        }
-                    });
+                    resolve(rows.map(row => row.post_id));
                 }
             });
         });
     }
     
-    async getPostVoteCounts(postId) {
+    // A channel's pinned posts, oldest pin first - whatever the channel's visibility window
+    getPinnedPosts(channel) {
         return new Promise((resolve, reject) => {
             const query = `
                 SELECT 
-                    vote_type,
-                    COUNT(*) as count
-                FROM votes 
-                WHERE post_id = ? 
-                GROUP BY vote_type
+                    p.*,
+                    ${this.threadColumnsSql('p')},
+                    pin.pinned_at as pinned_at,
+                    pin.pinned_by as pinned_by
+                FROM channel_pins pin
+                JOIN posts p ON p.id = pin.post_id
+                ${this.threadJoinSql('p')}
+                WHERE pin.channel = ? AND ${this.visiblePostSql('p')}
+                ORDER BY pin.pinned_at, pin.rowid
             `;
             
-            this.db.all(query, [postId], (err, rows) => {
+            this.db.all(query, [channel], (err, rows) => {
                 if (err) {
-                    console.error('Error getting vote counts:', err);
+                    console.error('Error fetching pinned posts:', err);
                     reject(err);
                 } else {
-                    const voteCounts = { up: 0, down: 0 };
-                    rows.forEach(row => {
-                        voteCounts[row.vote_type] = row.count;
-                    });
-                    resolve(voteCounts);
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        sessionId: row.session_id,
+                        displayName: row.display_name,
+                        message: row.message,
+                        image: row.image,
+                        thumbnail: row.thumbnail,
+                        parentId: row.parent_id,
+                        editedAt: row.edited_at,
+                        channel: row.channel,
+                        timestamp: row.timestamp,
+                        createdAt: row.created_at,
+                        pinnedAt: row.pinned_at,
+                        pinnedBy: row.pinned_by,
+                        ...this.formatThreadColumns(row)
+                    })));
                 }
             });
         });
     }
     
-    async getUserVote(postId, sessionId) {
+    // ==================== Channel Announcements ====================
+    
+    // null or an empty string clears the announcement
+    setChannelAnnouncement(channel, announcement) {
         return new Promise((resolve, reject) => {
-            const query = 'SELECT vote_type FROM votes WHERE post_id = ? AND session_id = ?';
+            const query = `
+                INSERT INTO channels (name, announcement, announcement_updated_at)
+                VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    announcement = excluded.announcement,
+                    announcement_updated_at = excluded.announcement_updated_at,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            const updatedAt = announcement ? new Date().toISOString() : null;
             
-            this.db.get(query, [postId, sessionId], (err, row) => {
+            this.db.run(query, [channel, announcement || null, updatedAt], (err) => {
                 if (err) {
-                    console.error('Error getting user vote:', err);
+                    console.error('Error setting channel announcement:', err);
                     reject(err);
                 } else {
-                    resolve(row ? row.vote_type : null);
+                    resolve();
                 }
             });
         });
     }
     
-    async checkPostForAutoDelete(postId) {
+    // ==================== Channel Directory ====================
+    
+    setChannelListing(channel, { listed, title, description, tags }) {
         return new Promise((resolve, reject) => {
             const query = `
-                SELECT 
-                    COUNT(DISTINCT session_id) as downvote_count
-                FROM votes 
-                WHERE post_id = ? AND vote_type = 'down'
+                INSERT INTO channels (name, listed, listing_title, listing_description, listing_tags)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    listed = excluded.listed,
+                    listing_title = excluded.listing_title,
+                    listing_description = excluded.listing_description,
+                    listing_tags = excluded.listing_tags,
+                    updated_at = CURRENT_TIMESTAMP
             `;
             
-            this.db.get(query, [postId], (err, row) => {
+            this.db.run(query, [
+                channel,
+                listed ? 1 : 0,
+                title || null,
+                description || null,
+                tags && tags.length ? JSON.stringify(tags) : null
+            ], (err) => {
                 if (err) {
-                    console.error('Error checking post for auto-delete:', err);
+                    console.error('Error updating channel listing:', err);
                     reject(err);
                 } else {
-                    const shouldDelete = row.downvote_count >= 3;
-                    resolve({
-                        shouldDelete,
-                        downvoteCount: row.downvote_count,
-                        postId: postId
-                    });
+                    this.getChannelSettings(channel).then(resolve).catch(reject);
                 }
             });
         });
     }
     
-    async getPostsWithVoteCounts(timeFilter = 'all', limit = 100) {
+    // Listed channels with their recent activity
+    getListedChannels() {
         return new Promise((resolve, reject) => {
-            let whereClause = '';
-            
-            switch (timeFilter) {
-                case 'hour':
-                    whereClause = "WHERE p.created_at >= datetime('now', '-1 hour')";
-                    break;
-                case 'day':
-                    whereClause = "WHERE p.created_at >= datetime('now', '-1 day')";
-                    break;
-                case 'week':
-                    whereClause = "WHERE p.created_at >= datetime('now', '-7 days')";
-                    break;
-                case 'month':
-                    whereClause = "WHERE p.created_at >= datetime('now', '-30 days')";
-                    break;
-                default:
-                    whereClause = '';
-            }
-            
             const query = `
                 SELECT 
-                    p.*,
-                    COALESCE(v_up.count, 0) as upvotes,
-                    COALESCE(v_down.count, 0) as downvotes
-                FROM posts p
-                LEFT JOIN (
-                    SELECT post_id, COUNT(*) as count 
-                    FROM votes 
-                    WHERE vote_type = 'up' 
-                    GROUP BY post_id
-                ) v_up ON p.id = v_up.post_id
-                LEFT JOIN (
-                    SELECT post_id, COUNT(*) as count 
-                    FROM votes 
-                    WHERE vote_type = 'down' 
-                    GROUP BY post_id
-                ) v_down ON p.id = v_down.post_id
-                ${whereClause}
-                ORDER BY p.created_at DESC 
-                LIMIT ?
+                    c.*,
+                    (SELECT COUNT(*) FROM posts p
+                        WHERE p.channel = c.name AND ${this.visiblePostSql('p')}
+                        AND p.created_at >= datetime('now', '-1 day')) as posts_last_day,
+                    (SELECT MAX(p.timestamp) FROM posts p
+                        WHERE p.channel = c.name AND ${this.visiblePostSql('p')}) as last_post_at
+                FROM channels c
+                WHERE c.listed = 1
             `;
             
-            this.db.all(query, [limit], (err, rows) => {
+            this.db.all(query, [], (err, rows) => {
                 if (err) {
-                    console.error('Error fetching posts with vote counts:', err);
+                    console.error('Error fetching listed channels:', err);
                     reject(err);
                 } else {
-                    const posts = rows.map(row => ({
-                        id: row.id,
-                        sessionId: row.session_id,
-                        displayName: row.display_name,
-                        message: row.message,
-                        image: row.image,
-                        latitude: row.latitude,
-                        longitude: row.longitude,
-                        channel: row.channel,
-                        timestamp: row.timestamp,
-                        createdAt: row.created_at,
-                        upvotes: row.upvotes,
-                        downvotes: row.downvotes
-                    }));
-                    
-                    resolve(posts);
+                    resolve(rows.map(row => ({
+                        ...this.formatChannelSettings(row),
+                        postsLastDay: row.posts_last_day,
+                        lastPostAt: row.last_post_at
+                    })));
                 }
             });
         });
     }
-
+    
     // ==================== Ad Management ====================
     
     createAd(ad) {
@@ -824,6 +3451,28 @@ class Database {
         });
     }
     
+    getAdById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM ads WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    console.error('Error fetching ad:', err);
+                    reject(err);
+                } else if (!row) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        id: row.id,
+                        channel: row.channel,
+                        imageUrl: row.image_url,
+                        linkUrl: row.link_url,
+                        active: row.active === 1,
+                        createdAt: row.created_at
+                    });
+                }
+            });
+        });
+    }
+    
     updateAd(id, ad) {
         return new Promise((resolve, reject) => {
             const query = `
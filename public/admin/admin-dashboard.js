@@ -6,6 +6,13 @@ class AdminDashboard {
         this.channels = [];
         this.selectedChannel = 'all';
         this.autoRefreshInterval = null;
+        this.liveSocket = null;
+        this.liveRefreshTimeout = null;
+        this.reports = [];
+        this.heldMessages = [];
+        this.admin = null;
+        this.auditOffset = 0;
+        this.auditPageSize = 50;
         
         this.init();
     }
@@ -13,23 +20,25 @@ class AdminDashboard {
     async init() {
         console.log('🛡️ Initializing Admin Dashboard...');
         
-        // Verify admin session
-        const token = this.getAdminToken();
-        console.log('Admin token found:', !!token);
-        
-        if (!this.verifySession()) {
-            console.log('No valid session, redirecting to login');
-            window.location.href = '/proadmin/login';
-            return;
-        }
-        
-        // Load initial data
+        // The session cookie is HttpOnly - the server tells us who we are (or 401s to the login page)
         console.log('📊 Loading initial data...');
         try {
-            await this.loadStats();
-            await this.loadSystemInfo();
-            await this.updateChannels();
-            await this.updateMessages();
+            this.admin = await this.apiCall('/me');
+            if (!this.admin) {
+                this.redirectToLogin();
+                return;
+            }
+            this.applyRole();
+            
+            // Messages, channels and server stats are for moderators - advertiser managers only get ads
+            if (this.can('moderator')) {
+                await this.loadStats();
+                await this.loadSystemInfo();
+                await this.updateChannels();
+                await this.updateMessages();
+                await this.loadReports();
+                await this.loadHeldMessages();
+            }
             await this.loadAds();
             
             console.log('✅ Initial data loaded successfully');
@@ -37,14 +46,15 @@ class AdminDashboard {
             console.error('❌ Failed to load initial data:', error);
         }
         
-        // Set up auto-refresh every 30 seconds
-        this.autoRefreshInterval = setInterval(() => {
-            console.log('🔄 Auto-refreshing data...');
-            this.loadStats();
-            this.loadSystemInfo();
-            this.updateChannels();
-            this.updateMessages();
-        }, 30000);
+        if (this.can('moderator')) {
+            // Subscribe to live moderation events
+            this.connectLiveFeed();
+            
+            // System info (uptime, memory) isn't event driven - refresh it every 30 seconds
+            this.autoRefreshInterval = setInterval(() => {
+                this.loadSystemInfo();
+            }, 30000);
+        }
         
         // Update timestamp
         this.updateTimestamp();
@@ -53,35 +63,10 @@ class AdminDashboard {
         console.log('🛡️ Admin Dashboard initialized successfully');
     }
     
-    verifySession() {
-        const token = this.getAdminToken();
-        return token && token.length > 0;
-    }
-    
-    getAdminToken() {
-        const cookies = document.cookie.split(';');
-        for (let cookie of cookies) {
-            const [name, value] = cookie.trim().split('=');
-            if (name === 'adminSession') {
-                return value;
-            }
-        }
-        return null;
-    }
-    
     async apiCall(endpoint, options = {}) {
-        const token = this.getAdminToken();
-        
-        if (!token) {
-            console.error('No admin token found');
-            this.logout();
-            return null;
-        }
-        
         const config = {
             headers: {
-                'Content-Type': 'application/json',
-                'X-Admin-Token': token
+                'Content-Type': 'application/json'
             },
             credentials: 'include',
             ...options
@@ -92,7 +77,7 @@ class AdminDashboard {
             
             if (response.status === 401) {
                 console.error('Session expired or unauthorized');
-                this.logout();
+                this.redirectToLogin();
                 return null;
             }
             
@@ -107,6 +92,121 @@ class AdminDashboard {
         }
     }
     
+    // ==================== Live Feed ====================
+    
+    connectLiveFeed() {
+        if (typeof io === 'undefined') {
+            console.error('Socket.IO client not available, live updates disabled');
+            return;
+        }
+        
+        this.liveSocket = io('/admin', {
+            withCredentials: true
+        });
+        
+        this.liveSocket.on('connect', () => {
+            console.log('🛡️ Connected to admin live feed');
+            this.setLiveStatus(true);
+        });
+        
+        this.liveSocket.on('disconnect', (reason) => {
+            console.log('🛡️ Disconnected from admin live feed');
+            this.setLiveStatus(false);
+            // The server drops the feed when this session is revoked from another login
+            if (reason === 'io server disconnect') {
+                this.redirectToLogin();
+            }
+        });
+        
+        this.liveSocket.on('connect_error', (error) => {
+            console.error('Admin live feed error:', error.message);
+            this.setLiveStatus(false);
+            if (error.message === 'Unauthorized') {
+                this.redirectToLogin();
+            }
+        });
+        
+        this.liveSocket.on('adminNotification', (notification) => {
+            this.handleLiveNotification(notification);
+        });
+    }
+    
+    handleLiveNotification({ event, data }) {
+        console.log('📡 Live event:', event, data);
+        
+        switch (event) {
+            case 'newMessage':
+            case 'messageEdited':
+                this.scheduleLiveRefresh();
+                break;
+            case 'messageDeleted':
+            case 'messageAutoHidden':
+                this.removeMessageElement(data.messageId);
+                this.scheduleLiveRefresh();
+                this.loadRemovedPosts();
+                break;
+            case 'messageRestored':
+                this.scheduleLiveRefresh();
+                this.loadRemovedPosts();
+                break;
+            case 'voteActivity':
+                this.updateMessageVotes(data.postId, data.voteCounts);
+                break;
+            case 'messageReported':
+            case 'reportsResolved':
+                this.loadReports();
+                break;
+            case 'banCreated':
+            case 'banLifted':
+                this.loadBans();
+                break;
+            case 'messageHeld':
+            case 'heldMessageResolved':
+                this.loadHeldMessages();
+                break;
+        }
+        
+        this.updateTimestamp();
+    }
+    
+    // Coalesce bursts of events into a single reload
+    scheduleLiveRefresh() {
+        if (this.liveRefreshTimeout) return;
+        
+        this.liveRefreshTimeout = setTimeout(() => {
+            this.liveRefreshTimeout = null;
+            this.loadStats();
+            this.updateChannels();
+            this.updateMessages();
+            this.loadReports();
+        }, 1000);
+    }
+    
+    setLiveStatus(connected) {
+        const el = document.getElementById('liveStatus');
+        if (el) {
+            el.textContent = connected ? '● Live' : '○ Offline';
+            el.style.color = connected ? '#28a745' : '#B0B3B8';
+        }
+    }
+    
+    removeMessageElement(messageId) {
+        const messageElement = document.querySelector(`[data-id="${messageId}"]`);
+        if (messageElement) {
+            messageElement.style.opacity = '0';
+            messageElement.style.transform = 'translateX(-20px)';
+            setTimeout(() => messageElement.remove(), 300);
+        }
+    }
+    
+    updateMessageVotes(postId, voteCounts) {
+        const messageElement = document.querySelector(`[data-id="${postId}"]`);
+        const voteStats = messageElement?.querySelector('.vote-stats');
+        if (voteStats && voteCounts) {
+            voteStats.innerHTML = `👍 ${voteCounts.up || 0} &nbsp; 👎 ${voteCounts.down || 0}`;
+        }
+    }
+    
     async loadStats() {
         const stats = await this.apiCall('/stats');
         
@@ -243,6 +343,7 @@ class AdminDashboard {
         this.selectedChannel = channelName;
         this.updateChannels();
         this.updateMessages();
+        this.loadChannelSettings();
     }
     
     filterByChannel(channelName) {
@@ -250,6 +351,204 @@ class AdminDashboard {
         this.updateFilterTabs();
         this.updateChannels();
         this.updateMessages();
+        this.loadChannelSettings();
+    }
+    
+    // ==================== Channel Settings ====================
+    
+    // The selected channel's real name ('Public' is the display label for '')
+    getSelectedChannelName() {
+        return this.selectedChannel === 'Public' ? '' : this.selectedChannel;
+    }
+    
+    async loadChannelSettings() {
+        const card = document.getElementById('channelSettingsCard');
+        
+        if (this.selectedChannel === 'all') {
+            card.style.display = 'none';
+            return;
+        }
+        
+        const channel = this.getSelectedChannelName();
+        const settings = await this.apiCall(`/channels/${encodeURIComponent(channel)}/settings`);
+        if (!settings) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('channelSettingsName').textContent = this.selectedChannel;
+        document.getElementById('channelVisibilityWindow').value = settings.visibilityWindow;
+        
+        const retentionInput = document.getElementById('channelRetentionDays');
+        retentionInput.value = settings.retentionDays === null ? '' : settings.retentionDays;
+        retentionInput.placeholder = `Default (${settings.defaultRetentionDays})`;
+        
+        document.getElementById('channelSlowMode').value = settings.slowModeSeconds;
+        
+        const maxLengthInput = document.getElementById('channelMaxLength');
+        maxLengthInput.value = settings.maxMessageLength === null ? '' : settings.maxMessageLength;
+        maxLengthInput.placeholder = `Default (${settings.defaultMaxMessageLength})`;
+        maxLengthInput.max = settings.defaultMaxMessageLength;
+        
+        // Auto-moderation thresholds - empty fields use the global defaults
+        const defaults = settings.autoHideDefaults;
+        const thresholdFields = {
+            channelAutoHideDownvotes: [settings.autoHideMinDownvotes, defaults.minDownvotes],
+            channelAutoHideRatio: [settings.autoHideRatio, defaults.ratio],
+            channelAutoHideViewers: [settings.autoHideMinViewers, defaults.minViewers]
+        };
+        for (const [id, [value, defaultValue]] of Object.entries(thresholdFields)) {
+            const input = document.getElementById(id);
+            input.value = value === null ? '' : value;
+            input.placeholder = `Default (${defaultValue})`;
+        }
+        
+        document.getElementById('channelListed').checked = settings.listed;
+        document.getElementById('channelListingTitle').value = settings.listingTitle || '';
+        document.getElementById('channelListingDescription').value = settings.listingDescription || '';
+        document.getElementById('channelListingTags').value = settings.listingTags.join(', ');
+        
+        const announcementInput = document.getElementById('channelAnnouncement');
+        announcementInput.value = settings.announcement || '';
+        announcementInput.maxLength = settings.maxAnnouncementLength;
+        this.renderPinnedMessages(settings.pinned, settings.maxPinnedPosts);
+        
+        document.getElementById('channelProtection').style.display = settings.isProtected ? 'block' : 'none';
+        
+        // Claimed channels are run by their owner and the moderators they appoint
+        document.getElementById('channelOwnership').style.display = settings.isClaimed ? 'block' : 'none';
+        if (settings.isClaimed) {
+            const moderators = settings.moderators.map(mod => mod.displayName || 'Anonymous');
+            document.getElementById('channelOwnershipText').textContent =
+                `Claimed ${new Date(settings.claimedAt).toLocaleString()}` +
+                (moderators.length ? ` - moderators: ${moderators.join(', ')}` : ' - no moderators');
+        }
+        
+        card.style.display = 'block';
+    }
+    
+    async removeChannelPassphrase() {
+        const channel = this.getSelectedChannelName();
+        if (!confirm(`Remove the passphrase from "${channel}"? Anyone will be able to read it.`)) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/channels/${encodeURIComponent(channel)}/passphrase`, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showNotification('Passphrase removed', 'success');
+        } else {
+            this.showNotification('Failed to remove passphrase', 'error');
+        }
+        await this.loadChannelSettings();
+    }
+    
+    renderPinnedMessages(pinned, maxPinned) {
+        document.getElementById('channelPinnedCount').textContent = `(${pinned.length} of ${maxPinned})`;
+        const list = document.getElementById('channelPinnedList');
+        
+        if (pinned.length === 0) {
+            list.innerHTML = '<div class="no-data">Nothing pinned - pin messages from the Messages list</div>';
+            return;
+        }
+        
+        list.innerHTML = pinned.map(post => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <span class="message-author">${this.escapeHtml(post.displayName)}</span>
+                        <span style="font-size: 12px; color: #888;">pinned by ${this.escapeHtml(post.pinnedBy || 'admin')} ${new Date(post.pinnedAt).toLocaleString()}</span>
+                    </div>
+                    <button class="delete-btn" onclick="dashboard.setMessagePinned('${post.id}', false)">Unpin</button>
+                </div>
+                <div class="message-content">${this.escapeHtml(post.message || (post.image ? '📷 Image' : ''))}</div>
+            </div>
+        `).join('');
+    }
+    
+    async setMessagePinned(messageId, pinned) {
+        const result = await this.apiCall(`/messages/${messageId}/pin`, { method: pinned ? 'POST' : 'DELETE' });
+        if (result && result.success) {
+            this.showNotification(pinned ? 'Message pinned' : 'Message unpinned', 'success');
+        } else {
+            this.showNotification(pinned ? 'Failed to pin message (the channel may be at its pin limit)' : 'Failed to unpin message', 'error');
+        }
+        await this.updateMessages();
+        await this.loadChannelSettings();
+    }
+    
+    async saveChannelListing() {
+        const channel = this.getSelectedChannelName();
+        const result = await this.apiCall(`/channels/${encodeURIComponent(channel)}/listing`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                listed: document.getElementById('channelListed').checked,
+                title: document.getElementById('channelListingTitle').value,
+                description: document.getElementById('channelListingDescription').value,
+                tags: document.getElementById('channelListingTags').value
+            })
+        });
+        
+        if (result && result.success) {
+            this.showNotification(result.settings.listed ? 'Channel listed in the directory' : 'Channel listing saved (not listed)', 'success');
+            await this.loadChannelSettings();
+        } else {
+            this.showNotification('Failed to save listing (check the tags and lengths)', 'error');
+        }
+    }
+    
+    async saveChannelAnnouncement() {
+        const channel = this.getSelectedChannelName();
+        const result = await this.apiCall(`/channels/${encodeURIComponent(channel)}/announcement`, {
+            method: 'PUT',
+            body: JSON.stringify({ announcement: document.getElementById('channelAnnouncement').value })
+        });
+        
+        if (result && result.success) {
+            this.showNotification('Announcement saved', 'success');
+        } else {
+            this.showNotification('Failed to save announcement', 'error');
+        }
+    }
+    
+    async removeChannelOwner() {
+        const channel = this.getSelectedChannelName();
+        if (!confirm(`Remove the owner and moderators of "${channel}"? Anyone will be able to claim it again.`)) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/channels/${encodeURIComponent(channel)}/owner`, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showNotification('Channel owner removed', 'success');
+        } else {
+            this.showNotification('Failed to remove channel owner', 'error');
+        }
+        await this.loadChannelSettings();
+    }
+    
+    async saveChannelSettings() {
+        const channel = this.getSelectedChannelName();
+        const visibilityWindow = document.getElementById('channelVisibilityWindow').value;
+        const retentionValue = document.getElementById('channelRetentionDays').value.trim();
+        const maxLengthValue = document.getElementById('channelMaxLength').value.trim();
+        
+        const result = await this.apiCall(`/channels/${encodeURIComponent(channel)}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                visibilityWindow,
+                retentionDays: retentionValue === '' ? null : parseInt(retentionValue, 10),
+                slowModeSeconds: parseInt(document.getElementById('channelSlowMode').value, 10) || 0,
+                maxMessageLength: maxLengthValue === '' ? null : parseInt(maxLengthValue, 10),
+                autoHideMinDownvotes: document.getElementById('channelAutoHideDownvotes').value.trim(),
+                autoHideRatio: document.getElementById('channelAutoHideRatio').value.trim(),
+                autoHideMinViewers: document.getElementById('channelAutoHideViewers').value.trim()
+            })
+        });
+        
+        if (result && result.success) {
+            this.showNotification('Channel settings saved', 'success');
+        } else {
+            this.showNotification('Failed to save channel settings', 'error');
+        }
     }
     
     async updateMessages() {
@@ -287,17 +586,32 @@ class AdminDashboard {
                         <span class="message-author">${this.escapeHtml(post.displayName)}</span>
                         <span class="channel-tag">${this.escapeHtml(post.channel || 'Public')}</span>
                     </div>
-                    <button class="delete-btn" onclick="dashboard.deleteMessage('${post.id}')">
-                        🗑️ Delete
-                    </button>
+                    <div class="report-actions">
+                        <button onclick="dashboard.setMessagePinned('${post.id}', ${!post.pinnedAt})">
+                            📌 ${post.pinnedAt ? 'Unpin' : 'Pin'}
+                        </button>
+                        <button class="delete-btn" onclick="dashboard.banMessageAuthor('${post.id}')">
+                            🚫 Ban author
+                        </button>
+                        <button class="delete-btn" onclick="dashboard.deleteMessage('${post.id}')">
+                            🗑️ Delete
+                        </button>
+                    </div>
                 </div>
+                ${post.parentId ? `
+                    <div class="thread-context" style="font-size: 12px; color: #888; border-left: 3px solid #555; padding-left: 8px; margin-bottom: 6px;">
+                        ${post.parent
+                            ? `↪ Reply to <strong>${this.escapeHtml(post.parent.displayName)}</strong>: ${this.escapeHtml((post.parent.message || '').slice(0, 100))}`
+                            : '↪ Reply to a deleted message'}
+                    </div>
+                ` : ''}
                 <div class="message-content">
                     ${this.escapeHtml(post.message)}
                 </div>
                 ${post.image ? `
                     <div class="image-attachment">
                         <img 
-                            src="${post.image}" 
+                            src="${post.thumbnail || post.image}" 
                             alt="Message attachment"
                             class="message-thumbnail"
                             style="max-width: 200px; max-height: 150px; cursor: pointer; object-fit: cover;"
@@ -312,6 +626,12 @@ class AdminDashboard {
                     <span class="vote-stats">
                         👍 ${post.upvotes || 0} &nbsp; 👎 ${post.downvotes || 0}
                     </span>
+                    ${post.replyCount > 0 ? `<span>💬 ${post.replyCount} ${post.replyCount === 1 ? 'reply' : 'replies'}</span>` : ''}
+                    ${post.editedAt ? `
+                        <span class="edited-tag" style="cursor: pointer; text-decoration: underline;" onclick="dashboard.showRevisions('${post.id}')">
+                            ✏️ Edited ${new Date(post.editedAt).toLocaleString()}
+                        </span>
+                    ` : ''}
                 </div>
             </div>
         `).join('');
@@ -327,12 +647,7 @@ class AdminDashboard {
         });
         
         if (result && result.deleted) {
-            const messageElement = document.querySelector(`[data-id="${messageId}"]`);
-            if (messageElement) {
-                messageElement.style.opacity = '0';
-                messageElement.style.transform = 'translateX(-20px)';
-                setTimeout(() => messageElement.remove(), 300);
-            }
+            this.removeMessageElement(messageId);
             
             await this.loadStats();
             await this.updateChannels();
@@ -343,126 +658,1188 @@ class AdminDashboard {
         }
     }
     
-    showImageModal(imageSrc, displayName, message) {
-        const modal = document.createElement('div');
-        modal.className = 'image-modal';
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100vw;
-            height: 100vh;
-            background: rgba(0, 0, 0, 0.9);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 10000;
-            cursor: pointer;
-        `;
-        
-        const modalContent = document.createElement('div');
-        modalContent.style.cssText = `
-            max-width: 90vw;
-            max-height: 90vh;
-            background: #3a3d45;
-            border-radius: 12px;
-            padding: 20px;
-            cursor: default;
-        `;
-        
-        modalContent.innerHTML = `
-            <div style="margin-bottom: 15px; border-bottom: 1px solid #5a5d65; padding-bottom: 10px;">
-                <div style="font-weight: bold; color: #fff; margin-bottom: 5px;">
-                    📷 Image from ${this.escapeHtml(displayName)}
-                </div>
-                <div style="font-size: 14px; color: #B0B3B8; word-wrap: break-word;">
-                    "${this.escapeHtml(message)}"
-                </div>
-            </div>
-            
-            <img 
-                src="${imageSrc}" 
-                alt="Full size image"
-                style="max-width: 100%; max-height: 70vh; border-radius: 8px; display: block; margin: 0 auto;"
-            />
-            
-            <div style="text-align: center; margin-top: 15px;">
-                <button onclick="this.closest('.image-modal').remove()"
-                    style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; margin-right: 10px;">
-                    ✕ Close
-                </button>
-                <button onclick="dashboard.downloadImage('${imageSrc}', '${this.escapeHtml(displayName)}')"
-                    style="background: #28a745; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer;">
-                    💾 Download
-                </button>
-            </div>
-        `;
-        
-        modal.appendChild(modalContent);
-        document.body.appendChild(modal);
-        
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
-        });
+    // ==================== Roles ====================
+    
+    // Owners can do everything; other roles only what's listed
+    can(...roles) {
+        return !!this.admin && (this.admin.role === 'owner' || roles.includes(this.admin.role));
+    }
+    
+    // Hide the tabs and cards marked with data-roles that this admin can't use
+    applyRole() {
+        document.getElementById('adminIdentity').textContent = `👤 ${this.admin.username} (${this.admin.role})`;
         
-        document.addEventListener('keydown', function handler(e) {
-            if (e.key === 'Escape') {
-                modal.remove();
-                document.removeEventListener('keydown', handler);
-            }
+        document.querySelectorAll('[data-roles]').forEach(el => {
+            const roles = el.dataset.roles.split(',').filter(Boolean);
+            el.classList.toggle('role-hidden', !this.can(...roles));
         });
-        
-        modalContent.addEventListener('click', e => e.stopPropagation());
     }
     
-    downloadImage(imageSrc, displayName) {
-        try {
-            const link = document.createElement('a');
-            link.href = imageSrc;
-            link.download = `groupdeedo-${displayName}-${Date.now()}.jpg`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            this.showNotification('Download started', 'success');
-        } catch (error) {
-            this.showNotification('Download failed', 'error');
+    // ==================== Tabs ====================
+    
+    showTab(tab) {
+        document.querySelectorAll('#adminTabs .filter-tab').forEach(el => {
+            el.classList.toggle('active', el.dataset.tab === tab);
+        });
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.style.display = panel.id === `tab-${tab}` ? '' : 'none';
+        });
+        
+        if (tab === 'moderation') {
+            this.loadReports();
+            this.loadHeldMessages();
+            this.loadRemovedPosts();
+        } else if (tab === 'bans') {
+            this.loadBans();
+        } else if (tab === 'filters') {
+            this.loadFilters();
+        } else if (tab === 'audit') {
+            this.loadAuditLog();
+        } else if (tab === 'admins') {
+            this.loadAdmins();
+        } else if (tab === 'account') {
+            this.loadTwoFactor();
+            this.loadSessions();
         }
     }
     
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 12px 20px;
-            border-radius: 8px;
-            color: white;
-            font-weight: 500;
-            z-index: 10001;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            background: ${type === 'success' ? '#28a745' : type === 'error' ? '#dc3545' : '#17a2b8'};
-        `;
-        notification.textContent = message;
+    // ==================== Moderation Queue ====================
+    
+    async loadReports() {
+        if (!this.can('moderator')) return;
         
-        document.body.appendChild(notification);
+        const reports = await this.apiCall('/reports');
+        if (!reports) return;
         
-        setTimeout(() => notification.style.transform = 'translateX(0)', 10);
+        this.reports = reports;
+        this.updateModerationBadge();
         
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
-    }
-    
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+        const container = document.getElementById('reportsList');
+        if (reports.length === 0) {
+            container.innerHTML = '<div class="no-data">No open reports 🎉</div>';
+            return;
+        }
+        
+        container.innerHTML = reports.map(post => `
+            <div class="message-item" data-report-id="${post.id}">
+                <div class="message-header">
+                    <div class="message-info">
+                        <span class="message-author">${this.escapeHtml(post.displayName)}</span>
+                        <span class="channel-tag">${this.escapeHtml(post.channel || 'Public')}</span>
+                        <span>🚩 ${post.reportCount} ${post.reportCount === 1 ? 'report' : 'reports'}</span>
+                    </div>
+                    <div class="report-actions">
+                        <button onclick="dashboard.resolveReport('${post.id}', 'dismiss')" style="background: #5a5d65;">Dismiss</button>
+                        <button class="delete-btn" onclick="dashboard.resolveReport('${post.id}', 'delete')">🗑️ Delete</button>
+                        <button class="delete-btn" onclick="dashboard.resolveReport('${post.id}', 'ban')">🚫 Ban author</button>
+                    </div>
+                </div>
+                <div class="report-reasons">
+                    ${Object.entries(post.reasons)
+                        .filter(([, count]) => count > 0)
+                        .map(([reason, count]) => `<span class="report-reason">${reason} × ${count}</span>`)
+                        .join('')}
+                </div>
+                <div class="message-content">
+                    ${this.escapeHtml(post.message)}
+                </div>
+                ${post.image ? `
+                    <div class="image-attachment">
+                        <img 
+                            src="${post.thumbnail || post.image}" 
+                            alt="Message attachment"
+                            class="message-thumbnail"
+                            style="max-width: 200px; max-height: 150px; cursor: pointer; object-fit: cover;"
+                            onclick="dashboard.showImageModal('${post.image}', '${this.escapeHtml(post.displayName)}', '${this.escapeHtml(post.message)}')"
+                            loading="lazy"
+                        />
+                    </div>
+                ` : ''}
+                <div class="report-details" id="reportDetails-${post.id}">
+                    <a href="#" onclick="dashboard.loadReportDetails('${post.id}'); return false;" style="color: #B0B3B8;">Show reporter comments</a>
+                </div>
+                <div class="message-meta">
+                    <span>Posted ${new Date(post.timestamp).toLocaleString()} · last reported ${new Date(post.lastReportedAt).toLocaleString()}</span>
+                    <span class="vote-stats">
+                        👍 ${post.upvotes || 0} &nbsp; 👎 ${post.downvotes || 0}
+                    </span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Open reports plus messages held by the filters
+    updateModerationBadge() {
+        const count = this.reports.length + this.heldMessages.length;
+        const badge = document.getElementById('reportsBadge');
+        badge.textContent = count;
+        badge.style.display = count > 0 ? '' : 'none';
+    }
+    
+    async loadHeldMessages() {
+        if (!this.can('moderator')) return;
+        
+        const held = await this.apiCall('/held');
+        if (!held) return;
+        
+        this.heldMessages = held;
+        this.updateModerationBadge();
+        
+        const container = document.getElementById('heldList');
+        if (held.length === 0) {
+            container.innerHTML = '<div class="no-data">No messages waiting for review</div>';
+            return;
+        }
+        
+        container.innerHTML = held.map(message => `
+            <div class="message-item" data-held-id="${message.id}">
+                <div class="message-header">
+                    <div class="message-info">
+                        <span class="message-author">${this.escapeHtml(message.displayName)}</span>
+                        <span class="channel-tag">${this.escapeHtml(message.channel || 'Public')}</span>
+                        ${message.parentId ? '<span>↩️ Reply</span>' : ''}
+                    </div>
+                    <div class="report-actions">
+                        <button onclick="dashboard.resolveHeldMessage('${message.id}', 'approve')" style="background: #28a745;">✓ Approve</button>
+                        <button class="delete-btn" onclick="dashboard.resolveHeldMessage('${message.id}', 'reject')">✕ Reject</button>
+                    </div>
+                </div>
+                <div class="report-reasons">
+                    ${(message.reason || '').split(', ').filter(Boolean)
+                        .map(rule => `<span class="report-reason">${this.escapeHtml(rule)}</span>`)
+                        .join('')}
+                </div>
+                <div class="message-content">
+                    ${this.escapeHtml(message.message)}
+                </div>
+                ${message.image ? `
+                    <div class="image-attachment">
+                        <img 
+                            src="${message.thumbnail || message.image}" 
+                            alt="Message attachment"
+                            class="message-thumbnail"
+                            style="max-width: 200px; max-height: 150px; cursor: pointer; object-fit: cover;"
+                            onclick="dashboard.showImageModal('${message.image}', '${this.escapeHtml(message.displayName)}', '${this.escapeHtml(message.message)}')"
+                            loading="lazy"
+                        />
+                    </div>
+                ` : ''}
+                <div class="message-meta">
+                    <span>Held ${new Date(message.timestamp).toLocaleString()}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    async resolveHeldMessage(id, action) {
+        const result = await this.apiCall(`/held/${id}/${action}`, { method: 'POST' });
+        
+        if (result && result.success) {
+            this.showNotification(action === 'approve' ? 'Message approved' : 'Message rejected', 'success');
+            document.querySelector(`[data-held-id="${id}"]`)?.remove();
+        } else {
+            this.showNotification('Failed to resolve held message', 'error');
+        }
+        await this.loadHeldMessages();
+    }
+    
+    async loadRemovedPosts() {
+        if (!this.can('moderator')) return;
+        
+        const posts = await this.apiCall('/removed');
+        if (!posts) return;
+        
+        const container = document.getElementById('removedList');
+        if (posts.length === 0) {
+            container.innerHTML = '<div class="no-data">No hidden or deleted messages</div>';
+            return;
+        }
+        
+        container.innerHTML = posts.map(post => {
+            const status = post.deletedAt
+                ? `🗑️ Deleted by ${this.escapeHtml(post.deletedBy || 'admin')} ${new Date(post.deletedAt).toLocaleString()}`
+                : `🙈 Hidden (${this.escapeHtml(post.hiddenReason || 'unknown')}) ${new Date(post.hiddenAt).toLocaleString()}`;
+            
+            return `
+                <div class="message-item" data-removed-id="${post.id}">
+                    <div class="message-header">
+                        <div class="message-info">
+                            <span class="message-author">${this.escapeHtml(post.displayName)}</span>
+                            <span class="channel-tag">${this.escapeHtml(post.channel || 'Public')}</span>
+                        </div>
+                        <div class="report-actions">
+                            <button onclick="dashboard.restoreMessage('${post.id}')" style="background: #28a745;">♻️ Restore</button>
+                            ${post.deletedAt ? '' : `<button class="delete-btn" onclick="dashboard.deleteMessage('${post.id}')">🗑️ Delete</button>`}
+                        </div>
+                    </div>
+                    <div class="message-content">
+                        ${this.escapeHtml(post.message)}
+                    </div>
+                    ${post.image ? `
+                        <div class="image-attachment">
+                            <img 
+                                src="${post.thumbnail || post.image}" 
+                                alt="Message attachment"
+                                class="message-thumbnail"
+                                style="max-width: 200px; max-height: 150px; cursor: pointer; object-fit: cover;"
+                                onclick="dashboard.showImageModal('${post.image}', '${this.escapeHtml(post.displayName)}', '${this.escapeHtml(post.message)}')"
+                                loading="lazy"
+                            />
+                        </div>
+                    ` : ''}
+                    <div class="message-meta">
+                        <span>${status}</span>
+                        <span class="vote-stats">
+                            👍 ${post.upvotes || 0} &nbsp; 👎 ${post.downvotes || 0}
+                        </span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async restoreMessage(messageId) {
+        const result = await this.apiCall(`/messages/${messageId}/restore`, { method: 'POST' });
+        
+        if (result && result.success) {
+            this.showNotification('Message restored', 'success');
+            document.querySelector(`[data-removed-id="${messageId}"]`)?.remove();
+        } else {
+            this.showNotification('Failed to restore message', 'error');
+        }
+        await this.loadRemovedPosts();
+    }
+    
+    async loadReportDetails(messageId) {
+        const reports = await this.apiCall(`/reports/${messageId}`);
+        const container = document.getElementById(`reportDetails-${messageId}`);
+        if (!reports || !container) return;
+        
+        const comments = reports.filter(report => report.details);
+        container.innerHTML = comments.length === 0
+            ? 'No comments from reporters.'
+            : comments.map(report => `<div>• <strong>${report.reason}</strong>: ${this.escapeHtml(report.details)}</div>`).join('');
+    }
+    
+    resolveReport(messageId, action) {
+        if (action === 'delete' && !confirm('Delete this message?')) {
+            return;
+        }
+        
+        if (action === 'ban') {
+            this.showBanDialog({ title: '🚫 Ban author and delete message', defaultReason: 'Reported message' }, (options) => {
+                this.submitReportResolution(messageId, action, options);
+            });
+            return;
+        }
+        
+        this.submitReportResolution(messageId, action, {});
+    }
+    
+    async submitReportResolution(messageId, action, body) {
+        const result = await this.apiCall(`/reports/${messageId}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        
+        if (result && result.success) {
+            const messages = {
+                dismiss: 'Reports dismissed',
+                delete: 'Message deleted',
+                ban: 'Author banned and message deleted'
+            };
+            this.showNotification(messages[action], 'success');
+            
+            document.querySelector(`[data-report-id="${messageId}"]`)?.remove();
+            await this.loadReports();
+        } else {
+            this.showNotification('Failed to resolve reports', 'error');
+            await this.loadReports();
+        }
+    }
+    
+    // ==================== Message Filters ====================
+    
+    async loadFilters() {
+        if (!this.can('moderator')) return;
+        
+        const data = await this.apiCall('/filters');
+        if (!data) return;
+        
+        const { rules, hits, settings } = data;
+        
+        document.getElementById('filterSettings').textContent =
+            `Built-in checks: more than ${settings.maxLinks} links → ${settings.linkAction}; ` +
+            `the same text more than ${settings.maxRepeats} times in ${Math.round(settings.duplicateWindowSeconds / 60)} min → block`;
+        
+        const rulesContainer = document.getElementById('filterRulesList');
+        if (rules.length === 0) {
+            rulesContainer.innerHTML = '<div class="no-data">No blocklist rules yet</div>';
+        } else {
+            rulesContainer.innerHTML = rules.map(rule => `
+                <div class="message-item" style="${rule.enabled ? '' : 'opacity: 0.6;'}">
+                    <div class="message-header">
+                        <div class="message-info">
+                            <span class="channel-tag">${rule.isRegex ? 'Regex' : 'Term'}</span>
+                            <span class="message-author" style="font-family: monospace;">${this.escapeHtml(rule.pattern)}</span>
+                        </div>
+                        <div class="report-actions">
+                            <select onchange="dashboard.updateFilterRule(${rule.id}, { action: this.value })">
+                                ${['block', 'mask', 'hold'].map(action => `
+                                    <option value="${action}" ${rule.action === action ? 'selected' : ''}>${action}</option>
+                                `).join('')}
+                            </select>
+                            <button onclick="dashboard.updateFilterRule(${rule.id}, { enabled: ${!rule.enabled} })" style="background: #5a5d65;">
+                                ${rule.enabled ? 'Disable' : 'Enable'}
+                            </button>
+                            <button class="delete-btn" onclick="dashboard.deleteFilterRule(${rule.id})">🗑️</button>
+                        </div>
+                    </div>
+                    ${rule.note ? `<div class="message-content">${this.escapeHtml(rule.note)}</div>` : ''}
+                    <div class="message-meta">
+                        <span>${rule.hitCount} ${rule.hitCount === 1 ? 'hit' : 'hits'}${rule.lastHitAt ? ` · last ${new Date(rule.lastHitAt).toLocaleString()}` : ''}</span>
+                        <span>Added ${new Date(rule.createdAt).toLocaleString()}</span>
+                    </div>
+                </div>
+            `).join('');
+        }
+        
+        const hitsContainer = document.getElementById('filterHitsList');
+        if (hits.length === 0) {
+            hitsContainer.innerHTML = '<div class="no-data">No filter hits yet</div>';
+        } else {
+            hitsContainer.innerHTML = hits.map(hit => `
+                <div class="message-item">
+                    <div class="message-header">
+                        <div class="message-info">
+                            <span class="message-author" style="font-family: monospace;">${this.escapeHtml(hit.rule)}</span>
+                            <span class="report-reason">${hit.action}</span>
+                            <span class="channel-tag">${this.escapeHtml(hit.channel || 'Public')}</span>
+                        </div>
+                    </div>
+                    <div class="message-content">${this.escapeHtml(hit.message || '')}</div>
+                    <div class="message-meta">
+                        <span>${new Date(hit.createdAt).toLocaleString()}</span>
+                    </div>
+                </div>
+            `).join('');
+        }
+    }
+    
+    async addFilterRule() {
+        const pattern = document.getElementById('filterPattern').value.trim();
+        if (!pattern) {
+            this.showNotification('Enter a term or pattern', 'error');
+            return;
+        }
+        
+        const result = await this.apiCall('/filters', {
+            method: 'POST',
+            body: JSON.stringify({
+                pattern,
+                isRegex: document.getElementById('filterIsRegex').checked,
+                action: document.getElementById('filterAction').value,
+                note: document.getElementById('filterNote').value.trim()
+            })
+        });
+        
+        if (result && result.success) {
+            document.getElementById('filterPattern').value = '';
+            document.getElementById('filterNote').value = '';
+            this.showNotification('Filter rule added', 'success');
+            await this.loadFilters();
+        } else {
+            this.showNotification('Failed to add rule - check the pattern', 'error');
+        }
+    }
+    
+    async updateFilterRule(id, changes) {
+        const result = await this.apiCall(`/filters/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        
+        if (!result || !result.success) {
+            this.showNotification('Failed to update rule', 'error');
+        }
+        await this.loadFilters();
+    }
+    
+    async deleteFilterRule(id) {
+        if (!confirm('Delete this filter rule?')) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/filters/${id}`, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showNotification('Filter rule deleted', 'success');
+        } else {
+            this.showNotification('Failed to delete rule', 'error');
+        }
+        await this.loadFilters();
+    }
+    
+    // ==================== Bans ====================
+    
+    // Ask for ban options; calls onSubmit({ scope, durationHours, reason, deleteMessage })
+    showBanDialog({ title, defaultReason = '', allowDelete = false }, onSubmit) {
+        const modal = document.createElement('div');
+        modal.className = 'image-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.9);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10000;
+        `;
+        
+        const fieldStyle = 'width: 100%; padding: 8px; border-radius: 6px; border: 1px solid #5a5d65; background: #4a4d55; color: #fff; margin-bottom: 12px;';
+        
+        modal.innerHTML = `
+            <div style="width: 420px; max-width: 90vw; background: #3a3d45; border-radius: 12px; padding: 20px;">
+                <div style="font-weight: bold; color: #fff; margin-bottom: 15px;">${title}</div>
+                <label style="display: block; margin-bottom: 5px; color: #B0B3B8;">Ban by:</label>
+                <select class="ban-scope" style="${fieldStyle}">
+                    <option value="session">Anonymous identity</option>
+                    <option value="ip">IP address</option>
+                    <option value="both">Identity and IP address</option>
+                </select>
+                <label style="display: block; margin-bottom: 5px; color: #B0B3B8;">Duration (hours, empty = permanent):</label>
+                <input type="number" class="ban-duration" min="0" step="any" value="24" style="${fieldStyle}">
+                <label style="display: block; margin-bottom: 5px; color: #B0B3B8;">Reason (shown to the user):</label>
+                <input type="text" class="ban-reason" maxlength="200" value="${this.escapeHtml(defaultReason)}" style="${fieldStyle}">
+                ${allowDelete ? `
+                    <label style="display: flex; align-items: center; gap: 8px; color: #B0B3B8; margin-bottom: 12px;">
+                        <input type="checkbox" class="ban-delete" checked> Also delete this message
+                    </label>
+                ` : ''}
+                <div style="display: flex; justify-content: flex-end; gap: 10px;">
+                    <button class="ban-cancel" style="background: #5a5d65;">Cancel</button>
+                    <button class="ban-submit delete-btn" style="padding: 8px 16px;">Ban</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        modal.querySelector('.ban-cancel').addEventListener('click', () => modal.remove());
+        modal.querySelector('.ban-submit').addEventListener('click', () => {
+            const duration = modal.querySelector('.ban-duration').value.trim();
+            if (duration !== '' && !(parseFloat(duration) > 0)) {
+                this.showNotification('Enter a positive number of hours', 'error');
+                return;
+            }
+            
+            const deleteCheckbox = modal.querySelector('.ban-delete');
+            onSubmit({
+                scope: modal.querySelector('.ban-scope').value,
+                durationHours: duration === '' ? null : parseFloat(duration),
+                reason: modal.querySelector('.ban-reason').value.trim(),
+                deleteMessage: deleteCheckbox ? deleteCheckbox.checked : false
+            });
+            modal.remove();
+        });
+    }
+    
+    banMessageAuthor(messageId) {
+        this.showBanDialog({ title: '🚫 Ban message author', allowDelete: true }, async (options) => {
+            const result = await this.apiCall(`/messages/${messageId}/ban`, {
+                method: 'POST',
+                body: JSON.stringify(options)
+            });
+            
+            if (result && result.success) {
+                if (options.deleteMessage) {
+                    this.removeMessageElement(messageId);
+                }
+                this.showNotification('Author banned', 'success');
+                await this.loadBans();
+            } else {
+                this.showNotification('Failed to ban author', 'error');
+            }
+        });
+    }
+    
+    async loadBans() {
+        if (!this.can('moderator')) return;
+        
+        const includeExpired = document.getElementById('showExpiredBans')?.checked;
+        const bans = await this.apiCall(`/bans${includeExpired ? '?includeExpired=true' : ''}`);
+        if (!bans) return;
+        
+        const container = document.getElementById('bansList');
+        if (bans.length === 0) {
+            container.innerHTML = '<div class="no-data">No bans</div>';
+            return;
+        }
+        
+        const typeLabels = { session: '🪪 Identity', ip: '🌐 IP', cidr: '🌐 Range' };
+        
+        container.innerHTML = bans.map(ban => {
+            const expired = ban.expiresAt && new Date(ban.expiresAt) <= new Date();
+            return `
+                <div class="message-item" data-ban-id="${ban.id}" style="${expired ? 'opacity: 0.6;' : ''}">
+                    <div class="message-header">
+                        <div class="message-info">
+                            <span class="channel-tag">${typeLabels[ban.type] || ban.type}</span>
+                            <span class="message-author" style="font-family: monospace;">${this.escapeHtml(ban.value)}</span>
+                        </div>
+                        <button class="delete-btn" style="background: #28a745;" onclick="dashboard.liftBan(${ban.id})">
+                            ✓ Lift
+                        </button>
+                    </div>
+                    ${ban.reason ? `<div class="message-content">${this.escapeHtml(ban.reason)}</div>` : ''}
+                    <div class="message-meta">
+                        <span>Banned ${new Date(ban.createdAt).toLocaleString()}</span>
+                        <span>${ban.expiresAt ? `${expired ? 'Expired' : 'Expires'} ${new Date(ban.expiresAt).toLocaleString()}` : 'Permanent'}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async addBan() {
+        const type = document.getElementById('banType').value;
+        const value = document.getElementById('banValue').value.trim();
+        const duration = document.getElementById('banDuration').value.trim();
+        const reason = document.getElementById('banReason').value.trim();
+        
+        if (!value) {
+            this.showNotification('Enter what to ban', 'error');
+            return;
+        }
+        
+        const result = await this.apiCall('/bans', {
+            method: 'POST',
+            body: JSON.stringify({
+                type,
+                value,
+                durationHours: duration === '' ? null : parseFloat(duration),
+                reason
+            })
+        });
+        
+        if (result && result.success) {
+            document.getElementById('banValue').value = '';
+            document.getElementById('banReason').value = '';
+            this.showNotification('Ban added', 'success');
+            await this.loadBans();
+        } else {
+            this.showNotification('Failed to add ban - check the value and duration', 'error');
+        }
+    }
+    
+    async liftBan(id) {
+        if (!confirm('Lift this ban?')) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/bans/${id}`, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showNotification('Ban lifted', 'success');
+            await this.loadBans();
+        } else {
+            this.showNotification('Failed to lift ban', 'error');
+        }
+    }
+    
+    // ==================== Audit Log ====================
+    
+    getAuditQuery() {
+        const params = new URLSearchParams();
+        const fields = {
+            action: 'auditAction',
+            actor: 'auditActor',
+            targetType: 'auditTargetType',
+            target: 'auditTarget',
+            since: 'auditSince',
+            until: 'auditUntil'
+        };
+        for (const [param, id] of Object.entries(fields)) {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(param, value);
+        }
+        return params;
+    }
+    
+    // Filters changed - start again from the newest entries
+    searchAuditLog() {
+        this.auditOffset = 0;
+        this.loadAuditLog();
+    }
+    
+    changeAuditPage(direction) {
+        this.auditOffset = Math.max(0, this.auditOffset + direction * this.auditPageSize);
+        this.loadAuditLog();
+    }
+    
+    async loadAuditLog() {
+        if (!this.can()) return;
+        
+        const params = this.getAuditQuery();
+        params.set('limit', this.auditPageSize);
+        params.set('offset', this.auditOffset);
+        
+        const result = await this.apiCall(`/audit?${params}`);
+        if (!result) return;
+        
+        // Keep the action dropdown in step with what has actually been logged
+        const actionSelect = document.getElementById('auditAction');
+        const selected = actionSelect.value;
+        actionSelect.innerHTML = '<option value="">All actions</option>' + result.actions.map(action =>
+            `<option value="${this.escapeHtml(action)}" ${action === selected ? 'selected' : ''}>${this.escapeHtml(action)}</option>`
+        ).join('');
+        
+        const first = result.total === 0 ? 0 : result.offset + 1;
+        const last = result.offset + result.entries.length;
+        document.getElementById('auditPageInfo').textContent = `${first}-${last} of ${result.total}`;
+        document.getElementById('auditPrev').disabled = result.offset === 0;
+        document.getElementById('auditNext').disabled = last >= result.total;
+        
+        const container = document.getElementById('auditList');
+        if (result.entries.length === 0) {
+            container.innerHTML = '<div class="no-data">No audit entries</div>';
+            return;
+        }
+        
+        const snapshot = (label, data) => data ? `
+            <details style="margin-top: 6px;">
+                <summary style="cursor: pointer; color: #B0B3B8; font-size: 12px;">${label}</summary>
+                <pre style="white-space: pre-wrap; word-break: break-all; font-size: 11px; color: #E4E6EA; margin: 6px 0 0;">${this.escapeHtml(JSON.stringify(data, null, 2))}</pre>
+            </details>
+        ` : '';
+        
+        container.innerHTML = result.entries.map(entry => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <span class="channel-tag" style="${entry.action === 'login.failure' ? 'background: #dc3545;' : ''}">${this.escapeHtml(entry.action)}</span>
+                        ${entry.targetType ? `<span class="message-author">${this.escapeHtml(entry.targetType)} ${this.escapeHtml(entry.targetId || '')}</span>` : ''}
+                    </div>
+                </div>
+                ${snapshot('Before', entry.before)}
+                ${snapshot('After', entry.after)}
+                <div class="message-meta">
+                    <span>${new Date(entry.createdAt.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+                    <span>👤 ${this.escapeHtml(entry.actorName || 'unknown')}</span>
+                    <span style="font-family: monospace;">${this.escapeHtml(entry.actorSession || 'no session')}</span>
+                    ${entry.ipAddress ? `<span style="font-family: monospace;">${this.escapeHtml(entry.ipAddress)}</span>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Downloads with the session cookie, using the filters currently selected
+    exportAuditLog() {
+        window.location.href = `/api/admin/audit/export?${this.getAuditQuery()}`;
+    }
+    
+    // ==================== Admin Accounts ====================
+    
+    async loadAdmins() {
+        if (!this.can()) return;
+        
+        const data = await this.apiCall('/users');
+        if (!data) return;
+        
+        const container = document.getElementById('adminsList');
+        const roleLabels = { owner: 'Owner', moderator: 'Moderator', advertiser: 'Advertiser manager' };
+        
+        container.innerHTML = data.users.map(user => {
+            const isSelf = user.id === this.admin.id;
+            const roleOptions = data.roles.map(role =>
+                `<option value="${role}" ${role === user.role ? 'selected' : ''}>${roleLabels[role] || role}</option>`
+            ).join('');
+            
+            let status = user.lastLoginAt ? `Last login ${new Date(user.lastLoginAt).toLocaleString()}` : 'Never logged in';
+            if (user.pendingInvite) {
+                const expired = !user.inviteExpiresAt || new Date(user.inviteExpiresAt) <= new Date();
+                status = expired ? 'Invite expired' : `Invite pending until ${new Date(user.inviteExpiresAt).toLocaleString()}`;
+            }
+            
+            return `
+                <div class="message-item" style="${user.disabled ? 'opacity: 0.6;' : ''}">
+                    <div class="message-header">
+                        <div class="message-info">
+                            <span class="message-author">${this.escapeHtml(user.username)}</span>
+                            ${isSelf ? '<span class="channel-tag">you</span>' : ''}
+                            ${user.disabled ? '<span class="channel-tag" style="background: #dc3545;">disabled</span>' : ''}
+                            ${user.twoFactorEnabled ? '<span class="channel-tag" style="background: #28a745;">2FA</span>' : ''}
+                        </div>
+                        <div style="display: flex; gap: 8px; align-items: center;">
+                            <select onchange="dashboard.updateAdmin(${user.id}, { role: this.value })" ${isSelf ? 'disabled' : ''}>
+                                ${roleOptions}
+                            </select>
+                            <button class="delete-btn" style="background: #5a5d65;" onclick="dashboard.reinviteAdmin(${user.id}, '${this.escapeHtml(user.username)}')">
+                                🔗 New link
+                            </button>
+                            ${user.twoFactorEnabled && !isSelf ? `
+                                <button class="delete-btn" style="background: #5a5d65;" onclick="dashboard.resetAdminTwoFactor(${user.id}, '${this.escapeHtml(user.username)}')">
+                                    🔓 Reset 2FA
+                                </button>
+                            ` : ''}
+                            ${isSelf ? '' : `
+                                <button class="delete-btn" style="${user.disabled ? 'background: #28a745;' : ''}" onclick="dashboard.updateAdmin(${user.id}, { disabled: ${!user.disabled} })">
+                                    ${user.disabled ? '✓ Enable' : '⛔ Disable'}
+                                </button>
+                            `}
+                        </div>
+                    </div>
+                    <div class="message-meta">
+                        <span>${status}</span>
+                        <span>Added ${new Date(user.createdAt.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async inviteAdmin() {
+        const username = document.getElementById('inviteUsername').value.trim();
+        const role = document.getElementById('inviteRole').value;
+        
+        if (!username) {
+            this.showNotification('Enter a username', 'error');
+            return;
+        }
+        
+        const result = await this.apiCall('/users', {
+            method: 'POST',
+            body: JSON.stringify({ username, role })
+        });
+        
+        if (result && result.success) {
+            document.getElementById('inviteUsername').value = '';
+            this.showInviteLink(result.user.username, result.inviteUrl);
+            this.showNotification('Admin invited', 'success');
+            await this.loadAdmins();
+        } else {
+            this.showNotification('Failed to invite - the username may be taken or invalid', 'error');
+        }
+    }
+    
+    async reinviteAdmin(id, username) {
+        if (!confirm(`Create a new invite link for ${username}? Anyone with it can set their password.`)) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/users/${id}/invite`, { method: 'POST' });
+        if (result && result.success) {
+            this.showInviteLink(username, result.inviteUrl);
+            await this.loadAdmins();
+        } else {
+            this.showNotification('Failed to create invite link', 'error');
+        }
+    }
+    
+    showInviteLink(username, url) {
+        document.getElementById('inviteLinkUser').textContent = username;
+        document.getElementById('inviteLink').value = url;
+        document.getElementById('inviteLinkBox').style.display = 'block';
+    }
+    
+    async copyInviteLink() {
+        const input = document.getElementById('inviteLink');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.showNotification('Invite link copied', 'success');
+        } catch (error) {
+            input.select();
+        }
+    }
+    
+    async resetAdminTwoFactor(id, username) {
+        if (!confirm(`Turn off two-factor for ${username}? Only do this if you have confirmed who is asking.`)) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/users/${id}/reset-2fa`, { method: 'POST' });
+        if (result && result.success) {
+            this.showNotification('Two-factor reset', 'success');
+        } else {
+            this.showNotification('Failed to reset two-factor', 'error');
+        }
+        await this.loadAdmins();
+    }
+    
+    async updateAdmin(id, changes) {
+        if (changes.disabled && !confirm('Disable this admin? They will be logged out immediately.')) {
+            await this.loadAdmins();
+            return;
+        }
+        
+        const result = await this.apiCall(`/users/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        
+        if (result && result.success) {
+            this.showNotification('Admin updated', 'success');
+        } else {
+            this.showNotification('Failed to update admin - there must always be an active owner', 'error');
+        }
+        await this.loadAdmins();
+    }
+    
+    // ==================== Two-Factor (own account) ====================
+    
+    async loadTwoFactor() {
+        const status = await this.apiCall('/2fa');
+        if (!status) return;
+        
+        const panel = document.getElementById('twoFactorPanel');
+        if (!status.enabled) {
+            panel.innerHTML = `
+                <p style="color: #B0B3B8; margin-bottom: 12px;">Two-factor authentication is <strong>off</strong>. Turn it on to require a code from an authenticator app when you sign in.</p>
+                <button onclick="dashboard.setupTwoFactor()">Set up two-factor</button>
+            `;
+            return;
+        }
+        
+        panel.innerHTML = `
+            <p style="color: #B0B3B8; margin-bottom: 12px;">
+                Two-factor authentication is <strong style="color: #28a745;">on</strong>.
+                ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: flex-end;">
+                <input type="text" id="twoFactorCode" inputmode="numeric" autocomplete="one-time-code" placeholder="Code from your app" style="width: 170px; padding: 8px; border-radius: 6px; border: 1px solid #5a5d65; background: #3a3d45; color: #fff;">
+                <button onclick="dashboard.regenerateRecoveryCodes()">New recovery codes</button>
+                <input type="password" id="twoFactorPassword" autocomplete="current-password" placeholder="Password (to turn off)" style="width: 200px; padding: 8px; border-radius: 6px; border: 1px solid #5a5d65; background: #3a3d45; color: #fff;">
+                <button class="delete-btn" onclick="dashboard.disableTwoFactor()">Turn off</button>
+            </div>
+        `;
+    }
+    
+    async setupTwoFactor() {
+        const setup = await this.apiCall('/2fa/setup', { method: 'POST' });
+        if (!setup) {
+            this.showNotification('Failed to start two-factor setup', 'error');
+            return;
+        }
+        
+        document.getElementById('recoveryCodesBox').style.display = 'none';
+        document.getElementById('twoFactorPanel').innerHTML = `
+            <p style="color: #B0B3B8; margin-bottom: 12px;">Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+            <img src="${setup.qrCode}" alt="Two-factor QR code" style="background: #fff; padding: 8px; border-radius: 6px;">
+            <p style="color: #B0B3B8; margin: 12px 0;">Can't scan? Enter this key instead: <code style="user-select: all;">${this.escapeHtml(setup.secret)}</code></p>
+            <div style="display: flex; gap: 10px;">
+                <input type="text" id="twoFactorCode" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" style="width: 170px; padding: 8px; border-radius: 6px; border: 1px solid #5a5d65; background: #3a3d45; color: #fff;">
+                <button onclick="dashboard.enableTwoFactor()">Turn on</button>
+            </div>
+        `;
+        document.getElementById('twoFactorCode').focus();
+    }
+    
+    async enableTwoFactor() {
+        const code = document.getElementById('twoFactorCode').value.trim();
+        const result = await this.apiCall('/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        
+        if (result && result.success) {
+            this.showNotification('Two-factor authentication is on', 'success');
+            this.showRecoveryCodes(result.recoveryCodes);
+            await this.loadTwoFactor();
+        } else {
+            this.showNotification('That code is not right - try the next one your app shows', 'error');
+        }
+    }
+    
+    async regenerateRecoveryCodes() {
+        const code = document.getElementById('twoFactorCode').value.trim();
+        if (!code) {
+            this.showNotification('Enter a code from your app first', 'error');
+            return;
+        }
+        
+        const result = await this.apiCall('/2fa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        
+        if (result && result.success) {
+            this.showNotification('New recovery codes created - the old ones no longer work', 'success');
+            this.showRecoveryCodes(result.recoveryCodes);
+            await this.loadTwoFactor();
+        } else {
+            this.showNotification('Invalid authentication code', 'error');
+        }
+    }
+    
+    async disableTwoFactor() {
+        const code = document.getElementById('twoFactorCode').value.trim();
+        const password = document.getElementById('twoFactorPassword').value;
+        if (!code || !password) {
+            this.showNotification('Enter your password and a code from your app', 'error');
+            return;
+        }
+        if (!confirm('Turn off two-factor authentication?')) {
+            return;
+        }
+        
+        const result = await this.apiCall('/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password, code })
+        });
+        
+        if (result && result.success) {
+            this.showNotification('Two-factor authentication is off', 'success');
+            document.getElementById('recoveryCodesBox').style.display = 'none';
+            await this.loadTwoFactor();
+        } else {
+            this.showNotification('Password or code is not right', 'error');
+        }
+    }
+    
+    showRecoveryCodes(codes) {
+        document.getElementById('recoveryCodesList').textContent = codes.join('\n');
+        document.getElementById('recoveryCodesBox').style.display = 'block';
+    }
+    
+    // ==================== Sessions (own account) ====================
+    
+    async loadSessions() {
+        const data = await this.apiCall('/sessions');
+        if (!data) return;
+        
+        const container = document.getElementById('sessionsList');
+        const others = data.sessions.filter(session => !session.current).length;
+        document.getElementById('revokeOtherSessionsBtn').style.display = others > 0 ? '' : 'none';
+        
+        container.innerHTML = data.sessions.map(session => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <span class="message-author">${this.escapeHtml(session.userAgent || 'Unknown browser')}</span>
+                        ${session.current ? '<span class="channel-tag" style="background: #28a745;">this session</span>' : ''}
+                    </div>
+                    ${session.current ? '' : `
+                        <button class="delete-btn" onclick="dashboard.revokeSession(${session.id})">
+                            🚪 Log out
+                        </button>
+                    `}
+                </div>
+                <div class="message-meta">
+                    <span>${this.escapeHtml(session.ipAddress || 'unknown IP')} · last active ${new Date(session.lastSeenAt).toLocaleString()}</span>
+                    <span>Signed in ${new Date(session.createdAt).toLocaleString()}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    async revokeSession(id) {
+        if (!confirm('Log out this session?')) {
+            return;
+        }
+        
+        const result = await this.apiCall(`/sessions/${id}`, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showNotification('Session logged out', 'success');
+        } else {
+            this.showNotification('Failed to log out session', 'error');
+        }
+        await this.loadSessions();
+    }
+    
+    async revokeOtherSessions() {
+        if (!confirm('Log out all your other sessions?')) {
+            return;
+        }
+        
+        const result = await this.apiCall('/sessions/revoke-others', { method: 'POST' });
+        if (result && result.success) {
+            this.showNotification(`Logged out ${result.revoked} other session${result.revoked === 1 ? '' : 's'}`, 'success');
+        } else {
+            this.showNotification('Failed to log out other sessions', 'error');
+        }
+        await this.loadSessions();
+    }
+    
+    async showRevisions(messageId) {
+        const result = await this.apiCall(`/messages/${messageId}/revisions`);
+        if (!result) {
+            this.showNotification('Failed to load edit history', 'error');
+            return;
+        }
+        
+        const modal = document.createElement('div');
+        modal.className = 'image-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.9);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10000;
+        `;
+        
+        // Oldest first - each revision is the text as it was before an edit
+        const versions = result.revisions.map((revision, index) => `
+            <div style="padding: 10px 0; border-bottom: 1px solid #5a5d65;">
+                <div style="font-size: 12px; color: #888; margin-bottom: 4px;">
+                    ${index === 0 ? 'Original' : `Version ${index + 1}`} · replaced ${new Date(revision.editedAt).toLocaleString()}
+                </div>
+                <div style="color: #B0B3B8; white-space: pre-wrap; word-wrap: break-word;">${this.escapeHtml(revision.message)}</div>
+            </div>
+        `).join('');
+        
+        modal.innerHTML = `
+            <div style="width: 560px; max-width: 90vw; max-height: 80vh; overflow-y: auto; background: #3a3d45; border-radius: 12px; padding: 20px;">
+                <div style="font-weight: bold; color: #fff; margin-bottom: 10px;">✏️ Edit history</div>
+                ${versions}
+                <div style="padding: 10px 0;">
+                    <div style="font-size: 12px; color: #28a745; margin-bottom: 4px;">Current</div>
+                    <div style="color: #fff; white-space: pre-wrap; word-wrap: break-word;">${this.escapeHtml(result.current.message)}</div>
+                </div>
+                <div style="text-align: center; margin-top: 15px;">
+                    <button onclick="this.closest('.image-modal').remove()"
+                        style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer;">
+                        ✕ Close
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+    }
+    
+    showImageModal(imageSrc, displayName, message) {
+        const modal = document.createElement('div');
+        modal.className = 'image-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.9);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10000;
+            cursor: pointer;
+        `;
+        
+        const modalContent = document.createElement('div');
+        modalContent.style.cssText = `
+            max-width: 90vw;
+            max-height: 90vh;
+            background: #3a3d45;
+            border-radius: 12px;
+            padding: 20px;
+            cursor: default;
+        `;
+        
+        modalContent.innerHTML = `
+            <div style="margin-bottom: 15px; border-bottom: 1px solid #5a5d65; padding-bottom: 10px;">
+                <div style="font-weight: bold; color: #fff; margin-bottom: 5px;">
+                    📷 Image from ${this.escapeHtml(displayName)}
+                </div>
+                <div style="font-size: 14px; color: #B0B3B8; word-wrap: break-word;">
+                    "${this.escapeHtml(message)}"
+                </div>
+            </div>
+            
+            <img 
+                src="${imageSrc}" 
+                alt="Full size image"
+                style="max-width: 100%; max-height: 70vh; border-radius: 8px; display: block; margin: 0 auto;"
+            />
+            
+            <div style="text-align: center; margin-top: 15px;">
+                <button onclick="this.closest('.image-modal').remove()"
+                    style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; margin-right: 10px;">
+                    ✕ Close
+                </button>
+                <button onclick="dashboard.downloadImage('${imageSrc}', '${this.escapeHtml(displayName)}')"
+                    style="background: #28a745; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer;">
+                    💾 Download
+                </button>
+            </div>
+        `;
+        
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        
+        document.addEventListener('keydown', function handler(e) {
+            if (e.key === 'Escape') {
+                modal.remove();
+                document.removeEventListener('keydown', handler);
+            }
+        });
+        
+        modalContent.addEventListener('click', e => e.stopPropagation());
+    }
+    
+    downloadImage(imageSrc, displayName) {
+        try {
+            const link = document.createElement('a');
+            link.href = imageSrc;
+            link.download = `groupdeedo-${displayName}-${Date.now()}.jpg`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            this.showNotification('Download started', 'success');
+        } catch (error) {
+            this.showNotification('Download failed', 'error');
+        }
+    }
+    
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 12px 20px;
+            border-radius: 8px;
+            color: white;
+            font-weight: 500;
+            z-index: 10001;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+            background: ${type === 'success' ? '#28a745' : type === 'error' ? '#dc3545' : '#17a2b8'};
+        `;
+        notification.textContent = message;
+        
+        document.body.appendChild(notification);
+        
+        setTimeout(() => notification.style.transform = 'translateX(0)', 10);
+        
+        setTimeout(() => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => notification.remove(), 300);
+        }, 3000);
+    }
+    
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
     
     updateTimestamp() {
         const el = document.getElementById('lastUpdate');
@@ -471,13 +1848,25 @@ class AdminDashboard {
         }
     }
     
-    logout() {
-        document.cookie = 'adminSession=; path=/; expires=Thu, 01 Jan 1970 00:00:01 GMT;';
+    async logout() {
+        try {
+            await fetch('/api/admin/logout', { method: 'POST', credentials: 'include' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
         
+        this.redirectToLogin();
+    }
+    
+    redirectToLogin() {
         if (this.autoRefreshInterval) {
             clearInterval(this.autoRefreshInterval);
         }
         
+        if (this.liveSocket) {
+            this.liveSocket.disconnect();
+        }
+        
         window.location.href = '/proadmin/login';
     }
     
@@ -485,11 +1874,17 @@ class AdminDashboard {
         if (this.autoRefreshInterval) {
             clearInterval(this.autoRefreshInterval);
         }
+        
+        if (this.liveSocket) {
+            this.liveSocket.disconnect();
+        }
     }
     
     // ==================== Ads Management ====================
     
     async loadAds() {
+        if (!this.can('advertiser')) return;
+        
         const ads = await this.apiCall('/ads');
         
         if (!ads) {
@@ -634,12 +2029,8 @@ class AdminDashboard {
             const formData = new FormData();
             formData.append('image', file);
             
-            const token = this.getAdminToken();
             const response = await fetch('/api/admin/ads/upload', {
                 method: 'POST',
-                headers: {
-                    'X-Admin-Token': token
-                },
                 credentials: 'include',
                 body: formData
             });
@@ -779,6 +2170,22 @@ window.logout = () => dashboard.logout();
 window.showAddAdForm = () => dashboard.showAddAdForm();
 window.hideAdForm = () => dashboard.hideAdForm();
 window.saveAd = () => dashboard.saveAd();
+window.saveChannelSettings = () => dashboard.saveChannelSettings();
+window.showTab = (tab) => dashboard.showTab(tab);
+window.loadReports = () => dashboard.loadReports();
+window.loadBans = () => dashboard.loadBans();
+window.addBan = () => dashboard.addBan();
+window.loadFilters = () => dashboard.loadFilters();
+window.addFilterRule = () => dashboard.addFilterRule();
+window.loadHeldMessages = () => dashboard.loadHeldMessages();
+window.loadRemovedPosts = () => dashboard.loadRemovedPosts();
+window.loadAuditLog = () => dashboard.loadAuditLog();
+window.searchAuditLog = () => dashboard.searchAuditLog();
+window.changeAuditPage = (direction) => dashboard.changeAuditPage(direction);
+window.exportAuditLog = () => dashboard.exportAuditLog();
+window.loadAdmins = () => dashboard.loadAdmins();
+window.inviteAdmin = () => dashboard.inviteAdmin();
+window.copyInviteLink = () => dashboard.copyInviteLink();
 
 // Initialize dashboard
 let dashboard;
@@ -6,14 +6,45 @@ class GroupdeedoApp {
             channel: ''
         };
         this.channels = []; // List of user's channels
-        this.currentView = 'channels'; // 'channels' or 'chat'
+        this.currentView = 'channels'; // 'channels', 'chat' or 'nearby'
         this.isConnected = false;
         this.hasAgreedToTos = false;
         this.selectedImageData = null;
+        this.identity = null; // { sessionId, token } issued by the server
+        this.editTokens = {}; // postId -> { token, editableUntil, savedAt } for the user's own posts
+        this.historyChannel = null;
+        this.hasMoreHistory = false;
+        this.isLoadingHistory = false;
+        this.replyingTo = null; // Post being replied to
+        this.openThreadId = null; // Post whose thread is shown
+        this.reactionOptions = []; // Emoji the server accepts as reactions
+        this.myReactions = new Map(); // postId -> Set of emoji this user reacted with
+        this.reportingPostId = null;
+        this.cooldownUntil = 0; // Slow mode: time the user may send again
+        this.cooldownTimer = null;
+        this.channelAccessTokens = {}; // channel -> access token for passphrase-protected channels
+        this.pendingInvite = null; // { channel, token } from an invite link
+        this.lockedChannel = null; // Channel whose passphrase prompt is showing
+        this.ownerKeys = {}; // channel -> owner key for channels this user claimed
+        this.channelDetails = null; // { channel, description, claimed } for the current channel
+        this.channelRole = null; // { channel, role, ... } - 'owner' or 'moderator' in the current channel
+        this.moderatingPost = null; // Post the moderation modal is open for
+        this.channelBanner = null; // { channel, announcement, pinned } shown above the messages
+        this.collapsedBanners = {}; // channel -> banner contents the user collapsed
+        this.directoryTag = null; // Tag the channel directory is filtered by
+        this.directorySearchTimer = null;
+        this.nearbySettings = null; // { radiusMiles } once the user has opted in to Nearby
+        this.nearbyLocation = null; // { latitude, longitude, radiusMiles } rounded for the radius
         
         // Load saved data from localStorage
         this.loadUserSettings();
         this.loadChannels();
+        this.loadIdentity();
+        this.loadEditTokens();
+        this.loadChannelAccessTokens();
+        this.loadOwnerKeys();
+        this.loadCollapsedBanners();
+        this.loadNearbySettings();
         
         this.init();
     }
@@ -83,6 +114,138 @@ class GroupdeedoApp {
         }
     }
     
+    loadIdentity() {
+        try {
+            const savedIdentity = localStorage.getItem('groupdeedo_identity');
+            if (savedIdentity) {
+                this.identity = JSON.parse(savedIdentity);
+                console.log('Loaded identity:', this.identity.sessionId);
+            }
+        } catch (error) {
+            console.warn('Failed to load identity from localStorage:', error);
+            this.identity = null;
+        }
+    }
+    
+    saveIdentity() {
+        try {
+            localStorage.setItem('groupdeedo_identity', JSON.stringify(this.identity));
+        } catch (error) {
+            console.warn('Failed to save identity to localStorage:', error);
+        }
+    }
+    
+    loadEditTokens() {
+        try {
+            const savedTokens = localStorage.getItem('groupdeedo_edit_tokens');
+            if (savedTokens) {
+                this.editTokens = JSON.parse(savedTokens);
+                
+                // Forget tokens for posts that have long since been cleaned up
+                const cutoff = Date.now() - 90 * 24 * 60 * 60 * 1000;
+                Object.keys(this.editTokens).forEach(postId => {
+                    if (this.editTokens[postId].savedAt < cutoff) {
+                        delete this.editTokens[postId];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load edit tokens from localStorage:', error);
+            this.editTokens = {};
+        }
+    }
+    
+    saveEditTokens() {
+        try {
+            localStorage.setItem('groupdeedo_edit_tokens', JSON.stringify(this.editTokens));
+        } catch (error) {
+            console.warn('Failed to save edit tokens to localStorage:', error);
+        }
+    }
+    
+    loadChannelAccessTokens() {
+        try {
+            const savedTokens = localStorage.getItem('groupdeedo_channel_access');
+            if (savedTokens) {
+                this.channelAccessTokens = JSON.parse(savedTokens);
+            }
+        } catch (error) {
+            console.warn('Failed to load channel access tokens from localStorage:', error);
+            this.channelAccessTokens = {};
+        }
+    }
+    
+    saveChannelAccessTokens() {
+        try {
+            localStorage.setItem('groupdeedo_channel_access', JSON.stringify(this.channelAccessTokens));
+        } catch (error) {
+            console.warn('Failed to save channel access tokens to localStorage:', error);
+        }
+    }
+    
+    loadOwnerKeys() {
+        try {
+            const savedKeys = localStorage.getItem('groupdeedo_owner_keys');
+            if (savedKeys) {
+                this.ownerKeys = JSON.parse(savedKeys);
+            }
+        } catch (error) {
+            console.warn('Failed to load owner keys from localStorage:', error);
+            this.ownerKeys = {};
+        }
+    }
+    
+    saveOwnerKeys() {
+        try {
+            localStorage.setItem('groupdeedo_owner_keys', JSON.stringify(this.ownerKeys));
+        } catch (error) {
+            console.warn('Failed to save owner keys to localStorage:', error);
+        }
+    }
+    
+    loadCollapsedBanners() {
+        try {
+            const savedBanners = localStorage.getItem('groupdeedo_collapsed_banners');
+            if (savedBanners) {
+                this.collapsedBanners = JSON.parse(savedBanners);
+            }
+        } catch (error) {
+            console.warn('Failed to load collapsed banners from localStorage:', error);
+            this.collapsedBanners = {};
+        }
+    }
+    
+    saveCollapsedBanners() {
+        try {
+            localStorage.setItem('groupdeedo_collapsed_banners', JSON.stringify(this.collapsedBanners));
+        } catch (error) {
+            console.warn('Failed to save collapsed banners to localStorage:', error);
+        }
+    }
+    
+    loadNearbySettings() {
+        try {
+            const savedSettings = localStorage.getItem('groupdeedo_nearby');
+            if (savedSettings) {
+                this.nearbySettings = JSON.parse(savedSettings);
+            }
+        } catch (error) {
+            console.warn('Failed to load nearby settings from localStorage:', error);
+        }
+    }
+    
+    saveNearbySettings() {
+        try {
+            if (this.nearbySettings) {
+                localStorage.setItem('groupdeedo_nearby', JSON.stringify(this.nearbySettings));
+            } else {
+                localStorage.removeItem('groupdeedo_nearby');
+            }
+        } catch (error) {
+            console.warn('Failed to save nearby settings to localStorage:', error);
+        }
+    }
+    
     addChannel(channelName) {
         // Normalize to lowercase for case-insensitive channels
         const normalized = channelName.trim().toLowerCase();
@@ -105,6 +268,8 @@ class GroupdeedoApp {
         const normalized = channelName.toLowerCase();
         this.channels = this.channels.filter(c => c.toLowerCase() !== normalized);
         this.saveChannels();
+        delete this.channelAccessTokens[normalized];
+        this.saveChannelAccessTokens();
         this.renderChannelList();
     }
     
@@ -168,8 +333,11 @@ class GroupdeedoApp {
         this.currentView = 'chat';
         
         // Clear messages container
+        this.hasMoreHistory = false;
+        this.isLoadingHistory = false;
         const container = document.getElementById('messagesContainer');
         container.innerHTML = '<div class="welcome-message"><p>Loading messages...</p></div>';
+        this.renderChannelBanner(null);
         
         // Update browser history
         if (pushState) {
@@ -280,8 +448,14 @@ class GroupdeedoApp {
             // Set as pending channel to open after TOS/init
             this.pendingChannel = normalizedChannel;
             
+            // Invite links unlock protected channels - keep the token out of the address bar
+            const inviteParam = urlParams.get('invite');
+            if (inviteParam) {
+                this.pendingInvite = { channel: normalizedChannel, token: inviteParam };
+            }
+            
             // Replace URL state (don't clear the URL yet - we'll set it properly when showing chat)
-            window.history.replaceState({ view: 'chat', channel: normalizedChannel }, '', window.location.href);
+            window.history.replaceState({ view: 'chat', channel: normalizedChannel }, '', `/?channel=${encodeURIComponent(normalizedChannel)}`);
         } else {
             // No channel param - set initial state
             window.history.replaceState({ view: 'channels' }, '', '/');
@@ -302,6 +476,8 @@ class GroupdeedoApp {
             if (state && state.view === 'chat' && state.channel) {
                 // Going to a chat view
                 this.showChatView(state.channel, false); // false = don't push new state
+            } else if (state && state.view === 'nearby' && this.nearbySettings) {
+                this.showNearbyView(false);
             } else {
                 // Going to channel list (or unknown state)
                 this.showChannelListScreen(false); // false = don't push new state
@@ -348,11 +524,43 @@ class GroupdeedoApp {
             this.updateSettings();
         });
         
+        document.getElementById('resetIdentityBtn').addEventListener('click', () => {
+            if (confirm('Reset your anonymous identity? Your past messages and votes will no longer be linked to you.')) {
+                this.resetIdentity();
+            }
+        });
+        
         document.getElementById('mainSettingsOk').addEventListener('click', () => {
             this.closeMainSettings();
             this.showNotification('Settings saved', 'success');
         });
         
+        // Channel List Screen - your channels / public directory
+        document.getElementById('myChannelsTab').addEventListener('click', () => {
+            this.showChannelListTab('mine');
+        });
+        
+        document.getElementById('browseChannelsTab').addEventListener('click', () => {
+            this.showChannelListTab('browse');
+        });
+        
+        document.getElementById('nearbyTab').addEventListener('click', () => {
+            this.showChannelListTab('nearby');
+        });
+        
+        document.getElementById('openNearbyBtn').addEventListener('click', () => {
+            this.openNearby();
+        });
+        
+        document.getElementById('stopNearbyBtn').addEventListener('click', () => {
+            this.stopNearby();
+        });
+        
+        document.getElementById('directorySearch').addEventListener('input', () => {
+            clearTimeout(this.directorySearchTimer);
+            this.directorySearchTimer = setTimeout(() => this.loadDirectory(), 300);
+        });
+        
         // Channel List Screen - Add channel
         document.getElementById('addChannelBtn').addEventListener('click', () => {
             this.handleAddChannel();
@@ -443,6 +651,13 @@ class GroupdeedoApp {
             this.removeSelectedImage();
         });
         
+        // Load older messages when scrolled to the top
+        document.getElementById('messagesContainer').parentElement.addEventListener('scroll', (e) => {
+            if (e.target.scrollTop < 50) {
+                this.loadOlderPosts();
+            }
+        });
+        
         // Share modal
         document.getElementById('closeShareModal').addEventListener('click', () => {
             this.hideChannelShareModal();
@@ -457,6 +672,124 @@ class GroupdeedoApp {
                 this.hideChannelShareModal();
             }
         });
+        
+        document.getElementById('inviteLifetime').addEventListener('change', () => {
+            this.requestChannelInvite();
+        });
+        
+        // Channel passphrase
+        document.getElementById('protectChannelBtn').addEventListener('click', () => {
+            this.closeSettings();
+            this.showPassphraseModal();
+        });
+        
+        document.getElementById('closePassphraseModal').addEventListener('click', () => {
+            this.hidePassphraseModal();
+        });
+        
+        document.getElementById('savePassphrase').addEventListener('click', () => {
+            this.savePassphrase();
+        });
+        
+        document.getElementById('passphraseModal').addEventListener('click', (e) => {
+            if (e.target.id === 'passphraseModal') {
+                this.hidePassphraseModal();
+            }
+        });
+        
+        document.getElementById('channelBannerToggle').addEventListener('click', () => {
+            this.toggleChannelBanner();
+        });
+        
+        // Channel owner/moderator tools
+        document.getElementById('claimChannelBtn').addEventListener('click', () => {
+            this.claimChannel();
+        });
+        
+        document.getElementById('useOwnerKeyBtn').addEventListener('click', () => {
+            this.useOwnerKey();
+        });
+        
+        document.getElementById('saveChannelSettingsBtn').addEventListener('click', () => {
+            this.saveChannelSettings();
+        });
+        
+        document.getElementById('copyOwnerKeyBtn').addEventListener('click', () => {
+            const input = document.getElementById('ownerKeyDisplay');
+            input.select();
+            navigator.clipboard.writeText(input.value).then(() => {
+                this.showNotification('Owner key copied', 'success');
+            }).catch(() => {
+                document.execCommand('copy');
+                this.showNotification('Owner key copied', 'success');
+            });
+        });
+        
+        document.getElementById('closeModerateModal').addEventListener('click', () => {
+            this.hideModerateModal();
+        });
+        
+        document.getElementById('moderateModal').addEventListener('click', (e) => {
+            if (e.target.id === 'moderateModal') {
+                this.hideModerateModal();
+            }
+        });
+        
+        document.getElementById('moderatePinBtn').addEventListener('click', () => {
+            const pinned = this.isMessagePinned(this.moderatingPost.id);
+            this.moderatePost(pinned ? 'unpin' : 'pin');
+        });
+        
+        document.getElementById('moderateDeleteBtn').addEventListener('click', () => {
+            if (confirm('Remove this message for everyone?')) {
+                this.moderatePost('delete');
+            }
+        });
+        
+        document.getElementById('moderateAddModBtn').addEventListener('click', () => {
+            this.addChannelModerator(this.moderatingPost);
+        });
+        
+        // Report modal
+        document.getElementById('closeReportModal').addEventListener('click', () => {
+            this.hideReportModal();
+        });
+        
+        document.getElementById('submitReport').addEventListener('click', () => {
+            this.submitReport();
+        });
+        
+        document.getElementById('reportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'reportModal') {
+                this.hideReportModal();
+            }
+        });
+        
+        // Reply preview and thread view
+        document.getElementById('cancelReply').addEventListener('click', () => {
+            this.cancelReply();
+        });
+        
+        document.getElementById('closeThreadModal').addEventListener('click', () => {
+            this.hideThread();
+        });
+        
+        document.getElementById('threadModal').addEventListener('click', (e) => {
+            if (e.target.id === 'threadModal') {
+                this.hideThread();
+            }
+        });
+        
+        // Full-size image viewer
+        document.getElementById('closeImageViewer').addEventListener('click', () => {
+            this.hideImageViewer();
+        });
+        
+        document.getElementById('imageViewerModal').addEventListener('click', (e) => {
+            if (e.target.id === 'imageViewerModal') {
+                this.hideImageViewer();
+            }
+        });
     }
     
     handleAddChannel() {
@@ -474,6 +807,93 @@ class GroupdeedoApp {
         }
     }
     
+    // ==================== Channel Directory ====================
+    
+    showChannelListTab(tab) {
+        const tabs = {
+            mine: ['myChannelsTab', 'myChannelsView'],
+            browse: ['browseChannelsTab', 'browseChannelsView'],
+            nearby: ['nearbyTab', 'nearbyView']
+        };
+        Object.entries(tabs).forEach(([name, [tabId, viewId]]) => {
+            document.getElementById(tabId).classList.toggle('active', name === tab);
+            document.getElementById(viewId).style.display = name === tab ? 'flex' : 'none';
+        });
+        
+        if (tab === 'browse') {
+            this.loadDirectory();
+        } else if (tab === 'nearby') {
+            this.renderNearbyTab();
+        }
+    }
+    
+    async loadDirectory() {
+        const params = new URLSearchParams();
+        const search = document.getElementById('directorySearch').value.trim();
+        if (search) params.set('q', search);
+        if (this.directoryTag) params.set('tag', this.directoryTag);
+        
+        try {
+            const response = await fetch(`/api/channels?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.renderDirectory(await response.json());
+        } catch (error) {
+            console.error('Error loading channel directory:', error);
+            document.getElementById('directoryList').innerHTML = `
+                <div class="empty-channels-message">
+                    <p>Couldn't load the channel directory.</p>
+                </div>
+            `;
+        }
+    }
+    
+    renderDirectory({ channels, tags }) {
+        const tagsContainer = document.getElementById('directoryTags');
+        tagsContainer.innerHTML = tags.map(tag => `
+            <button class="directory-tag${tag === this.directoryTag ? ' active' : ''}" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>
+        `).join('');
+        tagsContainer.querySelectorAll('.directory-tag').forEach(button => {
+            button.addEventListener('click', () => {
+                this.directoryTag = button.dataset.tag === this.directoryTag ? null : button.dataset.tag;
+                this.loadDirectory();
+            });
+        });
+        
+        const container = document.getElementById('directoryList');
+        if (channels.length === 0) {
+            container.innerHTML = `
+                <div class="empty-channels-message">
+                    <p>🔍 No channels found</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = channels.map(channel => `
+            <div class="channel-item directory-item" data-channel="${this.escapeHtml(channel.name)}">
+                <div class="directory-item-header">
+                    <span class="channel-name">${channel.isProtected ? '🔒 ' : ''}${this.escapeHtml(channel.title)}</span>
+                    ${channel.title !== channel.name ? `<span class="directory-item-name">${this.escapeHtml(channel.name)}</span>` : ''}
+                </div>
+                ${channel.description ? `<div class="directory-item-description">${this.escapeHtml(channel.description)}</div>` : ''}
+                <div class="directory-item-stats">
+                    👥 ${channel.memberCount} here · 💬 ${channel.postsLastDay} today${channel.lastActivityAt ? ` · active ${this.getTimeAgo(new Date(channel.lastActivityAt))}` : ''}
+                    ${channel.tags.map(tag => ` #${this.escapeHtml(tag)}`).join('')}
+                </div>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.directory-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const channelName = item.dataset.channel;
+                if (!this.channels.includes(channelName)) {
+                    this.addChannel(channelName);
+                }
+                this.showChatView(channelName);
+            });
+        });
+    }
+    
     setupAutoResize() {
         const textarea = document.getElementById('messageInput');
         textarea.addEventListener('input', () => {
@@ -482,10 +902,103 @@ class GroupdeedoApp {
         });
     }
     
+    // ==================== Nearby ====================
+    
+    renderNearbyTab() {
+        if (this.nearbySettings) {
+            document.getElementById('nearbyRadius').value = this.nearbySettings.radiusMiles;
+        }
+        document.getElementById('openNearbyBtn').textContent = this.nearbySettings ? '📍 Open Nearby' : '📍 Share My Approximate Location';
+        document.getElementById('stopNearbyBtn').style.display = this.nearbySettings ? 'block' : 'none';
+    }
+    
+    openNearby() {
+        if (!navigator.geolocation) {
+            this.showNotification('Your browser cannot share a location', 'error');
+            return;
+        }
+        if (!this.nearbySettings && !confirm('Share your approximate location to see messages sent near you? Others only see roughly how far away your messages came from.')) {
+            return;
+        }
+        
+        this.nearbySettings = { radiusMiles: parseInt(document.getElementById('nearbyRadius').value, 10) };
+        this.saveNearbySettings();
+        this.showNearbyView();
+    }
+    
+    stopNearby() {
+        this.nearbySettings = null;
+        this.nearbyLocation = null;
+        this.saveNearbySettings();
+        this.renderNearbyTab();
+        this.showNotification('Nearby is off - your location is no longer used', 'success');
+    }
+    
+    showNearbyView(pushState = true) {
+        // Nearby isn't a channel - keep channel-only tools out of the way
+        this.userSettings.channel = '';
+        this.channelDetails = null;
+        this.channelRole = null;
+        document.body.classList.remove('can-moderate');
+        
+        document.getElementById('channelListScreen').style.display = 'none';
+        document.getElementById('app').style.display = 'flex';
+        document.getElementById('adBanner').style.display = 'none';
+        document.getElementById('currentChannelName').textContent = `📍 Nearby · ${this.nearbySettings.radiusMiles} mi`;
+        this.currentView = 'nearby';
+        
+        this.hasMoreHistory = false;
+        this.isLoadingHistory = false;
+        document.getElementById('messagesContainer').innerHTML = '<div class="welcome-message"><p>Finding your location...</p></div>';
+        this.renderChannelBanner(null);
+        
+        if (pushState) {
+            history.pushState({ view: 'nearby' }, '', '/');
+        }
+        
+        this.locateForNearby();
+    }
+    
+    // Only the location rounded for the chosen radius (from /location.js) leaves the browser
+    locateForNearby() {
+        navigator.geolocation.getCurrentPosition((position) => {
+            const radiusMiles = this.nearbySettings.radiusMiles;
+            this.nearbyLocation = {
+                ...roundCoordinates(position.coords.latitude, position.coords.longitude, radiusMiles),
+                radiusMiles
+            };
+            this.requestNearbyPosts();
+        }, (error) => {
+            console.warn('Could not get location:', error.message);
+            this.showNotification("Couldn't get your location for Nearby", 'error');
+            if (this.currentView === 'nearby') {
+                this.showChannelListScreen();
+            }
+        }, { maximumAge: 10 * 60 * 1000, timeout: 15000 });
+    }
+    
+    requestNearbyPosts() {
+        if (this.socket && this.isConnected && this.currentView === 'nearby' && this.nearbyLocation) {
+            this.socket.emit('enterNearby', this.nearbyLocation);
+        }
+    }
+    
     // ==================== Socket Connection ====================
     
     connectSocket() {
-        this.socket = io();
+        // Present the saved identity token on every (re)connect
+        this.socket = io({
+            auth: (cb) => cb({ identityToken: this.identity?.token || null })
+        });
+        
+        this.socket.on('identity', (identity) => {
+            const isNew = this.identity?.sessionId !== identity.sessionId;
+            this.identity = identity;
+            this.saveIdentity();
+            if (isNew) {
+                console.log('🪪 New identity issued:', identity.sessionId);
+            }
+        });
         
         this.socket.on('connect', () => {
             console.log('Connected to server');
@@ -496,14 +1009,26 @@ class GroupdeedoApp {
             if (this.currentView === 'chat' && this.userSettings.channel) {
                 console.log('📡 Connected while in chat view, requesting posts for:', this.userSettings.channel);
                 this.requestChannelPosts();
+            } else if (this.currentView === 'nearby') {
+                this.requestNearbyPosts();
             } else {
                 this.updateSettings();
             }
         });
         
+        // Rejected by the server (e.g. a ban) - the socket won't retry on its own
+        this.socket.on('connect_error', (error) => {
+            console.warn('Connection refused:', error.message);
+            if (!this.socket.active) {
+                this.updateConnectionStatus('Disconnected', 'disconnected');
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.isConnected = false;
+            this.isLoadingHistory = false; // A pending older-posts reply won't arrive
             this.updateConnectionStatus('Disconnected', 'disconnected');
         });
         
@@ -516,136 +1041,891 @@ class GroupdeedoApp {
             if (this.currentView === 'chat' && this.userSettings.channel) {
                 console.log('📡 Reconnected while in chat view, requesting posts for:', this.userSettings.channel);
                 this.requestChannelPosts();
+            } else if (this.currentView === 'nearby') {
+                this.requestNearbyPosts();
             } else {
                 this.updateSettings();
             }
         });
         
-        this.socket.on('posts', (posts) => {
-            this.displayPosts(posts);
+        this.socket.on('posts', (data) => {
+            if (data.channel !== this.historyChannel) {
+                this.cancelReply();
+                this.hideThread();
+            }
+            this.historyChannel = data.channel; // Channel name as the server normalized it
+            this.hasMoreHistory = data.hasMore;
+            this.displayPosts(data.posts);
+            this.renderChannelBanner({
+                channel: data.channel,
+                announcement: data.announcement || null,
+                pinned: data.pinned || []
+            });
+        });
+        
+        this.socket.on('channelBanner', (banner) => {
+            if (banner.channel === this.historyChannel) {
+                this.renderChannelBanner(banner);
+            }
+        });
+        
+        this.socket.on('olderPosts', (data) => {
+            this.isLoadingHistory = false;
+            if (data.channel !== this.historyChannel) return;
+            this.hasMoreHistory = data.hasMore;
+            this.prependOlderPosts(data.posts);
         });
         
         this.socket.on('newPost', (post) => {
             this.addNewPost(post);
+            if (post.parentId) {
+                this.handleNewReply(post);
+            }
+        });
+        
+        this.socket.on('messageSent', (data) => {
+            this.editTokens[data.postId] = {
+                token: data.editToken,
+                editableUntil: data.editableUntil,
+                savedAt: Date.now()
+            };
+            this.saveEditTokens();
+        });
+        
+        this.socket.on('messageEdited', (data) => {
+            this.updateMessageContent(data.messageId, data.message, data.editedAt);
+        });
+        
+        this.socket.on('reportResult', (result) => {
+            this.showNotification(result.duplicate ? 'You already reported this message' : 'Thanks - a moderator will review this message', 'success');
+        });
+        
+        this.socket.on('channelLimits', (limits) => {
+            this.applyChannelLimits(limits);
+        });
+        
+        this.socket.on('cooldown', (data) => {
+            if (data.channel === this.historyChannel) {
+                this.startCooldown(data.seconds);
+            }
+        });
+        
+        this.socket.on('channelLocked', (data) => {
+            this.isLoadingHistory = false;
+            // A saved token that no longer works (the passphrase was changed)
+            if (!data.error && this.channelAccessTokens[data.channel]) {
+                delete this.channelAccessTokens[data.channel];
+                this.saveChannelAccessTokens();
+            }
+            if (this.currentView === 'chat' && data.channel === this.userSettings.channel) {
+                this.showChannelLock(data.channel, data.error);
+            }
+        });
+        
+        this.socket.on('channelUnlocked', (data) => {
+            if (data.accessToken) {
+                this.channelAccessTokens[data.channel] = data.accessToken;
+                this.saveChannelAccessTokens();
+            }
+            if (this.lockedChannel === data.channel) {
+                this.lockedChannel = null;
+                this.showNotification('Channel unlocked', 'success');
+            }
+        });
+        
+        this.socket.on('channelProtected', (data) => {
+            this.hidePassphraseModal();
+            this.showNotification(data.changed ? 'Passphrase changed' : 'Channel protected with a passphrase', 'success');
+        });
+        
+        this.socket.on('channelClaimed', (data) => {
+            this.ownerKeys[data.channel] = data.ownerKey;
+            this.saveOwnerKeys();
+            this.showNotification(data.restored ? 'Owner key accepted' : 'You own this channel now - save your owner key from Settings', 'success');
+        });
+        
+        this.socket.on('channelDetails', (details) => {
+            if (details.channel !== this.userSettings.channel) return;
+            this.channelDetails = details;
+            this.renderChannelManagement();
+        });
+        
+        this.socket.on('channelRole', (data) => {
+            if (data.channel !== this.userSettings.channel) return;
+            
+            // A saved key that no longer works (an admin removed the owner)
+            if (data.role !== 'owner' && this.ownerKeys[data.channel] && this.channelDetails && !this.channelDetails.claimed) {
+                delete this.ownerKeys[data.channel];
+                this.saveOwnerKeys();
+            }
+            
+            this.channelRole = data.role ? data : null;
+            document.body.classList.toggle('can-moderate', !!data.role);
+            this.renderChannelManagement();
+            if (this.channelBanner) {
+                this.renderChannelBanner(this.channelBanner); // Unpin buttons follow the role
+            }
+        });
+        
+        this.socket.on('channelSettingsSaved', () => {
+            this.showNotification('Channel settings saved', 'success');
+        });
+        
+        this.socket.on('channelInvite', (data) => {
+            if (data.channel !== this.userSettings.channel) return;
+            
+            let shareUrl = `${window.location.origin}/?channel=${encodeURIComponent(data.channel)}`;
+            if (data.inviteToken) {
+                shareUrl += `&invite=${encodeURIComponent(data.inviteToken)}`;
+            }
+            this.renderShareLink(shareUrl, !!data.inviteToken);
+        });
+        
+        this.socket.on('messageHeld', () => {
+            this.showNotification('Your message is waiting for moderator review', 'info');
+        });
+        
+        this.socket.on('reactionOptions', (emojis) => {
+            this.reactionOptions = emojis;
+        });
+        
+        this.socket.on('reactionUpdate', (data) => {
+            this.updateReactionDisplay(data.postId, data.reactions);
+        });
+        
+        this.socket.on('thread', (data) => {
+            this.renderThread(data.post, data.replies);
         });
         
         this.socket.on('error', (error) => {
             console.error('Socket error:', error);
             this.showNotification(error, 'error');
+            // Failed history requests answer with an error instead of olderPosts
+            this.isLoadingHistory = false;
         });
         
         this.socket.on('messageDeleted', (data) => {
             console.log('Message deleted:', data.messageId, data.reason || 'admin');
             this.removeMessage(data.messageId);
+            if (this.channelBanner && this.channelBanner.pinned.some(post => post.id === data.messageId)) {
+                this.renderChannelBanner({
+                    ...this.channelBanner,
+                    pinned: this.channelBanner.pinned.filter(post => post.id !== data.messageId)
+                });
+            }
+            if (this.editTokens[data.messageId]) {
+                delete this.editTokens[data.messageId];
+                this.saveEditTokens();
+            }
             if (data.reason === 'auto-moderation') {
-                this.showNotification(`Message removed by community moderation (${data.downvoteCount} downvotes)`, 'info');
+                this.showNotification(`Message hidden by community moderation (${data.downvoteCount} downvotes)`, 'info');
             }
         });
         
+        this.socket.on('messageRestored', (post) => {
+            this.restoreMessage(post);
+        });
+        
+        this.socket.on('voteResult', (result) => {
+            this.handleVoteResult(result);
+        });
+        
         this.socket.on('voteUpdate', (data) => {
             console.log('Vote update received:', data);
             this.updateVoteDisplay(data.postId, data.voteCounts);
         });
-    }
-    
-    updateConnectionStatus(text, className) {
-        const statusEl = document.getElementById('connectionStatus');
-        if (!statusEl) return;
+    }
+    
+    updateConnectionStatus(text, className) {
+        const statusEl = document.getElementById('connectionStatus');
+        if (!statusEl) return;
+        
+        const indicatorEl = statusEl.querySelector('.status-indicator');
+        const textEl = statusEl.querySelector('.status-text');
+        
+        if (indicatorEl) indicatorEl.className = `status-indicator ${className}`;
+        if (textEl) textEl.textContent = text;
+    }
+    
+    updateSettings() {
+        if (this.socket && this.isConnected) {
+            // Leaving the channel out keeps the server's user in the nearby feed
+            if (this.currentView === 'nearby') {
+                this.socket.emit('updateSettings', { displayName: this.userSettings.displayName });
+                return;
+            }
+            this.socket.emit('updateSettings', {
+                ...this.userSettings,
+                accessToken: this.channelAccessTokens[this.userSettings.channel] || null,
+                ownerKey: this.ownerKeys[this.userSettings.channel] || null
+            });
+        }
+    }
+    
+    resetIdentity() {
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Not connected. Please try again.', 'error');
+            return;
+        }
+        
+        this.socket.once('identity', () => {
+            // Authorship of past messages goes with the old identity
+            this.editTokens = {};
+            this.saveEditTokens();
+            this.myReactions.clear();
+            document.querySelectorAll('.author-btn').forEach(button => button.remove());
+            this.showNotification('Identity reset', 'success');
+        });
+        this.socket.emit('resetIdentity');
+    }
+    
+    requestChannelPosts() {
+        console.log('📡 requestChannelPosts called, connected:', this.isConnected, 'channel:', this.userSettings.channel);
+        
+        if (this.socket && this.isConnected) {
+            const channel = this.userSettings.channel;
+            console.log('📡 Requesting posts for channel:', channel);
+            
+            const invite = this.pendingInvite && this.pendingInvite.channel === channel ? this.pendingInvite : null;
+            this.pendingInvite = null;
+            this.socket.emit('requestPosts', {
+                channel,
+                accessToken: this.channelAccessTokens[channel] || null,
+                inviteToken: invite ? invite.token : null,
+                ownerKey: this.ownerKeys[channel] || null
+            });
+        } else {
+            console.log('📡 Not connected yet, posts will be requested when socket connects');
+            // Posts will be requested when socket connects (see connect handler)
+        }
+    }
+    
+    // ==================== Settings Panel ====================
+    
+    // Main settings panel (on channel list screen)
+    openMainSettings() {
+        const panel = document.getElementById('mainSettingsPanel');
+        panel.classList.add('open');
+        document.getElementById('mainDisplayName').value = this.userSettings.displayName;
+    }
+    
+    closeMainSettings() {
+        const panel = document.getElementById('mainSettingsPanel');
+        panel.classList.remove('open');
+    }
+    
+    // Chat settings panel (in chat view)
+    openSettings() {
+        const panel = document.getElementById('settingsPanel');
+        panel.classList.add('open');
+        document.getElementById('displayName').value = this.userSettings.displayName;
+        
+        // Show/hide channel-specific buttons based on current view
+        const shareBtn = document.getElementById('shareChannelBtn');
+        const leaveBtn = document.getElementById('leaveChannelBtn');
+        const protectBtn = document.getElementById('protectChannelBtn');
+        
+        if (this.currentView === 'chat' && this.userSettings.channel) {
+            // Only the owner can change a claimed channel's passphrase
+            const isLocked = this.lockedChannel === this.userSettings.channel;
+            const ownedByOther = this.channelDetails && this.channelDetails.claimed && this.getChannelRole() !== 'owner';
+            
+            shareBtn.style.display = 'block';
+            leaveBtn.style.display = 'block';
+            protectBtn.style.display = isLocked || ownedByOther ? 'none' : 'block';
+            protectBtn.textContent = this.channelAccessTokens[this.userSettings.channel] ? '🔒 Change Passphrase' : '🔒 Set Passphrase';
+        } else {
+            shareBtn.style.display = 'none';
+            leaveBtn.style.display = 'none';
+            protectBtn.style.display = 'none';
+        }
+        
+        this.renderChannelManagement();
+    }
+    
+    closeSettings() {
+        const panel = document.getElementById('settingsPanel');
+        panel.classList.remove('open');
+    }
+    
+    // ==================== Messaging ====================
+    
+    toggleSendButton() {
+        const messageInput = document.getElementById('messageInput');
+        const sendBtn = document.getElementById('sendBtn');
+        const hasText = messageInput.value.trim().length > 0;
+        const hasImage = document.getElementById('imagePreview').style.display === 'block';
+        
+        sendBtn.disabled = (!hasText && !hasImage) || this.isCoolingDown();
+    }
+    
+    // ==================== Slow Mode ====================
+    
+    applyChannelLimits(limits) {
+        document.getElementById('messageInput').maxLength = limits.maxMessageLength;
+        
+        // Limits sent on joining a channel carry this user's remaining cooldown
+        if (limits.cooldownRemaining !== undefined) {
+            this.startCooldown(limits.cooldownRemaining);
+        } else if (!limits.slowModeSeconds) {
+            this.startCooldown(0);
+        }
+    }
+    
+    isCoolingDown() {
+        return Date.now() < this.cooldownUntil;
+    }
+    
+    // Disable sending for the given number of seconds (0 clears the cooldown)
+    startCooldown(seconds) {
+        this.cooldownUntil = Date.now() + seconds * 1000;
+        clearInterval(this.cooldownTimer);
+        this.cooldownTimer = null;
+        
+        if (seconds > 0) {
+            this.cooldownTimer = setInterval(() => this.updateCooldown(), 1000);
+        }
+        this.updateCooldown();
+    }
+    
+    updateCooldown() {
+        const notice = document.getElementById('slowModeNotice');
+        const remaining = Math.ceil((this.cooldownUntil - Date.now()) / 1000);
+        
+        if (remaining > 0) {
+            notice.textContent = `🐢 Slow mode - you can send again in ${remaining}s`;
+            notice.style.display = 'block';
+        } else {
+            clearInterval(this.cooldownTimer);
+            this.cooldownTimer = null;
+            notice.style.display = 'none';
+        }
+        
+        this.toggleSendButton();
+    }
+    
+    sendMessage() {
+        const messageInput = document.getElementById('messageInput');
+        const message = messageInput.value.trim();
+        
+        if ((!message && !this.selectedImageData) || this.isCoolingDown()) {
+            return;
+        }
+        
+        const messageData = {
+            message: message,
+            image: this.selectedImageData || null,
+            parentId: this.replyingTo ? this.replyingTo.id : null
+        };
+        
+        this.socket.emit('sendMessage', messageData);
+        
+        // Clear input
+        messageInput.value = '';
+        messageInput.style.height = 'auto';
+        this.removeSelectedImage();
+        this.cancelReply();
+        this.toggleSendButton();
+    }
+    
+    // ==================== Reports ====================
+    
+    showReportModal(postId) {
+        this.reportingPostId = postId;
+        document.querySelectorAll('input[name="reportReason"]').forEach(input => {
+            input.checked = false;
+        });
+        document.getElementById('reportDetails').value = '';
+        document.getElementById('reportModal').style.display = 'flex';
+    }
+    
+    hideReportModal() {
+        this.reportingPostId = null;
+        document.getElementById('reportModal').style.display = 'none';
+    }
+    
+    submitReport() {
+        const selected = document.querySelector('input[name="reportReason"]:checked');
+        if (!selected) {
+            this.showNotification('Please choose a reason', 'error');
+            return;
+        }
+        
+        if (!this.socket || !this.isConnected || !this.reportingPostId) return;
+        
+        this.socket.emit('reportMessage', {
+            postId: this.reportingPostId,
+            reason: selected.value,
+            details: document.getElementById('reportDetails').value.trim()
+        });
+        this.hideReportModal();
+    }
+    
+    // ==================== Channel Ownership ====================
+    
+    // 'owner', 'moderator' or null in the current channel
+    getChannelRole() {
+        return this.channelRole && this.channelRole.channel === this.userSettings.channel ? this.channelRole.role : null;
+    }
+    
+    // Fill in the settings panel's channel section for the user's role
+    renderChannelManagement() {
+        const section = document.getElementById('channelManagement');
+        const channel = this.userSettings.channel;
+        const details = this.channelDetails && this.channelDetails.channel === channel ? this.channelDetails : null;
+        
+        if (this.currentView !== 'chat' || !channel || !details || this.lockedChannel === channel) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        
+        const role = this.getChannelRole();
+        const descriptionEl = document.getElementById('channelDescriptionText');
+        descriptionEl.textContent = details.description || '';
+        descriptionEl.style.display = details.description ? 'block' : 'none';
+        
+        // Unclaimed channels can be claimed; claimed ones taken over with the owner key
+        document.getElementById('channelClaimSection').style.display = role === 'owner' ? 'none' : 'block';
+        document.getElementById('claimChannelBtn').style.display = details.claimed ? 'none' : 'block';
+        document.getElementById('ownerKeyEntry').style.display = details.claimed ? 'flex' : 'none';
+        
+        const modSection = document.getElementById('channelModSection');
+        if (!role) {
+            modSection.style.display = 'none';
+            return;
+        }
+        modSection.style.display = 'flex';
+        modSection.querySelectorAll('.owner-only').forEach(el => {
+            el.style.display = role === 'owner' ? 'block' : 'none';
+        });
+        document.getElementById('channelRoleText').textContent = role === 'owner'
+            ? '👑 You own this channel'
+            : '🛡️ You moderate this channel';
+        
+        // Don't overwrite what the user is typing
+        const panelOpen = document.getElementById('settingsPanel').classList.contains('open');
+        const focused = document.activeElement;
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (!panelOpen || focused !== input) input.value = value;
+        };
+        setValue('channelSlowModeInput', this.channelRole.slowModeSeconds || 0);
+        
+        if (role !== 'owner') return;
+        
+        setValue('channelDescriptionInput', details.description || '');
+        
+        // Keeping messages forever can only be set by an admin, so it shows as a placeholder
+        const retention = this.channelRole.retentionDays;
+        const retentionInput = document.getElementById('channelRetentionInput');
+        setValue('channelRetentionInput', retention ? retention : '');
+        retentionInput.placeholder = retention === 0 ? 'Forever (set by an admin)' : 'Server default';
+        retentionInput.dataset.initial = retentionInput.value;
+        
+        document.getElementById('ownerKeyDisplay').value = this.ownerKeys[channel] || '';
+        
+        const list = document.getElementById('channelModeratorsList');
+        const moderators = this.channelRole.moderators || [];
+        if (moderators.length === 0) {
+            list.innerHTML = '<small>None yet - use 🛡️ on someone\'s message to appoint them.</small>';
+            return;
+        }
+        list.innerHTML = moderators.map(mod => `
+            <div class="channel-moderator">
+                <span>${this.escapeHtml(mod.displayName || 'Anonymous')}</span>
+                <button class="btn btn-small btn-danger" data-author-id="${this.escapeHtml(mod.authorId)}">Remove</button>
+            </div>
+        `).join('');
+        list.querySelectorAll('button[data-author-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.socket.emit('removeChannelModerator', { channel, authorId: button.dataset.authorId });
+            });
+        });
+    }
+    
+    claimChannel() {
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Not connected. Please try again.', 'error');
+            return;
+        }
+        this.socket.emit('claimChannel', { channel: this.userSettings.channel });
+    }
+    
+    useOwnerKey() {
+        const input = document.getElementById('ownerKeyInput');
+        const ownerKey = input.value.trim();
+        if (!ownerKey || !this.socket || !this.isConnected) return;
+        
+        this.socket.emit('useOwnerKey', { channel: this.userSettings.channel, ownerKey });
+        input.value = '';
+    }
+    
+    saveChannelSettings() {
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Not connected. Please try again.', 'error');
+            return;
+        }
+        
+        const settings = {
+            channel: this.userSettings.channel,
+            slowModeSeconds: parseInt(document.getElementById('channelSlowModeInput').value, 10) || 0
+        };
+        
+        // Moderators can only change slow mode
+        if (this.getChannelRole() === 'owner') {
+            settings.description = document.getElementById('channelDescriptionInput').value.trim();
+            
+            // Only send retention when it changed, so an admin's "forever" isn't reset
+            const retentionInput = document.getElementById('channelRetentionInput');
+            if (retentionInput.value !== retentionInput.dataset.initial) {
+                settings.retentionDays = retentionInput.value === '' ? null : parseInt(retentionInput.value, 10);
+            }
+        }
+        
+        this.socket.emit('updateChannelSettings', settings);
+    }
+    
+    showModerateModal(post) {
+        const role = this.getChannelRole();
+        if (!role) return;
+        
+        this.moderatingPost = post;
+        document.getElementById('moderateAuthor').textContent = `Message from ${post.displayName || 'Anonymous'}`;
+        document.getElementById('moderatePinBtn').textContent = this.isMessagePinned(post.id) ? '📌 Unpin' : '📌 Pin';
+        
+        // Owners can appoint the authors of other people's messages
+        const moderators = this.channelRole.moderators || [];
+        const canAppoint = role === 'owner' && post.authorId &&
+            post.authorId !== this.channelRole.authorId &&
+            !moderators.some(mod => mod.authorId === post.authorId);
+        document.getElementById('moderateAddModBtn').style.display = canAppoint ? 'block' : 'none';
+        
+        document.getElementById('moderateModal').style.display = 'flex';
+    }
+    
+    hideModerateModal() {
+        this.moderatingPost = null;
+        document.getElementById('moderateModal').style.display = 'none';
+    }
+    
+    moderatePost(action) {
+        if (!this.socket || !this.isConnected || !this.moderatingPost) return;
+        
+        this.socket.emit('moderatePost', { postId: this.moderatingPost.id, action });
+        this.hideModerateModal();
+    }
+    
+    addChannelModerator(post) {
+        if (!this.socket || !this.isConnected || !post) return;
+        
+        this.socket.emit('addChannelModerator', {
+            channel: this.userSettings.channel,
+            postId: post.id
+        });
+        this.showNotification(`${post.displayName || 'Anonymous'} is now a moderator`, 'success');
+        this.hideModerateModal();
+    }
+    
+    isMessagePinned(postId) {
+        return !!this.channelBanner && this.channelBanner.pinned.some(post => post.id === postId);
+    }
+    
+    // ==================== Channel Banner ====================
+    
+    // Announcement and pinned messages above the messages (null hides the banner)
+    renderChannelBanner(banner) {
+        this.channelBanner = banner;
+        const bannerEl = document.getElementById('channelBanner');
+        
+        const pinnedIds = new Set(banner ? banner.pinned.map(post => post.id) : []);
+        document.querySelectorAll('[data-message-id] .message-pin').forEach(pin => {
+            pin.style.display = pinnedIds.has(pin.closest('[data-message-id]').dataset.messageId) ? '' : 'none';
+        });
+        
+        if (!banner || (!banner.announcement && banner.pinned.length === 0)) {
+            bannerEl.style.display = 'none';
+            return;
+        }
+        
+        const announcementEl = document.getElementById('channelAnnouncement');
+        announcementEl.textContent = banner.announcement ? banner.announcement.text : '';
+        announcementEl.style.display = banner.announcement ? 'block' : 'none';
+        
+        const canUnpin = !!this.getChannelRole();
+        const list = document.getElementById('pinnedMessages');
+        list.innerHTML = banner.pinned.map(post => `
+            <div class="pinned-message" data-pinned-id="${post.id}">
+                <span class="pinned-text">📌 <strong>${this.escapeHtml(post.displayName)}</strong> ${post.message ? this.escapeHtml(post.message) : (post.image ? '📷 Image' : '')}</span>
+                ${canUnpin ? '<button class="pinned-unpin" title="Unpin">✕</button>' : ''}
+            </div>
+        `).join('');
+        list.querySelectorAll('.pinned-message').forEach(item => {
+            const postId = item.dataset.pinnedId;
+            item.querySelector('.pinned-text').addEventListener('click', () => {
+                this.openThread(postId);
+            });
+            item.querySelector('.pinned-unpin')?.addEventListener('click', () => {
+                this.socket.emit('moderatePost', { postId, action: 'unpin' });
+            });
+        });
         
-        const indicatorEl = statusEl.querySelector('.status-indicator');
-        const textEl = statusEl.querySelector('.status-text');
+        const summary = [];
+        if (banner.announcement) summary.push('📣 Announcement');
+        if (banner.pinned.length) summary.push(`📌 ${banner.pinned.length} pinned`);
+        document.getElementById('channelBannerSummary').textContent = summary.join(' · ');
         
-        if (indicatorEl) indicatorEl.className = `status-indicator ${className}`;
-        if (textEl) textEl.textContent = text;
+        // Stays collapsed until something in it changes
+        bannerEl.classList.toggle('collapsed', this.collapsedBanners[banner.channel] === this.getBannerSignature(banner));
+        bannerEl.style.display = 'block';
     }
     
-    updateSettings() {
-        if (this.socket && this.isConnected) {
-            this.socket.emit('updateSettings', this.userSettings);
-        }
+    getBannerSignature(banner) {
+        return [banner.announcement ? banner.announcement.updatedAt : '', ...banner.pinned.map(post => post.id)].join('|');
     }
     
-    requestChannelPosts() {
-        console.log('📡 requestChannelPosts called, connected:', this.isConnected, 'channel:', this.userSettings.channel);
+    toggleChannelBanner() {
+        if (!this.channelBanner) return;
         
-        if (this.socket && this.isConnected) {
-            console.log('📡 Requesting posts for channel:', this.userSettings.channel);
-            this.socket.emit('requestPosts', { channel: this.userSettings.channel });
+        const bannerEl = document.getElementById('channelBanner');
+        const collapsed = bannerEl.classList.toggle('collapsed');
+        if (collapsed) {
+            this.collapsedBanners[this.channelBanner.channel] = this.getBannerSignature(this.channelBanner);
         } else {
-            console.log('📡 Not connected yet, posts will be requested when socket connects');
-            // Posts will be requested when socket connects (see connect handler)
+            delete this.collapsedBanners[this.channelBanner.channel];
         }
+        this.saveCollapsedBanners();
     }
     
-    // ==================== Settings Panel ====================
+    // ==================== Reactions ====================
     
-    // Main settings panel (on channel list screen)
-    openMainSettings() {
-        const panel = document.getElementById('mainSettingsPanel');
-        panel.classList.add('open');
-        document.getElementById('mainDisplayName').value = this.userSettings.displayName;
+    renderReactions(messageEl, postId, reactions) {
+        const container = messageEl.querySelector('.message-reactions');
+        if (!container) return;
+        
+        const mine = this.myReactions.get(postId) || new Set();
+        container.innerHTML = reactions.map(reaction => `
+            <button class="reaction-chip${mine.has(reaction.emoji) ? ' reacted' : ''}" data-emoji="${this.escapeHtml(reaction.emoji)}">
+                ${this.escapeHtml(reaction.emoji)} <span class="reaction-count">${reaction.count}</span>
+            </button>
+        `).join('');
+        
+        container.querySelectorAll('.reaction-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleReaction(postId, chip.dataset.emoji);
+            });
+        });
     }
     
-    closeMainSettings() {
-        const panel = document.getElementById('mainSettingsPanel');
-        panel.classList.remove('open');
+    updateReactionDisplay(postId, reactions) {
+        document.querySelectorAll(`[data-message-id="${postId}"]`).forEach(messageEl => {
+            this.renderReactions(messageEl, postId, reactions);
+        });
     }
     
-    // Chat settings panel (in chat view)
-    openSettings() {
-        const panel = document.getElementById('settingsPanel');
-        panel.classList.add('open');
-        document.getElementById('displayName').value = this.userSettings.displayName;
-        
-        // Show/hide channel-specific buttons based on current view
-        const shareBtn = document.getElementById('shareChannelBtn');
-        const leaveBtn = document.getElementById('leaveChannelBtn');
+    toggleReaction(postId, emoji) {
+        if (!this.socket || !this.isConnected) return;
         
-        if (this.currentView === 'chat' && this.userSettings.channel) {
-            shareBtn.style.display = 'block';
-            leaveBtn.style.display = 'block';
+        const mine = this.myReactions.get(postId) || new Set();
+        if (mine.has(emoji)) {
+            mine.delete(emoji);
+            this.socket.emit('removeReaction', { postId, emoji });
         } else {
-            shareBtn.style.display = 'none';
-            leaveBtn.style.display = 'none';
+            mine.add(emoji);
+            this.socket.emit('addReaction', { postId, emoji });
         }
+        this.myReactions.set(postId, mine);
     }
     
-    closeSettings() {
-        const panel = document.getElementById('settingsPanel');
-        panel.classList.remove('open');
+    toggleReactionPicker(messageEl, postId) {
+        const existing = messageEl.querySelector('.reaction-picker');
+        document.querySelectorAll('.reaction-picker').forEach(picker => picker.remove());
+        if (existing || this.reactionOptions.length === 0) return;
+        
+        const picker = document.createElement('div');
+        picker.className = 'reaction-picker';
+        picker.innerHTML = this.reactionOptions.map(emoji => `
+            <button class="reaction-option" data-emoji="${this.escapeHtml(emoji)}">${this.escapeHtml(emoji)}</button>
+        `).join('');
+        
+        picker.querySelectorAll('.reaction-option').forEach(option => {
+            option.addEventListener('click', (e) => {
+                e.preventDefault();
+                const mine = this.myReactions.get(postId);
+                if (!mine || !mine.has(option.dataset.emoji)) {
+                    this.toggleReaction(postId, option.dataset.emoji);
+                }
+                picker.remove();
+            });
+        });
+        
+        messageEl.querySelector('.message-votes').after(picker);
     }
     
-    // ==================== Messaging ====================
+    // ==================== Editing Own Messages ====================
     
-    toggleSendButton() {
-        const messageInput = document.getElementById('messageInput');
-        const sendBtn = document.getElementById('sendBtn');
-        const hasText = messageInput.value.trim().length > 0;
-        const hasImage = document.getElementById('imagePreview').style.display === 'block';
+    startEdit(messageEl, postId) {
+        const authorship = this.editTokens[postId];
+        if (!authorship) return;
+        
+        if (Date.now() >= Date.parse(authorship.editableUntil)) {
+            this.showNotification('The edit window for this message has passed', 'error');
+            document.querySelectorAll(`[data-message-id="${postId}"] .edit-btn`).forEach(button => button.remove());
+            return;
+        }
+        
+        const contentEl = messageEl.querySelector('.message-content');
+        if (!contentEl || messageEl.querySelector('.message-edit-form')) return;
+        
+        const form = document.createElement('div');
+        form.className = 'message-edit-form';
+        form.innerHTML = `
+            <textarea class="message-edit-input" maxlength="500"></textarea>
+            <div class="message-edit-actions">
+                <button class="btn btn-small btn-secondary edit-cancel">Cancel</button>
+                <button class="btn btn-small btn-primary edit-save">Save</button>
+            </div>
+        `;
+        
+        const input = form.querySelector('.message-edit-input');
+        input.value = contentEl.textContent;
+        
+        contentEl.style.display = 'none';
+        contentEl.after(form);
+        input.focus();
         
-        sendBtn.disabled = !hasText && !hasImage;
+        const close = () => {
+            form.remove();
+            contentEl.style.display = '';
+        };
+        
+        form.querySelector('.edit-cancel').addEventListener('click', close);
+        form.querySelector('.edit-save').addEventListener('click', () => {
+            this.socket.emit('editMessage', {
+                postId,
+                editToken: authorship.token,
+                message: input.value
+            });
+            close();
+        });
     }
     
-    sendMessage() {
-        const messageInput = document.getElementById('messageInput');
-        const message = messageInput.value.trim();
+    deleteOwnMessage(postId) {
+        const authorship = this.editTokens[postId];
+        if (!authorship) return;
         
-        if (!message && !this.selectedImageData) {
+        if (!confirm('Delete this message? This cannot be undone.')) {
             return;
         }
         
-        const messageData = {
-            message: message,
-            image: this.selectedImageData || null
+        this.socket.emit('deleteMessage', { postId, editToken: authorship.token });
+    }
+    
+    updateMessageContent(postId, message, editedAt) {
+        document.querySelectorAll(`[data-message-id="${postId}"]`).forEach(messageEl => {
+            const contentEl = messageEl.querySelector('.message-content');
+            if (contentEl) contentEl.textContent = message;
+            
+            const editedEl = messageEl.querySelector('.message-edited');
+            if (editedAt && editedEl) editedEl.style.display = '';
+        });
+        
+        // Keep reply quotes of this message current
+        document.querySelectorAll(`.reply-quote[data-parent-id="${postId}"]`).forEach(quoteEl => {
+            const author = quoteEl.querySelector('.reply-quote-author');
+            quoteEl.innerHTML = `↪ ${this.getQuoteHtml({ displayName: author ? author.textContent : '', message })}`;
+        });
+    }
+    
+    // ==================== Threads ====================
+    
+    startReply(post) {
+        this.replyingTo = {
+            id: post.id,
+            displayName: post.displayName,
+            message: post.message,
+            hasImage: !!(post.image || post.hasImage)
         };
         
-        this.socket.emit('sendMessage', messageData);
+        document.getElementById('replyPreviewText').innerHTML = this.getQuoteHtml(this.replyingTo);
+        document.getElementById('replyPreview').style.display = 'flex';
+        document.getElementById('messageInput').focus();
+    }
+    
+    cancelReply() {
+        this.replyingTo = null;
+        document.getElementById('replyPreview').style.display = 'none';
+        document.getElementById('replyPreviewText').innerHTML = '';
+    }
+    
+    // Short "Name: message" quote of a post
+    getQuoteHtml(parent) {
+        let snippet = parent.message || '';
+        if (snippet.length > 80) {
+            snippet = snippet.slice(0, 80) + '…';
+        }
+        if (!snippet && parent.hasImage) {
+            snippet = '📷 Image';
+        }
         
-        // Clear input
-        messageInput.value = '';
-        messageInput.style.height = 'auto';
-        this.removeSelectedImage();
-        this.toggleSendButton();
+        return `<span class="reply-quote-author">${this.escapeHtml(parent.displayName)}</span> ${this.escapeHtml(snippet)}`;
+    }
+    
+    openThread(postId) {
+        if (!this.socket || !this.isConnected) return;
+        
+        this.openThreadId = postId;
+        document.getElementById('threadContainer').innerHTML = '<div class="thread-empty">Loading thread...</div>';
+        document.getElementById('threadModal').style.display = 'flex';
+        this.socket.emit('requestThread', { postId });
+    }
+    
+    hideThread() {
+        this.openThreadId = null;
+        document.getElementById('threadModal').style.display = 'none';
+        document.getElementById('threadContainer').innerHTML = '';
+    }
+    
+    renderThread(post, replies) {
+        if (post.id !== this.openThreadId) return;
+        
+        const container = document.getElementById('threadContainer');
+        container.innerHTML = '';
+        
+        const rootEl = this.createPostElement(post);
+        rootEl.classList.add('thread-root');
+        container.appendChild(rootEl);
+        
+        if (replies.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'thread-empty';
+            emptyEl.textContent = 'No replies yet.';
+            container.appendChild(emptyEl);
+        }
+        
+        replies.forEach(reply => {
+            container.appendChild(this.createPostElement(reply, { inThread: true }));
+        });
+    }
+    
+    handleNewReply(post) {
+        // Bump the reply count on every copy of the parent (chat list and thread view)
+        document.querySelectorAll(`[data-message-id="${post.parentId}"] .thread-btn`).forEach(button => {
+            const count = (parseInt(button.dataset.replyCount, 10) || 0) + 1;
+            button.dataset.replyCount = count;
+            button.textContent = `💬 ${count}`;
+            button.style.display = '';
+        });
+        
+        if (this.openThreadId === post.parentId) {
+            const container = document.getElementById('threadContainer');
+            const emptyEl = container.querySelector('.thread-empty');
+            if (emptyEl) {
+                emptyEl.remove();
+            }
+            container.appendChild(this.createPostElement(post, { animate: true, inThread: true }));
+        }
     }
     
     // ==================== Image Handling ====================
@@ -998,6 +2278,37 @@ class GroupdeedoApp {
         this.scrollToBottom();
     }
     
+    loadOlderPosts() {
+        if (this.currentView !== 'chat' || !this.hasMoreHistory || this.isLoadingHistory) return;
+        if (!this.socket || !this.isConnected) return;
+        
+        const oldest = document.querySelector('#messagesContainer .message');
+        if (!oldest) return;
+        
+        this.isLoadingHistory = true;
+        this.socket.emit('loadOlderPosts', {
+            before: oldest.dataset.timestamp,
+            beforeId: oldest.dataset.messageId
+        });
+    }
+    
+    prependOlderPosts(posts) {
+        const container = document.getElementById('messagesContainer');
+        const scroller = container.parentElement;
+        const firstMessage = container.querySelector('.message');
+        
+        // Keep the current view steady while content is added above it
+        const previousHeight = scroller.scrollHeight;
+        
+        posts.forEach(post => {
+            if (!container.querySelector(`[data-message-id="${post.id}"]`)) {
+                this.addPostElement(post, false, firstMessage);
+            }
+        });
+        
+        scroller.scrollTop += scroller.scrollHeight - previousHeight;
+    }
+    
     addNewPost(post) {
         const container = document.getElementById('messagesContainer');
         
@@ -1010,12 +2321,18 @@ class GroupdeedoApp {
         this.scrollToBottom();
     }
     
-    addPostElement(post, animate = false) {
+    addPostElement(post, animate = false, insertBefore = null) {
         const container = document.getElementById('messagesContainer');
-        
+        container.insertBefore(this.createPostElement(post, { animate }), insertBefore);
+    }
+    
+    // Build the element for a post. Replies shown inside a thread skip the
+    // reply quote since they all answer the post at the top.
+    createPostElement(post, { animate = false, inThread = false } = {}) {
         const messageEl = document.createElement('div');
         messageEl.className = 'message';
         messageEl.setAttribute('data-message-id', post.id);
+        messageEl.setAttribute('data-timestamp', post.timestamp);
         if (animate) {
             messageEl.style.animation = 'messageSlideIn 0.3s ease-out';
         }
@@ -1024,20 +2341,42 @@ class GroupdeedoApp {
         
         let imageHtml = '';
         if (post.image) {
+            // Show the thumbnail in the list; the full image loads when tapped
             imageHtml = `
                 <div class="message-image">
-                    <img src="${post.image}" alt="Shared image" loading="lazy">
+                    <img src="${post.thumbnail || post.image}" data-full-src="${post.image}" alt="Shared image" loading="lazy">
                 </div>
             `;
         }
         
+        let quoteHtml = '';
+        if (post.parentId && !inThread) {
+            quoteHtml = post.parent
+                ? `<div class="reply-quote" data-parent-id="${post.parentId}">↪ ${this.getQuoteHtml(post.parent)}</div>`
+                : '<div class="reply-quote reply-quote-deleted">↪ Original message was deleted</div>';
+        }
+        
+        const replyCount = post.replyCount || 0;
+        
+        // Edit/delete buttons for posts this browser holds an edit token for
+        let authorHtml = '';
+        const authorship = this.editTokens[post.id];
+        if (authorship) {
+            if (Date.now() < Date.parse(authorship.editableUntil)) {
+                authorHtml += '<button class="vote-btn author-btn edit-btn" title="Edit">✏️</button>';
+            }
+            authorHtml += '<button class="vote-btn author-btn delete-btn" title="Delete">🗑️</button>';
+        }
+        
         messageEl.innerHTML = `
+            ${quoteHtml}
             <div class="message-header">
-                <span class="message-author">${this.escapeHtml(post.displayName)}</span>
-                <span class="message-time">${timeAgo}</span>
+                <span class="message-author"><span class="message-pin" title="Pinned"${post.pinned ? '' : ' style="display: none;"'}>📌</span>${this.escapeHtml(post.displayName)}${post.distanceLabel ? `<span class="message-distance" title="Approximate distance">📍 ${this.escapeHtml(post.distanceLabel)} away</span>` : ''}</span>
+                <span class="message-time">${timeAgo}<span class="message-edited"${post.editedAt ? '' : ' style="display: none;"'}> · edited</span></span>
             </div>
             <div class="message-content">${this.escapeHtml(post.message)}</div>
             ${imageHtml}
+            <div class="message-reactions"></div>
             <div class="message-votes">
                 <button class="vote-btn vote-up" data-post-id="${post.id}" data-vote-type="up">
                     👍 <span class="vote-count upvote-count">${post.upvotes || 0}</span>
@@ -1045,11 +2384,87 @@ class GroupdeedoApp {
                 <button class="vote-btn vote-down" data-post-id="${post.id}" data-vote-type="down">
                     👎 <span class="vote-count downvote-count">${post.downvotes || 0}</span>
                 </button>
+                <button class="vote-btn thread-btn" data-reply-count="${replyCount}" title="View replies"${replyCount > 0 ? '' : ' style="display: none;"'}>💬 ${replyCount}</button>
+                <button class="vote-btn react-btn" title="React">😊+</button>
+                <button class="vote-btn reply-btn" title="Reply">↩ Reply</button>
+                <button class="vote-btn moderate-btn" title="Moderate">🛡️</button>
+                ${authorHtml || '<button class="vote-btn report-btn" title="Report">🚩</button>'}
             </div>
         `;
         
-        container.appendChild(messageEl);
         this.setupVoteButtons(messageEl, post.id);
+        
+        // Remember which reactions are the user's own so live updates can highlight them
+        if (post.reactions) {
+            const mine = this.myReactions.get(post.id) || new Set();
+            post.reactions.forEach(reaction => {
+                if (reaction.reacted) mine.add(reaction.emoji);
+            });
+            this.myReactions.set(post.id, mine);
+        }
+        this.renderReactions(messageEl, post.id, post.reactions || []);
+        
+        messageEl.querySelector('.react-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleReactionPicker(messageEl, post.id);
+        });
+        
+        messageEl.querySelector('.reply-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.hideThread();
+            this.startReply(post);
+        });
+        
+        messageEl.querySelector('.thread-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openThread(post.id);
+        });
+        
+        messageEl.querySelector('.moderate-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showModerateModal(post);
+        });
+        
+        const reportBtn = messageEl.querySelector('.report-btn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showReportModal(post.id);
+            });
+        }
+        
+        const editBtn = messageEl.querySelector('.edit-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.startEdit(messageEl, post.id);
+            });
+        }
+        
+        const deleteBtn = messageEl.querySelector('.delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.deleteOwnMessage(post.id);
+            });
+        }
+        
+        const quoteEl = messageEl.querySelector('.reply-quote[data-parent-id]');
+        if (quoteEl) {
+            quoteEl.addEventListener('click', () => {
+                this.openThread(post.parentId);
+            });
+        }
+        
+        const imageEl = messageEl.querySelector('.message-image img');
+        if (imageEl) {
+            imageEl.addEventListener('click', () => {
+                this.showImageViewer(imageEl.dataset.fullSrc);
+            });
+        }
+        
+        return messageEl;
     }
     
     setupVoteButtons(messageElement, postId) {
@@ -1063,66 +2478,62 @@ class GroupdeedoApp {
         });
     }
     
-    async handleVote(postId, voteType, buttonElement) {
+    handleVote(postId, voteType, buttonElement) {
         if (buttonElement.disabled) return;
+        
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Not connected. Please try again.', 'error');
+            return;
+        }
+        
         buttonElement.disabled = true;
         
-        try {
-            const response = await fetch(`/api/vote/${postId}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    voteType: voteType,
-                    sessionId: this.socket.id
-                })
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                this.updateVoteDisplay(postId, result.voteCounts);
-                
-                let message = '';
-                if (result.action === 'added') {
-                    message = `${voteType === 'up' ? '👍' : '👎'} Vote added`;
-                } else if (result.action === 'removed') {
-                    message = `Vote removed`;
-                } else if (result.action === 'updated') {
-                    message = `${voteType === 'up' ? '👍' : '👎'} Vote changed`;
-                }
-                
-                if (result.autoDeleted) {
-                    message = result.message;
-                }
-                
-                this.showNotification(message, result.autoDeleted ? 'info' : 'success');
-            } else {
-                throw new Error(result.error || 'Failed to vote');
-            }
-            
-        } catch (error) {
-            console.error('Error voting:', error);
-            this.showNotification('Failed to vote. Please try again.', 'error');
-        } finally {
-            setTimeout(() => {
-                buttonElement.disabled = false;
-            }, 1000);
+        // The server attributes the vote to this socket's identity
+        this.socket.emit('vote', { postId, voteType });
+        
+        setTimeout(() => {
+            buttonElement.disabled = false;
+        }, 1000);
+    }
+    
+    handleVoteResult(result) {
+        this.updateVoteDisplay(result.postId, result.voteCounts);
+        
+        let message = '';
+        if (result.action === 'added') {
+            message = `${result.voteType === 'up' ? '👍' : '👎'} Vote added`;
+        } else if (result.action === 'removed') {
+            message = `Vote removed`;
+        } else if (result.action === 'updated') {
+            message = `${result.voteType === 'up' ? '👍' : '👎'} Vote changed`;
+        }
+        
+        if (result.autoHidden) {
+            message = result.message;
         }
+        
+        this.showNotification(message, result.autoHidden ? 'info' : 'success');
     }
     
     updateVoteDisplay(postId, voteCounts) {
-        const messageElement = document.querySelector(`[data-message-id="${postId}"]`);
-        if (messageElement) {
+        // A post can be shown both in the chat list and in an open thread
+        document.querySelectorAll(`[data-message-id="${postId}"]`).forEach(messageElement => {
             const upvoteCount = messageElement.querySelector('.upvote-count');
             const downvoteCount = messageElement.querySelector('.downvote-count');
             
             if (upvoteCount) upvoteCount.textContent = voteCounts.up || 0;
             if (downvoteCount) downvoteCount.textContent = voteCounts.down || 0;
-        }
+        });
     }
     
     removeMessage(messageId) {
-        const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
+        if (this.openThreadId === messageId) {
+            this.hideThread();
+        }
+        
+        document.querySelectorAll(`#threadContainer [data-message-id="${messageId}"]`).forEach(el => el.remove());
+        
+        const messageEl = document.querySelector(`#messagesContainer [data-message-id="${messageId}"]`);
         if (messageEl) {
             messageEl.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
             messageEl.style.opacity = '0';
@@ -1140,11 +2551,31 @@ class GroupdeedoApp {
         }
     }
     
+    // Put a message a moderator restored back in its place in the list
+    restoreMessage(post) {
+        if (post.channel !== this.historyChannel) return;
+        
+        const container = document.getElementById('messagesContainer');
+        if (container.querySelector(`[data-message-id="${post.id}"]`)) return;
+        
+        const messages = Array.from(container.querySelectorAll('.message'));
+        const next = messages.find(el => el.getAttribute('data-timestamp') > post.timestamp);
+        
+        // Older than anything loaded - it will arrive with the older history
+        if (next === messages[0] && next && this.hasMoreHistory) return;
+        
+        container.querySelector('.welcome-message')?.remove();
+        this.addPostElement(post, true, next || null);
+    }
+    
     showWelcomeMessage() {
         const container = document.getElementById('messagesContainer');
         const welcomeMsg = document.createElement('div');
         welcomeMsg.className = 'welcome-message';
-        welcomeMsg.innerHTML = `
+        welcomeMsg.innerHTML = this.currentView === 'nearby' ? `
+            <p>📍 Nothing nearby yet</p>
+            <p>Be the first to send a message within ${this.nearbySettings.radiusMiles} miles.</p>
+        ` : `
             <p>🎉 Welcome to ${this.escapeHtml(this.userSettings.channel)}!</p>
             <p>Be the first to send a message in this channel.</p>
         `;
@@ -1157,8 +2588,38 @@ class GroupdeedoApp {
         const channelName = this.userSettings.channel;
         if (!channelName) return;
         
+        // Protected channels are shared with an invite link, so friends don't need the passphrase
+        if (this.channelAccessTokens[channelName] && this.socket && this.isConnected) {
+            document.getElementById('qrCode').innerHTML = '';
+            document.getElementById('shareUrl').value = 'Creating invite link...';
+            document.getElementById('inviteOptions').style.display = 'block';
+            document.getElementById('shareModal').style.display = 'flex';
+            this.requestChannelInvite();
+            return;
+        }
+        
         const baseUrl = window.location.origin;
-        const shareUrl = `${baseUrl}/?channel=${encodeURIComponent(channelName)}`;
+        this.renderShareLink(`${baseUrl}/?channel=${encodeURIComponent(channelName)}`, false);
+        document.getElementById('shareModal').style.display = 'flex';
+    }
+    
+    requestChannelInvite() {
+        const channel = this.userSettings.channel;
+        const lifetime = document.getElementById('inviteLifetime').value;
+        
+        this.socket.emit('createChannelInvite', {
+            channel,
+            accessToken: this.channelAccessTokens[channel] || null,
+            oneTime: lifetime === 'once',
+            expiresInHours: lifetime === 'once' ? 168 : parseInt(lifetime, 10)
+        });
+    }
+    
+    renderShareLink(shareUrl, isInvite) {
+        document.getElementById('inviteOptions').style.display = isInvite ? 'block' : 'none';
+        document.getElementById('shareNote').textContent = isInvite
+            ? 'This channel is protected. The link lets friends in without the passphrase until it expires.'
+            : 'Share this QR code or link with friends to join your private chat using this privacy key.';
         
         const qrContainer = document.getElementById('qrCode');
         qrContainer.innerHTML = '';
@@ -1182,13 +2643,92 @@ class GroupdeedoApp {
         }
         
         document.getElementById('shareUrl').value = shareUrl;
-        document.getElementById('shareModal').style.display = 'flex';
     }
     
     hideChannelShareModal() {
         document.getElementById('shareModal').style.display = 'none';
     }
     
+    // ==================== Channel Passphrases ====================
+    
+    // Shown in place of the messages until the channel is unlocked
+    showChannelLock(channel, error) {
+        this.lockedChannel = channel;
+        this.historyChannel = null;
+        this.hasMoreHistory = false;
+        this.renderChannelBanner(null);
+        
+        const container = document.getElementById('messagesContainer');
+        container.innerHTML = `
+            <div class="welcome-message">
+                <p>🔒 ${this.escapeHtml(channel)} is protected.</p>
+                <p>Enter its passphrase, or ask a member for an invite link.</p>
+                <div class="channel-lock-form">
+                    <input type="password" id="unlockPassphrase" placeholder="Passphrase" autocomplete="current-password">
+                    <button id="unlockChannelBtn" class="btn btn-primary">Unlock</button>
+                </div>
+                ${error ? `<p class="channel-lock-error">${this.escapeHtml(error)}</p>` : ''}
+            </div>
+        `;
+        
+        const input = document.getElementById('unlockPassphrase');
+        const unlock = () => {
+            if (!input.value || !this.socket || !this.isConnected) return;
+            this.socket.emit('unlockChannel', { channel, passphrase: input.value });
+        };
+        document.getElementById('unlockChannelBtn').addEventListener('click', unlock);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') unlock();
+        });
+        input.focus();
+    }
+    
+    showPassphraseModal() {
+        // The owner key stands in for the current passphrase
+        const needsCurrent = !!this.channelAccessTokens[this.userSettings.channel] && this.getChannelRole() !== 'owner';
+        ['currentPassphrase', 'newPassphrase', 'confirmPassphrase'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('currentPassphrase').style.display = needsCurrent ? 'block' : 'none';
+        document.getElementById('passphraseModal').style.display = 'flex';
+    }
+    
+    hidePassphraseModal() {
+        document.getElementById('passphraseModal').style.display = 'none';
+    }
+    
+    savePassphrase() {
+        const passphrase = document.getElementById('newPassphrase').value;
+        if (passphrase !== document.getElementById('confirmPassphrase').value) {
+            this.showNotification('Passphrases do not match', 'error');
+            return;
+        }
+        if (passphrase.length < 6) {
+            this.showNotification('Passphrase must be at least 6 characters', 'error');
+            return;
+        }
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Not connected. Please try again.', 'error');
+            return;
+        }
+        
+        this.socket.emit('protectChannel', {
+            channel: this.userSettings.channel,
+            passphrase,
+            currentPassphrase: document.getElementById('currentPassphrase').value
+        });
+    }
+    
+    showImageViewer(src) {
+        document.getElementById('imageViewerImg').src = src;
+        document.getElementById('imageViewerModal').style.display = 'flex';
+    }
+    
+    hideImageViewer() {
+        document.getElementById('imageViewerModal').style.display = 'none';
+        document.getElementById('imageViewerImg').removeAttribute('src');
+    }
+    
     copyShareUrl() {
         const urlInput = document.getElementById('shareUrl');
         urlInput.select();
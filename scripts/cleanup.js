@@ -20,10 +20,19 @@ const fs = require('fs');
 
 // Import our database class
 const Database = require('../models/database');
+const imageStore = require('../utils/imageStore');
+
+// Days a soft-deleted post stays restorable before cleanup removes it for good
+const DELETED_POST_PURGE_DAYS = parseInt(process.env.DELETED_POST_PURGE_DAYS, 10) || 7;
 
 class CleanupManager {
-    constructor() {
-        this.db = new Database();
+    /**
+     * @param {Database} [database] - An open connection to reuse (the server passes its own);
+     *   without one, e.g. when run from the command line, the manager opens and closes its own
+     */
+    constructor(database = null) {
+        this.ownsDb = !database;
+        this.db = database || new Database();
         this.logFile = path.join(__dirname, '..', 'logs', 'cleanup.log');
         this.ensureLogDirectory();
     }
@@ -48,36 +57,53 @@ class CleanupManager {
     
     async runCleanup(daysOld = 30, dryRun = false) {
         try {
+            // Make sure the schema is in place before querying
+            await this.db.ready;
+            
             this.log(`🧹 Starting cleanup process (${dryRun ? 'DRY RUN' : 'LIVE'})`);
-            this.log(`📅 Target: Posts older than ${daysOld} days`);
+            this.log(`📅 Target: Posts past their channel's retention period (default ${daysOld} days)`);
+            
+            // Deleted posts are only soft-deleted until their restore period is over
+            const purge = await this.db.purgeDeletedPosts(DELETED_POST_PURGE_DAYS, dryRun);
+            if (dryRun) {
+                this.log(`🔍 DRY RUN: Would purge ${purge.wouldPurge} posts deleted more than ${DELETED_POST_PURGE_DAYS} days ago`);
+            } else if (purge.purged > 0) {
+                this.log(`🗑️  Purged ${purge.purged} posts deleted more than ${DELETED_POST_PURGE_DAYS} days ago`);
+            }
             
             // Get information about what would be deleted
             const info = await this.db.getOldPostsInfo(daysOld);
             
             this.log(`📊 Cleanup Analysis:`);
             this.log(`   • Posts to delete: ${info.postsToDelete}`);
+            this.log(`   • Channels with custom retention: ${info.channelOverrides}`);
             this.log(`   • Estimated space saved: ~${info.estimatedSizeKB} KB`);
             this.log(`   • Oldest post: ${info.oldestPost || 'None'}`);
             this.log(`   • Newest post: ${info.newestPost || 'None'}`);
             
             if (info.postsToDelete === 0) {
-                this.log(`✅ No cleanup needed - no posts older than ${daysOld} days found`);
-                return { success: true, deleted: 0 };
+                this.log(`✅ No cleanup needed - no posts past their retention period found`);
+                const images = await this.cleanupOrphanedImages(dryRun);
+                return { success: true, deleted: 0, images };
             }
             
             if (dryRun) {
                 this.log(`🔍 DRY RUN: Would delete ${info.postsToDelete} posts`);
+                const images = await this.cleanupOrphanedImages(true);
                 this.log(`💡 Run with --live flag to perform actual cleanup`);
-                return { success: true, deleted: 0, dryRun: true };
+                return { success: true, deleted: 0, dryRun: true, images };
             }
             
             // Perform actual cleanup
             const result = await this.db.deleteOldPosts(daysOld);
             
+            // Remove image files whose posts are gone
+            const images = await this.cleanupOrphanedImages(false);
+            
             this.log(`✅ Cleanup completed successfully`);
             this.log(`📈 Results: ${result.message}`);
             
-            return { success: true, ...result };
+            return { success: true, ...result, images };
             
         } catch (error) {
             this.log(`❌ Cleanup failed: ${error.message}`);
@@ -85,8 +111,25 @@ class CleanupManager {
         }
     }
     
+    async cleanupOrphanedImages(dryRun = false) {
+        const referenced = await this.db.getReferencedImageUrls();
+        const result = await imageStore.removeOrphanedImages(referenced, dryRun);
+        
+        if (result.orphaned > 0) {
+            const sizeKB = Math.round(result.freedBytes / 1024);
+            if (dryRun) {
+                this.log(`🔍 DRY RUN: Would delete ${result.orphaned} orphaned images (~${sizeKB} KB)`);
+            } else {
+                this.log(`🖼️  Deleted ${result.deleted} orphaned images (~${sizeKB} KB)`);
+            }
+        }
+        
+        return result;
+    }
+    
     async getCleanupStats() {
         try {
+            await this.db.ready;
             const dbStats = await this.db.getStats();
             const cleanupInfo = await this.db.getOldPostsInfo(30);
             
@@ -126,7 +169,10 @@ class CleanupManager {
     }
     
     async close() {
-        await this.db.close();
+        // A shared connection belongs to whoever opened it
+        if (this.ownsDb) {
+            await this.db.close();
+        }
     }
 }
 
@@ -245,7 +291,7 @@ Usage:
 
 Options:
   --live              Run actual cleanup (default is dry run)
-  --days <number>     Days old threshold (default: 30)
+  --days <number>     Default retention in days for channels without their own (default: 30)
   --stats             Show database statistics
   --cron-setup        Show cron job setup instructions
   --pm2-setup         Generate PM2 cron configuration
@@ -254,13 +300,14 @@ Options:
 Examples:
   node ${path.basename(__filename)}                    # Dry run cleanup (30 days)
   node ${path.basename(__filename)} --live             # Actual cleanup (30 days)
-  node ${path.basename(__filename)} --live --days 7    # Cleanup posts older than 7 days
+  node ${path.basename(__filename)} --live --days 7    # Default retention of 7 days
   node ${path.basename(__filename)} --stats            # Show database statistics
   node ${path.basename(__filename)} --cron-setup       # Setup system cron job
   node ${path.basename(__filename)} --pm2-setup        # Setup PM2 cron job
 
 Educational Notes:
 • Dry run mode shows what would be deleted without actually deleting
+• Channels with their own retention setting use it instead of --days
 • Cron jobs are system-level schedulers (run independently)
 • PM2 cron integrates with your process manager
 • Built-in schedulers keep everything in one Node.js process
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Groupdeedo Admin Account Utility
+ *
+ * Creates admin accounts from the server's shell - use it to set up the
+ * first owner, who can then invite everyone else from the dashboard.
+ * Also resets the password of an existing account if an owner gets locked out,
+ * logging out any sessions still open under the old one.
+ *
+ * The password is prompted for (or read from stdin when piped) so it never
+ * ends up in shell history.
+ */
+
+const path = require('path');
+const readline = require('readline');
+
+const Database = require('../models/database');
+const AdminAuth = require('../middleware/adminAuth');
+
+const { ADMIN_ROLES, ADMIN_USERNAME_PATTERN } = AdminAuth;
+
+// Ask for the password twice, without echoing it when typed at a terminal
+async function readPassword() {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: !!process.stdin.isTTY
+    });
+    // Lines are buffered, so piped input works even if it arrives before the prompt
+    const lines = rl[Symbol.asyncIterator]();
+
+    let muted = false;
+    rl._writeToOutput = (text) => {
+        if (!muted) process.stdout.write(text);
+    };
+
+    const ask = async (question) => {
+        process.stdout.write(question);
+        muted = true;
+        const { value } = await lines.next();
+        muted = false;
+        process.stdout.write('\n');
+        return value || '';
+    };
+
+    const password = await ask('Password: ');
+    const confirmation = await ask('Confirm password: ');
+    rl.close();
+    return password === confirmation ? password : null;
+}
+
+// CLI Interface
+async function main() {
+    const args = process.argv.slice(2);
+    const username = args.find(arg => !arg.startsWith('--'));
+    const reset = args.includes('--reset');
+
+    let role = 'owner';
+    const roleIndex = args.findIndex(arg => arg === '--role');
+    if (roleIndex !== -1) {
+        role = args[roleIndex + 1];
+    }
+
+    if (!username || !ADMIN_USERNAME_PATTERN.test(username)) {
+        console.error('❌ Username must be 3-32 letters, numbers, dots, dashes or underscores.');
+        showUsage();
+        process.exit(1);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        console.error(`❌ Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const db = new Database();
+    const adminAuth = new AdminAuth(db);
+
+    try {
+        await db.ready;
+        const existing = await db.getAdminCredentials(username);
+        if (existing && !reset) {
+            console.error(`❌ Admin "${existing.username}" already exists. Use --reset to set a new password.`);
+            process.exitCode = 1;
+            return;
+        }
+        if (!existing && reset) {
+            console.error(`❌ No admin named "${username}".`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const password = await readPassword();
+        if (password === null) {
+            console.error('❌ Passwords did not match.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const passwordError = adminAuth.validatePassword(password);
+        if (passwordError) {
+            console.error(`❌ ${passwordError}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const passwordHash = await adminAuth.hashPassword(password);
+
+        if (existing) {
+            await db.setAdminPassword(existing.id, passwordHash);
+            const { deleted } = await db.deleteAdminSessionsForUser(existing.id);
+            console.log(`✅ Password reset for ${existing.username} (${existing.role})`);
+            if (deleted > 0) {
+                console.log(`   Logged out ${deleted} open session(s)`);
+            }
+            if (existing.disabled) {
+                console.log('⚠️  This account is disabled - an owner must re-enable it from the dashboard.');
+            }
+        } else {
+            const user = await db.createAdminUser({ username, passwordHash, role });
+            console.log(`✅ Created ${user.role} account: ${user.username}`);
+            console.log('   Log in at /proadmin/login');
+        }
+    } catch (error) {
+        console.error('❌ Failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+// Show usage information
+function showUsage() {
+    console.log(`
+🛡️ Groupdeedo Admin Account Utility
+
+Usage:
+  node ${path.basename(__filename)} <username> [options]
+
+Options:
+  --role <role>       Role for a new account: ${ADMIN_ROLES.join(', ')} (default: owner)
+  --reset             Set a new password for an existing account
+
+Examples:
+  node ${path.basename(__filename)} alice                       # Create the first owner
+  node ${path.basename(__filename)} bob --role moderator        # Create a moderator
+  node ${path.basename(__filename)} alice --reset               # Reset alice's password
+`);
+}
+
+// Show usage if help requested
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    showUsage();
+    process.exit(0);
+}
+
+// Run main function
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -20,9 +20,17 @@ function uuidv4() {
 
 // Import custom modules - Testing custom LoRa trunk.
 const Database = require('./models/database');
-// Location utils removed - no longer needed
+const { calculateDistance, isValidCoordinates, formatDistance, roundCoordinates } = require('./utils/location');
 const CleanupManager = require('./scripts/cleanup');
 const AdminAuth = require('./middleware/adminAuth');
+const { ADMIN_ROLES, ADMIN_USERNAME_PATTERN } = AdminAuth;
+const IdentityAuth = require('./middleware/identityAuth');
+const ChannelAccess = require('./utils/channelAccess');
+const imageStore = require('./utils/imageStore');
+const { normalizeIp, parseCidr, cidrContains, parseTrustProxy, getForwardedAddress } = require('./utils/ipAddress');
+const { MessageFilter, FILTER_ACTIONS, compileRule } = require('./utils/messageFilter');
+const totp = require('./utils/totp');
+const QRCode = require('qrcode');
 
 const app = express();
 const server = http.createServer(app);
@@ -43,8 +51,53 @@ const HOST = process.env.HOST || '0.0.0.0';
 // Initialize database
 const db = new Database();
 
+// Move any images still stored inline in posts out to disk
+db.ready
+    .then(() => imageStore.migrateMessageImages(db))
+    .catch(error => console.error('❌ Image migration failed:', error.message));
+
 // Initialize admin authentication
-const adminAuth = new AdminAuth();
+const adminAuth = new AdminAuth(db);
+
+// Initialize anonymous identity signing
+const identityAuth = new IdentityAuth();
+const channelAccess = new ChannelAccess(identityAuth);
+
+// How long after posting an author may still edit a message
+const EDIT_WINDOW_MINUTES = parseInt(process.env.EDIT_WINDOW_MINUTES, 10) || 10;
+
+// Emoji users may react with (comma-separated in REACTION_EMOJIS)
+const REACTION_EMOJIS = (process.env.REACTION_EMOJIS || '❤️,😂,😮,😢,🎉,🔥')
+    .split(',')
+    .map(emoji => emoji.trim())
+    .filter(emoji => emoji && emoji.length <= 16)
+    .slice(0, 20);
+
+// Community auto-moderation defaults - each can be overridden per channel
+const AUTO_HIDE_DEFAULTS = {
+    // Distinct downvoters needed to hide a post (0 turns auto-moderation off)
+    minDownvotes: process.env.AUTO_HIDE_MIN_DOWNVOTES !== undefined ? parseInt(process.env.AUTO_HIDE_MIN_DOWNVOTES, 10) : 3,
+    // Downvotes must also be at least this many times the upvotes (0 ignores upvotes)
+    ratio: process.env.AUTO_HIDE_DOWNVOTE_RATIO !== undefined ? parseFloat(process.env.AUTO_HIDE_DOWNVOTE_RATIO) : 2,
+    // Users that must be in the channel before its posts can be auto-hidden
+    minViewers: parseInt(process.env.AUTO_HIDE_MIN_VIEWERS, 10) || 0
+};
+
+// Most voters one network address counts as, so a client minting identities can't hide a post alone
+// while people sharing venue wifi still count separately (up to this many)
+const AUTO_HIDE_MAX_VOTERS_PER_IP = parseInt(process.env.AUTO_HIDE_MAX_VOTERS_PER_IP, 10) || 2;
+
+// Filter pipeline for incoming messages (blocklist rules are loaded from the database)
+const messageFilter = new MessageFilter({
+    maxLinks: process.env.FILTER_MAX_LINKS !== undefined ? parseInt(process.env.FILTER_MAX_LINKS, 10) : 3,
+    linkAction: process.env.FILTER_LINK_ACTION || 'hold',
+    maxRepeats: parseInt(process.env.FILTER_MAX_REPEATS, 10) || 3,
+    duplicateWindowMs: (parseInt(process.env.FILTER_DUPLICATE_WINDOW_SECONDS, 10) || 300) * 1000
+});
+
+db.ready
+    .then(() => reloadFilterRules())
+    .catch(error => console.error('❌ Failed to load filter rules:', error.message));
 
 // Initialize cleanup manager (optional built-in scheduling )
 const ENABLE_AUTO_CLEANUP = process.env.ENABLE_AUTO_CLEANUP === 'true';
@@ -53,16 +106,22 @@ const CLEANUP_DAYS_OLD = parseInt(process.env.CLEANUP_DAYS_OLD, 10) || 30;
 
 let cleanupInterval = null;
 
+// Shares the server's connection so cleanup does not rerun migrations on a second one
+const cleanupManager = new CleanupManager(db);
+
 if (ENABLE_AUTO_CLEANUP) {
     console.log(`🧹 Auto-cleanup enabled: every ${CLEANUP_INTERVAL_HOURS} hours, deleting posts older than ${CLEANUP_DAYS_OLD} days`);
     
     const performCleanup = async () => {
         try {
             console.log('🧹 Running scheduled cleanup...');
-            const cleanup = new CleanupManager();
-            const result = await cleanup.runCleanup(CLEANUP_DAYS_OLD, false);
+            const result = await cleanupManager.runCleanup(CLEANUP_DAYS_OLD, false);
             console.log(`✅ Scheduled cleanup completed: ${result.message || 'No posts to delete'}`);
-            await cleanup.close();
+            audit(null, 'cleanup.run', {
+                actorSession: 'system',
+                actorName: 'system',
+                after: { daysOld: CLEANUP_DAYS_OLD, dryRun: false, result }
+            });
         } catch (error) {
             console.error('❌ Scheduled cleanup failed:', error.message);
         }
@@ -82,6 +141,56 @@ const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
 const RATE_LIMIT_MAX_REQUESTS = 100; // max requests per window
 const RATE_LIMIT_MAX_MESSAGES = 20; // max messages per minute per user
+const RATE_LIMIT_MAX_VOTES = 30; // max votes per minute per user
+const RATE_LIMIT_MAX_REACTIONS = 60; // max reaction changes per minute per user
+const RATE_LIMIT_MAX_REPORTS = 10; // max reports per minute per user
+const RATE_LIMIT_MAX_UNLOCKS = 10; // max channel passphrase attempts per minute per user and per address
+const RATE_LIMIT_MAX_INVITES = 10; // max channel invite links per minute per user
+const RATE_LIMIT_MAX_CHANNEL_ACTIONS = 20; // max channel owner/moderator actions per minute per user
+const RATE_LIMIT_MAX_IDENTITY_RESETS = 3; // max identity resets per minute per connection and per address
+
+// Longest message allowed anywhere - channels can set a lower limit
+const MAX_MESSAGE_LENGTH = 500;
+
+// Per-channel slow mode: last message time per "channel:session:id", "channel:socket:id" and "channel:ip:address"
+const lastMessageTimes = new Map();
+const MAX_SLOW_MODE_SECONDS = 60 * 60;
+
+// Limits on what channel owners can set up for their channel
+const MAX_CHANNEL_MODERATORS = 20;
+const MAX_CHANNEL_DESCRIPTION_LENGTH = 300;
+const MAX_OWNER_RETENTION_DAYS = 365;
+
+// Pinned messages and announcements stay above a channel's messages
+const MAX_PINNED_POSTS = parseInt(process.env.MAX_PINNED_POSTS, 10) || 5;
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+// Public channel directory
+const MAX_LISTING_TITLE_LENGTH = 60;
+const MAX_LISTING_TAGS = 5;
+const MAX_TAG_LENGTH = 20;
+const DIRECTORY_PAGE_SIZE = 50;
+// Ranking: someone in the channel right now counts as much as this many messages in the last day
+const DIRECTORY_MEMBER_WEIGHT = 10;
+
+// Nearby feed - posts shared with a coarse location, shown to users within their chosen radius.
+// These radii keep shared locations to 2 decimal places (about 0.7 miles) or coarser.
+// The channel name can't be entered by users - sanitizeChannel drops the '~'.
+const NEARBY_CHANNEL = '~nearby';
+const NEARBY_RADIUS_OPTIONS = [25, 50, 100];
+const DEFAULT_NEARBY_RADIUS = 25;
+
+// Reasons a user can give when reporting a message
+const REPORT_REASONS = ['spam', 'harassment', 'illegal', 'other'];
+
+// Most rows a single audit log CSV export will contain
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Hours an admin invite link stays valid
+const ADMIN_INVITE_HOURS = 72;
+
+// Name authenticator apps show next to admin two-factor codes
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Groupdeedo Admin';
 
 function rateLimit(identifier, maxRequests = RATE_LIMIT_MAX_REQUESTS) {
     const now = Date.now();
@@ -116,6 +225,16 @@ setInterval(() => {
             rateLimitMap.set(key, recent);
         }
     }
+    messageFilter.prune();
+    adminAuth.cleanupExpiredSessions();
+    db.deleteExpiredChannelInvites().catch(error => {
+        console.error('Error cleaning up channel invites:', error);
+    });
+    for (const [key, time] of lastMessageTimes.entries()) {
+        if (time < now - MAX_SLOW_MODE_SECONDS * 1000) {
+            lastMessageTimes.delete(key);
+        }
+    }
 }, 60000); // Clean every minute
 
 // Input sanitization helper
@@ -147,6 +266,9 @@ function isValidImageDataUrl(dataUrl) {
     return true;
 }
 
+// Behind a reverse proxy, TRUST_PROXY lets req.ip (and socket addresses) come from X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -165,26 +287,126 @@ app.use('/api/', (req, res, next) => {
 });
 
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// The client rounds its location with the same helpers
+app.get('/location.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'utils', 'location.js'));
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Store active users and their settings
 const activeUsers = new Map();
 
+// Resolve the anonymous identity presented in the handshake
+io.use(identityAuth.socketMiddleware());
+
+// Refuse connections from banned sessions and addresses
+io.use(async (socket, next) => {
+    try {
+        const ban = await findActiveBan(socket.data.identity.sessionId, socketAddress(socket));
+        if (ban) {
+            return next(new Error(banMessage(ban)));
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking ban on connection:', error);
+        next();
+    }
+});
+
+// Admin namespace for live moderation notifications - requires a moderator (or owner) session
+const adminIo = io.of('/admin');
+adminIo.use(adminAuth.socketMiddleware('moderator'));
+
+adminIo.on('connection', (socket) => {
+    console.log(`🛡️ Admin connected to live feed: ${socket.id}`);
+    
+    socket.on('disconnect', () => {
+        console.log(`🛡️ Admin disconnected from live feed: ${socket.id}`);
+    });
+});
+
+// Drop live feed connections whose session has just been revoked
+function disconnectAdminSockets(match) {
+    for (const socket of adminIo.sockets.values()) {
+        if (match(socket.data)) {
+            socket.disconnect(true);
+        }
+    }
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`User connected: ${socket.id}`);
     
+    const identity = socket.data.identity;
+    
     // Initialize user with default settings
     activeUsers.set(socket.id, {
         id: socket.id,
-        sessionId: uuidv4(),
+        sessionId: identity.sessionId,
         displayName: 'Anonymous',
         channel: '', // empty = public
         connectedAt: new Date()
     });
     
+    // Passphrase-protected channels this socket has unlocked
+    socket.data.unlockedChannels = new Set();
+    
+    // Channels this socket has shown the owner key for
+    socket.data.ownedChannels = new Set();
+    
+    // Start in the public channel's room
+    socket.join(channelRoom(''));
+    
+    // Send the (possibly new) identity token back so the client can keep it
+    socket.emit('identity', identity);
+    
+    // Tell the client which reactions it can offer
+    socket.emit('reactionOptions', REACTION_EMOJIS);
+    
+    // Handle explicit identity reset requested by the user
+    socket.on('resetIdentity', async () => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        if (!rateLimit(`reset_${socket.id}`, RATE_LIMIT_MAX_IDENTITY_RESETS) ||
+            !rateLimit(`reset_${normalizeIp(socketAddress(socket))}`, RATE_LIMIT_MAX_IDENTITY_RESETS)) {
+            socket.emit('error', 'Too many identity resets. Please wait a minute.');
+            return;
+        }
+        
+        // A banned session can't shed its ban by starting over
+        try {
+            const ban = await findActiveBan(user.sessionId, socketAddress(socket));
+            if (ban) {
+                socket.emit('error', banMessage(ban));
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking ban:', error);
+            socket.emit('error', 'Failed to reset identity');
+            return;
+        }
+        
+        const newIdentity = identityAuth.createIdentity();
+        console.log(`🪪 User ${socket.id} reset identity`);
+        
+        carryOverSessionLimits(user.sessionId, newIdentity.sessionId);
+        user.sessionId = newIdentity.sessionId;
+        socket.data.identity = newIdentity;
+        activeUsers.set(socket.id, user);
+        
+        socket.emit('identity', newIdentity);
+    });
+    
     // Handle user settings update
-    socket.on('updateSettings', (settings) => {
+    socket.on('updateSettings', async (settings) => {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            socket.emit('error', 'Invalid settings');
+            return;
+        }
+        
         const user = activeUsers.get(socket.id);
         if (user) {
             // Check if settings actually changed to avoid unnecessary updates
@@ -192,25 +414,27 @@ io.on('connection', (socket) => {
             
             // Sanitize inputs
             user.displayName = sanitizeDisplayName(settings.displayName) || user.displayName;
-            user.channel = settings.channel !== undefined ? sanitizeChannel(settings.channel) : user.channel;
+            const channel = settings.channel !== undefined ? sanitizeChannel(settings.channel) : user.channel;
             
             console.log(`⚙️  User ${user.displayName} (${socket.id}) updated settings:`, {
-                channel: user.channel
+                channel
             });
             
             activeUsers.set(socket.id, user);
             
             // Only send updated posts if channel changed
-            const channelChanged = oldUser.channel !== user.channel;
+            const channelChanged = oldUser.channel !== channel;
             
-            if (channelChanged) {
+            if (channelChanged && await enterChannel(socket, channel, settings)) {
                 sendFilteredPosts(socket);
             }
         }
     });
     
     // Handle explicit request for posts (when user enters a channel view)
-    socket.on('requestPosts', (data) => {
+    // Protected channels also take the client's saved access token or an invite token,
+    // and owned channels the client's owner key
+    socket.on('requestPosts', async (data) => {
         const user = activeUsers.get(socket.id);
         if (user) {
             // Rate limit post requests
@@ -221,296 +445,3049 @@ io.on('connection', (socket) => {
             
             // Update channel if provided (sanitized)
             if (data && data.channel !== undefined) {
-                user.channel = sanitizeChannel(data.channel);
-                activeUsers.set(socket.id, user);
+                if (!await enterChannel(socket, sanitizeChannel(data.channel), data)) return;
             }
             console.log(`📥 User ${user.displayName} (${socket.id}) requested posts for channel: [${user.channel}]`);
             sendFilteredPosts(socket);
         }
     });
     
-    // Handle new message
-    socket.on('sendMessage', async (messageData) => {
+    // Enter the nearby feed. The location is rounded again here, whatever precision the client sent.
+    socket.on('enterNearby', async (data) => {
         const user = activeUsers.get(socket.id);
-        if (!user) {
-            socket.emit('error', 'Not connected');
+        if (!user) return;
+        
+        if (!rateLimit(`posts_${user.sessionId}`, 30)) {
+            socket.emit('error', 'Too many requests. Please wait.');
             return;
         }
         
-        // Rate limit messages per user
-        if (!rateLimit(`msg_${user.sessionId}`, RATE_LIMIT_MAX_MESSAGES)) {
-            console.log(`⚠️ Message rate limit exceeded for user: ${user.sessionId}`);
-            socket.emit('error', 'Sending too fast. Please wait a moment.');
+        if (!data || !isValidCoordinates(data.latitude, data.longitude)) {
+            socket.emit('error', 'Your location could not be used');
             return;
         }
         
-        // Validate and sanitize message
-        const sanitizedMessage = sanitizeInput(messageData.message, 500);
-        if (!sanitizedMessage && !messageData.image) {
-            socket.emit('error', 'Message cannot be empty');
+        const radiusMiles = NEARBY_RADIUS_OPTIONS.includes(data.radiusMiles) ? data.radiusMiles : DEFAULT_NEARBY_RADIUS;
+        user.location = { ...roundCoordinates(data.latitude, data.longitude, radiusMiles), radiusMiles };
+        
+        if (await enterChannel(socket, NEARBY_CHANNEL)) {
+            sendFilteredPosts(socket);
+        }
+    });
+    
+    // Unlock a protected channel with its passphrase
+    socket.on('unlockChannel', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!rateLimit(`unlock_${user.sessionId}`, RATE_LIMIT_MAX_UNLOCKS) ||
+            !rateLimit(`unlock_${normalizeIp(socketAddress(socket))}`, RATE_LIMIT_MAX_UNLOCKS)) {
+            socket.emit('channelLocked', { channel, error: 'Too many attempts. Please wait a minute.' });
             return;
         }
         
-        // Validate image if provided
-        if (messageData.image && !isValidImageDataUrl(messageData.image)) {
-            console.log(`⚠️ Invalid image data from user: ${user.sessionId}`);
-            socket.emit('error', 'Invalid image format');
+        try {
+            const passphraseHash = await db.getChannelPassphraseHash(channel);
+            if (passphraseHash && !await channelAccess.verifyPassphrase(data.passphrase, passphraseHash)) {
+                socket.emit('channelLocked', { channel, error: 'Wrong passphrase' });
+                return;
+            }
+            
+            socket.data.unlockedChannels.add(channel);
+            socket.emit('channelUnlocked', {
+                channel,
+                accessToken: passphraseHash ? channelAccess.issueAccessToken(channel, passphraseHash) : null
+            });
+            
+            if (normalizeChannel(user.channel) === channel) {
+                socket.join(channelRoom(channel));
+                sendFilteredPosts(socket);
+            }
+        } catch (error) {
+            console.error('Error unlocking channel:', error);
+            socket.emit('error', 'Failed to unlock channel');
+        }
+    });
+    
+    // Protect a channel with a passphrase, or change it. On an owned channel only the owner can;
+    // otherwise changing it needs the current one, and protecting it also claims the channel.
+    // Everyone else has to unlock the channel again.
+    socket.on('protectChannel', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!channel) {
+            socket.emit('error', 'The public channel cannot be protected');
+            return;
+        }
+        if (!rateLimit(`unlock_${user.sessionId}`, RATE_LIMIT_MAX_UNLOCKS)) {
+            socket.emit('error', 'Too many attempts. Please wait a minute.');
+            return;
+        }
+        
+        const passphraseError = channelAccess.validatePassphrase(data.passphrase);
+        if (passphraseError) {
+            socket.emit('error', passphraseError);
             return;
         }
         
         try {
-            const post = {
-                id: uuidv4(),
-                sessionId: user.sessionId,
-                displayName: sanitizeDisplayName(user.displayName),
-                message: sanitizedMessage,
-                image: messageData.image || null,
-                latitude: 0,
-                longitude: 0,
-                channel: sanitizeChannel(user.channel),
-                timestamp: new Date().toISOString()
-            };
+            const [currentHash, ownerKeyHash] = await Promise.all([
+                db.getChannelPassphraseHash(channel),
+                db.getChannelOwnerKeyHash(channel)
+            ]);
+            if (ownerKeyHash) {
+                if (!socket.data.ownedChannels.has(channel)) {
+                    socket.emit('error', 'Only the channel owner can change its passphrase');
+                    return;
+                }
+            } else if (currentHash && !await channelAccess.verifyPassphrase(data.currentPassphrase, currentHash)) {
+                socket.emit('error', 'The current passphrase is not right');
+                return;
+            }
             
-            console.log(`📤 User ${user.displayName} (${socket.id}) sending message to channel: [${post.channel}]`);
+            const passphraseHash = await channelAccess.hashPassphrase(data.passphrase);
+            await db.setChannelPassphrase(channel, passphraseHash);
+            lockOutChannel(channel, socket.id);
             
-            // Save to database
-            await db.createPost(post);
+            socket.data.unlockedChannels.add(channel);
+            socket.emit('channelUnlocked', { channel, accessToken: channelAccess.issueAccessToken(channel, passphraseHash) });
+            socket.emit('channelProtected', { channel, changed: !!currentHash });
+            if (!ownerKeyHash) {
+                await claimChannelFor(socket, channel);
+            }
+            console.log(`🔒 Channel [${channel}] ${currentHash ? 'passphrase changed' : 'protected'} by ${user.sessionId}`);
+        } catch (error) {
+            console.error('Error protecting channel:', error);
+            socket.emit('error', 'Failed to protect channel');
+        }
+    });
+    
+    // Invite link for sharing a protected channel - one-time, or any number of uses until it expires
+    socket.on('createChannelInvite', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!rateLimit(`invite_${user.sessionId}`, RATE_LIMIT_MAX_INVITES)) {
+            socket.emit('error', 'Too many invites. Please wait a minute.');
+            return;
+        }
+        
+        try {
+            const access = await resolveChannelAccess(socket, channel, { accessToken: data.accessToken });
+            if (!access.allowed) {
+                socket.emit('channelLocked', { channel });
+                return;
+            }
             
-            // Broadcast to relevant users
-            broadcastToRelevantUsers(post);
+            // Unprotected channels are shared with a plain link
+            if (!await db.getChannelPassphraseHash(channel)) {
+                socket.emit('channelInvite', { channel, inviteToken: null });
+                return;
+            }
             
-            // Notify admin panel of new message (if admin is connected)
-            notifyAdminPanel('newMessage', {
-                id: post.id,
-                displayName: post.displayName,
-                channel: post.channel,
-                timestamp: post.timestamp,
-                hasImage: !!post.image
-            });
+            const invite = channelAccess.createInviteToken();
+            const limits = channelAccess.getInviteLimits(data);
+            await db.createChannelInvite({ channel, tokenHash: invite.hash, ...limits });
             
+            socket.emit('channelInvite', { channel, inviteToken: invite.token, ...limits });
         } catch (error) {
-            console.error('Error sending message:', error);
-            socket.emit('error', 'Failed to send message');
+            console.error('Error creating channel invite:', error);
+            socket.emit('error', 'Failed to create invite link');
         }
     });
     
-    // Handle getting channel info for QR code
-    socket.on('getChannelInfo', (channelName) => {
-        const channelUrl = `${process.env.BASE_URL || 'https://groupdeedo.com'}/?channel=${encodeURIComponent(channelName)}`;
-        socket.emit('channelInfo', {
-            channel: channelName,
-            url: channelUrl
-        });
+    // Become the owner of a channel nobody has claimed yet
+    socket.on('claimChannel', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!channel) {
+            socket.emit('error', 'The public channel cannot be claimed');
+            return;
+        }
+        if (!rateLimit(`channel_${user.sessionId}`, RATE_LIMIT_MAX_CHANNEL_ACTIONS)) {
+            socket.emit('error', 'Too many changes. Please wait a minute.');
+            return;
+        }
+        
+        try {
+            if (!await canAccessChannel(socket, channel)) {
+                socket.emit('channelLocked', { channel });
+                return;
+            }
+            if (!await claimChannelFor(socket, channel)) {
+                socket.emit('error', 'This channel already has an owner');
+            }
+        } catch (error) {
+            console.error('Error claiming channel:', error);
+            socket.emit('error', 'Failed to claim channel');
+        }
     });
     
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
-        activeUsers.delete(socket.id);
+    // Take over ownership on another device with a saved owner key
+    socket.on('useOwnerKey', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!rateLimit(`unlock_${user.sessionId}`, RATE_LIMIT_MAX_UNLOCKS) ||
+            !rateLimit(`unlock_${normalizeIp(socketAddress(socket))}`, RATE_LIMIT_MAX_UNLOCKS)) {
+            socket.emit('error', 'Too many attempts. Please wait a minute.');
+            return;
+        }
+        
+        try {
+            if (!await checkOwnerKey(socket, channel, data.ownerKey)) {
+                socket.emit('error', 'That owner key is not right');
+                return;
+            }
+            
+            socket.emit('channelClaimed', { channel, ownerKey: data.ownerKey, restored: true });
+            await sendChannelRole(socket, channel);
+        } catch (error) {
+            console.error('Error checking owner key:', error);
+            socket.emit('error', 'Failed to check owner key');
+        }
     });
     
-    // Send initial filtered posts when user connects
-    setTimeout(() => sendFilteredPosts(socket), 1000);
-});
-
-// Helper function to normalize channel names for consistent comparison
-function normalizeChannel(channel) {
-    if (channel === null || channel === undefined) {
-        return '';
-    }
-    // Convert to lowercase for case-insensitive matching
-    return String(channel).trim().toLowerCase();
-}
-
-// Function to send filtered posts to a specific user
-async function sendFilteredPosts(socket) {
-    const user = activeUsers.get(socket.id);
-    if (!user) {
-        return;
-    }
-    
-    try {
-        const allPosts = await db.getRecentPosts(100); // Get last 100 posts
-        
-        // Calculate 24 hours ago
-        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    // Owner appoints the author of one of the channel's posts as a moderator
+    socket.on('addChannelModerator', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
         
-        // Filter by channel and only show messages from last 24 hours
-        const filteredPosts = allPosts.filter(post => {
-            const isCorrectChannel = normalizeChannel(post.channel) === normalizeChannel(user.channel);
-            const postDate = new Date(post.createdAt || post.timestamp);
-            const isRecent = postDate >= twentyFourHoursAgo;
-            return isCorrectChannel && isRecent;
-        });
+        const channel = sanitizeChannel(data && data.channel);
+        const postId = data && typeof data.postId === 'string' ? data.postId : null;
+        if (!postId) {
+            socket.emit('error', 'Invalid moderator');
+            return;
+        }
+        if (!rateLimit(`channel_${user.sessionId}`, RATE_LIMIT_MAX_CHANNEL_ACTIONS)) {
+            socket.emit('error', 'Too many changes. Please wait a minute.');
+            return;
+        }
         
-        socket.emit('posts', filteredPosts);
-    } catch (error) {
-        console.error('Error fetching posts:', error);
-        socket.emit('error', 'Failed to load messages');
-    }
-}
-
-// Function to broadcast new post to relevant users
-function broadcastToRelevantUsers(post) {
-    console.log(`📡 Broadcasting post from channel: "${post.channel}" to ${activeUsers.size} users`);
-    let matchingUsers = 0;
-    
-    for (const [socketId, user] of activeUsers.entries()) {
-        // Channel filter only - everyone in the same channel sees the post
-        if (normalizeChannel(post.channel) === normalizeChannel(user.channel)) {
-            io.to(socketId).emit('newPost', post);
-            matchingUsers++;
+        try {
+            if (await getChannelRole(socket, channel) !== 'owner') {
+                socket.emit('error', 'Only the channel owner can appoint moderators');
+                return;
+            }
+            
+            const post = await db.getPostById(postId);
+            if (!post || post.channel !== channel) {
+                socket.emit('error', 'Message not found');
+                return;
+            }
+            const { sessionId } = post;
+            if (sessionId === user.sessionId) {
+                socket.emit('error', 'You already own this channel');
+                return;
+            }
+            
+            const moderators = await db.getChannelModerators(channel);
+            if (moderators.length >= MAX_CHANNEL_MODERATORS && !moderators.some(mod => mod.sessionId === sessionId)) {
+                socket.emit('error', `A channel can have at most ${MAX_CHANNEL_MODERATORS} moderators`);
+                return;
+            }
+            
+            await db.addChannelModerator({ channel, sessionId, displayName: post.displayName });
+            console.log(`🛡️ Channel [${channel}] moderator added by owner ${user.sessionId}`);
+            await refreshChannelRoles(channel);
+        } catch (error) {
+            console.error('Error adding channel moderator:', error);
+            socket.emit('error', 'Failed to add moderator');
         }
-    }
-    
-    console.log(`📊 Post broadcast to ${matchingUsers} users`);
-}
-
-// Function to notify admin panel of events
-function notifyAdminPanel(event, data) {
-    // Send to all connected admin sockets (if any)
-    io.emit('adminNotification', {
-        event,
-        data,
-        timestamp: new Date().toISOString()
     });
-}
-
-// API Routes
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        activeUsers: activeUsers.size,
-        uptime: process.uptime(),
-        autoCleanup: {
-            enabled: ENABLE_AUTO_CLEANUP,
-            intervalHours: CLEANUP_INTERVAL_HOURS,
-            daysOld: CLEANUP_DAYS_OLD
+    
+    socket.on('removeChannelModerator', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        const authorId = data && typeof data.authorId === 'string' ? data.authorId : null;
+        if (!rateLimit(`channel_${user.sessionId}`, RATE_LIMIT_MAX_CHANNEL_ACTIONS)) {
+            socket.emit('error', 'Too many changes. Please wait a minute.');
+            return;
         }
-    });
-});
-
-// Cleanup management API (for admin purposes)
-app.get('/api/cleanup/stats', async (req, res) => {
-    try {
-        const cleanup = new CleanupManager();
-        const stats = await cleanup.getCleanupStats();
-        await cleanup.close();
-        res.json(stats);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to get cleanup stats' });
+        
+        try {
+            if (await getChannelRole(socket, channel) !== 'owner') {
+                socket.emit('error', 'Only the channel owner can remove moderators');
+                return;
+            }
+            
+            // Moderators are listed by pseudonym, so find whose it is
+            const moderators = await db.getChannelModerators(channel);
+            const moderator = moderators.find(mod => identityAuth.pseudonym(mod.sessionId, channel) === authorId);
+            if (moderator && await db.removeChannelModerator(channel, moderator.sessionId)) {
+                console.log(`🛡️ Channel [${channel}] moderator removed by owner ${user.sessionId}`);
+                await refreshChannelRoles(channel);
+            }
+        } catch (error) {
+            console.error('Error removing channel moderator:', error);
+            socket.emit('error', 'Failed to remove moderator');
+        }
+    });
+    
+    // Owner or moderator deletes, pins or unpins a message in their channel
+    socket.on('moderatePost', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const postId = data && typeof data.postId === 'string' ? data.postId : null;
+        const action = data && data.action;
+        if (!postId || !['delete', 'pin', 'unpin'].includes(action)) {
+            socket.emit('error', 'Invalid moderation request');
+            return;
+        }
+        if (!rateLimit(`channel_${user.sessionId}`, RATE_LIMIT_MAX_CHANNEL_ACTIONS)) {
+            socket.emit('error', 'Too many changes. Please wait a minute.');
+            return;
+        }
+        
+        try {
+            const post = await db.getPostById(postId);
+            if (!post) {
+                socket.emit('error', 'Message not found');
+                return;
+            }
+            
+            const role = await getChannelRole(socket, post.channel);
+            if (!role) {
+                socket.emit('error', 'Only the channel owner and moderators can do that');
+                return;
+            }
+            
+            if (action === 'delete') {
+                await deletePostAndNotify(post, `channel ${role}`);
+                return;
+            }
+            
+            const result = action === 'pin'
+                ? await pinPostInChannel(post, `channel ${role}`)
+                : await unpinPostInChannel(post);
+            if (result.error) {
+                socket.emit('error', result.error);
+            } else if (result.changed) {
+                console.log(`📌 Message ${post.id} ${action}ned by channel ${role} ${user.sessionId}`);
+            }
+        } catch (error) {
+            console.error('Error moderating message:', error);
+            socket.emit('error', 'Failed to update message');
+        }
+    });
+    
+    // Owner changes the channel's description, retention and slow mode; moderators only slow mode
+    socket.on('updateChannelSettings', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const channel = sanitizeChannel(data && data.channel);
+        if (!rateLimit(`channel_${user.sessionId}`, RATE_LIMIT_MAX_CHANNEL_ACTIONS)) {
+            socket.emit('error', 'Too many changes. Please wait a minute.');
+            return;
+        }
+        
+        try {
+            const role = await getChannelRole(socket, channel);
+            if (!role) {
+                socket.emit('error', 'Only the channel owner and moderators can change channel settings');
+                return;
+            }
+            if (role !== 'owner' && (data.retentionDays !== undefined || data.description !== undefined)) {
+                socket.emit('error', 'Only the channel owner can change the description and retention');
+                return;
+            }
+            
+            const current = await db.getChannelSettings(channel);
+            
+            let slowMode = current.slowModeSeconds;
+            if (data.slowModeSeconds !== undefined) {
+                slowMode = parseInt(data.slowModeSeconds, 10) || 0;
+                if (slowMode < 0 || slowMode > MAX_SLOW_MODE_SECONDS) {
+                    socket.emit('error', `Slow mode must be between 0 and ${MAX_SLOW_MODE_SECONDS} seconds`);
+                    return;
+                }
+            }
+            
+            // null/empty = the global cleanup default; keeping messages forever stays an admin decision
+            let retention = current.retentionDays;
+            if (data.retentionDays !== undefined) {
+                retention = data.retentionDays === null || data.retentionDays === '' ? null : parseInt(data.retentionDays, 10);
+                if (retention !== null && (isNaN(retention) || retention < 1 || retention > MAX_OWNER_RETENTION_DAYS)) {
+                    socket.emit('error', `Retention must be between 1 and ${MAX_OWNER_RETENTION_DAYS} days`);
+                    return;
+                }
+            }
+            
+            const settings = await db.updateChannelSettings(channel, {
+                ...current,
+                slowModeSeconds: slowMode,
+                retentionDays: retention
+            });
+            if (data.description !== undefined) {
+                const description = typeof data.description === 'string'
+                    ? data.description.trim().slice(0, MAX_CHANNEL_DESCRIPTION_LENGTH)
+                    : '';
+                await db.setChannelDescription(channel, description || null);
+            }
+            
+            console.log(`⚙️ Channel [${channel}] settings updated by channel ${role} ${user.sessionId}: retention ${retention === null ? 'default' : retention + ' days'}, slow mode ${slowMode}s`);
+            
+            broadcastChannelLimits(channel, settings);
+            io.to(channelRoom(channel)).emit('channelDetails', await getChannelDetails(channel));
+            await refreshChannelRoles(channel);
+            socket.emit('channelSettingsSaved', { channel });
+        } catch (error) {
+            console.error('Error updating channel settings:', error);
+            socket.emit('error', 'Failed to update channel settings');
+        }
+    });
+    
+    // Handle request for an older page of the current channel's history
+    socket.on('loadOlderPosts', (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        if (!rateLimit(`posts_${user.sessionId}`, 30)) {
+            socket.emit('error', 'Too many requests. Please wait.');
+            return;
+        }
+        
+        const before = data && typeof data.before === 'string' ? data.before : null;
+        const beforeId = data && typeof data.beforeId === 'string' ? data.beforeId : null;
+        if (!before) {
+            socket.emit('error', 'Invalid history request');
+            return;
+        }
+        
+        sendOlderPosts(socket, { before, beforeId });
+    });
+    
+    // Handle new message
+    socket.on('sendMessage', async (messageData) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) {
+            socket.emit('error', 'Not connected');
+            return;
+        }
+        
+        // Clients can emit anything - a bad payload must not throw outside the try blocks below
+        if (!messageData || typeof messageData !== 'object' || typeof messageData.message !== 'string' ||
+            (messageData.image != null && typeof messageData.image !== 'string')) {
+            socket.emit('error', 'Invalid message');
+            return;
+        }
+        
+        // Rate limit messages per user
+        if (!rateLimit(`msg_${user.sessionId}`, RATE_LIMIT_MAX_MESSAGES)) {
+            console.log(`⚠️ Message rate limit exceeded for user: ${user.sessionId}`);
+            socket.emit('error', 'Sending too fast. Please wait a moment.');
+            return;
+        }
+        
+        // Bans made while the user was connected
+        try {
+            const ban = await findActiveBan(user.sessionId, socketAddress(socket));
+            if (ban) {
+                socket.emit('error', banMessage(ban));
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking ban:', error);
+            socket.emit('error', 'Failed to send message');
+            return;
+        }
+        
+        // Sanitized when the user entered it - and the nearby feed's name wouldn't survive again
+        const channel = normalizeChannel(user.channel);
+        
+        let limits;
+        try {
+            if (!await canAccessChannel(socket, channel)) {
+                socket.emit('channelLocked', { channel });
+                return;
+            }
+            limits = await getChannelLimits(channel);
+        } catch (error) {
+            console.error('Error fetching channel limits:', error);
+            socket.emit('error', 'Failed to send message');
+            return;
+        }
+        
+        // Validate and sanitize message
+        if (typeof messageData.message === 'string' && messageData.message.trim().length > limits.maxMessageLength) {
+            socket.emit('error', `Messages in this channel can be at most ${limits.maxMessageLength} characters`);
+            return;
+        }
+        
+        const sanitizedMessage = sanitizeInput(messageData.message, limits.maxMessageLength);
+        if (!sanitizedMessage && !messageData.image) {
+            socket.emit('error', 'Message cannot be empty');
+            return;
+        }
+        
+        // Validate image if provided
+        if (messageData.image && !isValidImageDataUrl(messageData.image)) {
+            console.log(`⚠️ Invalid image data from user: ${user.sessionId}`);
+            socket.emit('error', 'Invalid image format');
+            return;
+        }
+        
+        // Replies must point at an existing post in the same channel
+        let parent = null;
+        if (messageData.parentId !== undefined && messageData.parentId !== null) {
+            try {
+                parent = typeof messageData.parentId === 'string' ? await db.getPostById(messageData.parentId) : null;
+            } catch (error) {
+                console.error('Error looking up reply parent:', error);
+                socket.emit('error', 'Failed to send message');
+                return;
+            }
+            
+            if (!parent || parent.channel !== channel) {
+                socket.emit('error', 'The message you replied to is no longer available');
+                return;
+            }
+        }
+        
+        // Slow mode - every attempt from here on starts the user's cooldown
+        if (limits.slowModeSeconds > 0) {
+            const remaining = getSlowModeRemaining(channel, socket, limits.slowModeSeconds);
+            if (remaining > 0) {
+                socket.emit('cooldown', { channel, seconds: remaining });
+                socket.emit('error', `Slow mode is on. You can send another message in ${remaining}s`);
+                return;
+            }
+            
+            startSlowMode(channel, socket);
+            socket.emit('cooldown', { channel, seconds: limits.slowModeSeconds });
+        }
+        
+        // Blocklist, link and duplicate checks - may mask the text or hold/block the message
+        const filterResult = messageFilter.check(sanitizedMessage, { sessionId: user.sessionId, channel });
+        if (filterResult.action === 'block') {
+            console.log(`🧹 Blocked message from user ${user.sessionId}: ${filterResult.hits.map(hit => hit.rule).join(', ')}`);
+            recordFilterHits(filterResult.hits, { sessionId: user.sessionId, channel, message: sanitizedMessage });
+            socket.emit('error', filterResult.reason);
+            return;
+        }
+        
+        // Re-encode and store the image on disk - the post only keeps its URLs
+        let storedImage = { image: null, thumbnail: null };
+        if (messageData.image) {
+            try {
+                storedImage = await imageStore.saveDataUrlImage(messageData.image);
+            } catch (error) {
+                console.log(`⚠️ Rejected image from user ${user.sessionId}: ${error.message}`);
+                socket.emit('error', 'Invalid image format');
+                return;
+            }
+        }
+        
+        // Only the nearby feed stores the sender's (already coarse) location
+        const location = channel === NEARBY_CHANNEL ? user.location : null;
+        
+        try {
+            const editToken = identityAuth.createEditToken();
+            const post = {
+                id: uuidv4(),
+                sessionId: user.sessionId,
+                displayName: sanitizeDisplayName(user.displayName),
+                message: filterResult.message,
+                image: storedImage.image,
+                thumbnail: storedImage.thumbnail,
+                parentId: parent ? parent.id : null,
+                latitude: location ? location.latitude : 0,
+                longitude: location ? location.longitude : 0,
+                channel,
+                timestamp: new Date().toISOString(),
+                editTokenHash: editToken.hash,
+                ipAddress: normalizeIp(socketAddress(socket))
+            };
+            
+            console.log(`📤 User ${user.displayName} (${socket.id}) sending message to channel: [${post.channel}]`);
+            
+            // Held messages stay out of the channel until a moderator approves them
+            if (filterResult.action === 'hold') {
+                const rules = filterResult.hits.map(hit => hit.rule).join(', ');
+                await db.holdMessage(post, rules);
+                messageFilter.remember(sanitizedMessage, user.sessionId);
+                recordFilterHits(filterResult.hits, { postId: post.id, sessionId: user.sessionId, channel, message: sanitizedMessage });
+                
+                console.log(`🧹 Held message ${post.id} for review: ${rules}`);
+                socket.emit('messageHeld', { reason: filterResult.reason });
+                notifyAdminPanel('messageHeld', { id: post.id, channel: post.channel, rules });
+                return;
+            }
+            
+            // Save to database
+            await db.createPost(post);
+            delete post.editTokenHash;
+            delete post.ipAddress;
+            messageFilter.remember(sanitizedMessage, user.sessionId);
+            recordFilterHits(filterResult.hits, { postId: post.id, sessionId: user.sessionId, channel, message: sanitizedMessage });
+            
+            // Only the author receives the edit token
+            socket.emit('messageSent', {
+                postId: post.id,
+                editToken: editToken.token,
+                editableUntil: new Date(Date.parse(post.timestamp) + EDIT_WINDOW_MINUTES * 60 * 1000).toISOString()
+            });
+            
+            announceNewPost(post, parent);
+            
+        } catch (error) {
+            console.error('Error sending message:', error);
+            socket.emit('error', 'Failed to send message');
+        }
+    });
+    
+    // Handle an author editing their own message within the edit window
+    socket.on('editMessage', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) {
+            socket.emit('error', 'Not connected');
+            return;
+        }
+        
+        if (!rateLimit(`msg_${user.sessionId}`, RATE_LIMIT_MAX_MESSAGES)) {
+            socket.emit('error', 'Sending too fast. Please wait a moment.');
+            return;
+        }
+        
+        try {
+            // Banned users can't rewrite what they already posted either
+            const ban = await findActiveBan(user.sessionId, socketAddress(socket));
+            if (ban) {
+                socket.emit('error', banMessage(ban));
+                return;
+            }
+            
+            const post = await getAuthoredPost(data);
+            if (!post) {
+                socket.emit('error', 'You can only edit your own messages');
+                return;
+            }
+            
+            if (Date.now() > Date.parse(post.timestamp) + EDIT_WINDOW_MINUTES * 60 * 1000) {
+                socket.emit('error', `Messages can only be edited for ${EDIT_WINDOW_MINUTES} minutes`);
+                return;
+            }
+            
+            const limits = await getChannelLimits(post.channel);
+            if (typeof data.message === 'string' && data.message.trim().length > limits.maxMessageLength) {
+                socket.emit('error', `Messages in this channel can be at most ${limits.maxMessageLength} characters`);
+                return;
+            }
+            
+            let message = sanitizeInput(data.message, limits.maxMessageLength);
+            if (!message && !post.image) {
+                socket.emit('error', 'Message cannot be empty');
+                return;
+            }
+            
+            // Edits go through the same filters - held edits can't be saved
+            const filterResult = messageFilter.check(message, { sessionId: user.sessionId, channel: post.channel, edit: true });
+            recordFilterHits(filterResult.hits, { postId: post.id, sessionId: user.sessionId, channel: post.channel, message });
+            if (filterResult.action !== 'allow') {
+                socket.emit('error', filterResult.reason);
+                return;
+            }
+            message = filterResult.message;
+            if (message === post.message) return;
+            
+            const result = await db.editPostMessage(post.id, message);
+            console.log(`✏️ Author edited message: ${post.id}`);
+            
+            io.to(channelRoom(post.channel)).emit('messageEdited', {
+                messageId: post.id,
+                message,
+                editedAt: result.editedAt
+            });
+            
+            notifyAdminPanel('messageEdited', { messageId: post.id, editedAt: result.editedAt });
+        } catch (error) {
+            console.error('Error editing message:', error);
+            socket.emit('error', 'Failed to edit message');
+        }
+    });
+    
+    // Handle an author deleting their own message
+    socket.on('deleteMessage', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) {
+            socket.emit('error', 'Not connected');
+            return;
+        }
+        
+        // Deletes are broadcast to the whole channel, so they share the message rate limit
+        if (!rateLimit(`msg_${user.sessionId}`, RATE_LIMIT_MAX_MESSAGES)) {
+            socket.emit('error', 'Sending too fast. Please wait a moment.');
+            return;
+        }
+        
+        try {
+            const post = await getAuthoredPost(data);
+            if (!post) {
+                socket.emit('error', 'You can only delete your own messages');
+                return;
+            }
+            
+            await deletePostAndNotify(post, 'author');
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            socket.emit('error', 'Failed to delete message');
+        }
+    });
+    
+    // Handle request for a post and all of its replies
+    socket.on('requestThread', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) return;
+        
+        const postId = data && typeof data.postId === 'string' ? data.postId : null;
+        if (!postId) {
+            socket.emit('error', 'Invalid thread request');
+            return;
+        }
+        
+        if (!rateLimit(`posts_${user.sessionId}`, 30)) {
+            socket.emit('error', 'Too many requests. Please wait.');
+            return;
+        }
+        
+        try {
+            // Only threads in the user's current channel can be opened
+            const post = await db.getPostById(postId);
+            if (!post || post.channel !== normalizeChannel(user.channel) || !await canAccessChannel(socket, post.channel)) {
+                socket.emit('error', 'Message not found');
+                return;
+            }
+            
+            const [threadPost, replies] = await Promise.all([
+                getPostForClients(post),
+                db.getThreadReplies(post.id)
+            ]);
+            await attachReactions([threadPost, ...replies], user.sessionId);
+            await attachPins([threadPost, ...replies], post.channel);
+            attachDistances([threadPost, ...replies], user.location);
+            attachAuthorIds([threadPost, ...replies]);
+            
+            socket.emit('thread', {
+                post: threadPost,
+                replies
+            });
+        } catch (error) {
+            console.error('Error fetching thread:', error);
+            socket.emit('error', 'Failed to load thread');
+        }
+    });
+    
+    // Handle votes - the voter is always the socket's authenticated identity
+    socket.on('vote', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) {
+            socket.emit('error', 'Not connected');
+            return;
+        }
+        
+        const postId = data && typeof data.postId === 'string' ? data.postId : null;
+        const voteType = data && data.voteType;
+        
+        if (!postId || !['up', 'down'].includes(voteType)) {
+            socket.emit('error', 'Invalid vote');
+            return;
+        }
+        
+        if (!rateLimit(`vote_${user.sessionId}`, RATE_LIMIT_MAX_VOTES)) {
+            socket.emit('error', 'Voting too fast. Please wait a moment.');
+            return;
+        }
+        
+        try {
+            const ban = await findActiveBan(user.sessionId, socketAddress(socket));
+            if (ban) {
+                socket.emit('error', banMessage(ban));
+                return;
+            }
+            
+            const result = await processVote(postId, user.sessionId, voteType, socketAddress(socket),
+                channel => canAccessChannel(socket, channel));
+            if (!result) {
+                socket.emit('error', 'Message not found');
+                return;
+            }
+            socket.emit('voteResult', result);
+        } catch (error) {
+            console.error('Error processing vote:', error);
+            socket.emit('error', 'Failed to vote');
+        }
+    });
+    
+    // Handle a user reporting a message for moderator review
+    socket.on('reportMessage', async (data) => {
+        const user = activeUsers.get(socket.id);
+        if (!user) {
+            socket.emit('error', 'Not connected');
+            return;
+        }
+        
+        const postId = data && typeof data.postId === 'string' ? data.postId : null;
+        const reason = data && data.reason;
+        if (!postId || !REPORT_REASONS.includes(reason)) {
+            socket.emit('error', 'Invalid report');
+            return;
+        }
+        
+        if (!rateLimit(`report_${user.sessionId}`, RATE_LIMIT_MAX_REPORTS)) {
+            socket.emit('error', 'Reporting too fast. Please wait a moment.');
+            return;
+        }
+        
+        try {
+            const post = await db.getPostById(postId);
+            if (!post || !await canAccessChannel(socket, post.channel)) {
+                socket.emit('error', 'Message not found');
+                return;
+            }
+            
+            const details = sanitizeInput(data.details, 500) || null;
+            const added = await db.addReport(postId, user.sessionId, reason, details);
+            socket.emit('reportResult', { postId, success: true, duplicate: !added });
+            
+            if (added) {
+                console.log(`🚩 Message ${postId} reported for ${reason}`);
+                notifyAdminPanel('messageReported', { postId, reason, channel: post.channel });
+            }
+        } catch (error) {
+            console.error('Error reporting message:', error);
+            socket.emit('error', 'Failed to report message');
+        }
+    });
+    
+    // Handle emoji reactions - kept apart from votes so they never affect moderation
+    socket.on('addReaction', (data) => {
+        handleReaction(socket, data, 'add');
+    });
+    
+    socket.on('removeReaction', (data) => {
+        handleReaction(socket, data, 'remove');
+    });
+    
+    // Handle getting channel info for QR code
+    socket.on('getChannelInfo', (channelName) => {
+        const channelUrl = `${process.env.BASE_URL || 'https://groupdeedo.com'}/?channel=${encodeURIComponent(channelName)}`;
+        socket.emit('channelInfo', {
+            channel: channelName,
+            url: channelUrl
+        });
+    });
+    
+    // Handle disconnect
+    socket.on('disconnect', () => {
+        console.log(`User disconnected: ${socket.id}`);
+        activeUsers.delete(socket.id);
+    });
+    
+    // Send initial filtered posts when user connects
+    setTimeout(() => sendFilteredPosts(socket), 1000);
+});
+
+// Helper function to normalize channel names for consistent comparison
+function normalizeChannel(channel) {
+    if (channel === null || channel === undefined) {
+        return '';
+    }
+    // Convert to lowercase for case-insensitive matching
+    return String(channel).trim().toLowerCase();
+}
+
+// Posts per history page
+const HISTORY_PAGE_SIZE = 50;
+
+// Per-channel visibility windows (null = no limit)
+const VISIBILITY_WINDOWS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    'forever': null
+};
+
+// How far back a channel's visible history goes (null = everything)
+async function getVisibleSince(channel) {
+    const settings = await db.getChannelSettings(channel);
+    const windowMs = VISIBILITY_WINDOWS[settings.visibilityWindow];
+    return windowMs ? new Date(Date.now() - windowMs).toISOString() : null;
+}
+
+// Posting limits for a channel, with the socket's remaining slow-mode cooldown if given
+async function getChannelLimits(channel, socket = null) {
+    const settings = await db.getChannelSettings(channel);
+    return {
+        channel,
+        slowModeSeconds: settings.slowModeSeconds,
+        maxMessageLength: settings.maxMessageLength || MAX_MESSAGE_LENGTH,
+        cooldownRemaining: socket ? getSlowModeRemaining(channel, socket, settings.slowModeSeconds) : 0
+    };
+}
+
+// Slow mode follows the session and the connection, so a fresh identity doesn't skip it.
+// Not the address - everyone on one venue's wifi would share a single cooldown.
+function slowModeKeys(channel, socket) {
+    const user = activeUsers.get(socket.id);
+    return [
+        `${channel}:session:${user.sessionId}`,
+        `${channel}:socket:${socket.id}`
+    ];
+}
+
+function startSlowMode(channel, socket) {
+    const now = Date.now();
+    for (const key of slowModeKeys(channel, socket)) {
+        lastMessageTimes.set(key, now);
+    }
+}
+
+// Whole seconds until a socket may post in a slow-mode channel again (0 = now)
+function getSlowModeRemaining(channel, socket, slowModeSeconds) {
+    if (!slowModeSeconds) return 0;
+    
+    const lastTime = Math.max(...slowModeKeys(channel, socket).map(key => lastMessageTimes.get(key) || 0));
+    const remainingMs = lastTime + slowModeSeconds * 1000 - Date.now();
+    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// Per-session rate limits, slow mode cooldowns and duplicate detection follow the user to a new identity
+function carryOverSessionLimits(oldSessionId, newSessionId) {
+    for (const [key, requests] of [...rateLimitMap.entries()]) {
+        if (key.endsWith(`_${oldSessionId}`)) {
+            rateLimitMap.set(key.slice(0, -oldSessionId.length) + newSessionId, [...requests]);
+        }
+    }
+    for (const [key, time] of [...lastMessageTimes.entries()]) {
+        if (key.endsWith(`:session:${oldSessionId}`)) {
+            lastMessageTimes.set(key.slice(0, -oldSessionId.length) + newSessionId, time);
+        }
+    }
+    messageFilter.transferSession(oldSessionId, newSessionId);
+}
+
+// Function to send the newest page of the user's channel to a specific user
+async function sendFilteredPosts(socket) {
+    const user = activeUsers.get(socket.id);
+    if (!user) {
+        return;
+    }
+    
+    try {
+        const channel = normalizeChannel(user.channel);
+        if (!await canAccessChannel(socket, channel)) {
+            socket.emit('channelLocked', { channel });
+            return;
+        }
+        socket.emit('channelLimits', await getChannelLimits(channel, socket));
+        if (channel === NEARBY_CHANNEL) {
+            await sendNearbyPosts(socket, user);
+            return;
+        }
+        if (channel) {
+            socket.emit('channelDetails', await getChannelDetails(channel));
+        }
+        await sendChannelRole(socket, channel);
+        
+        const history = await db.getChannelHistory(channel, {
+            since: await getVisibleSince(channel),
+            limit: HISTORY_PAGE_SIZE
+        });
+        await attachReactions(history.posts, user.sessionId);
+        await attachPins(history.posts, channel);
+        attachDistances(history.posts, null);
+        attachAuthorIds(history.posts);
+        
+        socket.emit('posts', {
+            channel,
+            posts: history.posts,
+            hasMore: history.hasMore,
+            ...await getChannelBanner(channel)
+        });
+    } catch (error) {
+        console.error('Error fetching posts:', error);
+        socket.emit('error', 'Failed to load messages');
+    }
+}
+
+// Send the newest nearby posts within the user's radius - the feed has no older pages
+async function sendNearbyPosts(socket, user) {
+    const { latitude, longitude, radiusMiles } = user.location;
+    const candidates = await db.getPostsInRadius(latitude, longitude, radiusMiles, {
+        channel: NEARBY_CHANNEL,
+        since: await getVisibleSince(NEARBY_CHANNEL),
+        limit: HISTORY_PAGE_SIZE
+    });
+    const posts = candidates.filter(post => calculateDistance(latitude, longitude, post.latitude, post.longitude) <= radiusMiles);
+    await attachReactions(posts, user.sessionId);
+    attachDistances(posts, user.location);
+    attachAuthorIds(posts);
+    
+    socket.emit('posts', {
+        channel: NEARBY_CHANNEL,
+        posts,
+        hasMore: false,
+        radiusMiles
+    });
+}
+
+// Function to send the page of posts before a cursor
+async function sendOlderPosts(socket, cursor) {
+    const user = activeUsers.get(socket.id);
+    if (!user) {
+        return;
+    }
+    
+    try {
+        const channel = normalizeChannel(user.channel);
+        if (!await canAccessChannel(socket, channel)) {
+            socket.emit('channelLocked', { channel });
+            return;
+        }
+        if (channel === NEARBY_CHANNEL) {
+            socket.emit('olderPosts', { channel, posts: [], hasMore: false });
+            return;
+        }
+        const history = await db.getChannelHistory(channel, {
+            before: cursor.before,
+            beforeId: cursor.beforeId,
+            since: await getVisibleSince(channel),
+            limit: HISTORY_PAGE_SIZE
+        });
+        await attachReactions(history.posts, user.sessionId);
+        await attachPins(history.posts, channel);
+        attachDistances(history.posts, null);
+        attachAuthorIds(history.posts);
+        
+        socket.emit('olderPosts', {
+            channel,
+            posts: history.posts,
+            hasMore: history.hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching older posts:', error);
+        socket.emit('error', 'Failed to load older messages');
+    }
+}
+
+// A socket's client address, read through trusted proxies like req.ip
+function socketAddress(socket) {
+    return getForwardedAddress(socket.handshake.address, socket.handshake.headers['x-forwarded-for'], app.get('trust proxy fn'));
+}
+
+// Socket.IO room name for a channel
+function channelRoom(channel) {
+    return `channel:${normalizeChannel(channel)}`;
+}
+
+// Can this socket read the channel? Anyone can read unprotected channels.
+async function canAccessChannel(socket, channel) {
+    if (!channel || socket.data.unlockedChannels.has(channel)) return true;
+    return !await db.getChannelPassphraseHash(channel);
+}
+
+// REST callers prove access to a protected channel with the token unlocking it issued
+async function accessTokenAllows(channel, accessToken) {
+    const passphraseHash = await db.getChannelPassphraseHash(channel);
+    return !passphraseHash || channelAccess.verifyAccessToken(channel, passphraseHash, accessToken);
+}
+
+/**
+ * Check a socket's access to a channel, unlocking it with a saved access token or an invite token
+ * @param {object} tokens - { accessToken, inviteToken } sent by the client
+ * @returns {Promise<object>} { allowed, accessToken } - accessToken is set when an invite
+ *   was used, so the client can save it and skip the invite next time
+ */
+async function resolveChannelAccess(socket, channel, { accessToken, inviteToken } = {}) {
+    if (!channel || socket.data.unlockedChannels.has(channel)) return { allowed: true };
+    
+    const passphraseHash = await db.getChannelPassphraseHash(channel);
+    if (!passphraseHash) return { allowed: true };
+    
+    if (channelAccess.verifyAccessToken(channel, passphraseHash, accessToken)) {
+        socket.data.unlockedChannels.add(channel);
+        return { allowed: true };
+    }
+    
+    if (typeof inviteToken === 'string' && await db.redeemChannelInvite(channel, channelAccess.hashToken(inviteToken))) {
+        socket.data.unlockedChannels.add(channel);
+        return { allowed: true, accessToken: channelAccess.issueAccessToken(channel, passphraseHash) };
+    }
+    
+    return { allowed: false };
+}
+
+/**
+ * Move a socket's user into a channel. A protected channel the socket can't unlock
+ * still becomes the user's channel, but its room isn't joined and nothing from it is sent.
+ * @returns {Promise<boolean>} True if the socket can read the channel
+ */
+async function enterChannel(socket, channel, tokens) {
+    const user = activeUsers.get(socket.id);
+    const oldRoom = channelRoom(user.channel);
+    user.channel = channel;
+    // The location is only kept while the user is in the nearby feed
+    if (channel !== NEARBY_CHANNEL) {
+        delete user.location;
+    }
+    activeUsers.set(socket.id, user);
+    
+    const access = await resolveChannelAccess(socket, channel, tokens);
+    socket.leave(oldRoom);
+    
+    if (!access.allowed) {
+        socket.emit('channelLocked', { channel });
+        return false;
+    }
+    
+    socket.join(channelRoom(channel));
+    if (access.accessToken) {
+        socket.emit('channelUnlocked', { channel, accessToken: access.accessToken });
+    }
+    if (tokens && tokens.ownerKey) {
+        await checkOwnerKey(socket, channel, tokens.ownerKey);
+    }
+    return true;
+}
+
+// After a passphrase change, everyone but the socket that made it has to unlock the channel again
+function lockOutChannel(channel, exceptSocketId = null) {
+    const room = channelRoom(channel);
+    
+    for (const other of io.sockets.sockets.values()) {
+        if (other.id === exceptSocketId) continue;
+        
+        other.data.unlockedChannels?.delete(channel);
+        if (other.rooms.has(room)) {
+            other.leave(room);
+            other.emit('channelLocked', { channel });
+        }
+    }
+}
+
+// Remember the socket as the channel's owner if it has the right owner key
+async function checkOwnerKey(socket, channel, ownerKey) {
+    if (!channel || socket.data.ownedChannels.has(channel)) return !!channel;
+    
+    if (!channelAccess.verifyOwnerKey(ownerKey, await db.getChannelOwnerKeyHash(channel))) return false;
+    socket.data.ownedChannels.add(channel);
+    return true;
+}
+
+/**
+ * Make the socket's user the owner of an unclaimed channel and send them its owner key
+ * @returns {Promise<boolean>} False if the channel already has an owner
+ */
+async function claimChannelFor(socket, channel) {
+    const user = activeUsers.get(socket.id);
+    const ownerKey = channelAccess.createOwnerKey();
+    if (!await db.claimChannel(channel, ownerKey.hash)) return false;
+    
+    socket.data.ownedChannels.add(channel);
+    socket.emit('channelClaimed', { channel, ownerKey: ownerKey.key });
+    console.log(`👑 Channel [${channel}] claimed by ${user.sessionId}`);
+    
+    io.to(channelRoom(channel)).emit('channelDetails', await getChannelDetails(channel));
+    await sendChannelRole(socket, channel);
+    return true;
+}
+
+// The socket user's role in a channel: 'owner', 'moderator' or null
+async function getChannelRole(socket, channel) {
+    const user = activeUsers.get(socket.id);
+    if (!user || !channel) return null;
+    if (socket.data.ownedChannels.has(channel)) return 'owner';
+    
+    return await db.isChannelModerator(channel, user.sessionId) ? 'moderator' : null;
+}
+
+// What everyone in a channel sees about it
+async function getChannelDetails(channel) {
+    const settings = await db.getChannelSettings(channel);
+    return {
+        channel,
+        description: settings.description,
+        claimed: settings.isClaimed
+    };
+}
+
+// Tell a socket its role in a channel. Owners and moderators also get the settings they can change,
+// and owners the moderator list.
+async function sendChannelRole(socket, channel) {
+    const role = await getChannelRole(socket, channel);
+    const payload = { channel, role };
+    
+    if (role) {
+        const settings = await db.getChannelSettings(channel);
+        payload.slowModeSeconds = settings.slowModeSeconds;
+        payload.retentionDays = settings.retentionDays;
+    }
+    if (role === 'owner') {
+        const { sessionId } = socket.data.identity;
+        const moderators = await db.getChannelModerators(channel);
+        payload.authorId = identityAuth.pseudonym(sessionId, channel);
+        payload.moderators = moderators.map(mod => ({
+            authorId: identityAuth.pseudonym(mod.sessionId, channel),
+            displayName: mod.displayName
+        }));
+    }
+    
+    socket.emit('channelRole', payload);
+}
+
+// Resend roles to everyone in a channel after its owner or moderators change
+async function refreshChannelRoles(channel) {
+    const room = channelRoom(channel);
+    
+    for (const other of io.sockets.sockets.values()) {
+        if (other.rooms.has(room)) {
+            await sendChannelRole(other, channel);
+        }
+    }
+}
+
+// Users already in a channel pick up its new limits (their cooldowns keep running)
+function broadcastChannelLimits(channel, settings) {
+    io.to(channelRoom(channel)).emit('channelLimits', {
+        channel,
+        slowModeSeconds: settings.slowModeSeconds,
+        maxMessageLength: settings.maxMessageLength || MAX_MESSAGE_LENGTH
+    });
+}
+
+// Function to broadcast new post to users in the post's channel (event is also used for restored posts)
+function broadcastToRelevantUsers(post, event = 'newPost') {
+    if (post.channel === NEARBY_CHANNEL) {
+        broadcastNearbyPost(post, event);
+        return;
+    }
+    
+    const room = channelRoom(post.channel);
+    const roomSize = io.sockets.adapter.rooms.get(room)?.size || 0;
+    
+    io.to(room).emit(event, toClientPost(post));
+    console.log(`📊 Post broadcast to ${roomSize} users in channel: "${post.channel}"`);
+}
+
+// Nearby posts only go to users whose radius reaches the post, each with their own distance to it
+function broadcastNearbyPost(post, event = 'newPost') {
+    const { latitude, longitude } = post;
+    const clientPost = toClientPost(post);
+    let recipients = 0;
+    
+    for (const socketId of io.sockets.adapter.rooms.get(channelRoom(NEARBY_CHANNEL)) || []) {
+        const location = activeUsers.get(socketId)?.location;
+        if (!location) continue;
+        
+        const distance = calculateDistance(location.latitude, location.longitude, latitude, longitude);
+        if (distance > location.radiusMiles) continue;
+        
+        io.to(socketId).emit(event, { ...clientPost, distanceLabel: formatDistance(distance) });
+        recipients++;
+    }
+    console.log(`📊 Nearby post broadcast to ${recipients} users`);
+}
+
+// Add or remove the socket user's reaction, then broadcast the post's new counts
+async function handleReaction(socket, data, action) {
+    const user = activeUsers.get(socket.id);
+    if (!user) {
+        socket.emit('error', 'Not connected');
+        return;
+    }
+    
+    const postId = data && typeof data.postId === 'string' ? data.postId : null;
+    const emoji = data && data.emoji;
+    
+    if (!postId || !REACTION_EMOJIS.includes(emoji)) {
+        socket.emit('error', 'Invalid reaction');
+        return;
+    }
+    
+    if (!rateLimit(`react_${user.sessionId}`, RATE_LIMIT_MAX_REACTIONS)) {
+        socket.emit('error', 'Reacting too fast. Please wait a moment.');
+        return;
+    }
+    
+    try {
+        // Posts in protected channels the socket hasn't unlocked are treated as missing
+        const post = await db.getPostById(postId);
+        if (!post || !await canAccessChannel(socket, post.channel)) {
+            socket.emit('error', 'Message not found');
+            return;
+        }
+        
+        const changed = action === 'add'
+            ? await db.addReaction(postId, user.sessionId, emoji)
+            : await db.removeReaction(postId, user.sessionId, emoji);
+        if (!changed) return;
+        
+        io.to(channelRoom(post.channel)).emit('reactionUpdate', {
+            postId,
+            reactions: await db.getPostReactions(postId)
+        });
+    } catch (error) {
+        console.error('Error updating reaction:', error);
+        socket.emit('error', 'Failed to update reaction');
+    }
+}
+
+// A channel's announcement and pinned posts, sent whatever its visibility window
+async function getChannelBanner(channel) {
+    const [settings, pinned] = await Promise.all([
+        db.getChannelSettings(channel),
+        db.getPinnedPosts(channel)
+    ]);
+    return {
+        announcement: settings.announcement
+            ? { text: settings.announcement, updatedAt: settings.announcementUpdatedAt }
+            : null,
+        pinned: attachAuthorIds(pinned)
+    };
+}
+
+async function broadcastChannelBanner(channel) {
+    io.to(channelRoom(channel)).emit('channelBanner', { channel, ...await getChannelBanner(channel) });
+}
+
+/**
+ * Pin a post in its channel, up to MAX_PINNED_POSTS, and update the channel's banner
+ * @returns {Promise<object>} { changed } or { error }
+ */
+async function pinPostInChannel(post, pinnedBy) {
+    if (!await db.pinPost(post, pinnedBy, MAX_PINNED_POSTS)) {
+        // Nothing was added: the post is already pinned or the channel is full
+        if ((await db.getPinnedPostIds(post.channel)).includes(post.id)) return { changed: false };
+        return { error: `A channel can have at most ${MAX_PINNED_POSTS} pinned messages` };
+    }
+    
+    await broadcastChannelBanner(post.channel);
+    return { changed: true };
+}
+
+async function unpinPostInChannel(post) {
+    if (!await db.unpinPost(post.id)) return { changed: false };
+    
+    await broadcastChannelBanner(post.channel);
+    return { changed: true };
+}
+
+// Replace raw coordinates with the viewer's approximate distance - only nearby posts get one
+function attachDistances(posts, location) {
+    for (const post of posts) {
+        if (location && post.channel === NEARBY_CHANNEL) {
+            post.distanceLabel = formatDistance(calculateDistance(location.latitude, location.longitude, post.latitude, post.longitude));
+        }
+        delete post.latitude;
+        delete post.longitude;
+    }
+}
+
+// Replace each post's session ID with its author's pseudonym in the channel
+function attachAuthorIds(posts) {
+    posts.forEach(post => {
+        post.authorId = identityAuth.pseudonym(post.sessionId, post.channel);
+        delete post.sessionId;
+    });
+    return posts;
+}
+
+// A post as any client may see it - no location or session ID
+function toClientPost(post) {
+    const { latitude, longitude, sessionId, ...clientPost } = post;
+    return { ...clientPost, authorId: identityAuth.pseudonym(sessionId, post.channel) };
+}
+
+// Mark the posts a channel has pinned
+async function attachPins(posts, channel) {
+    const pinned = new Set(await db.getPinnedPostIds(channel));
+    posts.forEach(post => {
+        post.pinned = pinned.has(post.id);
+    });
+    return posts;
+}
+
+// Attach reaction counts (and which ones are the user's own) to posts
+async function attachReactions(posts, sessionId) {
+    const reactions = await db.getReactionsForPosts(posts.map(post => post.id), sessionId);
+    posts.forEach(post => {
+        post.reactions = reactions[post.id] || [];
+    });
+    return posts;
+}
+
+// Does a ban cover this session/address?
+function banApplies(ban, sessionId, ipAddress) {
+    switch (ban.type) {
+        case 'session':
+            return ban.value === sessionId;
+        case 'ip':
+            return ban.value === ipAddress;
+        case 'cidr':
+            return cidrContains(ban.value, ipAddress);
+        default:
+            return false;
+    }
+}
+
+// The newest unexpired ban covering a session or address, or null
+async function findActiveBan(sessionId, address) {
+    const ipAddress = normalizeIp(address);
+    const bans = await db.getCandidateBans(sessionId, ipAddress);
+    return bans.find(ban => banApplies(ban, sessionId, ipAddress)) || null;
+}
+
+// Check and normalize a ban request from the admin API.
+// durationHours: positive number, or null/empty for a permanent ban.
+function validateBan({ type, value, durationHours, reason }) {
+    if (!['session', 'ip', 'cidr'].includes(type)) {
+        return { error: 'type must be session, ip or cidr' };
+    }
+    
+    let normalizedValue = typeof value === 'string' ? value.trim() : '';
+    if (type === 'ip') {
+        normalizedValue = normalizeIp(normalizedValue);
+    } else if (type === 'cidr') {
+        const range = parseCidr(normalizedValue);
+        normalizedValue = range ? `${range.network}/${range.prefix}` : null;
+    }
+    if (!normalizedValue) {
+        return { error: `Invalid ${type} value` };
+    }
+    
+    let expiresAt = null;
+    if (durationHours !== null && durationHours !== undefined && durationHours !== '') {
+        const hours = parseFloat(durationHours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+            return { error: 'durationHours must be a positive number, or empty for a permanent ban' };
+        }
+        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    }
+    
+    return {
+        ban: {
+            type,
+            value: normalizedValue,
+            reason: sanitizeInput(reason, 200) || null,
+            expiresAt
+        }
+    };
+}
+
+// Save a ban and disconnect any connected sockets it covers
+async function applyBan(ban) {
+    const saved = await db.createBan(ban);
+    
+    for (const [, socket] of io.sockets.sockets) {
+        const sessionId = socket.data.identity && socket.data.identity.sessionId;
+        if (banApplies(saved, sessionId, normalizeIp(socketAddress(socket)))) {
+            socket.emit('error', banMessage(saved));
+            socket.disconnect(true);
+        }
+    }
+    
+    console.log(`🚫 Ban applied: ${saved.type} ${saved.value}`);
+    notifyAdminPanel('banCreated', { id: saved.id, type: saved.type });
+    return saved;
+}
+
+// Ban the author of a post by session, address or both
+async function banPostAuthor(post, { scope = 'session', durationHours, reason }) {
+    if (!['session', 'ip', 'both'].includes(scope)) {
+        return { error: 'scope must be session, ip or both' };
+    }
+    
+    const requests = [];
+    if (scope === 'session' || scope === 'both') {
+        requests.push({ type: 'session', value: post.sessionId });
+    }
+    if (scope === 'ip' || scope === 'both') {
+        const ipAddress = await db.getPostAuthorIp(post.id);
+        if (!ipAddress) {
+            return { error: 'No address was recorded for this message' };
+        }
+        requests.push({ type: 'ip', value: ipAddress });
+    }
+    
+    const validated = requests.map(request => validateBan({ ...request, durationHours, reason }));
+    const invalid = validated.find(result => result.error);
+    if (invalid) return invalid;
+    
+    const bans = [];
+    for (const result of validated) {
+        bans.push(await applyBan(result.ban));
+    }
+    return { bans };
+}
+
+// User-facing text for an active ban
+function banMessage(ban) {
+    const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toUTCString()}` : '';
+    const reason = ban.reason ? ` Reason: ${ban.reason}` : '';
+    return `You have been banned from posting${until}.${reason}`;
+}
+
+// A single post with the vote and thread fields clients render (moderation fields left out)
+async function getPostForClients(post) {
+    const [voteCounts, replies, parent] = await Promise.all([
+        db.getPostVoteCounts(post.id),
+        db.getThreadReplies(post.id),
+        post.parentId ? db.getPostById(post.parentId) : null
+    ]);
+    
+    const { hiddenAt, hiddenReason, deletedAt, deletedBy, restoredAt, ...visiblePost } = post;
+    return {
+        ...visiblePost,
+        upvotes: voteCounts.up,
+        downvotes: voteCounts.down,
+        replyCount: replies.length,
+        parent: parent ? {
+            id: parent.id,
+            displayName: parent.displayName,
+            message: parent.message,
+            hasImage: !!parent.image
+        } : null
+    };
+}
+
+// Send a newly saved post to its channel and the admin panel
+function announceNewPost(post, parent) {
+    // Thread context for clients rendering the reply quote
+    post.parent = parent ? {
+        id: parent.id,
+        displayName: parent.displayName,
+        message: parent.message,
+        hasImage: !!parent.image
+    } : null;
+    post.replyCount = 0;
+    post.reactions = [];
+    
+    // Broadcast to relevant users
+    broadcastToRelevantUsers(post);
+    
+    // Notify admin panel of new message (if admin is connected)
+    notifyAdminPanel('newMessage', {
+        id: post.id,
+        displayName: post.displayName,
+        channel: post.channel,
+        timestamp: post.timestamp,
+        hasImage: !!post.image,
+        parentId: post.parentId
+    });
+}
+
+// Load the enabled blocklist rules into the message filter
+async function reloadFilterRules() {
+    const rules = await db.getFilterRules();
+    messageFilter.setRules(rules);
+    return rules;
+}
+
+// Log filter hits without holding up the message
+function recordFilterHits(hits, details) {
+    if (hits.length === 0) return;
+    
+    db.recordFilterHits(hits, details).catch(error => {
+        console.error('Error recording filter hits:', error);
+    });
+}
+
+// Delete a post, close its reports and tell the post's channel and the admin panel
+async function deletePostAndNotify(post, deletedBy) {
+    const result = await db.deletePostById(post.id, deletedBy);
+    if (!result.deleted) return result;
+    
+    console.log(`🗑️ Message ${post.id} deleted by ${deletedBy}`);
+    await db.resolveReports(post.id, 'actioned');
+    
+    io.to(channelRoom(post.channel)).emit('messageDeleted', { messageId: post.id, reason: deletedBy });
+    notifyAdminPanel('messageDeleted', { messageId: post.id, deletedBy });
+    
+    return result;
+}
+
+// Look up the post an author action targets, or null if the edit token doesn't match it
+async function getAuthoredPost(data) {
+    const postId = data && typeof data.postId === 'string' ? data.postId : null;
+    const editToken = data && data.editToken;
+    if (!postId) return null;
+    
+    const tokenHash = await db.getPostEditTokenHash(postId);
+    if (!identityAuth.verifyEditToken(editToken, tokenHash)) return null;
+    
+    return db.getPostById(postId);
+}
+
+// Function to notify admin panel of events
+function notifyAdminPanel(event, data) {
+    // Send only to authenticated admin sockets (if any)
+    adminIo.emit('adminNotification', {
+        event,
+        data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Record an admin action in the audit log. Fire-and-forget: a failed write is logged
+// but never fails the action itself. req is null for actions the server takes on its own.
+function audit(req, action, { targetType, targetId, before, after, actorSession, actorName } = {}) {
+    db.addAuditEntry({
+        action,
+        actorSession: actorSession || (req ? adminAuth.getSessionId(req.adminSession) : null),
+        actorName: actorName || (req && req.admin ? req.admin.username : null),
+        ipAddress: req ? normalizeIp(req.ip) : null,
+        targetType,
+        targetId,
+        before,
+        after
+    }).catch(error => {
+        console.error('Error writing audit log:', error);
+    });
+}
+
+// New invite token for an admin account: { url, tokenHash, expiresAt }
+function createAdminInvite(req) {
+    const token = adminAuth.generateInviteToken();
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    
+    return {
+        url: `${baseUrl}/proadmin/invite?token=${token}`,
+        tokenHash: adminAuth.hashToken(token),
+        expiresAt: new Date(Date.now() + ADMIN_INVITE_HOURS * 60 * 60 * 1000).toISOString()
+    };
+}
+
+// Send a 429 if the login is locked out; returns true if it was
+function rejectLockedLogin(req, res, throttleKeys) {
+    const retryAfter = adminAuth.getLockoutSeconds(throttleKeys);
+    if (retryAfter === 0) return false;
+    
+    console.log(`🚨 Admin login locked out for ${retryAfter}s`);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: `Too many failed attempts. Try again in ${retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`}.`,
+        retryAfter
+    });
+    return true;
+}
+
+// Start a session for an admin who has passed every login step
+async function completeAdminLogin(req, res, user, method) {
+    const { token } = await adminAuth.createSession(user, {
+        ipAddress: normalizeIp(req.ip),
+        userAgent: req.get('user-agent')
+    });
+    await db.recordAdminLogin(user.id);
+    adminAuth.setSessionCookie(req, res, token);
+    console.log(`🔐 Admin login successful: ${user.username} (${user.role})`);
+    audit(req, 'login.success', {
+        actorSession: adminAuth.getSessionId(token),
+        actorName: user.username,
+        targetType: 'admin',
+        targetId: user.id,
+        after: { method }
+    });
+    res.json({ success: true, user: { id: user.id, username: user.username, role: user.role } });
+}
+
+// Check an authenticator code or use up a recovery code. Returns true if either is valid.
+async function verifySecondFactor(userId, twoFactor, { code, recoveryCode }) {
+    if (recoveryCode) {
+        const hash = adminAuth.hashRecoveryCode(recoveryCode);
+        if (!twoFactor.recoveryCodes.includes(hash)) return false;
+        
+        await db.setAdminRecoveryCodes(userId, twoFactor.recoveryCodes.filter(h => h !== hash));
+        return true;
+    }
+    
+    const counter = totp.verifyCode(twoFactor.secret, code, twoFactor.lastCounter);
+    if (counter === null) return false;
+    
+    await db.setAdminTotpCounter(userId, counter);
+    return true;
+}
+
+// Quote a value for a CSV cell
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Record a vote from an authenticated session and apply community moderation.
+// Returns null if the post does not exist, or is in a channel canAccess(channel) says the voter can't read.
+async function processVote(postId, sessionId, voteType, ipAddress, canAccess) {
+    const post = await db.getPostById(postId);
+    if (!post || !await canAccess(post.channel)) {
+        return null;
+    }
+    
+    console.log(`🗳️ Vote request: ${sessionId} voting ${voteType} on post ${postId}`);
+    
+    // Add or update vote - socket and REST addresses are stored in the same form
+    const voteResult = await db.addVote(postId, sessionId, voteType, normalizeIp(ipAddress));
+    
+    // Get updated vote counts
+    const voteCounts = await db.getPostVoteCounts(postId);
+    
+    // Check if the post should be hidden due to downvotes
+    if (voteType === 'down') {
+        const moderation = await checkAutoModeration(post);
+        
+        if (moderation.shouldHide) {
+            console.log(`🙈 Auto-hiding post ${postId}: ${moderation.downvoteCount} down / ${moderation.upvoteCount} up with ${moderation.viewers} viewers`);
+            
+            const hideResult = await db.hidePost(postId, 'auto-moderation');
+            
+            if (hideResult.hidden) {
+                // Clients remove hidden posts just like deleted ones
+                io.to(channelRoom(post.channel)).emit('messageDeleted', { 
+                    messageId: postId, 
+                    reason: 'auto-moderation',
+                    downvoteCount: moderation.downvoteCount 
+                });
+                console.log(`📡 Broadcasted auto-hide of message ${postId} to channel: "${post.channel}"`);
+                
+                // Notify admin panel
+                notifyAdminPanel('messageAutoHidden', { 
+                    messageId: postId, 
+                    reason: 'auto-moderation',
+                    downvoteCount: moderation.downvoteCount 
+                });
+                
+                return {
+                    success: true,
+                    postId: postId,
+                    action: voteResult.action,
+                    voteType: voteType,
+                    voteCounts: voteCounts,
+                    autoHidden: true,
+                    message: 'Message hidden by community moderation'
+                };
+            }
+        }
+    }
+    
+    // Broadcast vote update to the post's channel
+    io.to(channelRoom(post.channel)).emit('voteUpdate', {
+        postId: postId,
+        voteCounts: voteCounts,
+        action: voteResult.action,
+        voteType: voteType
+    });
+    
+    // Notify admin panel of voting activity
+    notifyAdminPanel('voteActivity', {
+        postId: postId,
+        voteType: voteType,
+        action: voteResult.action,
+        voteCounts: voteCounts
+    });
+    
+    return {
+        success: true,
+        postId: postId,
+        action: voteResult.action,
+        voteType: voteType,
+        voteCounts: voteCounts,
+        autoHidden: false
+    };
+}
+
+// Effective auto-moderation thresholds for a channel
+async function getAutoModerationThresholds(channel) {
+    const settings = await db.getChannelSettings(channel);
+    return {
+        minDownvotes: settings.autoHideMinDownvotes !== null ? settings.autoHideMinDownvotes : AUTO_HIDE_DEFAULTS.minDownvotes,
+        ratio: settings.autoHideRatio !== null ? settings.autoHideRatio : AUTO_HIDE_DEFAULTS.ratio,
+        minViewers: settings.autoHideMinViewers !== null ? settings.autoHideMinViewers : AUTO_HIDE_DEFAULTS.minViewers
+    };
+}
+
+// Distinct users currently in a channel
+function getChannelViewerCount(channel) {
+    const sessions = new Set();
+    for (const user of activeUsers.values()) {
+        if (normalizeChannel(user.channel) === channel) {
+            sessions.add(user.sessionId);
+        }
+    }
+    return sessions.size;
+}
+
+// Whether community votes should hide a post. Posts an admin restored are left alone.
+async function checkAutoModeration(post) {
+    const thresholds = await getAutoModerationThresholds(post.channel);
+    const counts = await db.getModerationVoteCounts(post.id, AUTO_HIDE_MAX_VOTERS_PER_IP);
+    const viewers = getChannelViewerCount(post.channel);
+    
+    const shouldHide = !post.restoredAt &&
+        thresholds.minDownvotes > 0 &&
+        counts.downvoteCount >= thresholds.minDownvotes &&
+        counts.downvoteCount >= thresholds.ratio * counts.upvoteCount &&
+        viewers >= thresholds.minViewers;
+    
+    return { shouldHide, viewers, ...counts };
+}
+
+// API Routes
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        activeUsers: activeUsers.size,
+        uptime: process.uptime(),
+        autoCleanup: {
+            enabled: ENABLE_AUTO_CLEANUP,
+            intervalHours: CLEANUP_INTERVAL_HOURS,
+            daysOld: CLEANUP_DAYS_OLD
+        }
+    });
+});
+
+// Admin Panel Routes
+// Admin login route
+app.post('/api/admin/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        
+        if (await db.countAdminUsers() === 0) {
+            return res.status(503).json({ error: 'No admin accounts yet. Create the first owner with: npm run create-admin -- <username>' });
+        }
+        
+        const throttleKeys = adminAuth.getThrottleKeys(normalizeIp(req.ip), username);
+        if (rejectLockedLogin(req, res, throttleKeys)) return;
+        
+        const user = await adminAuth.authenticate(username, password);
+        if (!user) {
+            adminAuth.recordLoginFailure(throttleKeys);
+            console.log('🚨 Failed admin login attempt');
+            audit(req, 'login.failure', { targetType: 'admin', targetId: String(username).slice(0, 64) });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        // Password is right - accounts with two-factor still need a code
+        if (user.twoFactorEnabled) {
+            const challenge = adminAuth.createLoginChallenge(user);
+            return res.json({ twoFactorRequired: true, challenge });
+        }
+        
+        adminAuth.clearLoginFailures(throttleKeys);
+        await completeAdminLogin(req, res, user, 'password');
+    } catch (error) {
+        console.error('Error during admin login:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Second login step for accounts with two-factor: an authenticator code or a recovery code
+app.post('/api/admin/login/verify', async (req, res) => {
+    try {
+        const { challenge, code, recoveryCode } = req.body;
+        const pending = adminAuth.getLoginChallenge(challenge);
+        if (!pending) {
+            return res.status(400).json({ error: 'Your login has expired. Sign in again.' });
+        }
+        
+        const throttleKeys = adminAuth.getThrottleKeys(normalizeIp(req.ip), pending.user.username);
+        if (rejectLockedLogin(req, res, throttleKeys)) return;
+        
+        // The account may have been disabled since the password step
+        const user = await db.getAdminUserById(pending.user.id);
+        const twoFactor = user && !user.disabled ? await db.getAdminTwoFactor(user.id) : null;
+        const method = recoveryCode ? 'recoveryCode' : 'totp';
+        
+        const verified = twoFactor && twoFactor.enabled && await verifySecondFactor(user.id, twoFactor, { code, recoveryCode });
+        if (!verified) {
+            adminAuth.recordLoginFailure(throttleKeys);
+            adminAuth.failLoginChallenge(challenge);
+            console.log('🚨 Failed admin two-factor attempt');
+            audit(req, 'login.failure', { targetType: 'admin', targetId: pending.user.username, after: { step: method } });
+            return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+        }
+        
+        adminAuth.deleteLoginChallenge(challenge);
+        adminAuth.clearLoginFailures(throttleKeys);
+        await completeAdminLogin(req, res, user, method);
+    } catch (error) {
+        console.error('Error during admin two-factor login:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Admin logout route
+app.post('/api/admin/logout', async (req, res) => {
+    try {
+        const token = adminAuth.getSessionToken(req);
+        const session = await adminAuth.getSession(token);
+        if (session) {
+            await db.deleteAdminSession(session.id);
+            disconnectAdminSockets(data => data.adminSessionId === session.id);
+            console.log('🔐 Admin logout successful');
+            audit(req, 'logout', { actorSession: adminAuth.getSessionId(token), actorName: session.username });
+        }
+        adminAuth.clearSessionCookie(res);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error during admin logout:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Admin middleware for protected routes
+const requireAdminAuth = (req, res, next) => {
+    adminAuth.requireAuth(req, res, next);
+};
+
+// Limit a route to admins with one of the given roles; requireRole() = owners only
+const requireRole = (...roles) => adminAuth.requireRole(...roles);
+
+// Cleanup stats (owners only - like the cleanup run)
+app.get('/api/cleanup/stats', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const stats = await cleanupManager.getCleanupStats();
+        res.json(stats);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get cleanup stats' });
+    }
+});
+
+// Cleanup run (admin only - it deletes posts)
+app.post('/api/cleanup/run', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const { daysOld = 30, dryRun = true } = req.body;
+        const result = await cleanupManager.runCleanup(daysOld, dryRun);
+        audit(req, 'cleanup.run', { after: { daysOld, dryRun, result } });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Cleanup failed', message: error.message });
+    }
+});
+
+// Admin dashboard routes
+app.get('/proadmin', requireAdminAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'dashboard.html'));
+});
+
+app.get('/proadmin/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'login.html'));
+});
+
+app.get('/proadmin/invite', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'invite.html'));
+});
+
+// Accept an admin invite by choosing a password
+app.post('/api/admin/invite/accept', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const user = token ? await db.getAdminUserByInvite(adminAuth.hashToken(token)) : null;
+        if (!user) {
+            return res.status(400).json({ error: 'This invite link is invalid or has expired' });
+        }
+        
+        const passwordError = adminAuth.validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        
+        await db.setAdminPassword(user.id, await adminAuth.hashPassword(password));
+        // A new password ends any sessions still open under the old one
+        await db.deleteAdminSessionsForUser(user.id);
+        disconnectAdminSockets(data => data.adminUserId === user.id);
+        console.log(`🔐 Admin invite accepted: ${user.username}`);
+        audit(req, 'admin.inviteAccepted', { actorName: user.username, targetType: 'admin', targetId: user.id });
+        res.json({ success: true, username: user.username });
+    } catch (error) {
+        console.error('Error accepting admin invite:', error);
+        res.status(500).json({ error: 'Failed to accept invite' });
+    }
+});
+
+// Admin API routes
+app.get('/api/admin/me', requireAdminAuth, (req, res) => {
+    res.json(req.admin);
+});
+
+// Admin - own two-factor status
+app.get('/api/admin/2fa', requireAdminAuth, async (req, res) => {
+    try {
+        const twoFactor = await db.getAdminTwoFactor(req.admin.id);
+        res.json({
+            enabled: twoFactor.enabled,
+            recoveryCodesRemaining: twoFactor.enabled ? twoFactor.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// Admin - start two-factor enrollment: a new secret and its QR code
+app.post('/api/admin/2fa/setup', requireAdminAuth, async (req, res) => {
+    try {
+        const twoFactor = await db.getAdminTwoFactor(req.admin.id);
+        if (twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+        
+        const secret = totp.generateSecret();
+        await db.setAdminTotpSecret(req.admin.id, secret);
+        
+        const otpauthUrl = totp.getOtpauthUrl(secret, req.admin.username, TOTP_ISSUER);
+        const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+        
+        res.json({ secret, otpauthUrl, qrCode });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Admin - finish enrollment by confirming a code from the app; returns recovery codes once
+app.post('/api/admin/2fa/enable', requireAdminAuth, async (req, res) => {
+    try {
+        const twoFactor = await db.getAdminTwoFactor(req.admin.id);
+        if (twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+        if (!twoFactor.secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+        
+        const counter = totp.verifyCode(twoFactor.secret, req.body.code);
+        if (counter === null) {
+            return res.status(400).json({ error: 'That code is not right - check the time on your device and try again' });
+        }
+        
+        const recovery = adminAuth.generateRecoveryCodes();
+        await db.enableAdminTwoFactor(req.admin.id, counter, recovery.hashes);
+        
+        console.log(`🔐 ${req.admin.username} turned on two-factor authentication`);
+        audit(req, '2fa.enable', { targetType: 'admin', targetId: req.admin.id });
+        res.json({ success: true, recoveryCodes: recovery.codes });
+    } catch (error) {
+        console.error('Error enabling two-factor:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor' });
+    }
+});
+
+// Admin - replace the recovery codes (needs a current authenticator code)
+app.post('/api/admin/2fa/recovery-codes', requireAdminAuth, async (req, res) => {
+    try {
+        const twoFactor = await db.getAdminTwoFactor(req.admin.id);
+        if (!twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is off' });
+        }
+        if (!await verifySecondFactor(req.admin.id, twoFactor, { code: req.body.code })) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+        
+        const recovery = adminAuth.generateRecoveryCodes();
+        await db.setAdminRecoveryCodes(req.admin.id, recovery.hashes);
+        
+        audit(req, '2fa.recoveryCodes', { targetType: 'admin', targetId: req.admin.id });
+        res.json({ success: true, recoveryCodes: recovery.codes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Admin - turn two-factor off (needs the password and a code or recovery code)
+app.post('/api/admin/2fa/disable', requireAdminAuth, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const twoFactor = await db.getAdminTwoFactor(req.admin.id);
+        if (!twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already off' });
+        }
+        
+        const user = await adminAuth.authenticate(req.admin.username, password || '');
+        if (!user || !await verifySecondFactor(req.admin.id, twoFactor, { code, recoveryCode })) {
+            return res.status(400).json({ error: 'Password or code is not right' });
+        }
+        
+        await db.disableAdminTwoFactor(req.admin.id);
+        
+        console.log(`🔐 ${req.admin.username} turned off two-factor authentication`);
+        audit(req, '2fa.disable', { targetType: 'admin', targetId: req.admin.id });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error disabling two-factor:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor' });
+    }
+});
+
+// Admin - own active sessions (other devices and browsers logged in to this account)
+app.get('/api/admin/sessions', requireAdminAuth, async (req, res) => {
+    try {
+        const sessions = await db.getAdminSessionsForUser(req.admin.id);
+        res.json({
+            sessions: sessions.map(session => ({ ...session, current: session.id === req.adminSessionId }))
+        });
+    } catch (error) {
+        console.error('Error fetching admin sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Admin - log out one of your other sessions
+app.delete('/api/admin/sessions/:id', requireAdminAuth, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id, 10);
+        if (sessionId === req.adminSessionId) {
+            return res.status(400).json({ error: 'Use Logout to end your current session' });
+        }
+        
+        const sessions = await db.getAdminSessionsForUser(req.admin.id);
+        const session = sessions.find(s => s.id === sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        await db.deleteAdminSession(session.id);
+        disconnectAdminSockets(data => data.adminSessionId === session.id);
+        
+        console.log(`🔐 ${req.admin.username} revoked a session`);
+        audit(req, 'session.revoke', { targetType: 'session', targetId: session.id, before: session });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking admin session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Admin - log out everywhere except here
+app.post('/api/admin/sessions/revoke-others', requireAdminAuth, async (req, res) => {
+    try {
+        const result = await db.deleteAdminSessionsForUser(req.admin.id, req.adminSessionId);
+        disconnectAdminSockets(data => data.adminUserId === req.admin.id && data.adminSessionId !== req.adminSessionId);
+        
+        console.log(`🔐 ${req.admin.username} revoked ${result.deleted} other session(s)`);
+        audit(req, 'session.revokeOthers', { targetType: 'admin', targetId: req.admin.id, after: { revoked: result.deleted } });
+        res.json({ success: true, revoked: result.deleted });
+    } catch (error) {
+        console.error('Error revoking admin sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Admin - accounts (owners only)
+app.get('/api/admin/users', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const users = await db.getAdminUsers();
+        res.json({ users, roles: ADMIN_ROLES });
+    } catch (error) {
+        console.error('Error fetching admin users:', error);
+        res.status(500).json({ error: 'Failed to fetch admin users' });
+    }
+});
+
+// Admin - invite a new admin; the link is only shown once
+app.post('/api/admin/users', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+        const { role } = req.body;
+        
+        if (!ADMIN_USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' });
+        }
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+        }
+        if (await db.getAdminCredentials(username)) {
+            return res.status(409).json({ error: 'An admin with that username already exists' });
+        }
+        
+        const invite = createAdminInvite(req);
+        const user = await db.createAdminUser({
+            username,
+            role,
+            inviteTokenHash: invite.tokenHash,
+            inviteExpiresAt: invite.expiresAt,
+            invitedBy: req.admin.id
+        });
+        
+        console.log(`👥 ${req.admin.username} invited ${user.username} (${user.role})`);
+        audit(req, 'admin.invite', { targetType: 'admin', targetId: user.id, after: user });
+        res.json({ success: true, user, inviteUrl: invite.url });
+    } catch (error) {
+        console.error('Error inviting admin:', error);
+        res.status(500).json({ error: 'Failed to invite admin' });
+    }
+});
+
+// Admin - new invite link for an account (also how a forgotten password is reset)
+app.post('/api/admin/users/:id/invite', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const user = await db.getAdminUserById(parseInt(req.params.id, 10));
+        if (!user) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        
+        const invite = createAdminInvite(req);
+        await db.setAdminInvite(user.id, invite.tokenHash, invite.expiresAt);
+        
+        audit(req, 'admin.reinvite', { targetType: 'admin', targetId: user.id });
+        res.json({ success: true, inviteUrl: invite.url });
+    } catch (error) {
+        console.error('Error creating admin invite:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// Admin - turn off two-factor for an admin who lost their device and recovery codes
+app.post('/api/admin/users/:id/reset-2fa', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const user = await db.getAdminUserById(parseInt(req.params.id, 10));
+        if (!user) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (user.id === req.admin.id) {
+            return res.status(400).json({ error: 'Turn off your own two-factor from the Account tab' });
+        }
+        
+        await db.disableAdminTwoFactor(user.id);
+        
+        console.log(`👥 ${req.admin.username} reset two-factor for ${user.username}`);
+        audit(req, 'admin.reset2fa', { targetType: 'admin', targetId: user.id });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error resetting two-factor:', error);
+        res.status(500).json({ error: 'Failed to reset two-factor' });
+    }
+});
+
+// Admin - change an account's role or disable/enable it
+app.put('/api/admin/users/:id', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const user = await db.getAdminUserById(parseInt(req.params.id, 10));
+        if (!user) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        
+        const role = req.body.role !== undefined ? req.body.role : user.role;
+        const disabled = req.body.disabled !== undefined ? !!req.body.disabled : user.disabled;
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+        }
+        if (user.id === req.admin.id && (role !== user.role || disabled)) {
+            return res.status(400).json({ error: 'You cannot change your own role or disable yourself' });
+        }
+        
+        // Someone has to be able to manage accounts
+        const losesOwner = user.role === 'owner' && !user.disabled && !user.pendingInvite && (role !== 'owner' || disabled);
+        if (losesOwner && await db.countActiveOwners() <= 1) {
+            return res.status(400).json({ error: 'There must be at least one active owner' });
+        }
+        
+        await db.updateAdminUser(user.id, { role, disabled });
+        // Sessions read the role from the account on every request; a disabled account is logged out
+        if (disabled) {
+            await db.deleteAdminSessionsForUser(user.id);
+            disconnectAdminSockets(data => data.adminUserId === user.id);
+        }
+        
+        const updated = { ...user, role, disabled };
+        console.log(`👥 ${req.admin.username} updated ${user.username}: ${role}${disabled ? ', disabled' : ''}`);
+        audit(req, 'admin.update', { targetType: 'admin', targetId: user.id, before: user, after: updated });
+        res.json({ success: true, user: updated });
+    } catch (error) {
+        console.error('Error updating admin:', error);
+        res.status(500).json({ error: 'Failed to update admin' });
+    }
+});
+
+app.get('/api/admin/stats', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const stats = await db.getAdminStats();
+        const sessionInfo = await adminAuth.getSessionInfo();
+        
+        res.json({
+            ...stats,
+            adminSessions: sessionInfo
+        });
+    } catch (error) {
+        console.error('Error fetching admin stats:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+app.get('/api/admin/posts', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const { filter = 'day', limit = 100 } = req.query;
+        const posts = await db.getPostsWithVoteCounts(filter, parseInt(limit, 10));
+        res.json(posts);
+    } catch (error) {
+        console.error('Error fetching admin posts:', error);
+        res.status(500).json({ error: 'Failed to fetch posts' });
+    }
+});
+
+app.delete('/api/admin/messages/:messageId', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const post = await db.getPostById(messageId, { includeRemoved: true });
+        if (!post) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        const result = await deletePostAndNotify(post, 'admin');
+        
+        if (result.deleted) {
+            audit(req, 'message.delete', { targetType: 'message', targetId: post.id, before: post });
+            res.json({ deleted: true, message: 'Message deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Message not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// Admin - hidden and soft-deleted messages that can still be restored
+app.get('/api/admin/removed', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const posts = await db.getRemovedPosts(parseInt(req.query.limit, 10) || 100);
+        res.json(posts);
+    } catch (error) {
+        console.error('Error fetching removed messages:', error);
+        res.status(500).json({ error: 'Failed to fetch removed messages' });
+    }
+});
+
+// Admin - bring back a hidden or deleted message
+app.post('/api/admin/messages/:messageId/restore', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const before = await db.getPostById(req.params.messageId, { includeRemoved: true });
+        const result = await db.restorePost(req.params.messageId);
+        if (!result.restored) {
+            return res.status(404).json({ error: 'No hidden or deleted message with that ID' });
+        }
+        
+        const post = await getPostForClients(await db.getPostById(req.params.messageId));
+        audit(req, 'message.restore', { targetType: 'message', targetId: post.id, before, after: post });
+        await attachReactions([post], null);
+        console.log(`♻️ Admin restored message: ${post.id}`);
+        
+        // Nearby posts go back only to users whose radius reaches them
+        broadcastToRelevantUsers(post, 'messageRestored');
+        notifyAdminPanel('messageRestored', { messageId: post.id });
+        if ((await db.getPinnedPostIds(post.channel)).includes(post.id)) {
+            await broadcastChannelBanner(post.channel);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error restoring message:', error);
+        res.status(500).json({ error: 'Failed to restore message' });
+    }
+});
+
+// Admin - pin a message above its channel's messages
+app.post('/api/admin/messages/:messageId/pin', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.messageId);
+        if (!post) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        const result = await pinPostInChannel(post, 'admin');
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        if (result.changed) {
+            audit(req, 'message.pin', { targetType: 'message', targetId: post.id, after: { channel: post.channel } });
+            console.log(`📌 Admin pinned message: ${post.id}`);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error pinning message:', error);
+        res.status(500).json({ error: 'Failed to pin message' });
+    }
+});
+
+app.delete('/api/admin/messages/:messageId/pin', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.messageId, { includeRemoved: true });
+        const result = post ? await unpinPostInChannel(post) : { changed: false };
+        if (!result.changed) {
+            return res.status(404).json({ error: 'That message is not pinned' });
+        }
+        
+        audit(req, 'message.unpin', { targetType: 'message', targetId: post.id, before: { channel: post.channel } });
+        console.log(`📌 Admin unpinned message: ${post.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error unpinning message:', error);
+        res.status(500).json({ error: 'Failed to unpin message' });
+    }
+});
+
+// Admin - moderation queue of reported messages
+app.get('/api/admin/reports', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const queue = await db.getModerationQueue();
+        res.json(queue);
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ error: 'Failed to fetch reports' });
     }
 });
 
-app.post('/api/cleanup/run', async (req, res) => {
+// Admin - individual open reports on a message
+app.get('/api/admin/reports/:messageId', requireAdminAuth, requireRole('moderator'), async (req, res) => {
     try {
-        const { daysOld = 30, dryRun = true } = req.body;
-        const cleanup = new CleanupManager();
-        const result = await cleanup.runCleanup(daysOld, dryRun);
-        await cleanup.close();
-        res.json(result);
+        const reports = await db.getOpenReports(req.params.messageId);
+        res.json(reports);
     } catch (error) {
-        res.status(500).json({ error: 'Cleanup failed', message: error.message });
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ error: 'Failed to fetch reports' });
     }
 });
 
-// Admin Panel Routes
-// Admin login route
-app.post('/api/admin/login', (req, res) => {
-    const { password } = req.body;
-    
-    if (!password) {
-        return res.status(400).json({ error: 'Password required' });
+// Admin - resolve a reported message: dismiss the reports, delete the message, or ban its author
+app.post('/api/admin/reports/:messageId/:action', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const { messageId, action } = req.params;
+        if (!['dismiss', 'delete', 'ban'].includes(action)) {
+            return res.status(400).json({ error: 'Action must be dismiss, delete or ban' });
+        }
+        
+        const post = await db.getPostById(messageId, { includeRemoved: true });
+        if (!post) {
+            // The message is already gone - nothing left to review
+            await db.resolveReports(messageId, 'actioned');
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        if (action === 'dismiss') {
+            await db.resolveReports(messageId, 'dismissed');
+            console.log(`🚩 Admin dismissed reports on message: ${messageId}`);
+            notifyAdminPanel('reportsResolved', { postId: messageId, action });
+            audit(req, 'report.dismiss', { targetType: 'message', targetId: messageId, before: post });
+            return res.json({ success: true, action });
+        }
+        
+        let bans = [];
+        if (action === 'ban') {
+            const result = await banPostAuthor(post, {
+                scope: req.body.scope,
+                durationHours: req.body.durationHours,
+                reason: req.body.reason || 'Reported message'
+            });
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            bans = result.bans;
+        }
+        
+        await deletePostAndNotify(post, 'admin');
+        notifyAdminPanel('reportsResolved', { postId: messageId, action });
+        audit(req, `report.${action}`, { targetType: 'message', targetId: messageId, before: post, after: { bans } });
+        
+        res.json({ success: true, action, bans });
+    } catch (error) {
+        console.error('Error resolving reports:', error);
+        res.status(500).json({ error: 'Failed to resolve reports' });
     }
-    
-    if (adminAuth.verifyPassword(password)) {
-        const token = adminAuth.createSession();
-        console.log('🔐 Admin login successful');
-        res.json({ success: true, token });
-    } else {
-        console.log('🚨 Failed admin login attempt');
-        res.status(401).json({ error: 'Invalid password' });
+});
+
+// Admin - ban the author of a message (optionally deleting the message too)
+app.post('/api/admin/messages/:messageId/ban', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.messageId, { includeRemoved: true });
+        if (!post) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        const result = await banPostAuthor(post, req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        if (req.body.deleteMessage) {
+            await deletePostAndNotify(post, 'admin');
+        }
+        
+        audit(req, 'message.ban', {
+            targetType: 'message',
+            targetId: post.id,
+            before: post,
+            after: { bans: result.bans, messageDeleted: !!req.body.deleteMessage }
+        });
+        res.json({ success: true, bans: result.bans });
+    } catch (error) {
+        console.error('Error banning message author:', error);
+        res.status(500).json({ error: 'Failed to ban author' });
     }
 });
 
-// Admin logout route
-app.post('/api/admin/logout', (req, res) => {
-    const token = req.cookies?.adminSession || req.headers['x-admin-token'];
-    if (token && adminAuth.sessionStore.has(token)) {
-        adminAuth.sessionStore.delete(token);
-        console.log('🔐 Admin logout successful');
+// Admin - list bans (active only unless includeExpired=true)
+app.get('/api/admin/bans', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const bans = await db.getBans(req.query.includeExpired === 'true');
+        res.json(bans);
+    } catch (error) {
+        console.error('Error fetching bans:', error);
+        res.status(500).json({ error: 'Failed to fetch bans' });
     }
-    res.json({ success: true });
 });
 
-// Admin middleware for protected routes
-const requireAdminAuth = (req, res, next) => {
-    adminAuth.requireAuth(req, res, next);
-};
+// Admin - ban a session, IP address or CIDR range directly
+app.post('/api/admin/bans', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const result = validateBan(req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        const ban = await applyBan(result.ban);
+        audit(req, 'ban.create', { targetType: 'ban', targetId: ban.id, after: ban });
+        res.json({ success: true, ban });
+    } catch (error) {
+        console.error('Error creating ban:', error);
+        res.status(500).json({ error: 'Failed to create ban' });
+    }
+});
 
-// Admin dashboard routes
-app.get('/proadmin', requireAdminAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin', 'dashboard.html'));
+// Admin - lift a ban
+app.delete('/api/admin/bans/:id', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const before = (await db.getBans(true)).find(ban => ban.id === id);
+        const result = await db.deleteBan(id);
+        if (!result.deleted) {
+            return res.status(404).json({ error: 'Ban not found' });
+        }
+        
+        audit(req, 'ban.lift', { targetType: 'ban', targetId: id, before });
+        console.log(`✅ Admin lifted ban: ${req.params.id}`);
+        notifyAdminPanel('banLifted', { id: parseInt(req.params.id, 10) });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error lifting ban:', error);
+        res.status(500).json({ error: 'Failed to lift ban' });
+    }
 });
 
-app.get('/proadmin/login', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin', 'login.html'));
+// Admin - filter rules and the most recent rule hits
+app.get('/api/admin/filters', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const [rules, hits] = await Promise.all([
+            db.getFilterRules(),
+            db.getRecentFilterHits(parseInt(req.query.hits, 10) || 50)
+        ]);
+        
+        res.json({
+            rules,
+            hits,
+            settings: {
+                maxLinks: messageFilter.maxLinks,
+                linkAction: messageFilter.linkAction,
+                maxRepeats: messageFilter.maxRepeats,
+                duplicateWindowSeconds: messageFilter.duplicateWindowMs / 1000
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching filter rules:', error);
+        res.status(500).json({ error: 'Failed to fetch filter rules' });
+    }
 });
 
-// Admin API routes
-app.get('/api/admin/stats', requireAdminAuth, async (req, res) => {
+// Admin - add a blocklist term or regex
+app.post('/api/admin/filters', requireAdminAuth, requireRole('moderator'), async (req, res) => {
     try {
-        const stats = await db.getAdminStats();
-        const sessionInfo = adminAuth.getSessionInfo();
+        const { pattern, isRegex, action, note } = req.body;
+        
+        if (!FILTER_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: 'Action must be block, mask or hold' });
+        }
+        
+        const rule = {
+            pattern: typeof pattern === 'string' ? pattern.trim() : '',
+            isRegex: !!isRegex,
+            action,
+            note: sanitizeInput(note, 200) || null
+        };
+        
+        try {
+            compileRule(rule);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const created = await db.createFilterRule(rule);
+        await reloadFilterRules();
+        
+        console.log(`🧹 Admin added filter rule ${created.id} (${action})`);
+        audit(req, 'filter.create', { targetType: 'filter', targetId: created.id, after: created });
+        res.json({ success: true, rule: created });
+    } catch (error) {
+        console.error('Error creating filter rule:', error);
+        res.status(500).json({ error: 'Failed to create filter rule' });
+    }
+});
+
+// Admin - change a rule's action or turn it on/off
+app.put('/api/admin/filters/:id', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const rules = await db.getFilterRules();
+        const rule = rules.find(r => r.id === id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Filter rule not found' });
+        }
+        
+        const action = req.body.action !== undefined ? req.body.action : rule.action;
+        const enabled = req.body.enabled !== undefined ? !!req.body.enabled : rule.enabled;
+        if (!FILTER_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: 'Action must be block, mask or hold' });
+        }
+        
+        // Rules saved before a check was added can't be switched back on
+        if (enabled) {
+            try {
+                compileRule(rule);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+        
+        await db.updateFilterRule(id, { action, enabled });
+        await reloadFilterRules();
+        
+        audit(req, 'filter.update', { targetType: 'filter', targetId: id, before: rule, after: { ...rule, action, enabled } });
+        res.json({ success: true, rule: { ...rule, action, enabled } });
+    } catch (error) {
+        console.error('Error updating filter rule:', error);
+        res.status(500).json({ error: 'Failed to update filter rule' });
+    }
+});
+
+app.delete('/api/admin/filters/:id', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const before = (await db.getFilterRules()).find(rule => rule.id === id);
+        const result = await db.deleteFilterRule(id);
+        if (!result.deleted) {
+            return res.status(404).json({ error: 'Filter rule not found' });
+        }
+        
+        await reloadFilterRules();
+        audit(req, 'filter.delete', { targetType: 'filter', targetId: id, before });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting filter rule:', error);
+        res.status(500).json({ error: 'Failed to delete filter rule' });
+    }
+});
+
+// Admin - messages held by the filters, oldest first
+app.get('/api/admin/held', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const held = await db.getHeldMessages();
+        res.json(held.map(({ ipAddress, latitude, longitude, ...message }) => message));
+    } catch (error) {
+        console.error('Error fetching held messages:', error);
+        res.status(500).json({ error: 'Failed to fetch held messages' });
+    }
+});
+
+// Admin - approve a held message (publishing it now) or reject it
+app.post('/api/admin/held/:id/:action', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const { id, action } = req.params;
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({ error: 'Action must be approve or reject' });
+        }
+        
+        const held = await db.getHeldMessage(id);
+        if (!held) {
+            return res.status(404).json({ error: 'Held message not found' });
+        }
+        
+        await db.deleteHeldMessage(id);
+        notifyAdminPanel('heldMessageResolved', { id, action });
+        
+        const { ipAddress, latitude, longitude, ...heldSnapshot } = held;
+        audit(req, `held.${action}`, { targetType: 'message', targetId: id, before: heldSnapshot });
+        if (action === 'reject') {
+            // The image files are removed by the orphaned image cleanup
+            console.log(`🧹 Admin rejected held message: ${id}`);
+            return res.json({ success: true, action });
+        }
+        
+        // A reply whose parent has gone since is published as a normal message
+        const parent = held.parentId ? await db.getPostById(held.parentId) : null;
+        const post = {
+            id: held.id,
+            sessionId: held.sessionId,
+            displayName: held.displayName,
+            message: held.message,
+            image: held.image,
+            thumbnail: held.thumbnail,
+            parentId: parent ? parent.id : null,
+            latitude: held.latitude || 0,
+            longitude: held.longitude || 0,
+            channel: held.channel,
+            // Published as a new message so it shows up at the bottom of the live feed
+            timestamp: new Date().toISOString(),
+            ipAddress: held.ipAddress
+        };
+        
+        await db.createPost(post);
+        delete post.ipAddress;
+        console.log(`🧹 Admin approved held message: ${id}`);
+        
+        announceNewPost(post, parent);
+        res.json({ success: true, action });
+    } catch (error) {
+        console.error('Error resolving held message:', error);
+        res.status(500).json({ error: 'Failed to resolve held message' });
+    }
+});
+
+// Admin - earlier versions of an edited message
+app.get('/api/admin/messages/:messageId/revisions', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.messageId, { includeRemoved: true });
+        if (!post) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
         
+        const revisions = await db.getPostRevisions(post.id);
         res.json({
-            ...stats,
-            adminSessions: sessionInfo
+            messageId: post.id,
+            current: { message: post.message, editedAt: post.editedAt },
+            revisions
         });
     } catch (error) {
-        console.error('Error fetching admin stats:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        console.error('Error fetching message revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch message revisions' });
     }
 });
 
-app.get('/api/admin/posts', requireAdminAuth, async (req, res) => {
+// Admin - list channels with custom settings
+app.get('/api/admin/channels', requireAdminAuth, requireRole('moderator'), async (req, res) => {
     try {
-        const { filter = 'day', limit = 100 } = req.query;
-        const posts = await db.getPostsWithVoteCounts(filter, parseInt(limit, 10));
-        res.json(posts);
+        const channels = await db.getAllChannelSettings();
+        res.json(channels);
     } catch (error) {
-        console.error('Error fetching admin posts:', error);
-        res.status(500).json({ error: 'Failed to fetch posts' });
+        console.error('Error fetching channel settings:', error);
+        res.status(500).json({ error: 'Failed to fetch channel settings' });
     }
 });
 
-app.delete('/api/admin/messages/:messageId', requireAdminAuth, async (req, res) => {
+// Admin - get a channel's settings
+app.get('/api/admin/channels/:channelName/settings', requireAdminAuth, requireRole('moderator'), async (req, res) => {
     try {
-        const { messageId } = req.params;
-        const result = await db.deletePostById(messageId);
+        const channel = sanitizeChannel(req.params.channelName);
+        const [settings, moderators, pinned] = await Promise.all([
+            db.getChannelSettings(channel),
+            db.getChannelModerators(channel),
+            db.getPinnedPosts(channel)
+        ]);
+        res.json({
+            ...settings,
+            moderators,
+            pinned,
+            maxPinnedPosts: MAX_PINNED_POSTS,
+            maxAnnouncementLength: MAX_ANNOUNCEMENT_LENGTH,
+            defaultRetentionDays: CLEANUP_DAYS_OLD,
+            defaultMaxMessageLength: MAX_MESSAGE_LENGTH,
+            autoHideDefaults: AUTO_HIDE_DEFAULTS
+        });
+    } catch (error) {
+        console.error('Error fetching channel settings:', error);
+        res.status(500).json({ error: 'Failed to fetch channel settings' });
+    }
+});
+
+// Admin - update a channel's visibility window, retention and posting limits
+app.put('/api/admin/channels/:channelName/settings', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const channel = sanitizeChannel(req.params.channelName);
+        const { visibilityWindow, retentionDays, slowModeSeconds, maxMessageLength } = req.body;
+        const { autoHideMinDownvotes, autoHideRatio, autoHideMinViewers } = req.body;
+        const current = await db.getChannelSettings(channel);
         
-        if (result.deleted) {
-            console.log(`🗑️ Admin deleted message: ${messageId}`);
-            
-            // Broadcast message deletion to all connected users
-            io.emit('messageDeleted', { messageId });
-            console.log(`📡 Broadcasted deletion of message ${messageId} to all users`);
-            
-            // Notify admin panel
-            notifyAdminPanel('messageDeleted', { messageId, deletedBy: 'admin' });
+        if (!Object.prototype.hasOwnProperty.call(VISIBILITY_WINDOWS, visibilityWindow)) {
+            return res.status(400).json({ error: `Invalid visibility window. Must be one of: ${Object.keys(VISIBILITY_WINDOWS).join(', ')}` });
+        }
+        
+        // null/empty = use the global cleanup default, 0 = keep forever
+        let retention = null;
+        if (retentionDays !== null && retentionDays !== undefined && retentionDays !== '') {
+            retention = parseInt(retentionDays, 10);
+            if (isNaN(retention) || retention < 0) {
+                return res.status(400).json({ error: 'Retention must be a non-negative number of days' });
+            }
+        }
+        
+        // Limits left out of the request keep their current values
+        let slowMode = current.slowModeSeconds;
+        if (slowModeSeconds !== undefined) {
+            slowMode = parseInt(slowModeSeconds, 10) || 0;
+            if (slowMode < 0 || slowMode > MAX_SLOW_MODE_SECONDS) {
+                return res.status(400).json({ error: `Slow mode must be between 0 and ${MAX_SLOW_MODE_SECONDS} seconds` });
+            }
+        }
+        
+        // null/empty = the global maximum
+        let maxLength = current.maxMessageLength;
+        if (maxMessageLength !== undefined) {
+            maxLength = maxMessageLength === null || maxMessageLength === '' ? null : parseInt(maxMessageLength, 10);
+            if (maxLength !== null && (isNaN(maxLength) || maxLength < 1 || maxLength > MAX_MESSAGE_LENGTH)) {
+                return res.status(400).json({ error: `Max message length must be between 1 and ${MAX_MESSAGE_LENGTH} characters` });
+            }
+        }
+        
+        // Auto-moderation thresholds: null/empty = global default
+        const thresholds = {
+            autoHideMinDownvotes: current.autoHideMinDownvotes,
+            autoHideRatio: current.autoHideRatio,
+            autoHideMinViewers: current.autoHideMinViewers
+        };
+        const thresholdInputs = {
+            autoHideMinDownvotes: [autoHideMinDownvotes, parseInt, 'Minimum downvotes'],
+            autoHideRatio: [autoHideRatio, parseFloat, 'Downvote ratio'],
+            autoHideMinViewers: [autoHideMinViewers, parseInt, 'Minimum viewers']
+        };
+        for (const [key, [value, parse, label]] of Object.entries(thresholdInputs)) {
+            if (value === undefined) continue;
+            if (value === null || value === '') {
+                thresholds[key] = null;
+                continue;
+            }
             
-            res.json({ deleted: true, message: 'Message deleted successfully' });
-        } else {
-            res.status(404).json({ error: 'Message not found' });
+            const number = parse(value, 10);
+            if (isNaN(number) || number < 0) {
+                return res.status(400).json({ error: `${label} must be a non-negative number` });
+            }
+            thresholds[key] = number;
         }
+        
+        const settings = await db.updateChannelSettings(channel, {
+            visibilityWindow,
+            retentionDays: retention,
+            slowModeSeconds: slowMode,
+            maxMessageLength: maxLength,
+            ...thresholds
+        });
+        
+        audit(req, 'channel.settings', { targetType: 'channel', targetId: channel, before: current, after: settings });
+        console.log(`⚙️ Channel [${channel}] settings updated: visibility ${visibilityWindow}, retention ${retention === null ? 'default' : retention + ' days'}, slow mode ${slowMode}s, max length ${maxLength || MAX_MESSAGE_LENGTH}`);
+        
+        broadcastChannelLimits(channel, settings);
+        
+        res.json({ success: true, settings });
     } catch (error) {
-        console.error('Error deleting message:', error);
-        res.status(500).json({ error: 'Failed to delete message' });
+        console.error('Error updating channel settings:', error);
+        res.status(500).json({ error: 'Failed to update channel settings' });
+    }
+});
+
+// Admin - remove a channel's passphrase (e.g. when its members have lost it), opening it to everyone
+app.delete('/api/admin/channels/:channelName/passphrase', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const channel = sanitizeChannel(req.params.channelName);
+        if (!await db.getChannelPassphraseHash(channel)) {
+            return res.status(404).json({ error: 'This channel has no passphrase' });
+        }
+        
+        await db.setChannelPassphrase(channel, null);
+        
+        audit(req, 'channel.unprotect', { targetType: 'channel', targetId: channel });
+        console.log(`🔓 Channel [${channel}] passphrase removed by admin`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing channel passphrase:', error);
+        res.status(500).json({ error: 'Failed to remove passphrase' });
+    }
+});
+
+// Admin - list a channel in the public directory (or take it out), with its title, description and tags
+app.put('/api/admin/channels/:channelName/listing', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const channel = sanitizeChannel(req.params.channelName);
+        if (!channel) {
+            return res.status(400).json({ error: 'The public channel cannot be listed' });
+        }
+        
+        const { listed, title, description } = req.body;
+        const cleanTitle = typeof title === 'string' ? title.trim() : '';
+        const cleanDescription = typeof description === 'string' ? description.trim() : '';
+        if (cleanTitle.length > MAX_LISTING_TITLE_LENGTH) {
+            return res.status(400).json({ error: `Title must be at most ${MAX_LISTING_TITLE_LENGTH} characters` });
+        }
+        if (cleanDescription.length > MAX_CHANNEL_DESCRIPTION_LENGTH) {
+            return res.status(400).json({ error: `Description must be at most ${MAX_CHANNEL_DESCRIPTION_LENGTH} characters` });
+        }
+        
+        // Tags come as an array or a comma-separated string
+        const rawTags = Array.isArray(req.body.tags) ? req.body.tags : String(req.body.tags || '').split(',');
+        const tags = [...new Set(rawTags.map(normalizeTag).filter(Boolean))];
+        if (tags.length > MAX_LISTING_TAGS) {
+            return res.status(400).json({ error: `A channel can have at most ${MAX_LISTING_TAGS} tags` });
+        }
+        
+        const current = await db.getChannelSettings(channel);
+        const settings = await db.setChannelListing(channel, {
+            listed: !!listed,
+            title: cleanTitle,
+            description: cleanDescription,
+            tags
+        });
+        
+        const pick = ({ listed, listingTitle, listingDescription, listingTags }) => ({ listed, listingTitle, listingDescription, listingTags });
+        audit(req, 'channel.listing', { targetType: 'channel', targetId: channel, before: pick(current), after: pick(settings) });
+        console.log(`🌐 Channel [${channel}] ${settings.listed ? 'listed in' : 'not listed in'} the directory`);
+        
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Error updating channel listing:', error);
+        res.status(500).json({ error: 'Failed to update listing' });
+    }
+});
+
+// Admin - set or clear the announcement shown above a channel's messages
+app.put('/api/admin/channels/:channelName/announcement', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const channel = sanitizeChannel(req.params.channelName);
+        const announcement = typeof req.body.announcement === 'string' ? req.body.announcement.trim() : '';
+        if (announcement.length > MAX_ANNOUNCEMENT_LENGTH) {
+            return res.status(400).json({ error: `Announcements can be at most ${MAX_ANNOUNCEMENT_LENGTH} characters` });
+        }
+        
+        const current = await db.getChannelSettings(channel);
+        await db.setChannelAnnouncement(channel, announcement || null);
+        await broadcastChannelBanner(channel);
+        
+        audit(req, 'channel.announcement', {
+            targetType: 'channel',
+            targetId: channel,
+            before: { announcement: current.announcement },
+            after: { announcement: announcement || null }
+        });
+        console.log(`📣 Channel [${channel}] announcement ${announcement ? 'set' : 'cleared'} by admin`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error setting channel announcement:', error);
+        res.status(500).json({ error: 'Failed to set announcement' });
     }
 });
 
-app.get('/api/admin/system', requireAdminAuth, (req, res) => {
+// Admin - take a channel away from its owner (e.g. an abandoned or abused channel), removing its moderators too
+app.delete('/api/admin/channels/:channelName/owner', requireAdminAuth, requireRole('moderator'), async (req, res) => {
+    try {
+        const channel = sanitizeChannel(req.params.channelName);
+        if (!await db.getChannelOwnerKeyHash(channel)) {
+            return res.status(404).json({ error: 'This channel has no owner' });
+        }
+        
+        const moderators = await db.getChannelModerators(channel);
+        await db.releaseChannel(channel);
+        for (const other of io.sockets.sockets.values()) {
+            other.data.ownedChannels?.delete(channel);
+        }
+        
+        io.to(channelRoom(channel)).emit('channelDetails', await getChannelDetails(channel));
+        await refreshChannelRoles(channel);
+        
+        audit(req, 'channel.release', { targetType: 'channel', targetId: channel, before: { moderators: moderators.length } });
+        console.log(`👑 Channel [${channel}] ownership removed by admin`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing channel owner:', error);
+        res.status(500).json({ error: 'Failed to remove channel owner' });
+    }
+});
+
+// Query string filters shared by the audit log view and its CSV export
+function getAuditFilters(query) {
+    // Dates come from date inputs (YYYY-MM-DD); "until" includes the whole day
+    const toTimestamp = (value, addDays) => {
+        const date = new Date(value);
+        if (!value || isNaN(date.getTime())) return null;
+        date.setUTCDate(date.getUTCDate() + addDays);
+        return date.toISOString().replace('T', ' ').slice(0, 19);
+    };
+    
+    return {
+        action: query.action || null,
+        actor: query.actor || null,
+        targetType: query.targetType || null,
+        target: query.target || null,
+        since: toTimestamp(query.since, 0),
+        until: toTimestamp(query.until, 1)
+    };
+}
+
+// Admin - audit log, newest first
+app.get('/api/admin/audit', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        
+        const [log, actions] = await Promise.all([
+            db.getAuditLog(getAuditFilters(req.query), { limit, offset }),
+            db.getAuditActions()
+        ]);
+        
+        res.json({ ...log, limit, offset, actions });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Admin - download the (filtered) audit log as CSV
+app.get('/api/admin/audit/export', requireAdminAuth, requireRole(), async (req, res) => {
+    try {
+        const { entries } = await db.getAuditLog(getAuditFilters(req.query), { limit: AUDIT_EXPORT_LIMIT });
+        
+        const header = ['id', 'created_at', 'action', 'actor_session', 'ip_address', 'target_type', 'target_id', 'before', 'after'];
+        const rows = entries.map(entry => [
+            entry.id,
+            entry.createdAt,
+            entry.action,
+            entry.actorSession,
+            entry.ipAddress,
+            entry.targetType,
+            entry.targetId,
+            entry.before,
+            entry.after
+        ].map(csvField).join(','));
+        
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send([header.join(','), ...rows].join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
+
+app.get('/api/admin/system', requireAdminAuth, requireRole('moderator'), (req, res) => {
     res.json({
         server: {
             uptime: process.uptime(),
@@ -533,90 +3510,54 @@ app.get('/api/admin/system', requireAdminAuth, (req, res) => {
     });
 });
 
-// Voting API Routes - 3 Thumbs Down not working - dec 22
+// Voting API Routes
+// Votes are tied to the identity the server signed - a client-supplied sessionId is never trusted.
+// Posts in protected channels also need the channel's access token (X-Channel-Access-Token).
 app.post('/api/vote/:postId', async (req, res) => {
     try {
         const { postId } = req.params;
-        const { voteType, sessionId } = req.body;
+        const { voteType } = req.body;
+        
+        // Resolve the voter from their signed identity token
+        const sessionId = identityAuth.verifyToken(req.headers['x-identity-token'] || req.body.identityToken);
+        if (!sessionId) {
+            console.log(`⚠️ Rejected vote on post ${postId}: invalid identity token`);
+            return res.status(403).json({ error: 'Invalid or missing identity token' });
+        }
+        
+        // A sessionId in the body must match the signed identity
+        if (req.body.sessionId && req.body.sessionId !== sessionId) {
+            console.log(`⚠️ Rejected vote on post ${postId}: sessionId does not match identity`);
+            return res.status(403).json({ error: 'Session does not match identity token' });
+        }
         
         // Validate inputs
-        if (!postId || !voteType || !sessionId) {
-            return res.status(400).json({ error: 'Missing required fields: postId, voteType, sessionId' });
+        if (!postId || !voteType) {
+            return res.status(400).json({ error: 'Missing required fields: postId, voteType' });
         }
         
         if (!['up', 'down'].includes(voteType)) {
             return res.status(400).json({ error: 'Invalid vote type. Must be "up" or "down"' });
         }
         
-        console.log(`🗳️ Vote request: ${sessionId} voting ${voteType} on post ${postId}`);
-        
-        // Add or update vote
-        const voteResult = await db.addVote(postId, sessionId, voteType);
-        
-        // Get updated vote counts
-        const voteCounts = await db.getPostVoteCounts(postId);
+        if (!rateLimit(`vote_${sessionId}`, RATE_LIMIT_MAX_VOTES)) {
+            return res.status(429).json({ error: 'Voting too fast. Please wait a moment.' });
+        }
         
-        // Check if post should be auto-deleted due to downvotes
-        if (voteType === 'down') {
-            const autoDeleteCheck = await db.checkPostForAutoDelete(postId);
-            
-            if (autoDeleteCheck.shouldDelete) {
-                console.log(`🗑️ Auto-deleting post ${postId} due to ${autoDeleteCheck.downvoteCount} downvotes`);
-                
-                // Delete the post
-                const deleteResult = await db.deletePostById(postId);
-                
-                if (deleteResult.deleted) {
-                    // Broadcast message deletion to all connected users
-                    io.emit('messageDeleted', { 
-                        messageId: postId, 
-                        reason: 'auto-moderation',
-                        downvoteCount: autoDeleteCheck.downvoteCount 
-                    });
-                    console.log(`📡 Broadcasted auto-deletion of message ${postId} to all users`);
-                    
-                    // Notify admin panel
-                    notifyAdminPanel('messageAutoDeleted', { 
-                        messageId: postId, 
-                        reason: 'auto-moderation',
-                        downvoteCount: autoDeleteCheck.downvoteCount 
-                    });
-                    
-                    return res.json({
-                        success: true,
-                        action: voteResult.action,
-                        voteType: voteType,
-                        voteCounts: voteCounts,
-                        autoDeleted: true,
-                        message: 'Message automatically removed due to community moderation'
-                    });
-                }
-            }
+        const ip = req.ip || req.connection.remoteAddress;
+        const ban = await findActiveBan(sessionId, ip);
+        if (ban) {
+            return res.status(403).json({ error: banMessage(ban) });
         }
         
-        // Broadcast vote update to all users
-        io.emit('voteUpdate', {
-            postId: postId,
-            voteCounts: voteCounts,
-            action: voteResult.action,
-            voteType: voteType
-        });
+        const accessToken = req.headers['x-channel-access-token'] || req.body.accessToken;
+        const result = await processVote(postId, sessionId, voteType, ip, channel => accessTokenAllows(channel, accessToken));
         
-        // Notify admin panel of voting activity
-        notifyAdminPanel('voteActivity', {
-            postId: postId,
-            voteType: voteType,
-            action: voteResult.action,
-            voteCounts: voteCounts
-        });
+        if (!result) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
         
-        res.json({
-            success: true,
-            action: voteResult.action,
-            voteType: voteType,
-            voteCounts: voteCounts,
-            autoDeleted: false
-        });
+        res.json(result);
         
     } catch (error) {
         console.error('Error processing vote:', error);
@@ -635,9 +3576,15 @@ app.get('/api/vote/:postId/counts', async (req, res) => {
     }
 });
 
-app.get('/api/vote/:postId/user/:sessionId', async (req, res) => {
+// The caller's own vote on a post - only the identity token says who that is
+app.get('/api/vote/:postId/user', async (req, res) => {
     try {
-        const { postId, sessionId } = req.params;
+        const sessionId = identityAuth.verifyToken(req.headers['x-identity-token']);
+        if (!sessionId) {
+            return res.status(403).json({ error: 'Invalid or missing identity token' });
+        }
+        
+        const { postId } = req.params;
         const userVote = await db.getUserVote(postId, sessionId);
         res.json({ userVote });
     } catch (error) {
@@ -646,6 +3593,59 @@ app.get('/api/vote/:postId/user/:sessionId', async (req, res) => {
     }
 });
 
+// Lowercase letters, digits and hyphens, e.g. "Live Music" -> "live-music"
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9-]/g, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+// Sockets currently in a channel's room
+function getChannelMemberCount(channel) {
+    return io.sockets.adapter.rooms.get(channelRoom(channel))?.size || 0;
+}
+
+// Public channel directory - listed channels, busiest first.
+// ?q= searches names, titles, descriptions and tags; ?tag= filters by one tag.
+app.get('/api/channels', async (req, res) => {
+    try {
+        const search = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase().slice(0, 100) : '';
+        const tag = typeof req.query.tag === 'string' ? normalizeTag(req.query.tag) : '';
+        
+        const listed = (await db.getListedChannels()).map(channel => ({
+            name: channel.name,
+            title: channel.listingTitle || channel.name,
+            description: channel.listingDescription,
+            tags: channel.listingTags,
+            isProtected: channel.isProtected,
+            memberCount: getChannelMemberCount(channel.name),
+            postsLastDay: channel.postsLastDay,
+            lastActivityAt: channel.lastPostAt
+        }));
+        
+        // Tags across the whole directory, most used first, for browsing
+        const tagCounts = {};
+        listed.forEach(channel => channel.tags.forEach(t => {
+            tagCounts[t] = (tagCounts[t] || 0) + 1;
+        }));
+        const tags = Object.keys(tagCounts).sort((a, b) => tagCounts[b] - tagCounts[a] || a.localeCompare(b));
+        
+        const score = channel => channel.memberCount * DIRECTORY_MEMBER_WEIGHT + channel.postsLastDay;
+        const channels = listed
+            .filter(channel => !tag || channel.tags.includes(tag))
+            .filter(channel => !search || [channel.name, channel.title, channel.description || '', ...channel.tags]
+                .some(text => text.toLowerCase().includes(search)))
+            .sort((a, b) => score(b) - score(a) || (b.lastActivityAt || '').localeCompare(a.lastActivityAt || ''))
+            .slice(0, DIRECTORY_PAGE_SIZE);
+        
+        res.json({ channels, tags });
+    } catch (error) {
+        console.error('Error fetching channel directory:', error);
+        res.status(500).json({ error: 'Failed to fetch channels' });
+    }
+});
+
 // Get privacy key info for sharing (channel endpoint for backwards compatibility)
 app.get('/api/channel/:channelName', (req, res) => {
     const channelName = req.params.channelName;
@@ -674,7 +3674,7 @@ app.get('/api/ads/channel/:channelName', async (req, res) => {
 });
 
 // Admin - get all ads
-app.get('/api/admin/ads', requireAdminAuth, async (req, res) => {
+app.get('/api/admin/ads', requireAdminAuth, requireRole('advertiser'), async (req, res) => {
     try {
         const ads = await db.getAllAds();
         res.json(ads);
@@ -685,7 +3685,7 @@ app.get('/api/admin/ads', requireAdminAuth, async (req, res) => {
 });
 
 // Admin - create ad
-app.post('/api/admin/ads', requireAdminAuth, async (req, res) => {
+app.post('/api/admin/ads', requireAdminAuth, requireRole('advertiser'), async (req, res) => {
     try {
         const { channel, imageUrl, linkUrl } = req.body;
         
@@ -701,6 +3701,7 @@ app.post('/api/admin/ads', requireAdminAuth, async (req, res) => {
         });
         
         console.log(`📢 Ad created for channel: ${channel}`);
+        audit(req, 'ad.create', { targetType: 'ad', targetId: ad.id, after: ad });
         res.json({ success: true, ad });
     } catch (error) {
         console.error('Error creating ad:', error);
@@ -709,10 +3710,11 @@ app.post('/api/admin/ads', requireAdminAuth, async (req, res) => {
 });
 
 // Admin - update ad
-app.put('/api/admin/ads/:id', requireAdminAuth, async (req, res) => {
+app.put('/api/admin/ads/:id', requireAdminAuth, requireRole('advertiser'), async (req, res) => {
     try {
         const { id } = req.params;
         const { channel, imageUrl, linkUrl, active } = req.body;
+        const before = await db.getAdById(id);
         
         const result = await db.updateAd(id, {
             channel: channel.trim(),
@@ -722,6 +3724,7 @@ app.put('/api/admin/ads/:id', requireAdminAuth, async (req, res) => {
         });
         
         console.log(`📢 Ad ${id} updated`);
+        audit(req, 'ad.update', { targetType: 'ad', targetId: id, before, after: await db.getAdById(id) });
         res.json({ success: true, changes: result.changes });
     } catch (error) {
         console.error('Error updating ad:', error);
@@ -730,12 +3733,14 @@ app.put('/api/admin/ads/:id', requireAdminAuth, async (req, res) => {
 });
 
 // Admin - delete ad
-app.delete('/api/admin/ads/:id', requireAdminAuth, async (req, res) => {
+app.delete('/api/admin/ads/:id', requireAdminAuth, requireRole('advertiser'), async (req, res) => {
     try {
         const { id } = req.params;
+        const before = await db.getAdById(id);
         const result = await db.deleteAd(id);
         
         console.log(`📢 Ad ${id} deleted`);
+        audit(req, 'ad.delete', { targetType: 'ad', targetId: id, before });
         res.json({ success: true, deleted: result.deleted });
     } catch (error) {
         console.error('Error deleting ad:', error);
@@ -784,7 +3789,7 @@ const adUpload = multer({
 });
 
 // Admin - upload ad image
-app.post('/api/admin/ads/upload', requireAdminAuth, adUpload.single('image'), (req, res) => {
+app.post('/api/admin/ads/upload', requireAdminAuth, requireRole('advertiser'), adUpload.single('image'), (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No image file provided' });
@@ -793,6 +3798,7 @@ app.post('/api/admin/ads/upload', requireAdminAuth, adUpload.single('image'), (r
         // Return the URL path to the uploaded image
         const imageUrl = `/uploads/ads/${req.file.filename}`;
         console.log(`📢 Ad image uploaded: ${imageUrl}`);
+        audit(req, 'ad.upload', { targetType: 'ad', after: { imageUrl, size: req.file.size } });
         
         res.json({ 
             success: true, 
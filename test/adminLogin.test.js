@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+const { startServer, adminLogin } = require('./helpers/server');
+
+let server;
+
+// Behind a trusted proxy, X-Forwarded-For gives each test its own client address to be locked out
+before(async () => {
+    server = await startServer({ TRUST_PROXY: 'loopback' });
+    server.createAdmin('owner', 'owner-password-1');
+    server.createAdmin('second', 'second-password-1', 'moderator');
+    server.createAdmin('locked', 'locked-password-1', 'moderator');
+});
+
+after(() => server.stop());
+
+async function post(route, body, headers = {}) {
+    const res = await fetch(`${server.url}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+function login(username, password, address) {
+    return post('/api/admin/login', { username, password }, { 'X-Forwarded-For': address });
+}
+
+function verify(challenge, codes, address) {
+    return post('/api/admin/login/verify', { challenge, ...codes }, { 'X-Forwarded-For': address });
+}
+
+async function twoFactorStatus(headers) {
+    const res = await fetch(`${server.url}/api/admin/2fa`, { headers });
+    return res.json();
+}
+
+// The owner turns two-factor on; later tests log in with it
+const twoFactor = {};
+
+test('two-factor is turned on by confirming a code from the app', async () => {
+    const session = await adminLogin(server, 'owner', 'owner-password-1');
+    const { body: setup } = await post('/api/admin/2fa/setup', {}, session);
+    assert.ok(setup.secret);
+    assert.match(setup.otpauthUrl, /^otpauth:\/\/totp\//);
+    assert.match(setup.qrCode, /^data:image\/png;base64,/);
+
+    const wrong = await post('/api/admin/2fa/enable', { code: '000000' }, session);
+    assert.strictEqual(wrong.status, 400);
+
+    twoFactor.counter = totp.getCounter();
+    const { status, body } = await post('/api/admin/2fa/enable', {
+        code: totp.generateCode(setup.secret, twoFactor.counter)
+    }, session);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.recoveryCodes.length, 10);
+
+    twoFactor.secret = setup.secret;
+    twoFactor.recoveryCodes = body.recoveryCodes;
+    assert.deepStrictEqual(await twoFactorStatus(session), { enabled: true, recoveryCodesRemaining: 10 });
+});
+
+test('a password alone no longer logs in; the code step does', async () => {
+    const { body } = await login('owner', 'owner-password-1', '198.51.100.1');
+    assert.strictEqual(body.twoFactorRequired, true);
+    assert.strictEqual(body.success, undefined);
+
+    const wrong = await verify(body.challenge, { code: '000000' }, '198.51.100.1');
+    assert.strictEqual(wrong.status, 401);
+
+    // The code that turned two-factor on was used up
+    const replayed = await verify(body.challenge, { code: totp.generateCode(twoFactor.secret, twoFactor.counter) }, '198.51.100.1');
+    assert.strictEqual(replayed.status, 401);
+
+    const next = await verify(body.challenge, { code: totp.generateCode(twoFactor.secret, twoFactor.counter + 1) }, '198.51.100.1');
+    assert.strictEqual(next.status, 200);
+    assert.ok(next.headers.get('set-cookie').startsWith('adminSession='));
+});
+
+test('each recovery code works once', async () => {
+    const [recoveryCode] = twoFactor.recoveryCodes;
+
+    const first = await login('owner', 'owner-password-1', '198.51.100.2');
+    const used = await verify(first.body.challenge, { recoveryCode }, '198.51.100.2');
+    assert.strictEqual(used.status, 200);
+    const session = { Cookie: used.headers.get('set-cookie').split(';')[0] };
+    assert.strictEqual((await twoFactorStatus(session)).recoveryCodesRemaining, 9);
+
+    const second = await login('owner', 'owner-password-1', '198.51.100.2');
+    const reused = await verify(second.body.challenge, { recoveryCode }, '198.51.100.2');
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual(reused.body.error, 'Invalid recovery code');
+});
+
+test('a login challenge is dropped after too many wrong codes', async () => {
+    // Start from a clean slate: a successful login clears the account's earlier failures
+    const cleared = await login('owner', 'owner-password-1', '198.51.100.3');
+    assert.strictEqual((await verify(cleared.body.challenge, { recoveryCode: twoFactor.recoveryCodes[1] }, '198.51.100.3')).status, 200);
+
+    const { body } = await login('owner', 'owner-password-1', '198.51.100.3');
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await verify(body.challenge, { code: '000000' }, '198.51.100.3')).status, 401);
+    }
+    const expired = await verify(body.challenge, { recoveryCode: twoFactor.recoveryCodes[2] }, '198.51.100.3');
+    assert.strictEqual(expired.status, 400);
+    assert.match(expired.body.error, /expired/);
+});
+
+test('repeated wrong passwords lock the account and the address out', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login('locked', 'wrong-password', '203.0.113.1')).status, 401);
+    }
+
+    // Even the right password has to wait
+    const locked = await login('locked', 'locked-password-1', '203.0.113.1');
+    assert.strictEqual(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    assert.match(locked.body.error, /Too many failed attempts/);
+
+    // The account is locked from anywhere, and the address for any account
+    assert.strictEqual((await login('Locked', 'locked-password-1', '203.0.113.2')).status, 429);
+    assert.strictEqual((await login('second', 'second-password-1', '203.0.113.1')).status, 429);
+
+    // Other accounts from other addresses are unaffected
+    assert.strictEqual((await login('second', 'second-password-1', '203.0.113.3')).status, 200);
+});
+
+test('a successful login clears earlier failures', async () => {
+    for (let i = 0; i < 4; i++) {
+        await login('second', 'wrong-password', '203.0.113.4');
+    }
+    assert.strictEqual((await login('second', 'second-password-1', '203.0.113.4')).status, 200);
+    assert.strictEqual((await login('second', 'wrong-password', '203.0.113.4')).status, 401);
+    assert.strictEqual((await login('second', 'second-password-1', '203.0.113.4')).status, 200);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const { startServer, waitFor, adminLogin } = require('./helpers/server');
+
+let server;
+const headers = {};
+
+before(async () => {
+    server = await startServer();
+    server.createAdmin('owner', 'owner-password-1');
+    server.createAdmin('mod', 'mod-password-1', 'moderator');
+    server.createAdmin('ads', 'ads-password-1', 'advertiser');
+    server.createAdmin('mod2', 'mod2-password-1', 'moderator');
+
+    headers.owner = await adminLogin(server, 'owner', 'owner-password-1');
+    headers.moderator = await adminLogin(server, 'mod', 'mod-password-1');
+    headers.advertiser = await adminLogin(server, 'ads', 'ads-password-1');
+});
+
+after(() => server.stop());
+
+async function statusFor(route, role) {
+    const res = await fetch(`${server.url}${route}`, { headers: role ? headers[role] : {} });
+    return res.status;
+}
+
+async function adminId(username) {
+    const res = await fetch(`${server.url}/api/admin/users`, { headers: headers.owner });
+    return (await res.json()).users.find(user => user.username === username).id;
+}
+
+function updateAdmin(id, changes) {
+    return fetch(`${server.url}/api/admin/users/${id}`, {
+        method: 'PUT',
+        headers: headers.owner,
+        body: JSON.stringify(changes)
+    });
+}
+
+// Resolve with 'connected', or the reason the admin live feed refused the socket
+function connectAdminFeed(role) {
+    const socket = io(`${server.url}/admin`, {
+        transports: ['websocket'],
+        reconnection: false,
+        extraHeaders: role ? { Cookie: headers[role].Cookie } : {}
+    });
+    server.sockets.push(socket);
+    return new Promise((resolve) => {
+        socket.once('connect', () => resolve('connected'));
+        socket.once('connect_error', error => resolve(error.message));
+    });
+}
+
+// Owners can do everything; the other roles only their own part of the panel
+const ROUTES = {
+    '/api/admin/users': { owner: 200, moderator: 403, advertiser: 403 },
+    '/api/admin/audit': { owner: 200, moderator: 403, advertiser: 403 },
+    '/api/cleanup/stats': { owner: 200, moderator: 403, advertiser: 403 },
+    '/api/admin/bans': { owner: 200, moderator: 200, advertiser: 403 },
+    '/api/admin/filters': { owner: 200, moderator: 200, advertiser: 403 },
+    '/api/admin/reports': { owner: 200, moderator: 200, advertiser: 403 },
+    '/api/admin/ads': { owner: 200, moderator: 403, advertiser: 200 }
+};
+
+for (const [route, expected] of Object.entries(ROUTES)) {
+    test(`${route} is limited by role`, async () => {
+        assert.strictEqual(await statusFor(route, null), 401);
+        for (const [role, status] of Object.entries(expected)) {
+            assert.strictEqual(await statusFor(route, role), status, role);
+        }
+    });
+}
+
+test('every role can see its own account', async () => {
+    for (const role of ['owner', 'moderator', 'advertiser']) {
+        const res = await fetch(`${server.url}/api/admin/me`, { headers: headers[role] });
+        assert.strictEqual((await res.json()).role, role);
+    }
+});
+
+test('the live moderation feed is for owners and moderators', async () => {
+    assert.strictEqual(await connectAdminFeed('owner'), 'connected');
+    assert.strictEqual(await connectAdminFeed('moderator'), 'connected');
+    assert.strictEqual(await connectAdminFeed('advertiser'), 'Forbidden');
+    assert.strictEqual(await connectAdminFeed(null), 'Unauthorized');
+});
+
+test('a role change applies to sessions that are already logged in', async () => {
+    const mod2 = await adminLogin(server, 'mod2', 'mod2-password-1');
+    const id = await adminId('mod2');
+
+    assert.strictEqual((await updateAdmin(id, { role: 'advertiser' })).status, 200);
+    assert.strictEqual((await fetch(`${server.url}/api/admin/bans`, { headers: mod2 })).status, 403);
+    assert.strictEqual((await fetch(`${server.url}/api/admin/ads`, { headers: mod2 })).status, 200);
+});
+
+test('disabling an account logs it out of the panel and the live feed', async () => {
+    const feed = io(`${server.url}/admin`, {
+        transports: ['websocket'],
+        reconnection: false,
+        extraHeaders: { Cookie: headers.moderator.Cookie }
+    });
+    server.sockets.push(feed);
+    await waitFor(feed, 'connect');
+
+    const dropped = waitFor(feed, 'disconnect');
+    assert.strictEqual((await updateAdmin(await adminId('mod'), { disabled: true })).status, 200);
+    await dropped;
+    assert.strictEqual(await statusFor('/api/admin/bans', 'moderator'), 401);
+});
+
+test('owners cannot change their own role, or give out a role that does not exist', async () => {
+    const ownerId = await adminId('owner');
+    const res = await updateAdmin(ownerId, { role: 'moderator' });
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /your own role/);
+
+    assert.strictEqual((await updateAdmin(ownerId, { role: 'nobody' })).status, 400);
+});
+
+test('only owners can change roles', async () => {
+    const res = await fetch(`${server.url}/api/admin/users/${await adminId('ads')}`, {
+        method: 'PUT',
+        headers: headers.advertiser,
+        body: JSON.stringify({ role: 'owner' })
+    });
+    assert.strictEqual(res.status, 403);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, connectClient, joinChannel, sendMessage } = require('./helpers/server');
+
+const CHANNEL = 'book-club';
+let server;
+let owner;
+let member;
+let memberPost;
+
+before(async () => {
+    server = await startServer();
+    owner = await connectClient(server, CHANNEL);
+    member = await connectClient(server, CHANNEL);
+
+    const claimed = waitFor(owner.socket, 'channelClaimed');
+    owner.socket.emit('claimChannel', { channel: CHANNEL });
+    await claimed;
+
+    const broadcast = waitFor(owner.socket, 'newPost');
+    await sendMessage(member, 'hello from a member');
+    memberPost = await broadcast;
+});
+
+after(() => server.stop());
+
+// No payload another user receives may carry a session ID - it is what signs as that user
+function assertNoSessionIds(payload) {
+    const text = JSON.stringify(payload);
+    assert.ok(!text.includes(member.identity.sessionId), 'leaks the member\'s session ID');
+    assert.ok(!text.includes(owner.identity.sessionId), 'leaks the owner\'s session ID');
+}
+
+test('new posts carry an author pseudonym instead of a session ID', () => {
+    assert.ok(memberPost.authorId);
+    assert.strictEqual(memberPost.sessionId, undefined);
+    assertNoSessionIds(memberPost);
+});
+
+test('history and threads carry the same pseudonym', async () => {
+    const { posts } = await joinChannel(owner, CHANNEL);
+    assertNoSessionIds(posts);
+    assert.strictEqual(posts.find(post => post.id === memberPost.id).authorId, memberPost.authorId);
+
+    const thread = waitFor(owner.socket, 'thread');
+    owner.socket.emit('requestThread', { postId: memberPost.id });
+    const { post } = await thread;
+    assertNoSessionIds(post);
+    assert.strictEqual(post.authorId, memberPost.authorId);
+});
+
+test('the same author has a different pseudonym in another channel', async () => {
+    await joinChannel(member, 'other-club');
+    const { postId } = await sendMessage(member, 'hello elsewhere');
+    const { posts } = await joinChannel(member, 'other-club');
+    assert.notStrictEqual(posts.find(post => post.id === postId).authorId, memberPost.authorId);
+    await joinChannel(member, CHANNEL);
+});
+
+test('owners appoint moderators by post and remove them by pseudonym', async () => {
+    const memberRole = waitFor(member.socket, 'channelRole');
+    const ownerRole = waitFor(owner.socket, 'channelRole');
+    owner.socket.emit('addChannelModerator', { channel: CHANNEL, postId: memberPost.id });
+    assert.strictEqual((await memberRole).role, 'moderator');
+
+    const { moderators } = await ownerRole;
+    assertNoSessionIds(moderators);
+    assert.deepStrictEqual(moderators.map(mod => mod.authorId), [memberPost.authorId]);
+
+    const demoted = waitFor(member.socket, 'channelRole');
+    owner.socket.emit('removeChannelModerator', { channel: CHANNEL, authorId: memberPost.authorId });
+    assert.strictEqual((await demoted).role, null);
+});
+
+test('a session ID is no longer accepted to appoint a moderator', async () => {
+    const error = waitFor(owner.socket, 'error');
+    owner.socket.emit('addChannelModerator', { channel: CHANNEL, sessionId: member.identity.sessionId });
+    assert.strictEqual(await error, 'Invalid moderator');
+});
+
+test('reading a vote needs the voter\'s own identity token', async () => {
+    await fetch(`${server.url}/api/vote/${memberPost.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Identity-Token': owner.identity.token },
+        body: JSON.stringify({ voteType: 'up' })
+    });
+
+    const anonymous = await fetch(`${server.url}/api/vote/${memberPost.id}/user`);
+    assert.strictEqual(anonymous.status, 403);
+
+    const own = await fetch(`${server.url}/api/vote/${memberPost.id}/user`, {
+        headers: { 'X-Identity-Token': owner.identity.token }
+    });
+    assert.deepStrictEqual(await own.json(), { userVote: 'up' });
+
+    const byUrl = await fetch(`${server.url}/api/vote/${memberPost.id}/user/${owner.identity.sessionId}`);
+    assert.strictEqual(byUrl.status, 404);
+});
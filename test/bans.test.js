@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const { startServer, waitFor, connectClient, sendMessage, adminLogin } = require('./helpers/server');
+
+const CHANNEL = 'town-square';
+let server;
+let admin;
+let db;
+
+// Behind a trusted proxy, X-Forwarded-For gives each test client its own address
+before(async () => {
+    server = await startServer({ TRUST_PROXY: 'loopback' });
+    server.createAdmin('owner', 'owner-password-1');
+    admin = await adminLogin(server, 'owner', 'owner-password-1');
+
+    // A second connection to the server's database, for bans made outside this process
+    process.env.DATABASE_PATH = server.dbPath;
+    const Database = require('../models/database');
+    db = new Database();
+    await db.ready;
+});
+
+after(() => {
+    db.db.close();
+    server.stop();
+});
+
+function connectFrom(address, identityToken = null) {
+    return connectClient(server, CHANNEL, { identityToken, headers: { 'X-Forwarded-For': address } });
+}
+
+// Resolve with the reason a connection was refused
+function refusedFrom(address, identityToken = null) {
+    const socket = io(server.url, {
+        transports: ['websocket'],
+        reconnection: false,
+        auth: { identityToken },
+        extraHeaders: { 'X-Forwarded-For': address }
+    });
+    server.sockets.push(socket);
+    return waitFor(socket, 'connect_error').then(error => error.message);
+}
+
+async function ban(body) {
+    const res = await fetch(`${server.url}/api/admin/bans`, {
+        method: 'POST',
+        headers: admin,
+        body: JSON.stringify({ reason: 'testing', ...body })
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function liftBan(id) {
+    const res = await fetch(`${server.url}/api/admin/bans/${id}`, { method: 'DELETE', headers: admin });
+    assert.strictEqual(res.status, 200);
+}
+
+test('a session ban disconnects the user and keeps that identity out', async () => {
+    const user = await connectFrom('203.0.113.1');
+    const kicked = waitFor(user.socket, 'disconnect');
+    const notice = waitFor(user.socket, 'error');
+
+    const { body } = await ban({ type: 'session', value: user.identity.sessionId });
+    assert.match(await notice, /You have been banned from posting\. Reason: testing/);
+    await kicked;
+
+    assert.match(await refusedFrom('203.0.113.1', user.identity.token), /banned/);
+
+    // Someone else on the same address is not affected
+    const neighbour = await connectFrom('203.0.113.1');
+    assert.ok((await sendMessage(neighbour, 'still allowed')).postId);
+
+    await liftBan(body.ban.id);
+    const returning = await connectFrom('203.0.113.1', user.identity.token);
+    assert.strictEqual(returning.identity.sessionId, user.identity.sessionId);
+});
+
+test('an IP ban covers every identity from that address', async () => {
+    const user = await connectFrom('203.0.113.2');
+    const kicked = waitFor(user.socket, 'disconnect');
+    const { body } = await ban({ type: 'ip', value: '203.0.113.2', durationHours: 1 });
+    await kicked;
+    assert.ok(body.ban.expiresAt);
+
+    // A fresh identity does not get around it
+    assert.match(await refusedFrom('203.0.113.2'), /banned from posting until/);
+
+    const other = await connectFrom('203.0.113.3');
+    assert.ok((await sendMessage(other, 'different address')).postId);
+
+    await liftBan(body.ban.id);
+});
+
+test('a CIDR ban covers the whole range and nothing outside it', async () => {
+    const { body } = await ban({ type: 'cidr', value: ' 198.51.100.0/24 ' });
+    assert.strictEqual(body.ban.value, '198.51.100.0/24');
+
+    assert.match(await refusedFrom('198.51.100.1'), /banned/);
+    assert.match(await refusedFrom('198.51.100.254'), /banned/);
+    assert.ok((await connectFrom('198.51.101.1')).identity.sessionId);
+
+    await liftBan(body.ban.id);
+    assert.ok((await connectFrom('198.51.100.1')).identity.sessionId);
+});
+
+test('a session banned while connected cannot send, or reset its identity to shed the ban', async () => {
+    const user = await connectFrom('203.0.113.4');
+    // Written straight to the database, so the server does not disconnect the socket itself
+    await db.createBan({ type: 'session', value: user.identity.sessionId, reason: 'testing' });
+
+    const refused = waitFor(user.socket, 'error');
+    user.socket.emit('sendMessage', { message: 'one more', displayName: 'Tester' });
+    assert.match(await refused, /banned/);
+
+    const resetRefused = waitFor(user.socket, 'error');
+    user.socket.emit('resetIdentity');
+    assert.match(await resetRefused, /banned/);
+});
+
+test('expired bans no longer apply', async () => {
+    await db.createBan({ type: 'ip', value: '203.0.113.5', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const user = await connectFrom('203.0.113.5');
+    assert.ok((await sendMessage(user, 'back again')).postId);
+});
+
+test('invalid bans are refused', async () => {
+    for (const request of [
+        { type: 'device', value: 'abc' },
+        { type: 'ip', value: 'not-an-ip' },
+        { type: 'cidr', value: '10.0.0.0/99' },
+        { type: 'session', value: '' },
+        { type: 'ip', value: '203.0.113.9', durationHours: -1 }
+    ]) {
+        const { status } = await ban(request);
+        assert.strictEqual(status, 400, JSON.stringify(request));
+    }
+});
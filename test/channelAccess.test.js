@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, maybeWaitFor, connectClient, joinChannel, sendMessage, protectChannel } = require('./helpers/server');
+
+const CHANNEL = 'secret-garden';
+const PASSPHRASE = 'open sesame';
+let server;
+let owner;
+let accessToken;
+
+// The owner protects the channel (which also claims it) and posts in it
+before(async () => {
+    server = await startServer({ TRUST_PROXY: 'loopback' });
+    owner = await connectClient(server, CHANNEL);
+    accessToken = await protectChannel(owner, CHANNEL, PASSPHRASE);
+    await sendMessage(owner, 'members only');
+});
+
+after(() => server.stop());
+
+// Resolve with whichever of two replies comes first, e.g. { locked } or { posts }
+function firstReply(client, replies) {
+    return new Promise((resolve) => {
+        const listeners = Object.entries(replies).map(([key, event]) => {
+            const listener = (data) => {
+                listeners.forEach(([other, otherListener]) => client.socket.off(other, otherListener));
+                resolve({ [key]: data });
+            };
+            client.socket.on(event, listener);
+            return [event, listener];
+        });
+    });
+}
+
+// Ask for a channel's posts: { locked } if it stayed shut, or { posts } if it let us in
+function requestChannel(client, channel, tokens = {}) {
+    const reply = firstReply(client, { locked: 'channelLocked', posts: 'posts' });
+    client.socket.emit('requestPosts', { channel, ...tokens });
+    return reply;
+}
+
+function unlock(client, passphrase) {
+    const reply = firstReply(client, { locked: 'channelLocked', unlocked: 'channelUnlocked' });
+    client.socket.emit('unlockChannel', { channel: CHANNEL, passphrase });
+    return reply;
+}
+
+test('strangers see nothing from a protected channel', async () => {
+    const stranger = await connectClient(server);
+    const { locked } = await requestChannel(stranger, CHANNEL);
+    assert.deepStrictEqual(locked, { channel: CHANNEL });
+
+    // Nor its new messages
+    const leaked = maybeWaitFor(stranger.socket, 'newPost');
+    await sendMessage(owner, 'still members only');
+    assert.strictEqual(await leaked, null);
+});
+
+test('the passphrase unlocks the channel, a wrong one does not', async () => {
+    const guest = await connectClient(server);
+    await requestChannel(guest, CHANNEL);
+
+    const wrong = await unlock(guest, 'open barley');
+    assert.strictEqual(wrong.locked.error, 'Wrong passphrase');
+
+    const posts = waitFor(guest.socket, 'posts');
+    const right = await unlock(guest, PASSPHRASE);
+    assert.ok(right.unlocked.accessToken);
+    assert.ok((await posts).posts.some(post => post.message === 'members only'));
+});
+
+test('a saved access token lets a returning member straight in', async () => {
+    const member = await connectClient(server);
+    const { posts } = await requestChannel(member, CHANNEL, { accessToken });
+    assert.ok(posts.posts.some(post => post.message === 'members only'));
+
+    const forged = await connectClient(server);
+    assert.ok((await requestChannel(forged, CHANNEL, { accessToken: `${accessToken}x` })).locked);
+});
+
+test('a one-time invite lets one person in', async () => {
+    const invite = waitFor(owner.socket, 'channelInvite');
+    owner.socket.emit('createChannelInvite', { channel: CHANNEL, oneTime: true, expiresInHours: 1 });
+    const { inviteToken, maxUses } = await invite;
+    assert.ok(inviteToken);
+    assert.strictEqual(maxUses, 1);
+
+    const first = await connectClient(server);
+    const unlocked = waitFor(first.socket, 'channelUnlocked');
+    const { posts } = await requestChannel(first, CHANNEL, { inviteToken });
+    assert.ok(posts.posts.some(post => post.message === 'members only'));
+    // The invite is swapped for an access token the client can keep
+    assert.ok((await unlocked).accessToken);
+
+    const second = await connectClient(server);
+    assert.ok((await requestChannel(second, CHANNEL, { inviteToken })).locked);
+});
+
+test('a reusable invite works more than once', async () => {
+    const invite = waitFor(owner.socket, 'channelInvite');
+    owner.socket.emit('createChannelInvite', { channel: CHANNEL });
+    const { inviteToken, maxUses } = await invite;
+    assert.strictEqual(maxUses, null);
+
+    for (let i = 0; i < 2; i++) {
+        const guest = await connectClient(server);
+        assert.ok((await requestChannel(guest, CHANNEL, { inviteToken })).posts);
+    }
+});
+
+test('invites need access to the channel, and open channels need none', async () => {
+    const stranger = await connectClient(server);
+    const locked = waitFor(stranger.socket, 'channelLocked');
+    stranger.socket.emit('createChannelInvite', { channel: CHANNEL });
+    assert.strictEqual((await locked).channel, CHANNEL);
+
+    await joinChannel(stranger, 'open-field');
+    const invite = waitFor(stranger.socket, 'channelInvite');
+    stranger.socket.emit('createChannelInvite', { channel: 'open-field' });
+    assert.strictEqual((await invite).inviteToken, null);
+});
+
+test('changing the passphrase locks everyone else out again', async () => {
+    const member = await connectClient(server);
+    await requestChannel(member, CHANNEL, { accessToken });
+
+    const lockedOut = waitFor(member.socket, 'channelLocked');
+    const newToken = await protectChannel(owner, CHANNEL, 'a new passphrase');
+    assert.deepStrictEqual(await lockedOut, { channel: CHANNEL });
+
+    const returning = await connectClient(server);
+    assert.ok((await requestChannel(returning, CHANNEL, { accessToken })).locked);
+    assert.ok((await requestChannel(returning, CHANNEL, { accessToken: newToken })).posts);
+});
+
+test('only the owner can change the passphrase of an owned channel', async () => {
+    const member = await connectClient(server);
+    const error = waitFor(member.socket, 'error');
+    member.socket.emit('protectChannel', { channel: CHANNEL, passphrase: 'taken over', currentPassphrase: 'a new passphrase' });
+    assert.strictEqual(await error, 'Only the channel owner can change its passphrase');
+});
+
+test('passphrase guessing is rate limited', async () => {
+    // Its own address, so other tests' attempts don't count against it
+    const guesser = await connectClient(server, null, { headers: { 'X-Forwarded-For': '203.0.113.10' } });
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual((await unlock(guesser, `guess ${i}`)).locked.error, 'Wrong passphrase');
+    }
+    assert.match((await unlock(guesser, 'a new passphrase')).locked.error, /Too many attempts/);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupdeedo-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+const Database = require('../models/database');
+const CleanupManager = require('../scripts/cleanup');
+const { startServer, adminLogin } = require('./helpers/server');
+
+let db;
+let server;
+
+before(async () => {
+    db = new Database();
+    await db.ready;
+
+    server = await startServer();
+    server.createAdmin('owner', 'owner-password-1');
+    server.createAdmin('mod', 'mod-password-1', 'moderator');
+});
+
+after(() => {
+    db.db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    server.stop();
+});
+
+test('a manager given the server\'s connection uses it and leaves it open', async () => {
+    const cleanup = new CleanupManager(db);
+    assert.strictEqual(cleanup.db, db);
+
+    const stats = await cleanup.getCleanupStats();
+    assert.strictEqual(stats.database.totalPosts, 0);
+    await cleanup.close();
+
+    // The server keeps using its connection after cleanup is done
+    await new Promise((resolve, reject) => {
+        db.db.get('SELECT 1', err => (err ? reject(err) : resolve()));
+    });
+});
+
+test('a standalone manager opens and closes its own connection', async () => {
+    const cleanup = new CleanupManager();
+    assert.notStrictEqual(cleanup.db, db);
+    await cleanup.getCleanupStats();
+    await cleanup.close();
+    await assert.rejects(new Promise((resolve, reject) => {
+        cleanup.db.db.get('SELECT 1', err => (err ? reject(err) : resolve()));
+    }), /SQLITE_MISUSE/);
+});
+
+test('cleanup stats are for owners only', async () => {
+    const anonymous = await fetch(`${server.url}/api/cleanup/stats`);
+    assert.strictEqual(anonymous.status, 401);
+
+    const moderator = await fetch(`${server.url}/api/cleanup/stats`, {
+        headers: await adminLogin(server, 'mod', 'mod-password-1')
+    });
+    assert.strictEqual(moderator.status, 403);
+
+    const owner = await adminLogin(server, 'owner', 'owner-password-1');
+    for (let i = 0; i < 2; i++) {
+        const res = await fetch(`${server.url}/api/cleanup/stats`, { headers: owner });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await res.json()).database.totalPosts, 0);
+    }
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The browser client, loaded without a page: the document never finishes loading,
+// so the app isn't started and the class can be driven directly
+const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'app.js'), 'utf8');
+
+// Stands in for the Socket.IO client: records what the app sends and lets tests play server replies
+function createFakeSocket() {
+    const handlers = {};
+    return {
+        sent: [],
+        on(event, handler) {
+            handlers[event] = handler;
+        },
+        emit(event, data) {
+            this.sent.push({ event, data });
+        },
+        receive(event, data) {
+            handlers[event](data);
+        }
+    };
+}
+
+function loadClient(socket) {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        io: () => socket,
+        document: {
+            readyState: 'loading',
+            addEventListener() {},
+            // The oldest message on screen, which older history is requested before
+            querySelector: () => ({ dataset: { timestamp: '2026-01-01T00:00:00.000Z', messageId: 'oldest' } })
+        }
+    });
+    vm.runInContext(source, context);
+    return vm.runInContext('GroupdeedoApp', context);
+}
+
+let socket;
+let app;
+
+// A user scrolled up in a channel with more history to load
+beforeEach(() => {
+    socket = createFakeSocket();
+    const GroupdeedoApp = loadClient(socket);
+
+    app = Object.create(GroupdeedoApp.prototype);
+    Object.assign(app, {
+        currentView: 'chat',
+        userSettings: { displayName: 'Tester', channel: 'history' },
+        historyChannel: 'history',
+        hasMoreHistory: true,
+        isLoadingHistory: false,
+        channelAccessTokens: {},
+        updateConnectionStatus() {},
+        showNotification() {},
+        showChannelLock() {},
+        saveChannelAccessTokens() {}
+    });
+    app.connectSocket();
+    app.isConnected = true;
+});
+
+function olderPostRequests() {
+    return socket.sent.filter(message => message.event === 'loadOlderPosts').length;
+}
+
+test('only one request for older messages is in flight at a time', () => {
+    app.loadOlderPosts();
+    app.loadOlderPosts();
+    assert.strictEqual(olderPostRequests(), 1);
+});
+
+for (const [event, reply] of [
+    ['error', 'Too many requests. Please wait.'],
+    ['channelLocked', { channel: 'history' }],
+    ['disconnect', 'transport close']
+]) {
+    test(`scrolling up loads older messages again after ${event}`, () => {
+        app.loadOlderPosts();
+        socket.receive(event, reply);
+        app.isConnected = true;
+
+        app.loadOlderPosts();
+        assert.strictEqual(olderPostRequests(), 2);
+    });
+}
@@ -0,0 +1,190 @@
+/**
+ * Shared helpers for the end-to-end tests: each test file starts its own
+ * server on a free port with a throwaway database, then drives it over
+ * Socket.IO and HTTP like the real clients do.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Ask the OS for a port nobody is using
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the server with its own temporary database
+ * @param {object} env - Extra environment variables
+ * @returns {Promise<object>} { url, dbPath, createAdmin, stop }
+ */
+async function startServer(env = {}) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupdeedo-test-'));
+    const dbPath = path.join(tmpDir, 'test.db');
+    const port = await getFreePort();
+    const serverEnv = {
+        ...process.env,
+        PORT: String(port),
+        HOST: '127.0.0.1',
+        NODE_ENV: 'test',
+        DATABASE_PATH: dbPath,
+        IDENTITY_SECRET: 'test-secret',
+        ENABLE_AUTO_CLEANUP: 'false',
+        ...env
+    };
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        cwd: ROOT,
+        env: serverEnv,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const sockets = [];
+    const url = `http://127.0.0.1:${port}`;
+
+    return {
+        url,
+        dbPath,
+        sockets,
+        // Everything the server has logged so far
+        output: () => output,
+
+        // Create an admin account the way an operator would, through the CLI
+        createAdmin(username, password, role = 'owner') {
+            execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'create-admin.js'), username, '--role', role], {
+                cwd: ROOT,
+                env: serverEnv,
+                input: `${password}\n${password}\n`,
+                stdio: ['pipe', 'ignore', 'pipe']
+            });
+        },
+
+        stop() {
+            sockets.forEach(socket => socket.close());
+            child.removeAllListeners('exit');
+            child.kill('SIGKILL');
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    };
+}
+
+function waitFor(socket, event, ms = 3000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), ms);
+        socket.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+// Resolves with the event's data, or null if it never arrives
+function maybeWaitFor(socket, event, ms = 500) {
+    return waitFor(socket, event, ms).catch(() => null);
+}
+
+/**
+ * A new client with its own anonymous identity
+ * @param {object} server - From startServer
+ * @param {string} [channel] - Channel to join straight away
+ * @param {object} [options] - { identityToken, headers }
+ * @returns {Promise<object>} { socket, identity, posts }
+ */
+async function connectClient(server, channel = null, options = {}) {
+    const socket = io(server.url, {
+        transports: ['websocket'],
+        reconnection: false,
+        auth: { identityToken: options.identityToken || null },
+        extraHeaders: options.headers || {}
+    });
+    server.sockets.push(socket);
+
+    const identity = await waitFor(socket, 'identity');
+    const client = { socket, identity, posts: null };
+    if (channel) {
+        client.posts = await joinChannel(client, channel);
+    }
+    return client;
+}
+
+async function joinChannel(client, channel) {
+    const posts = waitFor(client.socket, 'posts');
+    client.socket.emit('requestPosts', { channel });
+    return posts;
+}
+
+// Send a message and resolve with the server's messageSent confirmation
+async function sendMessage(client, message, extra = {}) {
+    const sent = waitFor(client.socket, 'messageSent');
+    client.socket.emit('sendMessage', { message, displayName: 'Tester', ...extra });
+    return sent;
+}
+
+// Protect a channel with a passphrase from a client already in it (this also claims it)
+async function protectChannel(client, channel, passphrase) {
+    const unlocked = waitFor(client.socket, 'channelUnlocked');
+    const protectedEvent = waitFor(client.socket, 'channelProtected');
+    client.socket.emit('protectChannel', { channel, passphrase });
+    await protectedEvent;
+    return (await unlocked).accessToken;
+}
+
+/**
+ * Log an admin in and return headers that carry the session cookie
+ * @returns {Promise<object>} Headers for fetch
+ */
+async function adminLogin(server, username, password) {
+    const res = await fetch(`${server.url}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (res.status !== 200) {
+        throw new Error(`Login failed with ${res.status}: ${await res.text()}`);
+    }
+    return {
+        'Content-Type': 'application/json',
+        Cookie: res.headers.get('set-cookie').split(';')[0]
+    };
+}
+
+module.exports = {
+    startServer,
+    waitFor,
+    maybeWaitFor,
+    connectClient,
+    joinChannel,
+    sendMessage,
+    protectChannel,
+    adminLogin
+};
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, connectClient, sendMessage } = require('./helpers/server');
+
+let server;
+let db;
+
+before(async () => {
+    server = await startServer();
+
+    // A second connection to the server's database, for bans made outside this process
+    process.env.DATABASE_PATH = server.dbPath;
+    const Database = require('../models/database');
+    db = new Database();
+    await db.ready;
+});
+
+after(() => {
+    db.db.close();
+    server.stop();
+});
+
+test('authors can edit their own messages', async () => {
+    const author = await connectClient(server, 'edits');
+    const sent = await sendMessage(author, 'tpyo');
+
+    const edited = waitFor(author.socket, 'messageEdited');
+    author.socket.emit('editMessage', { postId: sent.postId, editToken: sent.editToken, message: 'typo' });
+    assert.strictEqual((await edited).message, 'typo');
+});
+
+test('a banned author cannot edit a message they sent before the ban', async () => {
+    const author = await connectClient(server, 'edits');
+    const sent = await sendMessage(author, 'before the ban');
+
+    // Saved directly, so the connected socket isn't kicked as it would be from the dashboard
+    await db.createBan({ type: 'session', value: author.identity.sessionId, reason: 'spam', expiresAt: null });
+
+    const error = waitFor(author.socket, 'error');
+    author.socket.emit('editMessage', { postId: sent.postId, editToken: sent.editToken, message: 'after the ban' });
+    assert.match(await error, /banned/);
+    assert.strictEqual((await db.getPostById(sent.postId)).message, 'before the ban');
+});
+
+test('deleting messages is rate limited like sending them', async () => {
+    const author = await connectClient(server, 'edits');
+    const errors = [];
+    const answered = new Promise((resolve) => {
+        author.socket.on('error', (error) => {
+            errors.push(error);
+            if (errors.length === 25) resolve();
+        });
+    });
+
+    for (let i = 0; i < 25; i++) {
+        author.socket.emit('deleteMessage', { postId: `missing-${i}`, editToken: 'nope' });
+    }
+    await answered;
+
+    assert.ok(errors.includes('Sending too fast. Please wait a moment.'));
+    assert.ok(errors.filter(error => error === 'You can only delete your own messages').length <= 20);
+});
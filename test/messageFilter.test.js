@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { MessageFilter, compileRule } = require('../utils/messageFilter');
+
+function filterWith(rules, options = {}) {
+    const filter = new MessageFilter(options);
+    filter.setRules(rules.map((rule, index) => ({ id: index + 1, enabled: true, isRegex: false, ...rule })));
+    return filter;
+}
+
+describe('compileRule', () => {
+    test('matches plain terms as whole words, ignoring case', () => {
+        const regex = compileRule({ pattern: 'spam', isRegex: false });
+        assert.ok('Buy SPAM now'.search(regex) !== -1);
+        assert.strictEqual('spammer'.search(regex), -1);
+    });
+
+    test('rejects patterns that would match an empty message', () => {
+        assert.throws(() => compileRule({ pattern: 'a*', isRegex: true }), /empty message/);
+    });
+
+    test('rejects regexes with nested repetition', () => {
+        for (const pattern of ['(a+)+$', '(\\w+\\s?)*$', '(x+x+)+y']) {
+            assert.throws(() => compileRule({ pattern, isRegex: true }), /too long to match/, pattern);
+        }
+    });
+
+    test('accepts ordinary regexes', () => {
+        assert.doesNotThrow(() => compileRule({ pattern: 'free\\s+(crypto|bitcoin)', isRegex: true }));
+    });
+
+    test('treats regex syntax in plain terms literally', () => {
+        const regex = compileRule({ pattern: '(a+)+', isRegex: false });
+        assert.ok('try (a+)+ here'.search(regex) !== -1);
+    });
+});
+
+describe('MessageFilter', () => {
+    test('masks matching words and still allows the message', () => {
+        const result = filterWith([{ pattern: 'darn', action: 'mask' }]).check('well darn it', { sessionId: 's1' });
+        assert.strictEqual(result.action, 'allow');
+        assert.strictEqual(result.message, 'well **** it');
+        assert.strictEqual(result.hits.length, 1);
+    });
+
+    test('the strictest matching rule decides the outcome', () => {
+        const filter = filterWith([
+            { pattern: 'casino', action: 'hold' },
+            { pattern: 'scam', action: 'block' }
+        ]);
+        const result = filter.check('casino scam', { sessionId: 's1' });
+        assert.strictEqual(result.action, 'block');
+        assert.deepStrictEqual(result.hits.map(hit => hit.rule), ['casino', 'scam']);
+    });
+
+    test('skips disabled and unsafe rules instead of failing', () => {
+        const filter = filterWith([
+            { pattern: '(a+)+$', isRegex: true, action: 'block' },
+            { pattern: 'blocked', action: 'block', enabled: false }
+        ]);
+        assert.strictEqual(filter.rules.length, 0);
+        assert.strictEqual(filter.check(`${'a'.repeat(40)}!`, { sessionId: 's1' }).action, 'allow');
+    });
+
+    test('holds messages with too many links', () => {
+        const filter = filterWith([], { maxLinks: 1, linkAction: 'hold' });
+        assert.strictEqual(filter.check('see https://a.example', { sessionId: 's1' }).action, 'allow');
+        const result = filter.check('see https://a.example and www.b.example', { sessionId: 's1' });
+        assert.strictEqual(result.action, 'hold');
+        assert.strictEqual(result.hits[0].rule, 'links');
+    });
+
+    test('blocks a session repeating itself, but not other sessions or edits', () => {
+        const filter = filterWith([], { maxRepeats: 2 });
+        filter.remember('Hello   there', 's1');
+        filter.remember('hello there', 's1');
+
+        assert.strictEqual(filter.check('HELLO there', { sessionId: 's1' }).action, 'block');
+        assert.strictEqual(filter.check('hello there', { sessionId: 's2' }).action, 'allow');
+        assert.strictEqual(filter.check('hello there', { sessionId: 's1', edit: true }).action, 'allow');
+    });
+
+    test('a new identity keeps the old one\'s recent messages', () => {
+        const filter = filterWith([], { maxRepeats: 1 });
+        filter.remember('same again', 'old');
+        filter.transferSession('old', 'new');
+        assert.strictEqual(filter.check('same again', { sessionId: 'new' }).action, 'block');
+    });
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupdeedo-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+const Database = require('../models/database');
+
+let db;
+
+before(async () => {
+    db = new Database();
+    await db.ready;
+});
+
+after(() => {
+    db.db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function createPost(id) {
+    await db.createPost({
+        id,
+        sessionId: 'author',
+        displayName: 'Tester',
+        message: 'hello',
+        image: null,
+        latitude: 0,
+        longitude: 0,
+        channel: 'test',
+        timestamp: new Date().toISOString()
+    });
+}
+
+test('caps the voters counted from one address', async () => {
+    await createPost('shared-address');
+    for (let i = 0; i < 5; i++) {
+        await db.addVote('shared-address', `session-${i}`, 'down', '203.0.113.7');
+    }
+
+    const counts = await db.getModerationVoteCounts('shared-address', 2);
+    assert.strictEqual(counts.downvoteCount, 2);
+});
+
+test('counts people behind the same address separately, up to the cap', async () => {
+    await createPost('venue-wifi');
+    await db.addVote('venue-wifi', 'guest-1', 'down', '198.51.100.1');
+    await db.addVote('venue-wifi', 'guest-2', 'down', '198.51.100.1');
+    await db.addVote('venue-wifi', 'guest-3', 'down', '192.0.2.50');
+    await db.addVote('venue-wifi', 'guest-4', 'up', '192.0.2.50');
+
+    const counts = await db.getModerationVoteCounts('venue-wifi', 2);
+    assert.deepStrictEqual(counts, { downvoteCount: 3, upvoteCount: 1 });
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, maybeWaitFor, connectClient, sendMessage, adminLogin } = require('./helpers/server');
+
+// Lower Manhattan, a few miles up the river, and Los Angeles
+const DOWNTOWN = { latitude: 40.7128, longitude: -74.0060 };
+const UPTOWN = { latitude: 40.7831, longitude: -73.9712 };
+const LOS_ANGELES = { latitude: 34.0522, longitude: -118.2437 };
+
+let server;
+let admin;
+let author;
+let neighbour;
+let farAway;
+
+async function enterNearby(location, radiusMiles = 25) {
+    const client = await connectClient(server);
+    const posts = waitFor(client.socket, 'posts');
+    client.socket.emit('enterNearby', { ...location, radiusMiles });
+    await posts;
+    return client;
+}
+
+before(async () => {
+    server = await startServer();
+    server.createAdmin('owner', 'owner-password-1');
+    admin = await adminLogin(server, 'owner', 'owner-password-1');
+
+    author = await enterNearby(DOWNTOWN);
+    neighbour = await enterNearby(UPTOWN);
+    // Even the widest radius doesn't reach across the country
+    farAway = await enterNearby(LOS_ANGELES, 100);
+});
+
+after(() => server.stop());
+
+test('nearby posts reach only users whose radius covers them', async () => {
+    const nearby = waitFor(neighbour.socket, 'newPost');
+    const far = maybeWaitFor(farAway.socket, 'newPost');
+    await sendMessage(author, 'anyone around?');
+
+    assert.strictEqual((await nearby).message, 'anyone around?');
+    assert.ok((await nearby).distanceLabel);
+    assert.strictEqual(await far, null);
+});
+
+test('a restored nearby post goes back only to users in range', async () => {
+    const { postId } = await sendMessage(author, 'lost and found');
+
+    const deleted = waitFor(neighbour.socket, 'messageDeleted');
+    const res = await fetch(`${server.url}/api/admin/messages/${postId}`, { method: 'DELETE', headers: admin });
+    assert.strictEqual(res.status, 200);
+    await deleted;
+
+    const restored = waitFor(neighbour.socket, 'messageRestored');
+    const leaked = maybeWaitFor(farAway.socket, 'messageRestored');
+    const restore = await fetch(`${server.url}/api/admin/messages/${postId}/restore`, { method: 'POST', headers: admin });
+    assert.strictEqual(restore.status, 200);
+
+    const post = await restored;
+    assert.strictEqual(post.id, postId);
+    assert.ok(post.distanceLabel);
+    assert.strictEqual(await leaked, null);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, connectClient, joinChannel, sendMessage, adminLogin } = require('./helpers/server');
+
+const MAX_PINS = 3;
+let server;
+let admin;
+let author;
+
+before(async () => {
+    server = await startServer({ MAX_PINNED_POSTS: String(MAX_PINS) });
+    server.createAdmin('owner', 'owner-password-1');
+    admin = await adminLogin(server, 'owner', 'owner-password-1');
+    author = await connectClient(server);
+});
+
+after(() => server.stop());
+
+// A fresh channel with `count` messages in it
+async function channelWithPosts(channel, count) {
+    await joinChannel(author, channel);
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+        ids.push((await sendMessage(author, `${channel} message ${i}`)).postId);
+    }
+    return ids;
+}
+
+function adminRequest(method, route) {
+    return fetch(`${server.url}/api/admin/messages/${route}`, { method, headers: admin });
+}
+
+async function pinnedCount(channel) {
+    const { pinned } = await joinChannel(author, channel);
+    return pinned.length;
+}
+
+test('pins beyond the limit are refused', async () => {
+    const ids = await channelWithPosts('limit', MAX_PINS + 1);
+    for (const id of ids.slice(0, MAX_PINS)) {
+        assert.strictEqual((await adminRequest('POST', `${id}/pin`)).status, 200);
+    }
+
+    const res = await adminRequest('POST', `${ids[MAX_PINS]}/pin`);
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /at most 3 pinned/);
+
+    // Pinning an already pinned message is fine
+    assert.strictEqual((await adminRequest('POST', `${ids[0]}/pin`)).status, 200);
+});
+
+test('pins racing for the last slots cannot exceed the limit', async () => {
+    const ids = await channelWithPosts('race', MAX_PINS + 4);
+    const statuses = await Promise.all(ids.map(id => adminRequest('POST', `${id}/pin`).then(res => res.status)));
+
+    assert.strictEqual(statuses.filter(status => status === 200).length, MAX_PINS);
+    assert.strictEqual(await pinnedCount('race'), MAX_PINS);
+});
+
+test('a hidden pinned message keeps its slot, so restoring it stays within the limit', async () => {
+    const ids = await channelWithPosts('restore', MAX_PINS + 1);
+    for (const id of ids.slice(0, MAX_PINS)) {
+        await adminRequest('POST', `${id}/pin`);
+    }
+
+    assert.strictEqual((await adminRequest('DELETE', ids[0])).status, 200);
+    assert.strictEqual(await pinnedCount('restore'), MAX_PINS - 1);
+    assert.strictEqual((await adminRequest('POST', `${ids[MAX_PINS]}/pin`)).status, 400);
+
+    assert.strictEqual((await adminRequest('POST', `${ids[0]}/restore`)).status, 200);
+    assert.strictEqual(await pinnedCount('restore'), MAX_PINS);
+
+    // Unpinning the removed message is how its slot is freed
+    await adminRequest('DELETE', ids[0]);
+    assert.strictEqual((await adminRequest('DELETE', `${ids[0]}/pin`)).status, 200);
+    assert.strictEqual((await adminRequest('POST', `${ids[MAX_PINS]}/pin`)).status, 200);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupdeedo-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+const Database = require('../models/database');
+
+let db;
+
+before(async () => {
+    db = new Database();
+    await db.ready;
+});
+
+after(() => {
+    db.db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function createPost(id, message) {
+    await db.createPost({
+        id,
+        sessionId: 'author',
+        displayName: 'Tester',
+        message,
+        image: null,
+        latitude: 0,
+        longitude: 0,
+        channel: 'test',
+        timestamp: new Date().toISOString()
+    });
+}
+
+function exec(sql) {
+    return new Promise((resolve, reject) => db.db.exec(sql, err => (err ? reject(err) : resolve())));
+}
+
+test('an edit keeps the earlier text as a revision', async () => {
+    await createPost('edited', 'first draft');
+    await db.editPostMessage('edited', 'second draft');
+
+    assert.strictEqual((await db.getPostById('edited')).message, 'second draft');
+    assert.deepStrictEqual((await db.getPostRevisions('edited')).map(rev => rev.message), ['first draft']);
+});
+
+test('edits made at the same time are all recorded', async () => {
+    await createPost('busy', 'v1');
+    await Promise.all([
+        db.editPostMessage('busy', 'v2'),
+        db.editPostMessage('busy', 'v3'),
+        db.editPostMessage('busy', 'v4')
+    ]);
+
+    assert.strictEqual((await db.getPostById('busy')).message, 'v4');
+    assert.deepStrictEqual((await db.getPostRevisions('busy')).map(rev => rev.message), ['v1', 'v2', 'v3']);
+});
+
+test('an edit whose revision cannot be saved is not applied', async () => {
+    await createPost('audited', 'original words');
+    await exec(`CREATE TRIGGER fail_revisions BEFORE INSERT ON post_revisions
+        BEGIN SELECT RAISE(ABORT, 'revision storage failed'); END`);
+
+    try {
+        await assert.rejects(db.editPostMessage('audited', 'rewritten'), /revision storage failed/);
+    } finally {
+        await exec('DROP TRIGGER fail_revisions');
+    }
+
+    const post = await db.getPostById('audited');
+    assert.strictEqual(post.message, 'original words');
+    assert.strictEqual(post.editedAt, null);
+
+    // The connection is usable again afterwards
+    await db.editPostMessage('audited', 'rewritten');
+    assert.strictEqual((await db.getPostById('audited')).message, 'rewritten');
+});
@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, maybeWaitFor, connectClient, sendMessage, protectChannel } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = await connectClient(server, 'open-mic');
+});
+
+after(() => server.stop());
+
+test('reactions are counted and broadcast to the channel', async () => {
+    const { postId } = await sendMessage(owner, 'encore!');
+    const listener = await connectClient(server, 'open-mic');
+
+    const update = waitFor(listener.socket, 'reactionUpdate');
+    owner.socket.emit('addReaction', { postId, emoji: '🔥' });
+    const { reactions } = await update;
+    assert.strictEqual(reactions.find(reaction => reaction.emoji === '🔥').count, 1);
+});
+
+test('emoji outside the allowed set are refused', async () => {
+    const { postId } = await sendMessage(owner, 'what do you think?');
+    const error = waitFor(owner.socket, 'error');
+    owner.socket.emit('addReaction', { postId, emoji: '🦄' });
+    assert.strictEqual(await error, 'Invalid reaction');
+});
+
+test('nobody can react to a post in a protected channel they have not unlocked', async () => {
+    const insider = await connectClient(server, 'backstage');
+    await protectChannel(insider, 'backstage', 'crew only please');
+    const { postId } = await sendMessage(insider, 'soundcheck at six');
+
+    // An outsider who learned the post's ID, from another channel
+    const outsider = await connectClient(server, 'open-mic');
+    const insiderUpdate = maybeWaitFor(insider.socket, 'reactionUpdate');
+    const error = waitFor(outsider.socket, 'error');
+    outsider.socket.emit('addReaction', { postId, emoji: '❤️' });
+
+    assert.strictEqual(await error, 'Message not found');
+    assert.strictEqual(await insiderUpdate, null);
+});
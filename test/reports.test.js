@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, maybeWaitFor, connectClient, sendMessage, protectChannel } = require('./helpers/server');
+
+let server;
+let insider;
+let accessToken;
+let protectedPostId;
+
+before(async () => {
+    server = await startServer({ AUTO_HIDE_MIN_DOWNVOTES: '1', AUTO_HIDE_MIN_VIEWERS: '0' });
+    insider = await connectClient(server, 'private-room');
+    accessToken = await protectChannel(insider, 'private-room', 'members only here');
+    protectedPostId = (await sendMessage(insider, 'just between us')).postId;
+});
+
+after(() => server.stop());
+
+test('reports are accepted once per reporter', async () => {
+    const author = await connectClient(server, 'lobby');
+    const { postId } = await sendMessage(author, 'buy followers cheap');
+    const reporter = await connectClient(server, 'lobby');
+
+    const first = waitFor(reporter.socket, 'reportResult');
+    reporter.socket.emit('reportMessage', { postId, reason: 'spam' });
+    assert.deepStrictEqual(await first, { postId, success: true, duplicate: false });
+
+    const second = waitFor(reporter.socket, 'reportResult');
+    reporter.socket.emit('reportMessage', { postId, reason: 'spam' });
+    assert.strictEqual((await second).duplicate, true);
+});
+
+test('posts in a protected channel cannot be reported from outside it', async () => {
+    const outsider = await connectClient(server, 'lobby');
+    const result = maybeWaitFor(outsider.socket, 'reportResult');
+    const error = waitFor(outsider.socket, 'error');
+    outsider.socket.emit('reportMessage', { postId: protectedPostId, reason: 'spam' });
+
+    assert.strictEqual(await error, 'Message not found');
+    assert.strictEqual(await result, null);
+});
+
+test('posts in a protected channel cannot be voted on from outside it', async () => {
+    const outsider = await connectClient(server, 'lobby');
+    const error = waitFor(outsider.socket, 'error');
+    outsider.socket.emit('vote', { postId: protectedPostId, voteType: 'down' });
+    assert.strictEqual(await error, 'Message not found');
+
+    const rest = await fetch(`${server.url}/api/vote/${protectedPostId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Identity-Token': outsider.identity.token },
+        body: JSON.stringify({ voteType: 'down' })
+    });
+    assert.strictEqual(rest.status, 404);
+
+    // Neither downvote counted toward hiding it
+    const counts = await (await fetch(`${server.url}/api/vote/${protectedPostId}/counts`)).json();
+    assert.strictEqual(counts.down, 0);
+});
+
+test('members vote with the channel access token over REST', async () => {
+    const res = await fetch(`${server.url}/api/vote/${protectedPostId}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Identity-Token': insider.identity.token,
+            'X-Channel-Access-Token': accessToken
+        },
+        body: JSON.stringify({ voteType: 'up' })
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).voteCounts.up, 1);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, connectClient, sendMessage } = require('./helpers/server');
+
+const CHANNEL = 'live-gig';
+let server;
+
+// The channel's owner turns slow mode on, so everyone in it waits 30s between messages
+before(async () => {
+    server = await startServer();
+    const owner = await connectClient(server, CHANNEL);
+    const claimed = waitFor(owner.socket, 'channelClaimed');
+    owner.socket.emit('claimChannel', { channel: CHANNEL });
+    await claimed;
+
+    const saved = waitFor(owner.socket, 'channelSettingsSaved');
+    owner.socket.emit('updateChannelSettings', { channel: CHANNEL, slowModeSeconds: 30 });
+    await saved;
+});
+
+after(() => server.stop());
+
+async function expectSlowMode(client, message) {
+    const error = waitFor(client.socket, 'error');
+    client.socket.emit('sendMessage', { message, displayName: 'Tester' });
+    assert.match(await error, /Slow mode is on/);
+}
+
+test('a second message inside the cooldown is refused', async () => {
+    const fan = await connectClient(server, CHANNEL);
+    await sendMessage(fan, 'first!');
+    await expectSlowMode(fan, 'second!');
+});
+
+test('resetting identity does not skip the cooldown', async () => {
+    const fan = await connectClient(server, CHANNEL);
+    await sendMessage(fan, 'hello');
+
+    const identity = waitFor(fan.socket, 'identity');
+    fan.socket.emit('resetIdentity');
+    assert.notStrictEqual((await identity).sessionId, fan.identity.sessionId);
+
+    await expectSlowMode(fan, 'hello again');
+});
+
+test('people on the same network each have their own cooldown', async () => {
+    // Every test client connects from 127.0.0.1, like a venue's shared wifi
+    const first = await connectClient(server, CHANNEL);
+    const second = await connectClient(server, CHANNEL);
+
+    await sendMessage(first, 'from the front row');
+    const sent = await sendMessage(second, 'from the back row');
+    assert.ok(sent.postId);
+});
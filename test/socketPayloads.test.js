@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, connectClient, sendMessage } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+// Anyone can emit any payload - the server must answer with an error and keep running
+for (const payload of [null, 'hello', 42, { message: null }, { message: ['a'] }, { message: 'hi', image: {} }]) {
+    test(`sendMessage with ${JSON.stringify(payload)} is refused`, async () => {
+        const client = await connectClient(server, 'payloads');
+        const error = waitFor(client.socket, 'error');
+        client.socket.emit('sendMessage', payload);
+        assert.strictEqual(await error, 'Invalid message');
+
+        // Still up and still sending
+        assert.ok((await sendMessage(client, 'still here')).postId);
+    });
+}
+
+for (const payload of [null, 'general', 7, []]) {
+    test(`updateSettings with ${JSON.stringify(payload)} is refused`, async () => {
+        const client = await connectClient(server, 'payloads');
+        const error = waitFor(client.socket, 'error');
+        client.socket.emit('updateSettings', payload);
+        assert.strictEqual(await error, 'Invalid settings');
+
+        assert.ok((await sendMessage(client, 'still here')).postId);
+    });
+}
+
+test('updateSettings with fields of the wrong type falls back to defaults', async () => {
+    const client = await connectClient(server, 'payloads');
+    const posts = waitFor(client.socket, 'posts');
+    client.socket.emit('updateSettings', { displayName: { name: 'x' }, channel: 'elsewhere', accessToken: 5, ownerKey: [] });
+    assert.strictEqual((await posts).channel, 'elsewhere');
+
+    assert.ok((await sendMessage(client, 'still here')).postId);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; ours are their last 6 digits
+    assert.strictEqual(totp.generateCode(RFC_SECRET, totp.getCounter(59 * 1000)), '287082');
+    assert.strictEqual(totp.generateCode(RFC_SECRET, totp.getCounter(1111111109 * 1000)), '081804');
+    assert.strictEqual(totp.generateCode(RFC_SECRET, totp.getCounter(2000000000 * 1000)), '279037');
+});
+
+test('codes from one step either side of now are accepted', () => {
+    const secret = totp.generateSecret();
+    const now = totp.getCounter();
+    for (const counter of [now - 1, now, now + 1]) {
+        assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, counter)), counter);
+    }
+    assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now + 2)), null);
+});
+
+test('a code cannot be used again, nor one older than the last accepted', () => {
+    const secret = totp.generateSecret();
+    const now = totp.getCounter();
+    assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now), now), null);
+    assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now - 1), now), null);
+    assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now + 1), now), now + 1);
+});
+
+test('malformed codes are rejected', () => {
+    const secret = totp.generateSecret();
+    for (const code of [null, '', '12345', '1234567', 'abcdef', { code: '123456' }]) {
+        assert.strictEqual(totp.verifyCode(secret, code), null, JSON.stringify(code));
+    }
+});
+
+test('the otpauth URL carries the secret and issuer', () => {
+    const url = new URL(totp.getOtpauthUrl('ABCDEF', 'alice', 'Groupdeedo'));
+    assert.strictEqual(url.protocol, 'otpauth:');
+    assert.strictEqual(url.searchParams.get('secret'), 'ABCDEF');
+    assert.strictEqual(url.searchParams.get('issuer'), 'Groupdeedo');
+    assert.match(decodeURIComponent(url.pathname), /Groupdeedo:alice$/);
+});
@@ -0,0 +1,69 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor, connectClient, joinChannel, sendMessage } = require('./helpers/server');
+
+let server;
+
+function restVote(postId, body, headers = {}) {
+    return fetch(`${server.url}/api/vote/${postId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    server = await startServer({ AUTO_HIDE_MIN_DOWNVOTES: '3', AUTO_HIDE_MIN_VIEWERS: '0' });
+});
+
+after(() => server.stop());
+
+describe('REST voting', () => {
+    let author;
+    let postId;
+
+    before(async () => {
+        author = await connectClient(server, 'rest-votes');
+        postId = (await sendMessage(author, 'vote on me')).postId;
+    });
+
+    test('rejects a vote without an identity token', async () => {
+        const res = await restVote(postId, { voteType: 'down' });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('rejects a forged identity token', async () => {
+        const forged = author.identity.token.slice(0, -2) + (author.identity.token.endsWith('aa') ? 'bb' : 'aa');
+        const res = await restVote(postId, { voteType: 'down' }, { 'X-Identity-Token': forged });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('rejects a sessionId that does not match the identity token', async () => {
+        const res = await restVote(postId, { voteType: 'down', sessionId: 'someone-else' }, { 'X-Identity-Token': author.identity.token });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('accepts a vote with a valid identity token', async () => {
+        const res = await restVote(postId, { voteType: 'up' }, { 'X-Identity-Token': author.identity.token });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await res.json()).voteCounts.up, 1);
+    });
+});
+
+describe('community auto-moderation', () => {
+    test('one client cannot hide a post by itself, even with several identities', async () => {
+        const author = await connectClient(server, 'single-client');
+        const { postId } = await sendMessage(author, 'please do not hide me');
+
+        // Every identity connects from the same address
+        for (let i = 0; i < 4; i++) {
+            const voter = await connectClient(server, 'single-client');
+            const result = waitFor(voter.socket, 'voteResult');
+            voter.socket.emit('vote', { postId, voteType: 'down' });
+            assert.strictEqual((await result).autoHidden, false);
+        }
+
+        const { posts } = await joinChannel(author, 'single-client');
+        assert.ok(posts.some(post => post.id === postId));
+    });
+});
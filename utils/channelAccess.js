@@ -0,0 +1,102 @@
+/**
+ * Passphrase-protected channels. A channel can be claimed with a passphrase;
+ * after that a socket only sees the channel once it has unlocked it with the
+ * passphrase, a saved access token or an invite link.
+ *
+ * Access tokens are signed with the identity secret and bound to the current
+ * passphrase hash, so changing the passphrase locks everyone out again.
+ *
+ * Channels can also be claimed by an owner, who gets a random owner key.
+ * Whoever presents the key manages the channel; only its hash is stored.
+ */
+
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./passwordHash');
+
+const MIN_PASSPHRASE_LENGTH = 6;
+const MAX_PASSPHRASE_LENGTH = 200;
+
+// Invite links: how long they may last, and the default
+const INVITE_LIFETIMES_HOURS = [1, 24, 24 * 7];
+const DEFAULT_INVITE_HOURS = 24;
+
+class ChannelAccess {
+    /**
+     * @param {IdentityAuth} identityAuth - Signs access tokens with the server's identity secret
+     */
+    constructor(identityAuth) {
+        this.identityAuth = identityAuth;
+    }
+
+    // Returns an error message, or null if the passphrase is acceptable
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+        }
+        if (passphrase.length > MAX_PASSPHRASE_LENGTH) {
+            return `Passphrase must be at most ${MAX_PASSPHRASE_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    hashPassphrase(passphrase) {
+        return hashPassword(passphrase);
+    }
+
+    verifyPassphrase(passphrase, passphraseHash) {
+        if (typeof passphrase !== 'string') return Promise.resolve(false);
+        return verifyPassword(passphrase, passphraseHash);
+    }
+
+    // Token the client keeps so it doesn't need the passphrase again
+    issueAccessToken(channel, passphraseHash) {
+        return this.identityAuth.sign(`channel:${channel}:${passphraseHash}`);
+    }
+
+    verifyAccessToken(channel, passphraseHash, token) {
+        if (!token || typeof token !== 'string') return false;
+
+        const expected = Buffer.from(this.issueAccessToken(channel, passphraseHash));
+        const actual = Buffer.from(token);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Invite links carry a random token; only its hash is stored
+    createInviteToken() {
+        const token = crypto.randomBytes(24).toString('base64url');
+        return { token, hash: this.hashToken(token) };
+    }
+
+    // Random tokens are long enough that a plain SHA-256 is safe to store
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    createOwnerKey() {
+        const key = crypto.randomBytes(32).toString('base64url');
+        return { key, hash: this.hashToken(key) };
+    }
+
+    verifyOwnerKey(key, ownerKeyHash) {
+        if (!key || typeof key !== 'string' || !ownerKeyHash) return false;
+
+        const expected = Buffer.from(ownerKeyHash);
+        const actual = Buffer.from(this.hashToken(key));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Check an invite request from a client
+     * @param {object} options - { oneTime, expiresInHours }
+     * @returns {object} { maxUses (null = unlimited), expiresAt }
+     */
+    getInviteLimits({ oneTime, expiresInHours } = {}) {
+        const hours = INVITE_LIFETIMES_HOURS.includes(Number(expiresInHours)) ? Number(expiresInHours) : DEFAULT_INVITE_HOURS;
+        return {
+            maxUses: oneTime ? 1 : null,
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+        };
+    }
+}
+
+module.exports = ChannelAccess;
@@ -0,0 +1,288 @@
+/**
+ * Storage for images attached to chat messages.
+ * Images are checked by their magic bytes, re-encoded without metadata
+ * (EXIF/GPS), and written to uploads/messages with content-hash filenames
+ * alongside a small thumbnail. Posts keep only the resulting URL paths.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MESSAGE_IMAGES_DIR = path.join(__dirname, '..', 'uploads', 'messages');
+const MESSAGE_IMAGES_URL = '/uploads/messages';
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB decoded
+const ORPHAN_GRACE_MS = 60 * 60 * 1000; // 1 hour
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // Refuse decompression bombs
+const FULL_MAX_DIMENSION = 1600;
+const THUMBNAIL_MAX_DIMENSION = 320;
+
+// Allowed image types and the file extension used for each
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+// Magic byte signatures for the allowed image types
+const IMAGE_SIGNATURES = [
+    { format: 'jpeg', test: b => b.length > 3 && b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { format: 'png', test: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { format: 'gif', test: b => b.length > 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { format: 'webp', test: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// File extension for each re-encoded format
+const FORMAT_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    gif: 'gif',
+    webp: 'webp'
+};
+
+/**
+ * Make sure the message image directory exists
+ */
+function ensureImageDirectory() {
+    if (!fs.existsSync(MESSAGE_IMAGES_DIR)) {
+        fs.mkdirSync(MESSAGE_IMAGES_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Decode a base64 image data URL
+ * @param {string} dataUrl - data:image/...;base64,... URL
+ * @returns {object} { mimeType, buffer }
+ * @throws {Error} If the data URL is malformed, an unsupported type or too large
+ */
+function decodeDataUrl(dataUrl) {
+    const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl || '');
+    if (!match) {
+        throw new Error('Invalid image data');
+    }
+    
+    const mimeType = match[1].toLowerCase();
+    if (!IMAGE_EXTENSIONS[mimeType]) {
+        throw new Error('Unsupported image type');
+    }
+    
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0) {
+        throw new Error('Invalid image data');
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw new Error('Image too large');
+    }
+    
+    return { mimeType, buffer };
+}
+
+/**
+ * Identify an image from its leading bytes, ignoring any declared type
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} 'jpeg', 'png', 'gif', 'webp' or null if not a supported image
+ */
+function detectImageFormat(buffer) {
+    const match = IMAGE_SIGNATURES.find(signature => signature.test(buffer));
+    return match ? match.format : null;
+}
+
+/**
+ * Re-encode an image so only pixel data survives (no EXIF, GPS or other metadata)
+ * @param {Buffer} buffer - Original image bytes
+ * @returns {Promise<object>} { full, thumbnail, format } - re-encoded buffers
+ * @throws {Error} If the bytes are not a supported, decodable image
+ */
+async function processImage(buffer) {
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        throw new Error('Unsupported image type');
+    }
+    
+    const animated = format === 'gif' || format === 'webp';
+    const input = () => sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate(); // Apply EXIF orientation before the metadata is dropped
+    
+    let full;
+    let thumbnail;
+    try {
+        // sharp drops all metadata unless withMetadata() is requested
+        full = await input()
+            .resize(FULL_MAX_DIMENSION, FULL_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .toFormat(format, format === 'jpeg' ? { quality: 85, mozjpeg: true } : {})
+            .toBuffer();
+        
+        // Thumbnails are always a still JPEG frame
+        thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize(THUMBNAIL_MAX_DIMENSION, THUMBNAIL_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+    } catch (error) {
+        throw new Error('Invalid image data');
+    }
+    
+    return { full, thumbnail, format };
+}
+
+/**
+ * Write image bytes to the store under their content hash
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} extension - File extension without the dot
+ * @returns {Promise<string>} URL path of the stored image
+ */
+async function storeImageBuffer(buffer, extension) {
+    ensureImageDirectory();
+    
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const filename = `${hash}.${extension}`;
+    const filePath = path.join(MESSAGE_IMAGES_DIR, filename);
+    
+    // Identical images share one file
+    if (!fs.existsSync(filePath)) {
+        await fs.promises.writeFile(filePath, buffer);
+    }
+    
+    return `${MESSAGE_IMAGES_URL}/${filename}`;
+}
+
+/**
+ * Check, clean and store image bytes with a thumbnail
+ * @param {Buffer} buffer - Original image bytes
+ * @returns {Promise<object>} { image, thumbnail } URL paths
+ */
+async function saveImageBuffer(buffer) {
+    const processed = await processImage(buffer);
+    const image = await storeImageBuffer(processed.full, FORMAT_EXTENSIONS[processed.format]);
+    const thumbnail = await storeImageBuffer(processed.thumbnail, 'jpg');
+    
+    return { image, thumbnail };
+}
+
+/**
+ * Decode, check, clean and store a message image
+ * @param {string} dataUrl - data:image/...;base64,... URL from the client
+ * @returns {Promise<object>} { image, thumbnail } URL paths
+ */
+async function saveDataUrlImage(dataUrl) {
+    const { buffer } = decodeDataUrl(dataUrl);
+    return saveImageBuffer(buffer);
+}
+
+/**
+ * Read the bytes behind a post's image field (inline data URL or stored file)
+ * @param {string} image - Value of a post's image field
+ * @returns {Promise<Buffer>} Image bytes
+ */
+async function readPostImage(image) {
+    if (isInlineImage(image)) {
+        return decodeDataUrl(image).buffer;
+    }
+    
+    if (!image.startsWith(`${MESSAGE_IMAGES_URL}/`)) {
+        throw new Error('Image is not in the message store');
+    }
+    
+    const filename = path.basename(image);
+    return fs.promises.readFile(path.join(MESSAGE_IMAGES_DIR, filename));
+}
+
+/**
+ * Check whether a value is an inline data URL rather than a stored reference
+ * @param {string} image - Value of a post's image field
+ * @returns {boolean} True for data: URLs
+ */
+function isInlineImage(image) {
+    return typeof image === 'string' && image.startsWith('data:');
+}
+
+/**
+ * Bring older image posts up to date: move inline base64 images to disk,
+ * strip metadata from images stored before re-encoding, and add thumbnails
+ * @param {Database} db - Database instance
+ * @returns {Promise<object>} { converted, failed }
+ */
+async function migrateMessageImages(db) {
+    let converted = 0;
+    let failed = 0;
+    const skipped = new Set();
+    
+    // Work in small batches so large images never all sit in memory at once
+    for (;;) {
+        const posts = await db.getPostsNeedingImageProcessing(20, [...skipped]);
+        if (posts.length === 0) break;
+        
+        for (const post of posts) {
+            try {
+                const stored = await saveImageBuffer(await readPostImage(post.image));
+                await db.updatePostImage(post.id, stored.image, stored.thumbnail);
+                converted++;
+            } catch (error) {
+                console.error(`Error migrating image for post ${post.id}:`, error.message);
+                skipped.add(post.id);
+                failed++;
+            }
+        }
+    }
+    
+    if (converted > 0 || failed > 0) {
+        console.log(`🖼️  Processed ${converted} older message images (${failed} failed)`);
+    }
+    
+    return { converted, failed };
+}
+
+/**
+ * Find or delete stored image files no post refers to
+ * @param {Set<string>} referencedUrls - Image URL paths still used by posts
+ * @param {boolean} dryRun - Only count, don't delete
+ * @returns {Promise<object>} { orphaned, deleted, freedBytes }
+ */
+async function removeOrphanedImages(referencedUrls, dryRun = false) {
+    const result = { orphaned: 0, deleted: 0, freedBytes: 0 };
+    
+    if (!fs.existsSync(MESSAGE_IMAGES_DIR)) {
+        return result;
+    }
+    
+    const files = await fs.promises.readdir(MESSAGE_IMAGES_DIR);
+    
+    for (const filename of files) {
+        if (referencedUrls.has(`${MESSAGE_IMAGES_URL}/${filename}`)) continue;
+        
+        const filePath = path.join(MESSAGE_IMAGES_DIR, filename);
+        const stats = await fs.promises.stat(filePath);
+        if (!stats.isFile()) continue;
+        
+        // Leave fresh files alone - their post may still be being saved
+        if (Date.now() - stats.mtimeMs < ORPHAN_GRACE_MS) continue;
+        
+        result.orphaned++;
+        result.freedBytes += stats.size;
+        
+        if (!dryRun) {
+            await fs.promises.unlink(filePath);
+            result.deleted++;
+        }
+    }
+    
+    return result;
+}
+
+module.exports = {
+    MESSAGE_IMAGES_DIR,
+    MESSAGE_IMAGES_URL,
+    decodeDataUrl,
+    detectImageFormat,
+    processImage,
+    storeImageBuffer,
+    saveImageBuffer,
+    saveDataUrlImage,
+    isInlineImage,
+    migrateMessageImages,
+    removeOrphanedImages
+};
@@ -0,0 +1,106 @@
+/**
+ * IP address helpers for bans: normalizing client addresses,
+ * matching them against single addresses or CIDR ranges, and
+ * finding the client behind trusted proxies
+ */
+
+const net = require('net');
+
+/**
+ * Normalize a client address for comparison
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are reduced to plain IPv4.
+ * @param {string} address - Address as reported by Node/Express
+ * @returns {string|null} Normalized address or null if not a valid IP
+ */
+function normalizeIp(address) {
+    if (!address || typeof address !== 'string') return null;
+
+    let ip = address.trim();
+    if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+        ip = ip.slice(7);
+    }
+
+    return net.isIP(ip) ? ip.toLowerCase() : null;
+}
+
+/**
+ * Parse a CIDR range such as 203.0.113.0/24 or 2001:db8::/32
+ * @param {string} cidr - CIDR notation
+ * @returns {object|null} { network, prefix, family } or null if invalid
+ */
+function parseCidr(cidr) {
+    if (!cidr || typeof cidr !== 'string') return null;
+
+    const [address, prefixText] = cidr.trim().split('/');
+    const network = normalizeIp(address);
+    if (!network || !/^\d{1,3}$/.test(prefixText || '')) return null;
+
+    const family = net.isIPv4(network) ? 'ipv4' : 'ipv6';
+    const prefix = parseInt(prefixText, 10);
+    if (prefix > (family === 'ipv4' ? 32 : 128)) return null;
+
+    return { network, prefix, family };
+}
+
+/**
+ * Check whether an address falls inside a CIDR range
+ * @param {string} cidr - CIDR notation
+ * @param {string} address - Client address
+ * @returns {boolean} True if the address is in the range
+ */
+function cidrContains(cidr, address) {
+    const range = parseCidr(cidr);
+    const ip = normalizeIp(address);
+    if (!range || !ip) return false;
+
+    const family = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+    if (family !== range.family) return false;
+
+    const blockList = new net.BlockList();
+    blockList.addSubnet(range.network, range.prefix, range.family);
+    return blockList.check(ip, family);
+}
+
+/**
+ * Parse the TRUST_PROXY setting into a value for Express's 'trust proxy'
+ * @param {string} value - "true", "false", a hop count, or comma-separated addresses/subnets
+ * @returns {boolean|number|string[]} Value for app.set('trust proxy', ...)
+ */
+function parseTrustProxy(value) {
+    const setting = (value || '').trim();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+
+    return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a client address through X-Forwarded-For the way Express does for req.ip,
+ * stepping past each hop only while the trust function accepts it
+ * @param {string} remoteAddress - Address of the connecting peer
+ * @param {string} forwardedFor - X-Forwarded-For header, if any
+ * @param {Function} trust - Express's compiled 'trust proxy fn'
+ * @returns {string} Client address
+ */
+function getForwardedAddress(remoteAddress, forwardedFor, trust) {
+    const forwarded = (forwardedFor || '').split(',')
+        .map(address => address.trim())
+        .filter(Boolean)
+        .reverse();
+    const addresses = [remoteAddress, ...forwarded];
+
+    let hop = 0;
+    while (hop < addresses.length - 1 && trust(addresses[hop], hop)) {
+        hop++;
+    }
+    return addresses[hop];
+}
+
+module.exports = {
+    normalizeIp,
+    parseCidr,
+    cidrContains,
+    parseTrustProxy,
+    getForwardedAddress
+};
@@ -117,12 +117,31 @@ function getLocationPrecision(radiusMiles) {
     return 1;                            // ~6.9 miles precision
 }
 
-module.exports = {
-    calculateDistance,
-    toRadians,
-    isWithinRadius,
-    getBoundingBox,
-    isValidCoordinates,
-    formatDistance,
-    getLocationPrecision
-};
\ No newline at end of file
+/**
+ * Round coordinates to the precision for a radius so only a coarse location is shared
+ * @param {number} lat - Latitude to round
+ * @param {number} lon - Longitude to round
+ * @param {number} radiusMiles - Radius in miles
+ * @returns {object} Rounded latitude and longitude
+ */
+function roundCoordinates(lat, lon, radiusMiles) {
+    const precision = getLocationPrecision(radiusMiles);
+    return {
+        latitude: Number(lat.toFixed(precision)),
+        longitude: Number(lon.toFixed(precision))
+    };
+}
+
+// Also served to the browser as a plain script, where the functions above are globals
+if (typeof module !== 'undefined') {
+    module.exports = {
+        calculateDistance,
+        toRadians,
+        isWithinRadius,
+        getBoundingBox,
+        isValidCoordinates,
+        formatDistance,
+        getLocationPrecision,
+        roundCoordinates
+    };
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Filter pipeline run on every new message before it is saved.
+ * Each stage inspects the message and can mask it, hold it for moderator
+ * review or block it outright. Every rule that fires is reported back as a
+ * hit so admins can see which rules are doing the work.
+ */
+
+const safeRegex = require('safe-regex2');
+
+const FILTER_ACTIONS = ['block', 'mask', 'hold'];
+const MAX_PATTERN_LENGTH = 200;
+
+// How strongly each outcome overrides the others (masking never stops a message)
+const ACTION_SEVERITY = { allow: 0, mask: 0, hold: 1, block: 2 };
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s]+|\bwww\.[^\s]+/gi;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the regular expression for an admin-managed rule
+ * Plain terms match case-insensitively as whole words; regex rules are used as written.
+ * @param {object} rule - { pattern, isRegex }
+ * @returns {RegExp} Global, case-insensitive expression
+ * @throws {Error} If the pattern is invalid, matches an empty string or could backtrack catastrophically
+ */
+function compileRule(rule) {
+    const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+    if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Pattern must be 1-${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    // Every message runs through every rule, so a pattern like (a+)+ could stall the server
+    if (rule.isRegex && !safeRegex(pattern)) {
+        throw new Error('Pattern could take too long to match - avoid nested repetition such as (a+)+');
+    }
+
+    const regex = rule.isRegex
+        ? new RegExp(pattern, 'gi')
+        : new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(pattern)}(?![\\p{L}\\p{N}_])`, 'giu');
+
+    // A pattern that matches nothing would hit every message
+    if (regex.test('')) {
+        throw new Error('Pattern must not match an empty message');
+    }
+    regex.lastIndex = 0;
+
+    return regex;
+}
+
+// Admin-managed blocklist terms and regexes
+function blocklistStage(result, context, filter) {
+    for (const rule of filter.rules) {
+        if (result.message.search(rule.regex) === -1) continue;
+
+        if (rule.action === 'mask') {
+            result.message = result.message.replace(rule.regex, match => '*'.repeat([...match].length));
+        }
+        filter.addHit(result, {
+            ruleId: rule.id,
+            rule: rule.pattern,
+            action: rule.action,
+            reason: 'Your message contains blocked content'
+        });
+    }
+}
+
+// Messages stuffed with links are usually spam or phishing
+function linkStage(result, context, filter) {
+    const links = result.message.match(LINK_PATTERN) || [];
+    if (links.length <= filter.maxLinks) return;
+
+    filter.addHit(result, {
+        ruleId: null,
+        rule: 'links',
+        action: filter.linkAction,
+        reason: `Messages can contain at most ${filter.maxLinks} links`
+    });
+}
+
+// The same text sent over and over by one session
+function duplicateStage(result, context, filter) {
+    if (context.edit || !result.original) return;
+
+    const text = filter.normalizeForDuplicates(result.original);
+    const recent = filter.getRecentMessages(context.sessionId);
+    const repeats = recent.filter(entry => entry.text === text).length;
+    if (repeats < filter.maxRepeats) return;
+
+    filter.addHit(result, {
+        ruleId: null,
+        rule: 'duplicate',
+        action: 'block',
+        reason: 'You already sent that message'
+    });
+}
+
+class MessageFilter {
+    constructor(options = {}) {
+        this.maxLinks = options.maxLinks !== undefined ? options.maxLinks : 3;
+        this.linkAction = ['block', 'hold'].includes(options.linkAction) ? options.linkAction : 'hold';
+        this.maxRepeats = options.maxRepeats || 3;
+        this.duplicateWindowMs = options.duplicateWindowMs || 5 * 60 * 1000;
+
+        this.rules = [];
+        this.recentMessages = new Map(); // sessionId -> [{ text, time }]
+        this.stages = [];
+
+        this.use(blocklistStage);
+        this.use(linkStage);
+        this.use(duplicateStage);
+    }
+
+    /**
+     * Add a stage to the end of the pipeline
+     * @param {Function} stage - (result, context, filter) => void; report hits with filter.addHit
+     * @returns {MessageFilter} this, for chaining
+     */
+    use(stage) {
+        this.stages.push(stage);
+        return this;
+    }
+
+    /**
+     * Replace the blocklist with the enabled rules from the database
+     * Rules that no longer compile are skipped rather than breaking every message.
+     * @param {Array} rules - [{ id, pattern, isRegex, action, enabled }]
+     */
+    setRules(rules) {
+        this.rules = [];
+        for (const rule of rules) {
+            if (!rule.enabled || !FILTER_ACTIONS.includes(rule.action)) continue;
+            try {
+                this.rules.push({ ...rule, regex: compileRule(rule) });
+            } catch (error) {
+                console.error(`Skipping invalid filter rule ${rule.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Run a message through every stage
+     * @param {string} message - Sanitized message text
+     * @param {object} context - { sessionId, channel, edit }
+     * @returns {object} { action: 'allow'|'hold'|'block', message (after masking), original, hits, reason }
+     */
+    check(message, context) {
+        const result = { action: 'allow', message: message || '', original: message || '', hits: [], reason: null };
+
+        for (const stage of this.stages) {
+            stage(result, context, this);
+        }
+
+        return result;
+    }
+
+    // Record a rule hit and escalate the outcome if the rule is stricter
+    addHit(result, { ruleId, rule, action, reason }) {
+        result.hits.push({ ruleId, rule, action });
+
+        if (ACTION_SEVERITY[action] > ACTION_SEVERITY[result.action]) {
+            result.action = action;
+            result.reason = reason;
+        }
+    }
+
+    /**
+     * Remember a message that was accepted, for duplicate detection
+     * @param {string} message - Message text as sent
+     * @param {string} sessionId - Author session
+     */
+    remember(message, sessionId) {
+        if (!message) return;
+
+        const recent = this.getRecentMessages(sessionId);
+        recent.push({ text: this.normalizeForDuplicates(message), time: Date.now() });
+        this.recentMessages.set(sessionId, recent);
+    }
+
+    /**
+     * Carry a session's recent messages over to its new identity, for duplicate detection
+     * @param {string} fromSessionId - Session being replaced
+     * @param {string} toSessionId - Session replacing it
+     */
+    transferSession(fromSessionId, toSessionId) {
+        const recent = this.getRecentMessages(fromSessionId);
+        if (recent.length > 0) {
+            this.recentMessages.set(toSessionId, recent);
+        }
+    }
+
+    // Messages from a session still inside the duplicate window
+    getRecentMessages(sessionId) {
+        const windowStart = Date.now() - this.duplicateWindowMs;
+        return (this.recentMessages.get(sessionId) || []).filter(entry => entry.time > windowStart);
+    }
+
+    normalizeForDuplicates(message) {
+        return message.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Drop sessions with nothing left inside the duplicate window
+    prune() {
+        for (const sessionId of this.recentMessages.keys()) {
+            const recent = this.getRecentMessages(sessionId);
+            if (recent.length === 0) {
+                this.recentMessages.delete(sessionId);
+            } else {
+                this.recentMessages.set(sessionId, recent);
+            }
+        }
+    }
+}
+
+module.exports = {
+    MessageFilter,
+    FILTER_ACTIONS,
+    compileRule
+};
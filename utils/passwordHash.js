@@ -0,0 +1,56 @@
+/**
+ * scrypt hashing for secrets people choose themselves - admin passwords
+ * and channel passphrases. Each hash carries its own salt and cost
+ * parameters, so the parameters can be raised later without breaking
+ * existing hashes.
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a secret for storage
+ * @param {string} secret - Plain text password or passphrase
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash (salt and hash base64)
+ */
+function hashPassword(secret) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(secret, salt, SCRYPT_KEY_LENGTH, { N, r, p }, (err, key) => {
+            if (err) reject(err);
+            else resolve(`scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`);
+        });
+    });
+}
+
+/**
+ * Check a secret against a stored hash in constant time
+ * @returns {Promise<boolean>} False for a wrong secret or a malformed hash
+ */
+function verifyPassword(secret, storedHash) {
+    const parts = (storedHash || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return Promise.resolve(false);
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const options = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(secret, Buffer.from(salt, 'base64'), expected.length, options, (err, key) => {
+            if (err) reject(err);
+            else resolve(crypto.timingSafeEqual(key, expected));
+        });
+    });
+}
+
+module.exports = {
+    SCRYPT_KEY_LENGTH,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,132 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for admin two-factor login,
+ * compatible with Google Authenticator, 1Password, Authy and friends
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for one time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step number
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+function getCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / TIME_STEP_SECONDS);
+}
+
+/**
+ * Check a code, allowing one time step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastCounter - Last time step accepted, so a code can't be replayed
+ * @returns {number|null} Time step the code matched, or null
+ */
+function verifyCode(secret, code, lastCounter = null) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(clean)) return null;
+
+    const current = getCounter();
+    for (const counter of [current - 1, current, current + 1]) {
+        if (lastCounter !== null && counter <= lastCounter) continue;
+
+        const expected = generateCode(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+            return counter;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, e.g. the admin username
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+function getOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(CODE_DIGITS),
+        period: String(TIME_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    getCounter,
+    verifyCode,
+    getOtpauthUrl
+};